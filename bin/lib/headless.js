@@ -0,0 +1,36 @@
+// Runs a command line tool from simulator/src/headless. The simulator
+// sources are ES modules, so the tool is bundled with esbuild first, into
+// a temporary directory that is removed once the bundle is loaded.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const esbuild = require('esbuild');
+
+module.exports = async function runHeadless(tool) {
+    const entry = path.resolve(__dirname, '../../simulator/src/headless', tool);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-headless-'));
+    let bundle;
+    try {
+        const outfile = path.join(dir, 'bundle.js');
+        esbuild.buildSync({
+            entryPoints: [entry],
+            bundle: true,
+            platform: 'node',
+            format: 'cjs',
+            outfile,
+            logLevel: 'error',
+        });
+        bundle = (await import(pathToFileURL(outfile))).default;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    process.exitCode = bundle.main(process.argv.slice(2), {
+        readFile: (file) => fs.readFileSync(file, 'utf8'),
+        writeFile: (file, text) => fs.writeFileSync(file, text),
+        stdout: (text) => process.stdout.write(text),
+        stderr: (text) => process.stderr.write(text),
+    });
+};
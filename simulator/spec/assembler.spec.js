@@ -0,0 +1,129 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import simulationArea from '../src/simulationArea';
+import undo from '../src/data/undo';
+import {
+    parseInstructionSet, assemble, loadProgram, createAssemblerPrompt,
+} from '../src/assembler';
+import Rom from '../src/sequential/Rom';
+import EEPROM from '../src/sequential/EEPROM';
+
+jest.mock('codemirror');
+
+const isa = parseInstructionSet(`.width 8
+.define r0 0
+.define r1 1
+MOV rd, rs    : 00 rd:3 rs:3
+LD rd, #imm   : 01 rd:3 000 imm:8 ; loads a value
+LD rd, [addr] : 10 rd:3 000 addr:8
+JR off        : 11_000_000 off:8`);
+const messages = (program) => program.errors.map(({ message }) => message);
+
+describe('assembler', () => {
+    test('an instruction set is read with its layouts', () => {
+        expect(isa.width).toBe(8);
+        expect(isa.instructions.map(({ mnemonic, bits }) => [mnemonic, bits])).toEqual([['MOV', 8], ['LD', 16], ['LD', 16], ['JR', 16]]);
+        expect(isa.symbols.get('r1')).toBe(1n);
+        expect(() => parseInstructionSet('ADD x : 0001 y:4')).toThrow('Line 1: y:4 is neither bits nor an operand');
+        expect(() => parseInstructionSet('ADD x : 0001')).toThrow('Line 1: x is not in the layout');
+        expect(() => parseInstructionSet('.width 8\nINC : 0001')).toThrow('Line 2: INC has 4 bits, not a multiple of the 8 bit words');
+        expect(() => parseInstructionSet('; nothing')).toThrow('The instruction set has no instructions');
+    });
+
+    test('a program is assembled into words with the line of each', () => {
+        const program = assemble(`size = 2
+      .org 0x10
+go:   LD r1, #-1         ; two words, the highest bits first
+      ld r0, [table+size]
+      MOV r0, r1
+      JR go-$
+table: .word 1, size`, isa);
+        expect(program.errors).toEqual([]);
+        expect(program.words.slice(0x10)).toEqual([0x48, 0xff, 0x80, 0x19, 0x01, 0xc0, 0xfb, 1, 2]);
+        expect(program.words[0]).toBeUndefined();
+        expect(program.lines.slice(0x10)).toEqual([3, 3, 4, 4, 5, 6, 6, 7, 7]);
+        expect(program.listing.split('\n')).toEqual([
+            '   1               size = 2',
+            '   2                     .org 0x10',
+            '   3  0010  48 FF  go:   LD r1, #-1         ; two words, the highest bits first',
+            '   4  0012  80 19        ld r0, [table+size]',
+            '   5  0014  01           MOV r0, r1',
+            '   6  0015  C0 FB        JR go-$',
+            '   7  0017  01 02  table: .word 1, size',
+            '',
+            'Symbols',
+            'size             0002',
+            'go               0010',
+            'table            0017',
+        ]);
+    });
+
+    test('every line in error is reported', () => {
+        const program = assemble(`start: FOO
+      LD r1, 300
+      JR 30
+      JR 300
+start: MOV r0, r0
+      .org 0
+      MOV r1, r1
+      .fill 3
+      JR later`, isa);
+        expect(messages(program)).toEqual([
+            'Line 1: FOO is not an instruction',
+            'Line 2: LD does not take r1, 300',
+            'Line 5: start is defined twice',
+            'Line 8: .fill is not a directive',
+            'Line 4: 300 does not fit in off (8 bits)',
+            'Line 7: address 0000 is taken by line 3',
+            'Line 9: later is not defined',
+        ]);
+        expect(program.errors.map(({ line }) => line)).toEqual([1, 2, 5, 8, 4, 7, 9]);
+    });
+});
+
+describe('assembler panel', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    const scope = newCircuit('CPU');
+    const eeprom = new EEPROM(100, 300, scope, 'RIGHT', 4, 4);
+    const rom = new Rom(300, 100, scope);
+
+    test('a program is loaded into a memory and can be undone', () => {
+        const program = assemble('.word 1, 2', isa);
+        expect(() => loadProgram(program, eeprom)).toThrow('EEPROM at 100, 300 holds 4 bit words, the program has 8 bit words');
+        loadProgram(program, rom);
+        expect(rom.data.slice(0, 3)).toEqual([1, 2, 0]);
+        undo();
+        expect(rom.data.slice(0, 3)).toEqual([0, 0, 0]);
+        expect(() => loadProgram(assemble('.org 16\n.word 1', isa), rom)).toThrow('The program takes 17 words, Rom at 300, 100 has 16');
+    });
+
+    test('the panel loads the program into the memory selected', () => {
+        jest.useFakeTimers();
+        simulationArea.lastSelected = eeprom;
+        createAssemblerPrompt();
+        expect($('#assemblerTarget option').map((_, option) => option.textContent).get()).toEqual(['Rom at 300, 100', 'EEPROM at 100, 300']);
+        // The memory selected in the circuit is chosen first
+        expect($('#assemblerTarget').val()).toBe('1');
+        $('#assemblerTarget').val('0');
+        $('#assemblerDialog').dialog('option', 'buttons')[1].click();
+        expect(rom.data.slice(0, 8)).toEqual([0x50, 0x26, 0xe0, 0x75, 0x61, 0xf0, 3, 0]);
+        expect(scope.assemblerData.source).toContain('JMP loop');
+
+        // The line of the word read last is marked
+        rom.lastRead = 3;
+        jest.advanceTimersByTime(250);
+        expect($('.assemblerLine[style]').text()).toContain('JC end');
+
+        $('#assemblerSource').val('JMP nowhere');
+        $('#assemblerDialog').dialog('option', 'buttons')[0].click();
+        expect($('#assemblerErrors').text()).toBe('Line 1: nowhere is not defined');
+        $('#assemblerDialog').dialog('close');
+        jest.useRealTimers();
+    });
+});
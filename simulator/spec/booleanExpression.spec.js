@@ -0,0 +1,115 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import { performCombinationalAnalysis } from '../src/combinationalAnalysis';
+import { parseBooleanExpressions, expressionTruthTable } from '../src/booleanExpression';
+import { tabulateCircuit } from '../src/truthTable';
+
+jest.mock('codemirror');
+
+// Truth table of the first function
+const table = (text) => {
+    const { variables, outputs } = parseBooleanExpressions(text);
+    return expressionTruthTable(variables, outputs)[0];
+};
+const columnOf = (text) => {
+    try {
+        parseBooleanExpressions(text);
+    } catch (err) {
+        return [err.column, err.message];
+    }
+    return null;
+};
+
+describe('Boolean expressions', () => {
+    test('lab handout notations mean the same', () => {
+        ["A'B + AB'", 'A ^ B', '!A & B | A & ~B', "A*B' + A'.B", '(A + B)(A\' + B\')'].forEach((text) => {
+            expect(table(text)).toEqual([0, 1, 1, 0]);
+        });
+        expect(table('1 ^ A')).toEqual([1, 0]);
+    });
+
+    test('NOT binds tightest, then AND, XOR and OR', () => {
+        expect(table('A + B C')).toEqual(table('A + (B C)'));
+        expect(table('A ^ B C')).toEqual(table('A ^ (B C)'));
+        expect(table('A + B ^ C')).toEqual(table('A + (B ^ C)'));
+        expect(table("!A B''")).toEqual(table("A' B"));
+    });
+
+    test('names can be longer than a letter', () => {
+        const { variables, outputs } = parseBooleanExpressions('Y = sel & en; Z = Cin A2 + A10');
+        expect(variables).toEqual(['A2', 'A10', 'Cin', 'en', 'sel']);
+        expect(outputs.map(({ name }) => name)).toEqual(['Y', 'Z']);
+        // Capital letters side by side are single letter variables
+        expect(parseBooleanExpressions('ABC').variables).toEqual(['A', 'B', 'C']);
+        expect(parseBooleanExpressions("AB' + C").outputs[0].name).toBe("AB' + C");
+        expect(parseBooleanExpressions("F = AB' + CD").variables).toEqual(['A', 'B', 'C', 'D']);
+    });
+
+    test('lowercase letters side by side are single letter variables too', () => {
+        expect(parseBooleanExpressions("xy + x'z").variables).toEqual(['x', 'y', 'z']);
+        expect(table("xy + x'z")).toEqual(table("x y + x' z"));
+        expect(parseBooleanExpressions('ab+c').variables).toEqual(['a', 'b', 'c']);
+        expect(table('ab+c')).toEqual([0, 1, 0, 1, 0, 1, 1, 1]);
+        expect(parseBooleanExpressions('F = ab + cd').variables).toEqual(['a', 'b', 'c', 'd']);
+        // They are names when the function is written with names
+        expect(parseBooleanExpressions('Y = sel & en').variables).toEqual(['en', 'sel']);
+        expect(parseBooleanExpressions('y = ab + cin').variables).toEqual(['a', 'b', 'c', 'i', 'n']);
+        expect(parseBooleanExpressions('y = a b + cin').variables).toEqual(['a', 'b', 'cin']);
+    });
+
+    test('names of capital letters are kept when a function is written with names', () => {
+        const adder = parseBooleanExpressions('SUM = A ^ B; COUT = A & B');
+        expect(adder.variables).toEqual(['A', 'B']);
+        expect(adder.outputs.map(({ name }) => name)).toEqual(['SUM', 'COUT']);
+        expect(parseBooleanExpressions('Y = CIN & EN').variables).toEqual(['CIN', 'EN']);
+        expect(parseBooleanExpressions('COUT = A B + CIN (A ^ B)').variables).toEqual(['A', 'B', 'CIN']);
+        expect(parseBooleanExpressions('Y = EN & sel').variables).toEqual(['EN', 'sel']);
+        // The name of a function is never split
+        expect(parseBooleanExpressions("SEL = AB'").outputs[0].name).toBe('SEL');
+        expect(parseBooleanExpressions("SEL = AB'").variables).toEqual(['A', 'B']);
+        // Each function in its own notation
+        expect(parseBooleanExpressions("X = AB' + C; Y = sel & EN").variables).toEqual(['A', 'B', 'C', 'EN', 'sel']);
+    });
+
+    test('errors point to their column', () => {
+        expect(columnOf('A + * B')).toEqual([5, 'Column 5: expected a variable, 0, 1 or "(" but found "*"']);
+        expect(columnOf('A + (B')).toEqual([7, 'Column 7: expected ")" but the function ended']);
+        expect(columnOf('A $ B')).toEqual([3, 'Column 3: "$" is not allowed']);
+        expect(columnOf('A + 2')).toEqual([5, 'Column 5: 2 is not 0 or 1']);
+        expect(columnOf('A B)')).toEqual([4, 'Column 4: expected an operator but found ")"']);
+        expect(columnOf('X = A; X = B')[0]).toBe(8);
+        expect(columnOf('X = A; Y = X')[0]).toBe(12);
+        expect(columnOf('1 + 0')[1]).toContain('there are no variables');
+        expect(columnOf('A B C D E F G H I J K')[1]).toContain('at most 10 variables, there are 11');
+    });
+});
+
+describe('Circuits from Boolean expressions', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('several functions make one table and circuit', () => {
+        newCircuit('Half adder');
+        performCombinationalAnalysis('', '', 'S = A ^ B; C = A & B');
+        expect($('#combinationalAnalysis th').map((_, th) => th.textContent).get()).toEqual(['A', 'B', 'S', 'C']);
+        const buttons = $('#combinationalAnalysis').dialog('option', 'buttons');
+        buttons.find((button) => button.text === 'Generate Circuit').click();
+        // Two-level AND-OR is chosen
+        $('#combinationalAnalysis').dialog('option', 'buttons')[0].click.call($('#combinationalAnalysis')[0]);
+        expect(tabulateCircuit(globalScope).outputs).toEqual([
+            { name: 'S', values: [0, 1, 1, 0] },
+            { name: 'C', values: [0, 0, 0, 1] },
+        ]);
+    });
+
+    test('a mistake is shown under the function', () => {
+        $('#combinationalAnalysis').html('<input id="booleanExpression"><pre id="booleanExpressionError"></pre>');
+        performCombinationalAnalysis('', '', 'A + * B');
+        expect($('#booleanExpressionError').text()).toBe('A + * B\n    ^\nColumn 5: expected a variable, 0, 1 or "(" but found "*"');
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import simulationArea from '../src/simulationArea';
+import { clockTick } from '../src/utils';
+import { newCircuit } from '../src/circuit';
+import { generateSaveData } from '../src/data/save';
+import { runAll } from '../src/testbench';
+import Simulator from '../src/headless/Simulator';
+import Clock from '../src/sequential/Clock';
+import DflipFlop from '../src/sequential/DflipFlop';
+import Input from '../src/modules/Input';
+import Output from '../src/modules/Output';
+import { findClockDomains, commonPeriod, createClockDomainsPrompt } from '../src/clockDomains';
+
+jest.mock('codemirror');
+
+describe('clock domains', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    // The test drives the global clock itself
+    clearInterval(simulationArea.ClockInterval);
+
+    const fast = new Clock(0, 0);
+    fast.label = 'fast';
+    const slow = new Clock(0, 50);
+    slow.label = 'slow';
+    slow.setPeriod(6);
+    slow.setDutyCycle(33);
+    const shifted = new Clock(0, 100);
+    shifted.label = 'shifted';
+    shifted.setPeriod(4);
+    shifted.setPhase(1);
+    const other = new Clock(0, 150);
+    other.setPhase(2);
+
+    const run = (clock, ticks) => Array.from({ length: ticks }, () => {
+        clockTick();
+        return clock.output1.value;
+    });
+
+    test('waveforms follow period, duty cycle and phase', () => {
+        expect([0, 1, 2, 3].map((t) => fast.valueAt(t))).toEqual([0, 1, 0, 1]);
+        expect([0, 1, 2, 3, 4, 5, 6].map((t) => slow.valueAt(t))).toEqual([0, 0, 0, 0, 1, 1, 0]);
+        expect([0, 1, 2, 3, 4, 5].map((t) => shifted.valueAt(t))).toEqual([1, 0, 0, 1, 1, 0]);
+    });
+
+    test('invalid settings are ignored', () => {
+        const clock = new Clock(0, 200);
+        clock.setPeriod(1);
+        clock.setPeriod(2.5);
+        clock.setDutyCycle(100);
+        clock.setPhase(-1);
+        expect([clock.period, clock.dutyCycle, clock.phase]).toEqual([2, 50, 0]);
+        // At least one tick high and one low
+        clock.setDutyCycle(1);
+        expect(clock.highTime()).toBe(1);
+        clock.delete();
+    });
+
+    test('every clock runs on the global clock ticks', () => {
+        simulationArea.clockTime = 0;
+        expect(run(fast, 6)).toEqual([1, 0, 1, 0, 1, 0]);
+        simulationArea.clockTime = 0;
+        expect(run(slow, 6)).toEqual([0, 0, 0, 1, 1, 0]);
+    });
+
+    test('the clock stops with the global clock', () => {
+        simulationArea.clockEnabled = false;
+        const time = simulationArea.clockTime;
+        const { value } = fast.output1;
+        clockTick();
+        expect(simulationArea.clockTime).toBe(time);
+        expect(fast.output1.value).toBe(value);
+        simulationArea.clockEnabled = true;
+    });
+
+    test('settings are saved', () => {
+        expect(slow.customSave().values).toEqual({ period: 6, dutyCycle: 33, phase: 0 });
+    });
+
+    test('clocks with the same waveform share a domain', () => {
+        const domains = findClockDomains();
+        expect(domains.map((domain) => [domain.period, domain.highTime, domain.phase])).toEqual([
+            [2, 1, 0], [4, 2, 1], [6, 2, 0],
+        ]);
+        // a phase of a whole period makes no difference
+        expect(domains[0].clocks.map(({ clock }) => clock)).toEqual([fast, other]);
+        expect(commonPeriod(domains)).toBe(12);
+    });
+
+    test('are listed in a dialog', () => {
+        createClockDomainsPrompt();
+        const dialog = $('#clockDomainsDialog');
+        expect(dialog.find('tr')).toHaveLength(4);
+        expect(dialog.text()).toContain('3 clock domains');
+        expect(dialog.find('polyline')).toHaveLength(3);
+    });
+
+    test('testbenches step clocks by time in the simulator and headless', () => {
+        const scope = newCircuit('Phased register');
+        const clock = new Clock(100, 100, scope);
+        clock.setPeriod(4);
+        clock.setDutyCycle(25);
+        clock.setPhase(1);
+        const d = new Input(200, 200, scope, 'RIGHT', 1);
+        d.setLabel('D');
+        const reset = new Input(400, 600, scope, 'RIGHT', 1);
+        reset.setLabel('RST');
+        const register = new DflipFlop(400, 400, scope);
+        const q = new Output(500, 500, scope, 'LEFT', 1);
+        q.setLabel('Q');
+        clock.output1.connect(register.clockInp);
+        d.output1.connect(register.dInp);
+        reset.output1.connect(register.reset);
+        register.qOutput.connect(q.inp1);
+        // The clock rises at ticks 4 and 8, once every two cases
+        const testbench = {
+            type: 'seq',
+            title: 'Phased register',
+            groups: [{
+                label: 'Set 1',
+                inputs: [{ label: 'D', bitWidth: 1, values: ['1', '1', '0', '0'] }],
+                outputs: [{ label: 'Q', bitWidth: 1, values: ['0', '1', '1', '0'] }],
+                n: 4,
+            }],
+        };
+        const sim = new Simulator().load(generateSaveData('Phased register', false));
+        simulationArea.clockTime = 0;
+        expect(runAll(testbench, scope).summary).toEqual({ passed: 4, total: 4 });
+        expect(sim.runTestbench(testbench).summary).toEqual({ passed: 4, total: 4 });
+    });
+});
@@ -8,6 +8,7 @@ import load from '../src/data/load';
 import gatesCircuitData from './circuits/gates-circuitdata.json';
 import decoderCircuitData from './circuits/Decoders-plexers-circuitdata.json';
 import { checkIfBackup, scheduleBackup } from '../src/data/backupCircuit';
+import { trackCommand } from '../src/data/commands';
 import undo from '../src/data/undo';
 import redo from '../src/data/redo';
 import save from '../src/data/save';
@@ -48,33 +49,31 @@ describe('Data dir Testing', () => {
     });
 
     test('undo working', () => {
-        const beforeUndo = {
-            backups: globalScope.backups.length,
-            history: globalScope.history.length,
-        };
-        for (let i = 1; i < beforeUndo.backups; i++) {
+        // move every input, each move is a command
+        globalScope.Input.forEach((input) => {
+            trackCommand('edit', () => {
+                input.x += 10;
+            });
+        });
+        const { history } = globalScope;
+        const path = history.pathTo(history.current);
+        expect(path.length).toBeGreaterThan(1);
+        for (let i = path.length - 2; i >= 0; i--) {
             undo();
-            const afterUndo = {
-                backups: globalScope.backups.length + i,
-                history: globalScope.history.length - i,
-            };
-            expect(afterUndo).toEqual(beforeUndo);
+            expect(history.current).toBe(path[i]);
         }
     });
 
     test('redo working', () => {
-        const beforeRedo = {
-            backups: globalScope.backups.length,
-            history: globalScope.history.length,
-        };
-        for (let i = 1; i < beforeRedo.history; i++) {
+        const { history } = globalScope;
+        const start = history.current;
+        let redone = 0;
+        while (history.canRedo()) {
             redo();
-            const afterRedo = {
-                backups: globalScope.backups.length - i,
-                history: globalScope.history.length + i,
-            };
-            expect(afterRedo).toEqual(beforeRedo);
+            redone++;
         }
+        expect(redone).toBeGreaterThan(0);
+        expect(history.pathTo(history.current)[0]).toBe(start);
     });
 
     test('save updated circuit_data', () => {
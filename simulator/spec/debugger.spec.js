@@ -0,0 +1,135 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import simulationArea from '../src/simulationArea';
+import { clockTick } from '../src/utils';
+import {
+    Debugger, parseBreakpoints, queuedEvents, describeEvent, createDebuggerPrompt,
+} from '../src/debugger';
+import Clock from '../src/sequential/Clock';
+import DflipFlop from '../src/sequential/DflipFlop';
+import Adder from '../src/modules/Adder';
+import Input from '../src/modules/Input';
+import Flag from '../src/modules/Flag';
+
+jest.mock('codemirror');
+
+describe('debugger', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    // The test drives the global clock itself
+    clearInterval(simulationArea.ClockInterval);
+
+    // A program counter counting up on the rising edges of the clock
+    const scope = newCircuit('Counter');
+    const clock = new Clock(0, 0, scope);
+    const pc = new DflipFlop(100, 0, scope, 'RIGHT', 4);
+    pc.label = 'PC';
+    const one = new Input(0, 100, scope, 'RIGHT', 4);
+    one.state = 1;
+    const adder = new Adder(200, 0, scope, 'RIGHT', 4);
+    const carry = new Flag(300, 0, scope, 'RIGHT', 1, 'carry');
+    clock.output1.connect(pc.clockInp);
+    pc.qOutput.connect(adder.inpA);
+    one.output1.connect(adder.inpB);
+    adder.sum.connect(pc.dInp);
+    adder.carryOut.connect(carry.inp1);
+
+    const debug = new Debugger(scope);
+    debug.attach();
+    const runUntilPaused = (ticks) => {
+        for (let i = 0; i < ticks && !debug.paused; i++) clockTick();
+    };
+
+    test('breakpoints are read a line each', () => {
+        const breakpoints = parseBreakpoints('PC == 0x1F ; the end\n\ncarry changes\n8 edges', scope);
+        expect(breakpoints.map(({ text, kind }) => [text, kind])).toEqual([['PC == 0x1F', 'value'], ['carry changes', 'change'], ['8 edges', 'edges']]);
+        expect(breakpoints[0].node).toBe(pc.qOutput);
+        expect(breakpoints[0].value).toBe(31n);
+        expect(breakpoints[1].node).toBe(carry.inp1);
+        expect(() => parseBreakpoints('PC = 3', scope)).toThrow('Line 1: PC = 3 is not a breakpoint');
+        expect(() => parseBreakpoints('\nIR == 3', scope)).toThrow('Line 2: no element is labelled IR');
+        expect(() => parseBreakpoints('PC >= 1x', scope)).toThrow('Line 1: 1x is not a number');
+        expect(() => parseBreakpoints('0 edges', scope)).toThrow('Line 1: a breakpoint needs at least 1 edge');
+    });
+
+    test('a value breakpoint pauses the simulation with the events left queued', () => {
+        debug.setBreakpoints('PC == 3');
+        runUntilPaused(20);
+        expect(debug.paused).toBe(true);
+        expect(debug.hit).toBe('PC == 3');
+        expect(pc.qOutput.value).toBe(3);
+        expect(queuedEvents().map(({ object }) => describeEvent(object))).toContain('Q of DflipFlop PC');
+
+        // The clock stops while paused
+        const time = simulationArea.clockTime;
+        clockTick();
+        expect(simulationArea.clockTime).toBe(time);
+    });
+
+    test('the simulation steps an event or a clock tick', () => {
+        const events = queuedEvents().length;
+        debug.stepEvent();
+        expect(queuedEvents().length).not.toBe(events);
+        debug.stepClock();
+        expect(queuedEvents()).toEqual([]);
+        expect(adder.sum.value).toBe(4);
+
+        const time = simulationArea.clockTime;
+        debug.stepClock();
+        debug.stepClock();
+        expect(simulationArea.clockTime).toBe(time + 2);
+        expect(pc.qOutput.value).toBe(4);
+        expect(debug.paused).toBe(true);
+    });
+
+    test('edge and change breakpoints pause it', () => {
+        debug.setBreakpoints('4 edges');
+        const time = simulationArea.clockTime;
+        debug.resume();
+        expect(simulationArea.clockEnabled).toBe(true);
+        runUntilPaused(20);
+        expect(simulationArea.clockTime).toBe(time + 4);
+
+        debug.setBreakpoints('carry changes');
+        debug.resume();
+        runUntilPaused(40);
+        expect(debug.hit).toBe('carry changes');
+        expect(carry.inp1.value).toBe(1);
+        expect(adder.inpA.value).toBe(15);
+
+        debug.detach();
+        expect(debug.paused).toBe(false);
+        expect(simulationArea.clockEnabled).toBe(true);
+    });
+
+    test('the panel sets the breakpoints and steps', () => {
+        jest.useFakeTimers();
+        scope.breakpoints = 'PC == 9';
+        createDebuggerPrompt();
+        const opened = simulationArea.clockTime;
+        for (let i = 0; i < 40 && simulationArea.clockEnabled; i++) clockTick();
+        jest.advanceTimersByTime(250);
+        const time = simulationArea.clockTime;
+        expect($('#debuggerStatus').text()).toBe(`Paused at tick ${time}: PC == 9. Ticks ${opened} to ${time - 1} kept`);
+        expect($('#debuggerEvents').text()).toContain('Q of DflipFlop PC');
+
+        $('#debuggerBreakpoints').val('PC => 9').trigger('change');
+        expect($('#debuggerErrors').text()).toBe('Line 1: PC => 9 is not a breakpoint');
+        const buttons = $('#debuggerDialog').dialog('option', 'buttons');
+        buttons[3].click();
+        jest.advanceTimersByTime(250);
+        expect($('#debuggerEvents').text()).toBe('No events queued');
+        buttons[4].click();
+        expect(simulationArea.clockTime).toBe(time - 1);
+        expect(pc.qOutput.value).toBe(8);
+        buttons[1].click();
+        expect(simulationArea.clockEnabled).toBe(true);
+        $('#debuggerDialog').dialog('close');
+        jest.useRealTimers();
+    });
+});
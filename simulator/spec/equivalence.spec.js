@@ -0,0 +1,166 @@
+/**
+ * @jest-environment jsdom
+ */
+/* eslint-disable no-bitwise */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import load from '../src/data/load';
+import { newCircuit, scopeList } from '../src/circuit';
+import BDD from '../src/bdd';
+import { checkEquivalence, createEquivalencePrompt } from '../src/equivalence';
+import Input from '../src/modules/Input';
+import Output from '../src/modules/Output';
+import Adder from '../src/modules/Adder';
+import AndGate from '../src/modules/AndGate';
+import OrGate from '../src/modules/OrGate';
+import XorGate from '../src/modules/XorGate';
+import NotGate from '../src/modules/NotGate';
+import DflipFlop from '../src/sequential/DflipFlop';
+import circuitData from './circuits/rippleCarryAdder-circuitdata.json';
+
+jest.mock('codemirror');
+
+describe('decision diagrams', () => {
+    test('equal functions are the same node', () => {
+        const bdd = new BDD();
+        const [a, b, c] = [0, 1, 2].map((i) => bdd.variable(i));
+        // De Morgan and distributivity
+        expect(bdd.not(bdd.and(a, b))).toBe(bdd.or(bdd.not(a), bdd.not(b)));
+        expect(bdd.and(a, bdd.or(b, c))).toBe(bdd.or(bdd.and(a, b), bdd.and(a, c)));
+        expect(bdd.xor(a, a)).toBe(0);
+        expect(bdd.or(a, bdd.not(a))).toBe(1);
+    });
+
+    test('finds an assignment that makes a function true', () => {
+        const bdd = new BDD();
+        const [a, b] = [0, 1].map((i) => bdd.variable(i));
+        const f = bdd.and(bdd.not(a), b);
+        const assignment = bdd.satisfy(f);
+        expect(bdd.evaluate(f, (v) => assignment.get(v) || 0)).toBe(1);
+        expect(bdd.satisfy(bdd.and(a, bdd.not(a)))).toBeNull();
+    });
+
+    test('gives up when it grows too large', () => {
+        const bdd = new BDD(10);
+        const variables = [0, 1, 2, 3, 4, 5].map((i) => bdd.variable(i));
+        expect(() => variables.reduce((f, v) => bdd.xor(f, v))).toThrow('too large');
+    });
+});
+
+describe('circuit equivalence', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    load(circuitData);
+    const rippleAdder = Object.values(scopeList).find((scope) => scope.name === '4 bit Full adder');
+
+    const inputs = (labels, bitWidth) => labels.map((label, i) => {
+        const input = new Input(0, i * 50, globalScope, 'RIGHT', bitWidth);
+        input.label = label;
+        return input;
+    });
+    const output = (label, bitWidth, node) => {
+        const out = new Output(300, 0, globalScope, 'LEFT', bitWidth);
+        out.label = label;
+        node.connect(out.inp1);
+        return out;
+    };
+
+    // The Adder element, optionally without its carry in
+    const adderCircuit = (name, withCarry) => {
+        newCircuit(name);
+        const [a, b, cin] = [...inputs(['A', 'B'], 4), ...inputs(['Cin'], 1)];
+        const adder = new Adder(100, 0, globalScope, 'RIGHT', 4);
+        a.output1.connect(adder.inpA);
+        b.output1.connect(adder.inpB);
+        if (withCarry) cin.output1.connect(adder.carryIn);
+        output('Sum', 4, adder.sum);
+        output('Cout', 1, adder.carryOut);
+        return globalScope;
+    };
+    const adder = adderCircuit('Adder', true);
+    const adderWithoutCarry = adderCircuit('No carry', false);
+
+    // 8 bit Y = A ^ B, one way or another
+    const gateCircuit = (name, build) => {
+        newCircuit(name);
+        const [a, b] = inputs(['A', 'B'], 8);
+        output('Y', 8, build(a.output1, b.output1));
+        return globalScope;
+    };
+    const gate = (Gate, x, y) => {
+        const element = new Gate(100, 0, globalScope, 'RIGHT', 2, 8);
+        x.connect(element.inp[0]);
+        y.connect(element.inp[1]);
+        return element.output1;
+    };
+    const not = (x) => {
+        const element = new NotGate(100, 0, globalScope, 'RIGHT', 8);
+        x.connect(element.inp1);
+        return element.output1;
+    };
+    const xor = gateCircuit('Xor', (a, b) => gate(XorGate, a, b));
+    const andOr = gateCircuit('And Or', (a, b) => gate(AndGate, gate(OrGate, a, b), not(gate(AndGate, a, b))));
+    const or = gateCircuit('Or', (a, b) => gate(OrGate, a, b));
+    const loop = gateCircuit('Loop', (a) => {
+        const orGate = new OrGate(100, 0, globalScope, 'RIGHT', 2, 8);
+        a.connect(orGate.inp[0]);
+        orGate.output1.connect(orGate.inp[1]);
+        return orGate.output1;
+    });
+    const register = gateCircuit('Register', (a) => {
+        const flipFlop = new DflipFlop(100, 0, globalScope, 'RIGHT', 8);
+        a.connect(flipFlop.dInp);
+        return flipFlop.qOutput;
+    });
+
+    test('small circuits are simulated on every input', () => {
+        expect(checkEquivalence(rippleAdder, adder)).toEqual({ equivalent: true, method: 'simulation', counterexample: null });
+    });
+
+    test('decision diagrams see through subcircuits and splitters', () => {
+        expect(checkEquivalence(rippleAdder, adder, 'bdd').equivalent).toBe(true);
+    });
+
+    test('a difference is shown by an input vector', () => {
+        const states = rippleAdder.Input.map((input) => input.state);
+        const { equivalent, counterexample } = checkEquivalence(rippleAdder, adderWithoutCarry);
+        expect(equivalent).toBe(false);
+        expect(counterexample).toEqual({
+            inputs: { A: '0000', B: '0000', Cin: '1' },
+            outputs: { Cout: ['0', '0'], Sum: ['0001', '0000'] },
+        });
+        // The inputs are as they were
+        expect(rippleAdder.Input.map((input) => input.state)).toEqual(states);
+        const symbolic = checkEquivalence(rippleAdder, adderWithoutCarry, 'bdd').counterexample;
+        expect(symbolic.inputs.Cin).toBe('1');
+        expect(symbolic.outputs.Sum[0]).not.toBe(symbolic.outputs.Sum[1]);
+    });
+
+    test('wide circuits are compared with decision diagrams', () => {
+        expect(checkEquivalence(xor, andOr)).toEqual({ equivalent: true, method: 'bdd', counterexample: null });
+        const { equivalent, counterexample } = checkEquivalence(xor, or);
+        expect(equivalent).toBe(false);
+        const a = parseInt(counterexample.inputs.A, 2);
+        const b = parseInt(counterexample.inputs.B, 2);
+        expect(a & b).not.toBe(0);
+        expect(counterexample.outputs.Y.map((y) => parseInt(y, 2))).toEqual([a ^ b, a | b]);
+    });
+
+    test('only combinational circuits with matching labels and no loops can be compared', () => {
+        expect(() => checkEquivalence(rippleAdder, xor)).toThrow('Xor has no Input labeled Cin');
+        expect(() => checkEquivalence(xor, loop)).toThrow('Loop has a loop');
+        // Wide circuits with state are refused too
+        expect(() => checkEquivalence(xor, register)).toThrow('Register has a DflipFlop, only combinational circuits can be analyzed');
+        expect(() => checkEquivalence(register, xor, 'simulation')).toThrow('only combinational circuits can be analyzed');
+    });
+
+    test('the dialog shows the counterexample', () => {
+        createEquivalencePrompt();
+        $('#equivalenceFirst').val(xor.id);
+        $('#equivalenceSecond').val(or.id);
+        $('#equivalenceDialog').dialog('option', 'buttons')[0].click();
+        expect($('#equivalenceResult').text()).toContain('The circuits differ');
+        expect($('#equivalenceResult tr')).toHaveLength(5);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import EventQueue from '../src/eventQueue';
+import { benchmarkQueue } from '../src/headless/benchmark';
+
+const element = (name, propagationDelay = 10) => ({
+    name, propagationDelay, queueProperties: { inQueue: false },
+});
+
+const drain = (queue) => {
+    const popped = [];
+    while (!queue.isEmpty()) {
+        const obj = queue.pop();
+        popped.push([obj.name, queue.time]);
+    }
+    return popped;
+};
+
+describe('EventQueue', () => {
+    test('pops events in time order', () => {
+        const queue = new EventQueue(10);
+        [30, 10, 50, 20, 40].forEach((delay) => queue.add(element(`e${delay}`), delay));
+        expect(drain(queue)).toEqual([['e10', 10], ['e20', 20], ['e30', 30], ['e40', 40], ['e50', 50]]);
+    });
+
+    test('re-adding a queued element moves it to its new time', () => {
+        const queue = new EventQueue(10);
+        const a = element('a');
+        const b = element('b');
+        queue.add(a, 5);
+        queue.add(b, 10);
+        queue.add(a, 20);
+        expect(drain(queue)).toEqual([['b', 10], ['a', 20]]);
+    });
+
+    test('elements due at the same time are popped newest first', () => {
+        const queue = new EventQueue(10);
+        queue.add(element('first'), 10);
+        queue.add(element('second'), 10);
+        queue.addImmediate(element('now'));
+        expect(drain(queue).map(([name]) => name)).toEqual(['now', 'second', 'first']);
+    });
+
+    test('grows beyond its initial size', () => {
+        const queue = new EventQueue(2);
+        for (let i = 100; i > 0; i--) queue.add(element(i), i);
+        const times = drain(queue).map(([, time]) => time);
+        expect(times).toHaveLength(100);
+        expect(times).toEqual([...times].sort((a, b) => a - b));
+    });
+
+    test('reset empties the queue', () => {
+        const queue = new EventQueue(4);
+        const a = element('a');
+        queue.add(a, 5);
+        queue.reset();
+        expect(queue.isEmpty()).toBe(true);
+        expect(a.queueProperties.inQueue).toBe(false);
+        expect(queue.time).toBe(0);
+    });
+
+    test('benchmark reports events per second', () => {
+        const { events, eventsPerSecond } = benchmarkQueue(10000, 100);
+        expect(events).toBe(10000);
+        expect(eventsPerSecond).toBeGreaterThan(0);
+    });
+});
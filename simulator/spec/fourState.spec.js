@@ -0,0 +1,160 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit, changeUnknownPowerUp } from '../src/circuit';
+import { play } from '../src/engine';
+import {
+    fourStateAnd, fourStateOr, fourStateXor, fourStateNot, fourStateBuffer, fourStateMerge, formatFourState,
+} from '../src/fourState';
+import Input from '../src/modules/Input';
+import AndGate from '../src/modules/AndGate';
+import NotGate from '../src/modules/NotGate';
+import TriState from '../src/modules/TriState';
+import DflipFlop from '../src/sequential/DflipFlop';
+import JKflipFlop from '../src/sequential/JKflipFlop';
+import TflipFlop from '../src/sequential/TflipFlop';
+
+jest.mock('codemirror');
+
+// Minimal stand-ins for nodes: value + masks, undefined value means undriven
+const known = (value, bitWidth = 1) => ({
+    value, xMask: 0, zMask: 0, bitWidth,
+});
+const X = (bitWidth = 1) => ({
+    value: 0, xMask: 1, zMask: 0, bitWidth,
+});
+const Z = (bitWidth = 1) => ({
+    value: 0, xMask: 0, zMask: 1, bitWidth,
+});
+const floating = (bitWidth = 1) => ({
+    value: undefined, xMask: 0, zMask: 0, bitWidth,
+});
+
+const format = (val, bitWidth = 1) => formatFourState(val.value, val.xMask, val.zMask, bitWidth);
+
+describe('four-state logic', () => {
+    test('AND: known 0 dominates, unknown otherwise', () => {
+        expect(format(fourStateAnd([known(0), X()], 1))).toBe('0');
+        expect(format(fourStateAnd([known(1), X()], 1))).toBe('x');
+        expect(format(fourStateAnd([known(1), Z()], 1))).toBe('x');
+        expect(format(fourStateAnd([known(0), floating()], 1))).toBe('0');
+        expect(format(fourStateAnd([known(1), known(1)], 1))).toBe('1');
+    });
+
+    test('OR: known 1 dominates, unknown otherwise', () => {
+        expect(format(fourStateOr([known(1), X()], 1))).toBe('1');
+        expect(format(fourStateOr([known(0), X()], 1))).toBe('x');
+        expect(format(fourStateOr([known(0), floating()], 1))).toBe('x');
+        expect(format(fourStateOr([known(0), known(0)], 1))).toBe('0');
+    });
+
+    test('XOR and NOT propagate unknown bits', () => {
+        expect(format(fourStateXor([known(1), X()], 1))).toBe('x');
+        expect(format(fourStateXor([known(1), known(0)], 1))).toBe('1');
+        expect(format(fourStateNot(Z(), 1))).toBe('x');
+        expect(format(fourStateNot(known(0), 1))).toBe('1');
+        expect(format(fourStateBuffer(Z(), 1))).toBe('x');
+        expect(format(fourStateBuffer(known(1), 1))).toBe('1');
+    });
+
+    test('multi-bit values are resolved per bit', () => {
+        const a = {
+            value: 0b1010, xMask: 0b0001, zMask: 0, bitWidth: 4,
+        };
+        const b = {
+            value: 0b0110, xMask: 0, zMask: 0b1000, bitWidth: 4,
+        };
+        expect(format(fourStateAnd([a, b], 4), 4)).toBe('x010');
+        expect(format(fourStateOr([a, b], 4), 4)).toBe('111x');
+        expect(format(fourStateXor([a, b], 4), 4)).toBe('x10x');
+    });
+
+    test('merge keeps agreeing bits only', () => {
+        const merged = fourStateMerge({ value: 0b1100, xMask: 0 }, { value: 0b1010, xMask: 0 });
+        expect(format(merged, 4)).toBe('1xx0');
+    });
+
+    test('undriven values format as high impedance', () => {
+        expect(formatFourState(undefined, 0, 0, 3)).toBe('zzz');
+    });
+});
+
+describe('four-state elements', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    const bits = (node) => formatFourState(node.value, node.xMask, node.zMask, node.bitWidth);
+    const input = (value, bitWidth = 1) => {
+        const element = new Input(0, 0, globalScope, 'RIGHT', bitWidth);
+        element.state = value;
+        return element;
+    };
+
+    const registers = () => [new DflipFlop(0, 0, globalScope, 'RIGHT', 4), new TflipFlop(0, 0), new JKflipFlop(0, 0)];
+    const slave = (register) => formatFourState(register.slaveState, register.slaveXMask, 0, register.bitWidth);
+
+    test('registers are unknown until they are reset or clocked if the circuit asks for it', () => {
+        newCircuit('Registers');
+        registers().forEach((register) => expect(slave(register)).toBe('0'.repeat(register.bitWidth)));
+
+        changeUnknownPowerUp(true);
+        expect(globalScope.DflipFlop.map(slave)).toEqual(['xxxx']);
+        registers().forEach((register) => expect(slave(register)).toBe('x'.repeat(register.bitWidth)));
+        changeUnknownPowerUp(false);
+        expect(globalScope.TflipFlop.map(slave)).toEqual(['0', '0']);
+    });
+
+    test('an unclocked D flip-flop drives an AND gate to X', () => {
+        newCircuit('Unclocked');
+        globalScope.unknownPowerUp = true;
+        const flipFlop = new DflipFlop(100, 0);
+        const and = new AndGate(200, 0);
+        const clock = input(0);
+        const reset = input(0);
+        input(1).output1.connect(flipFlop.dInp);
+        clock.output1.connect(flipFlop.clockInp);
+        reset.output1.connect(flipFlop.reset);
+        flipFlop.qOutput.connect(and.inp[0]);
+        input(1).output1.connect(and.inp[1]);
+        play();
+        expect(bits(flipFlop.qOutput)).toBe('x');
+        expect(bits(flipFlop.qInvOutput)).toBe('x');
+        expect(bits(and.output1)).toBe('x');
+
+        // The first rising edge stores D
+        clock.state = 1;
+        play();
+        expect(bits(and.output1)).toBe('1');
+        // Reset loads the preset, 0 when it is not connected
+        reset.state = 1;
+        play();
+        expect(bits(and.output1)).toBe('0');
+    });
+
+    test('a floating input gives X', () => {
+        newCircuit('Floating');
+        const and = new AndGate(100, 0);
+        input(1).output1.connect(and.inp[0]);
+        const not = new NotGate(200, 0);
+        and.output1.connect(not.inp1);
+        play();
+        expect(bits(and.output1)).toBe('x');
+        expect(bits(not.output1)).toBe('x');
+
+        // A tri-state buffer with a floating enable may or may not drive
+        const buffer = new TriState(100, 100);
+        input(1).output1.connect(buffer.inp1);
+        play();
+        expect(bits(buffer.output1)).toBe('x');
+        const enable = input(1);
+        enable.output1.connect(buffer.state);
+        play();
+        expect(bits(buffer.output1)).toBe('1');
+        enable.state = 0;
+        play();
+        expect(bits(buffer.output1)).toBe('z');
+    });
+});
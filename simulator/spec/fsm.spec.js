@@ -0,0 +1,155 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { play } from '../src/engine';
+import {
+    STATE_ENCODINGS, parseStateMachine, nextState, encodeStates, stateMachineTables,
+    drawStateMachine, stateDiagramSVG, createStateMachinePrompt,
+} from '../src/fsm';
+
+jest.mock('codemirror');
+
+// Overlapping 101 detector, Z is 1 with the last 1
+const DETECTOR = `S0 -> S1 if X
+S1 -> S2 if X'
+S2 -> S1 if X / Z
+S2 -> S0 if X'`;
+
+// Moore traffic light that waits in green for a car
+const TRAFFIC_LIGHT = `Green: G
+Yellow: Y
+Red: R
+Green -> Yellow if Car
+Yellow -> Red
+Red -> Green`;
+
+const lineOf = (text) => {
+    try {
+        parseStateMachine(text);
+    } catch (err) {
+        return [err.line, err.message];
+    }
+    return null;
+};
+
+// Outputs of the circuit for inputs, then a clock cycle
+const cycle = (scope, inputs) => {
+    const input = (label) => scope.Input.find((element) => element.label === label);
+    Object.entries(inputs).forEach(([label, value]) => {
+        input(label).state = value;
+    });
+    play(scope);
+    const outputs = Object.fromEntries(scope.Output.map((output) => [output.label, output.inp1.value]));
+    input('Clock').state = 1;
+    play(scope);
+    input('Clock').state = 0;
+    play(scope);
+    return outputs;
+};
+
+describe('state machine descriptions', () => {
+    test('states, transitions, inputs and outputs are found', () => {
+        const machine = parseStateMachine(TRAFFIC_LIGHT);
+        expect(machine.states).toEqual([
+            { name: 'Green', outputs: ['G'] }, { name: 'Yellow', outputs: ['Y'] }, { name: 'Red', outputs: ['R'] },
+        ]);
+        expect(machine.inputs).toEqual(['Car']);
+        expect(machine.outputs).toEqual(['G', 'Y', 'R']);
+        const detector = parseStateMachine(DETECTOR);
+        expect(detector.outputs).toEqual(['Z']);
+        // No transition taken, the state stays
+        expect(nextState(detector, 'S0', new Map([['X', 0]]))).toEqual({ state: 'S0', outputs: [] });
+        expect(nextState(detector, 'S2', new Map([['X', 1]]))).toEqual({ state: 'S1', outputs: ['Z'] });
+    });
+
+    test('mistakes are shown with their line', () => {
+        expect(lineOf('S0 -> S1 if X\nS0 => S2')).toEqual([2, 'Line 2: expected a state like "S1: Z" or a transition like "S0 -> S1 if X / Z"']);
+        expect(lineOf('S0 -> S1 if X + ')).toEqual([1, 'Line 1: column 16, expected a variable, 0, 1 or "(" but the function ended']);
+        expect(lineOf('S0 -> S1 if X\nS0 -> S2 if X Y')).toEqual([2, 'Line 2: this transition and the one on line 1 are both taken when X = 1, Y = 1']);
+        expect(lineOf('S0: Z\nS1\nS0: Y')[1]).toBe('Line 3: S0 is already described on line 1');
+        expect(lineOf('S0 -> S1 if Z / Z')[1]).toContain('Z is an output');
+        expect(lineOf('S0 -> S1 if Reset')[1]).toContain('Reset is an input of the circuit');
+        expect(lineOf('\n')[1]).toBe('Line 1: there are no states');
+    });
+
+    test('states are encoded in binary, Gray code or one-hot', () => {
+        expect(encodeStates(5, 'binary')).toEqual({ bits: 3, codes: [0, 1, 2, 3, 4] });
+        expect(encodeStates(5, 'gray')).toEqual({ bits: 3, codes: [0, 1, 3, 2, 6] });
+        expect(encodeStates(3, 'onehot')).toEqual({ bits: 3, codes: [1, 2, 4] });
+        expect(encodeStates(1, 'binary').bits).toBe(1);
+    });
+
+    test('unused codes are don\'t cares in the tables', () => {
+        const { variables, names, values } = stateMachineTables(parseStateMachine(DETECTOR), 'binary');
+        expect(variables).toEqual(['Q1', 'Q0', 'X']);
+        expect(names).toEqual(['D1', 'D0', 'Z']);
+        expect(values).toEqual([
+            [0, 0, 1, 0, 0, 0, 'x', 'x'],
+            [0, 1, 0, 1, 0, 1, 'x', 'x'],
+            [0, 0, 0, 0, 0, 1, 'x', 'x'],
+        ]);
+        expect(() => stateMachineTables(parseStateMachine('S0 -> S1 if A B C D E F G\nS1 -> S2\nS2 -> S3\nS3 -> S4'), 'onehot'))
+            .toThrow('5 state bits and 7 inputs');
+    });
+
+    test('the diagram has every state', () => {
+        const svg = stateDiagramSVG(parseStateMachine(TRAFFIC_LIGHT));
+        expect(svg.match(/class="fsmState"/g)).toHaveLength(3);
+        expect(svg).toContain('>Car<');
+    });
+});
+
+describe('state machine circuits', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('behave as described in every encoding', () => {
+        const machine = parseStateMachine(DETECTOR);
+        const stream = [1, 0, 1, 0, 1, 1, 0, 1, 1, 0, 0, 1, 0, 1];
+        STATE_ENCODINGS.forEach(({ id }) => {
+            const scope = drawStateMachine(machine, id, 'shared', `Detector ${id}`);
+            expect(scope.DflipFlop).toHaveLength(id === 'onehot' ? 3 : 2);
+            cycle(scope, { Reset: 1 });
+            cycle(scope, { Reset: 0 });
+            let state = 'S0';
+            stream.forEach((x) => {
+                const expected = nextState(machine, state, new Map([['X', x]]));
+                expect([id, cycle(scope, { X: x }).Z]).toEqual([id, expected.outputs.includes('Z') ? 1 : 0]);
+                state = expected.state;
+            });
+        });
+    });
+
+    test('Moore outputs follow the state', () => {
+        const scope = drawStateMachine(parseStateMachine(TRAFFIC_LIGHT), 'gray', 'nand', 'Traffic light');
+        cycle(scope, { Reset: 1, Car: 0 });
+        cycle(scope, { Reset: 0 });
+        expect(cycle(scope, {})).toEqual({ G: 1, Y: 0, R: 0 });
+        expect(cycle(scope, { Car: 1 })).toEqual({ G: 1, Y: 0, R: 0 });
+        expect(cycle(scope, { Car: 0 })).toEqual({ G: 0, Y: 1, R: 0 });
+        expect(cycle(scope, {})).toEqual({ G: 0, Y: 0, R: 1 });
+        expect(cycle(scope, {})).toEqual({ G: 1, Y: 0, R: 0 });
+    });
+
+    test('the prompt makes a new circuit', () => {
+        createStateMachinePrompt();
+        $('#stateMachineText').val('A -> B\nB: Y\nB -> A');
+        $('#stateMachineName').val('Toggle');
+        const buttons = $('#stateMachineDialog').dialog('option', 'buttons');
+        buttons[0].click();
+        expect($('#stateMachinePreview .fsmState')).toHaveLength(2);
+        buttons[1].click.call($('#stateMachineDialog')[0]);
+        expect(globalScope.name).toBe('Toggle');
+        expect(globalScope.DflipFlop).toHaveLength(1);
+    });
+
+    test('the prompt shows what can not be read', () => {
+        createStateMachinePrompt();
+        $('#stateMachineText').val('A -> ');
+        $('#stateMachineDialog').dialog('option', 'buttons')[1].click();
+        expect($('#stateMachineError').text()).toContain('Line 1: expected a state');
+    });
+});
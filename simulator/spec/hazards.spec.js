@@ -0,0 +1,94 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { play } from '../src/engine';
+import plotArea from '../src/plotArea';
+import Input from '../src/modules/Input';
+import NotGate from '../src/modules/NotGate';
+import AndGate from '../src/modules/AndGate';
+import Flag from '../src/modules/Flag';
+import { findHazards, hazardLabel } from '../src/hazards';
+
+jest.mock('codemirror');
+
+describe('hazard detection', () => {
+    test('clean transitions are not hazards', () => {
+        expect(findHazards([[0, 1]])).toEqual([]);
+        expect(findHazards([[0, 0], [1.01, 1]])).toEqual([]);
+        expect(findHazards([[0, 0], [1.01, 1], [1.01, 1]])).toEqual([]);
+    });
+
+    test('static hazards return to the initial value', () => {
+        expect(findHazards([[0, 1], [1.01, 0], [1.02, 1]])).toEqual([{
+            type: 'static-1', bit: 0, start: 1.01, end: 1.02,
+        }]);
+        const [hazard] = findHazards([[0, 0], [1.01, 1], [1.02, 0], [1.03, 1], [1.04, 0]]);
+        expect(hazard).toEqual({
+            type: 'static-0', bit: 0, start: 1.01, end: 1.04,
+        });
+        expect(hazardLabel(hazard)).toBe('S0');
+    });
+
+    test('dynamic hazards change three or more times', () => {
+        const hazards = findHazards([[0, 0], [1.01, 1], [1.02, 0], [1.03, 1]]);
+        expect(hazards).toEqual([{
+            type: 'dynamic', bit: 0, start: 1.01, end: 1.03,
+        }]);
+        expect(hazardLabel(hazards[0])).toBe('D');
+    });
+
+    test('every bit of a bus is checked', () => {
+        // bit 0 glitches, bit 1 changes once
+        const hazards = findHazards([[0, 0b01], [2, 0b00], [3, 0b11]], 2);
+        expect(hazards).toEqual([{
+            type: 'static-1', bit: 0, start: 2, end: 3,
+        }]);
+        const bit200 = BigInt(`0b1${'0'.repeat(200)}`);
+        expect(findHazards([[0, 0n], [1, bit200], [2, 0n]], 256)[0].bit).toBe(200);
+    });
+
+    test('floating and unknown values are skipped', () => {
+        expect(findHazards([[0, 1], [1, undefined], [2, 1]])).toEqual([]);
+        expect(findHazards([[0, 1], [1, 0, 1, 0], [2, 1]])).toEqual([]);
+    });
+});
+
+describe('timing mode', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('records the glitch of A AND NOT A as a static-0 hazard', () => {
+        // The inverted path is three gates long, so the AND gate sees A
+        // rise well before NOT A falls
+        const a = new Input(0, 0);
+        const inverters = [new NotGate(50, 50), new NotGate(100, 50), new NotGate(150, 50)];
+        const and = new AndGate(200, 0);
+        const flag = new Flag(300, 0);
+        a.output1.connect(and.inp[0]);
+        a.output1.connect(inverters[0].inp1);
+        inverters[0].output1.connect(inverters[1].inp1);
+        inverters[1].output1.connect(inverters[2].inp1);
+        inverters[2].output1.connect(and.inp[1]);
+        and.output1.connect(flag.inp1);
+        flag.toggleHazardDetection();
+
+        a.state = 0;
+        play();
+        plotArea.setTimingMode(true);
+        a.state = 1;
+        play();
+
+        const start = plotArea.simulationTime;
+        expect(flag.plotValues.slice(-2).map(([time, value]) => [Math.round(time * plotArea.cycleUnit) - start, value]))
+            .toEqual([[10, 1], [40, 0]]);
+        expect(plotArea.settledTime).toBe(start + 40);
+        expect(flag.hazards.map(hazardLabel)).toEqual(['S0']);
+        expect(plotArea.hazardCount).toBe(1);
+
+        plotArea.setTimingMode(false);
+        expect(flag.hazards).toEqual([]);
+    });
+});
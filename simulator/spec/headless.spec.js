@@ -0,0 +1,306 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import fs from 'fs';
+import path from 'path';
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit, scopeList } from '../src/circuit';
+import load from '../src/data/load';
+import { generateSaveData } from '../src/data/save';
+import simulationArea from '../src/simulationArea';
+import { play, errorDetectedSet } from '../src/engine';
+import { clockTick } from '../src/utils';
+import { formatFourState } from '../src/fourState';
+import Input from '../src/modules/Input';
+import Output from '../src/modules/Output';
+import Counter from '../src/modules/Counter';
+import VerilogMultiplier from '../src/modules/verilogMultiplier';
+import Clock from '../src/sequential/Clock';
+import DflipFlop from '../src/sequential/DflipFlop';
+import Rom from '../src/sequential/Rom';
+import RAM from '../src/sequential/RAM';
+import EEPROM from '../src/sequential/EEPROM';
+import Keyboard from '../src/sequential/Keyboard';
+import Simulator from '../src/headless/Simulator';
+import gatesCircuit from './circuits/gates-circuitdata.json';
+import gatesTests from './testData/gates-testdata.json';
+import miscCircuit from './circuits/misc-circuitdata.json';
+import miscTests from './testData/misc-testdata.json';
+import plexersCircuit from './circuits/Decoders-plexers-circuitdata.json';
+import plexersTests from './testData/decoders-plexers.json';
+import sequentialCircuit from './circuits/sequential-circuitdata.json';
+import sequentialTests from './testData/sequential-testdata.json';
+import subCircuitCircuit from './circuits/subCircuit-circuitdata.json';
+import subCircuitTests from './testData/subCircuit-testdata.json';
+import rippleCircuit from './circuits/rippleCarryAdder-circuitdata.json';
+import rippleTests from './testData/ripple-carry-adder.json';
+import aluCircuit from './circuits/alu-circuitdata.json';
+import aluTests from './testData/alu-testdata.json';
+
+jest.mock('codemirror');
+
+// Every file in circuits
+const circuits = {
+    'gates-circuitdata.json': gatesCircuit,
+    'misc-circuitdata.json': miscCircuit,
+    'Decoders-plexers-circuitdata.json': plexersCircuit,
+    'sequential-circuitdata.json': sequentialCircuit,
+    'subCircuit-circuitdata.json': subCircuitCircuit,
+    'rippleCarryAdder-circuitdata.json': rippleCircuit,
+    'alu-circuitdata.json': aluCircuit,
+};
+
+// Same circuits and expectations as the jsdom based specs
+const suites = [
+    ['gates', gatesCircuit, gatesTests, {
+        AndGate: 4, nandGate: 4, norGate: 4, notGate: 2, OrGate: 4, xnorGate: 4, xorGate: 4,
+    }],
+    ['misc', miscCircuit, miscTests, {
+        ALU: 28,
+        Adder: 8,
+        buffer: 2,
+        Tristate: 4,
+        Tunnel: 2,
+        comp: 8,
+        ControlledInverter: 3,
+        SplitterEqual: 8,
+        SplitterUnEqual: 8,
+        ForceGate: 2,
+    }],
+    ['decoders and plexers', plexersCircuit, plexersTests, {
+        Multiplexers: 8,
+        Demultiplexer: 4,
+        'bit-selector': 4,
+        msb: 5,
+        lsb: 10,
+        'priority-encoder': 4,
+        Decoder: 2,
+    }],
+    ['sequential', sequentialCircuit, sequentialTests, {
+        DFlipFlop: 2, DLatch: 2, JkFlipFlop: 4, SRFlipFlop: 4, TFlipFlop: 4,
+    }],
+    ['subcircuits', subCircuitCircuit, subCircuitTests, { subCircuit: 8 }],
+    ['ripple carry adder', rippleCircuit, { testData: rippleTests.testData }, { testData: 10 }],
+    ['ALU', aluCircuit, { testData: aluTests.testData }, { testData: 5 }],
+];
+
+describe('headless simulator', () => {
+    suites.forEach(([name, circuit, tests, expected]) => {
+        describe(name, () => {
+            const sim = new Simulator().load(circuit);
+            Object.keys(expected).forEach((test) => {
+                it(`passes ${test}`, () => {
+                    const before = JSON.stringify(tests[test]);
+                    const result = sim.runTestbench(tests[test]);
+                    expect(result.summary.passed).toBe(expected[test]);
+                    expect(JSON.stringify(tests[test])).toBe(before);
+                });
+            });
+        });
+    });
+
+    test('inputs are set and outputs read by label', () => {
+        const sim = new Simulator().load(JSON.stringify(subCircuitCircuit));
+        expect(sim.inputs.sort()).toEqual(['cin', 'x', 'y']);
+        sim.setInput('x', 1).setInput('y', '1').setInput('cin', 0n).step();
+        expect(sim.readOutput('sum')).toBe(0);
+        expect(sim.readOutput('carry')).toBe(1);
+        sim.setInput('cin', 'x').step();
+        expect(sim.readOutput('sum')).toBeUndefined();
+        expect(sim.readOutputBits('sum')).toBe('x');
+        expect(sim.readOutput('carry')).toBe(1);
+        expect(() => sim.setInput('no such input', 1)).toThrow('No input labelled');
+        expect(() => sim.readOutput('no such output')).toThrow('No output labelled');
+    });
+
+    test('testbench labels are checked', () => {
+        const sim = new Simulator().load(gatesCircuit);
+        expect(() => sim.runTestbench(sequentialTests.DFlipFlop)).toThrow('Circuit has no');
+    });
+});
+
+describe('headless and GUI simulators', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    // The test drives the global clock itself
+    clearInterval(simulationArea.ClockInterval);
+
+    const scope = newCircuit('Memories');
+    scope.unknownPowerUp = true;
+    // Elements on a diagonal, so no wire runs over the pins of another element
+    let place = 0;
+    const at = () => {
+        place += 400;
+        return place;
+    };
+    const labelled = (element, label) => {
+        element.setLabel(label);
+        return element;
+    };
+    const inputs = {
+        A: labelled(new Input(at(), place, scope, 'RIGHT', 4), 'A'),
+        RA: labelled(new Input(at(), place, scope, 'RIGHT', 5), 'RA'),
+        D: labelled(new Input(at(), place, scope, 'RIGHT', 8), 'D'),
+        W: labelled(new Input(at(), place, scope, 'RIGHT', 1), 'W'),
+        WE: labelled(new Input(at(), place, scope, 'RIGHT', 1), 'WE'),
+        B: labelled(new Input(at(), place, scope, 'RIGHT', 8), 'B'),
+    };
+    const outputs = [];
+    const output = (label, bitWidth, node) => {
+        const out = labelled(new Output(at(), place, scope, 'LEFT', bitWidth), label);
+        outputs.push(out);
+        node.connect(out.inp1);
+        return out;
+    };
+    const rom = new Rom(at(), place, scope, Array.from({ length: 32 }, (_, i) => (i * 397) % 4096), 5, 12);
+    const ram = new RAM(at(), place, scope, 'RIGHT', 8, 4);
+    const eeprom = new EEPROM(at(), place, scope, 'RIGHT', 8, 4, Array.from({ length: 16 }, (_, i) => 255 - i));
+    const clock = new Clock(at(), place, scope);
+    const slowClock = new Clock(at(), place, scope);
+    slowClock.setPeriod(5);
+    slowClock.setDutyCycle(40);
+    slowClock.setPhase(2);
+    const register = new DflipFlop(at(), place, scope, 'RIGHT', 8);
+    const counter = new Counter(at(), place, scope, 4);
+    const multiplier = new VerilogMultiplier(at(), place, scope, 'RIGHT', 8, 16);
+    const keyboard = labelled(new Keyboard(at(), place, scope), 'KB');
+    inputs.RA.output1.connect(rom.memAddr);
+    [ram, eeprom].forEach((memory) => {
+        inputs.A.output1.connect(memory.address);
+        inputs.D.output1.connect(memory.dataIn);
+    });
+    inputs.W.output1.connect(ram.write);
+    inputs.WE.output1.connect(eeprom.write);
+    clock.output1.connect(register.clockInp);
+    inputs.D.output1.connect(register.dInp);
+    slowClock.output1.connect(counter.clock);
+    inputs.D.output1.connect(multiplier.inpA);
+    inputs.B.output1.connect(multiplier.inpB);
+    clock.output1.connect(keyboard.clockInp);
+    output('R', 12, rom.dataOut);
+    output('M', 8, ram.dataOut);
+    output('E', 8, eeprom.dataOut);
+    output('Q', 8, register.qOutput);
+    output('C', 1, slowClock.output1);
+    output('N', 4, counter.output);
+    output('P', 16, multiplier.product);
+    output('K', 7, keyboard.asciiOutput);
+    output('KA', 1, keyboard.available);
+
+    const sim = new Simulator().load(generateSaveData('Memories', false));
+    simulationArea.clockTime = 0;
+    const gui = () => outputs.map((out) => `${out.label}=${formatFourState(out.inp1.value, out.inp1.xMask, out.inp1.zMask, out.bitWidth)}`);
+    const headless = () => outputs.map((out) => `${out.label}=${sim.readOutputBits(out.label)}`);
+    const set = (values) => {
+        Object.entries(values).forEach(([label, value]) => {
+            inputs[label].state = value;
+            sim.setInput(label, value);
+        });
+        play();
+        sim.step();
+    };
+    const tick = () => {
+        clockTick();
+        sim.tick(1);
+    };
+
+    test('give the same results on the same circuit', () => {
+        set({});
+        expect(headless()).toEqual(gui());
+        // The register is unknown until it is clocked
+        expect(sim.readOutputBits('Q')).toBe('xxxxxxxx');
+
+        keyboard.keyDown('h');
+        keyboard.keyDown('i');
+        sim.typeKeys('KB', 'hi');
+        const cases = [
+            {
+                A: 3, RA: 17, D: 42, B: 200,
+            },
+            { W: 1 }, { W: 0, A: 5 }, { A: 3, D: 7, WE: 1 }, { WE: 0, A: 4, RA: 31 },
+        ];
+        const keys = new Set();
+        cases.forEach((values) => {
+            set(values);
+            expect(headless()).toEqual(gui());
+            for (let i = 0; i < 3; i++) {
+                tick();
+                expect(headless()).toEqual(gui());
+                keys.add(sim.readOutput('K'));
+            }
+        });
+        expect(sim.readOutput('R')).toBe((31 * 397) % 4096);
+        expect(sim.readOutput('E')).toBe(251);
+        set({ A: 3 });
+        expect(headless()).toEqual(gui());
+        expect([sim.readOutput('M'), sim.readOutput('E')]).toEqual([42, 7]);
+        expect(keys).toContain('h'.charCodeAt(0));
+        expect(keys).toContain('i'.charCodeAt(0));
+    });
+
+    test('clocks follow their period, duty cycle and phase', () => {
+        let wave = '';
+        for (let i = 0; i < 10; i++) {
+            tick();
+            expect(headless()).toEqual(gui());
+            wave += sim.readOutputBits('C');
+        }
+        // High for 2 of every 5 ticks, from the ticks 5n
+        expect(sim.clockTime).toBe(25);
+        expect(wave).toBe('1000110001');
+    });
+});
+
+describe('headless and GUI simulators on every circuit', () => {
+    test('cover every circuit', () => {
+        expect(Object.keys(circuits).sort()).toEqual(fs.readdirSync(path.join(__dirname, 'circuits')).sort());
+    });
+
+    Object.entries(circuits).forEach(([file, project]) => {
+        test(`give the same results on ${file}`, () => {
+            load(project);
+            // Pseudo random inputs, the same on every run
+            let seed = 1;
+            const random = (bitWidth) => {
+                seed = (seed * 1103515245 + 12345) % 2147483648;
+                return seed % (2 ** Math.min(bitWidth, 30));
+            };
+            project.scopes.forEach((saved) => {
+                const scope = scopeList[saved.id];
+                const sim = new Simulator().load(project, { circuit: saved.id });
+                simulationArea.clockTime = 0;
+                const gui = () => sim.outputs.map((label) => {
+                    const { inp1 } = scope.Output.find((out) => out.label.trim() === label);
+                    return `${label}=${formatFourState(inp1.value, inp1.xMask, inp1.zMask, inp1.bitWidth)}`;
+                });
+                const headless = () => sim.outputs.map((label) => `${label}=${sim.readOutputBits(label)}`);
+                const settle = (resetNodes = false) => {
+                    // Contention shown in the GUI stops it until the user acts
+                    errorDetectedSet(false);
+                    play(scope, resetNodes);
+                    sim.step();
+                };
+                // Resolves every element, as opening the circuit does
+                settle(true);
+                expect(headless()).toEqual(gui());
+                for (let i = 0; i < 16; i++) {
+                    sim.inputs.forEach((label) => {
+                        const input = scope.Input.find((inp) => inp.label.trim() === label);
+                        const value = random(input.bitWidth);
+                        input.state = value;
+                        sim.setInput(label, value);
+                    });
+                    settle();
+                    expect(headless()).toEqual(gui());
+                    simulationArea.clockTime++;
+                    scope.clockStep(simulationArea.clockTime);
+                    sim.tick(1);
+                    settle();
+                    expect(headless()).toEqual(gui());
+                }
+            });
+        });
+    });
+});
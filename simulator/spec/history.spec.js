@@ -0,0 +1,139 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import simulationArea from '../src/simulationArea';
+import { trackCommand } from '../src/data/commands';
+import undo from '../src/data/undo';
+import redo from '../src/data/redo';
+import { jumpTo, createHistoryPrompt } from '../src/data/history';
+import { deleteSelected } from '../src/ux';
+import { copy } from '../src/events';
+import Input from '../src/modules/Input';
+import AndGate from '../src/modules/AndGate';
+import OrGate from '../src/modules/OrGate';
+
+jest.mock('codemirror');
+
+const labels = () => globalScope.history.points.map(({ label }) => label);
+const types = () => ['Input', 'AndGate', 'OrGate'].map((type) => globalScope[type].length);
+const edit = (change) => trackCommand('edit', change);
+
+describe('undo history', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    const scope = newCircuit('History');
+    let inputs;
+    let gate;
+    edit(() => {
+        inputs = [100, 200, 300].map((y) => new Input(100, y, scope));
+    });
+    edit(() => {
+        gate = new AndGate(200, 150, scope);
+    });
+
+    test('edits are recorded with what was done', () => {
+        edit(() => inputs.forEach((_, i) => {
+            inputs[i].x += 20;
+        }));
+        edit(() => inputs[0].output1.connect(gate.inp[0]));
+        // Typing a label is one change
+        trackCommand('property', () => gate.setLabel('G'), scope, { element: gate, property: 'setLabel' });
+        trackCommand('property', () => gate.setLabel('GH'), scope, { element: gate, property: 'setLabel' });
+        edit(() => {});
+        expect(labels()).toEqual(['Start', 'Added 3 Inputs', 'Added AndGate', 'Moved 3 Inputs', 'Connected wires', 'Changed label of AndGate GH']);
+    });
+
+    test('undo puts back the same objects and keeps the selection and values', () => {
+        simulationArea.multipleObjectSelections = [inputs[1], inputs[2]];
+        inputs[0].state = 1;
+        undo();
+        expect(gate.label).toBe('');
+        undo();
+        expect(inputs[0].output1.connections).toEqual([]);
+        expect(scope.wires).toHaveLength(0);
+        undo();
+        expect(inputs.map(({ x }) => x)).toEqual([100, 100, 100]);
+        expect(scope.Input).toEqual(inputs);
+        expect(simulationArea.multipleObjectSelections).toEqual([inputs[1], inputs[2]]);
+        expect(inputs[0].state).toBe(1);
+        redo();
+        redo();
+        expect(inputs[0].output1.connections).toEqual([gate.inp[0]]);
+        expect(scope.wires).toHaveLength(1);
+        redo();
+        expect(gate.label).toBe('GH');
+    });
+
+    test('a deleted element comes back with its wires', () => {
+        simulationArea.multipleObjectSelections = [];
+        simulationArea.lastSelected = gate;
+        deleteSelected();
+        expect(scope.AndGate).toEqual([]);
+        expect(scope.history.points[scope.history.current].label).toBe('Deleted AndGate');
+        undo();
+        expect(scope.AndGate).toEqual([gate]);
+        expect(gate.inp[0].connections).toEqual([inputs[0].output1]);
+        expect(scope.allNodes).toContain(gate.inp[0]);
+        expect(scope.allNodes.filter((node) => node.deleted)).toEqual([]);
+    });
+
+    test('an edit after undo starts a branch and keeps the one undone', () => {
+        const { history } = scope;
+        jumpTo(2);
+        expect(types()).toEqual([3, 1, 0]);
+        expect(inputs.map(({ x }) => x)).toEqual([100, 100, 100]);
+        let or;
+        edit(() => {
+            or = new OrGate(200, 300, scope);
+        });
+        expect(scope.OrGate).toEqual([or]);
+        expect(history.points[2].children).toEqual([3, 7]);
+        expect(history.canRedo()).toBe(false);
+
+        // Undo and redo follow the branch last left
+        undo();
+        expect(types()).toEqual([3, 1, 0]);
+        redo();
+        expect(types()).toEqual([3, 1, 1]);
+        jumpTo(5);
+        expect(types()).toEqual([3, 1, 0]);
+        expect(gate.label).toBe('GH');
+        jumpTo(0);
+        expect(types()).toEqual([0, 0, 0]);
+        undo();
+        expect(history.current).toBe(0);
+        jumpTo(7);
+        expect(types()).toEqual([3, 1, 1]);
+        expect(scope.OrGate).toEqual([or]);
+    });
+
+    test('the history goes on when the circuit is copied', () => {
+        jumpTo(3);
+        copy([inputs[0]]);
+        // Copying loads the circuit again
+        expect(globalScope).not.toBe(scope);
+        expect(globalScope.Input).not.toContain(inputs[0]);
+        undo();
+        expect(globalScope.Input.map(({ x }) => x)).toEqual([100, 100, 100]);
+        redo();
+        expect(globalScope.Input.map(({ x }) => x)).toEqual([120, 120, 120]);
+        jumpTo(5);
+        expect(globalScope.AndGate[0].label).toBe('GH');
+        expect(globalScope.AndGate[0].inp[0].connections).toEqual([globalScope.Input[0].output1]);
+    });
+
+    test('the panel lists every branch', () => {
+        createHistoryPrompt();
+        expect($('#historyList .historyPoint')).toHaveLength(8);
+        expect($('#historyList b').text()).toBe('Changed label of AndGate GH');
+        // The branch left is nested under the point it leaves from
+        expect($('#historyList li li .historyPoint').map((_, point) => point.textContent).get()).toEqual(['Added OrGate']);
+        $('.historyPoint[data-point="3"]').trigger('click');
+        expect(globalScope.history.current).toBe(3);
+        expect($('#historyList b').text()).toBe('Moved 3 Inputs');
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import { performCombinationalAnalysis } from '../src/combinationalAnalysis';
+import { tabulateCircuit } from '../src/truthTable';
+import { kmapLayout, kmapCell, implicantRectangles } from '../src/kmap';
+
+jest.mock('codemirror');
+
+describe('Karnaugh maps', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('variables are split between maps, rows and columns', () => {
+        expect([2, 3, 4, 5, 6].map((n) => {
+            const { maps, rows, cols } = kmapLayout(n);
+            return [maps, rows, cols];
+        })).toEqual([[1, 2, 2], [1, 2, 4], [1, 4, 4], [2, 4, 4], [4, 4, 4]]);
+        expect(() => kmapLayout(7)).toThrow('2 to 6 variables');
+    });
+
+    test('rows and columns are in Gray code order', () => {
+        const layout = kmapLayout(4);
+        expect([0, 1, 2, 3].map((col) => kmapCell(layout, 0, 2, col))).toEqual([12, 13, 15, 14]);
+        expect([0, 1, 2, 3].map((row) => kmapCell(layout, 0, row, 0))).toEqual([0, 4, 12, 8]);
+        expect(kmapCell(kmapLayout(6), 3, 0, 1)).toBe(49);
+    });
+
+    test('groups are drawn as rectangles, split where they wrap', () => {
+        const layout = kmapLayout(4);
+        // A is the lower half
+        expect(implicantRectangles('1---', layout)).toEqual([{
+            map: 0, top: 2, bottom: 3, left: 0, right: 3,
+        }]);
+        // B'D' are the corners
+        expect(implicantRectangles('-0-0', layout)).toHaveLength(4);
+        // One cell in each of two maps
+        expect(implicantRectangles('-1111', kmapLayout(5)).map(({ map }) => map)).toEqual([0, 1]);
+    });
+
+    test('the map and the truth table edit the same function', () => {
+        newCircuit('Majority');
+        performCombinationalAnalysis('A, B, C', 'X', '');
+        const buttons = $('#combinationalAnalysis').dialog('option', 'buttons');
+        buttons.find((button) => button.text === 'Karnaugh Map').click();
+        expect($('.kmapCell')).toHaveLength(8);
+
+        const cell = (row) => $('#combinationalAnalysis td.output').filter((_, td) => td.id === String(row));
+        const kmap = (row) => $(`.kmapCell[data-row="${row}"]`);
+        // 0 to 1 on the map
+        [3, 5, 6, 7].forEach((row) => {
+            cell(row).html(0);
+            kmap(row).trigger('click');
+        });
+        // Don't care to 0
+        [0, 1, 2, 4].forEach((row) => kmap(row).trigger('click'));
+        expect(cell(3).text()).toBe('1');
+        expect(cell(0).text()).toBe('0');
+        expect($('.kmapLoop')).toHaveLength(3);
+        expect($('#kmapExpression').text().split(' = ')[1].split(' + ').sort()).toEqual(['AB', 'AC', 'BC']);
+
+        // Row 0 becomes a 1 in the table
+        cell(0).trigger('click');
+        expect($('.kmapValue').filter((_, text) => text.textContent === '1')).toHaveLength(5);
+
+        cell(0).trigger('click');
+        cell(0).trigger('click');
+        buttons.find((button) => button.text === 'Generate Circuit').click();
+        // Two-level AND-OR is chosen
+        $('#combinationalAnalysis').dialog('option', 'buttons')[0].click.call($('#combinationalAnalysis')[0]);
+        expect(tabulateCircuit(globalScope).outputs[0].values).toEqual([0, 0, 0, 1, 0, 1, 1, 1]);
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import undo from '../src/data/undo';
+import {
+    MEMORY_FORMATS, detectMemoryFormat, readMemoryFile, writeMemoryFile,
+} from '../src/memoryFiles';
+import {
+    importMemory, exportMemory, createMemoryEditorPrompt, findWord,
+} from '../src/memoryEditor';
+import RAM from '../src/sequential/RAM';
+import EEPROM from '../src/sequential/EEPROM';
+import Rom from '../src/sequential/Rom';
+
+jest.mock('codemirror');
+
+const bytes = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+const text = (file) => String.fromCharCode(...file);
+const read = (file, format, memory) => readMemoryFile(typeof file === 'string' ? bytes(file) : file, format, {
+    words: 1024, bitWidth: 8, ...memory,
+}).data;
+
+describe('memory files', () => {
+    test('Intel HEX records are read with their addresses', () => {
+        const hex = ':10010000214601360121470136007EFE09D2190140\n:00000001FF\n:0100000001FE\n';
+        const data = read(hex, 'intelHex');
+        expect(data.slice(0x100, 0x104)).toEqual([0x21, 0x46, 0x01, 0x36]);
+        expect(data[0x10f]).toBe(0x01);
+        // Nothing is read after the end of file record
+        expect(data[0]).toBeUndefined();
+        // Extended linear address
+        const high = ':020000040001F9\n:01000000AA55\n:00000001FF\n';
+        expect(read(high, 'intelHex', { words: 0x20000 })[0x10000]).toBe(0xaa);
+        expect(() => read(':0100000001FF\n', 'intelHex')).toThrow('Line 1: wrong checksum');
+        expect(() => read(high, 'intelHex')).toThrow('Capacity: 1024 words. But data for address 65536 found');
+    });
+
+    test('bytes make up wider words in either order', () => {
+        const file = Uint8Array.of(0x34, 0x12, 0x78, 0x56);
+        expect(read(file, 'binary', { bitWidth: 16 })).toEqual([0x1234, 0x5678]);
+        expect(read(file, 'binary', { bitWidth: 16, bigEndian: true })).toEqual([0x3412, 0x7856]);
+        expect(() => read(file, 'binary', { bitWidth: 12 })).toThrow('Address 0: 1234 is too large for 12 bits');
+    });
+
+    test('Logisim images and $readmemh files hold words', () => {
+        expect(read('v2.0 raw\n3*ff 1 # comment\n2\n', 'logisim')).toEqual([255, 255, 255, 1, 2]);
+        expect(() => read('ff 1', 'logisim')).toThrow('A Logisim image starts with "v2.0 raw"');
+        const memh = read('// program\n@10 aa bb /* two\nlines */ c_c\n', 'readmemh');
+        expect(memh.slice(16)).toEqual([0xaa, 0xbb, 0xcc]);
+        expect(memh[0]).toBeUndefined();
+        expect(() => read('1x', 'readmemh')).toThrow('Address 0: 1x is not a hex value');
+        expect(read('123456789abcdef0', 'readmemh', { bitWidth: 64 })).toEqual([0x123456789abcdef0n]);
+    });
+
+    test('files are written back as they are read', () => {
+        const data = [];
+        data[3] = 0x1234;
+        data[4] = 0;
+        data[0x8000] = 0xbeef;
+        Object.keys(MEMORY_FORMATS).forEach((format) => {
+            const file = writeMemoryFile(data, format, { bitWidth: 16 });
+            const back = read(file, format, { words: 0x10000, bitWidth: 16 });
+            expect([back[3], back[4], back[0x8000]]).toEqual([0x1234, 0, 0xbeef]);
+        });
+        expect(text(writeMemoryFile(data, 'logisim', { bitWidth: 16 }))).toMatch(/^v2\.0 raw\n0000 0000 0000 1234 32764\*0000 beef\n$/);
+        const hex = text(writeMemoryFile(data, 'intelHex', { bitWidth: 16 })).split('\n');
+        expect(hex).toEqual([':0400060034120000B0', ':020000040001F9', ':02000000EFBE51', ':00000001FF', '']);
+        expect(text(writeMemoryFile(data, 'readmemh', { bitWidth: 16 }))).toBe('// 32769 words of 16 bits\n@3\n1234\n0000\n@8000\nbeef\n');
+    });
+
+    test('the format is guessed from the file', () => {
+        expect(detectMemoryFormat('a.hex', bytes(':00000001FF'))).toBe('intelHex');
+        expect(detectMemoryFormat('a.txt', bytes('v2.0 raw\n1'))).toBe('logisim');
+        expect(detectMemoryFormat('a.mem', bytes('// c\n@0 ff'))).toBe('readmemh');
+        expect(detectMemoryFormat('a.bin', bytes('ff'))).toBe('binary');
+        expect(detectMemoryFormat('a.out', Uint8Array.of(0, 1, 2))).toBe('binary');
+    });
+});
+
+describe('memory editor', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (value) => {} });
+    setup();
+    const scope = newCircuit('Memories');
+    const ram = new RAM(100, 100, scope);
+    const eeprom = new EEPROM(100, 300, scope);
+    const rom = new Rom(300, 100, scope);
+
+    test('a file is loaded into a memory and it can be undone', () => {
+        importMemory(ram, 'prog.mem', bytes('@2 1 2 3'));
+        expect(ram.data.slice(0, 5)).toEqual([undefined, undefined, 1, 2, 3]);
+        expect(scope.history.points[scope.history.current].label).toBe('Changed contents of RAM at 100, 100');
+        undo();
+        expect(ram.data.slice(0, 5)).toEqual([undefined, undefined, undefined, undefined, undefined]);
+
+        // An EEPROM keeps zeroes where nothing is loaded
+        eeprom.data[10] = 7;
+        importMemory(eeprom, 'prog.txt', bytes('v2.0 raw\n2*1'));
+        expect(eeprom.data.slice(0, 3)).toEqual([1, 1, 0]);
+        expect(eeprom.data[10]).toBe(0);
+        expect(importMemory(rom, 'rom.hex', bytes(':01000F00AB45\n:00000001FF'))).toBe('intelHex');
+        expect(rom.data[15]).toBe(0xab);
+        expect(() => importMemory(rom, 'rom.hex', bytes(':02000F00ABCD77'))).toThrow('Capacity: 16 words');
+        expect(rom.data[15]).toBe(0xab);
+    });
+
+    test('the contents are exported', () => {
+        const { name, bytes: file } = exportMemory(rom, 'binary');
+        expect(name).toBe('Rom.bin');
+        expect(file).toHaveLength(16);
+        expect(file[15]).toBe(0xab);
+        ram.setLabel('prog');
+        expect(exportMemory(ram, 'readmemh').name).toBe('prog.mem');
+    });
+
+    test('the editor shows a page and marks the last read and write', () => {
+        jest.useFakeTimers();
+        createMemoryEditorPrompt(ram);
+        expect($('#memoryEditorPage .memoryWord')).toHaveLength(256);
+        expect($('#memoryEditorInfo').text()).toBe('1024 words of 8 bits, page 1 of 4 ');
+
+        ram.address.value = 0x105;
+        ram.dataIn.value = 0x3c;
+        ram.write.value = 1;
+        ram.resolve();
+        ram.write.value = 0;
+        ram.address.value = 0x107;
+        ram.resolve();
+        jest.advanceTimersByTime(250);
+        expect($('#memoryEditorInfo').text()).toBe('1024 words of 8 bits, page 1 of 4 read 107 written 105');
+        $('#memoryEditorAddress').val('1ff').trigger('change');
+        expect($('#memoryEditorPage .memoryWord[data-address="261"]').text()).toBe('3C');
+        expect($('#memoryEditorPage .memoryWord[data-address="261"]').attr('style')).toBe('background:lightsalmon');
+        expect($('#memoryEditorPage .memoryWord[data-address="263"]').attr('style')).toBe('background:lightgreen');
+        $('#memoryEditorDialog').dialog('close');
+        jest.useRealTimers();
+    });
+
+    test('a word is changed and a value is found', () => {
+        createMemoryEditorPrompt(rom);
+        $('#memoryEditorPage .memoryWord[data-address="9"]').trigger('click');
+        expect($('#memoryEditorSelected').text()).toBe('9');
+        $('#memoryEditorValue').val('5a').trigger('change');
+        expect(rom.data[9]).toBe(0x5a);
+        expect(scope.history.points[scope.history.current].label).toBe('Changed contents of Rom at 300, 100');
+        $('#memoryEditorValue').val('100').trigger('change');
+        expect(rom.data[9]).toBe(0x5a);
+
+        rom.data[2] = 0x5a;
+        expect(findWord(rom, 0x5a)).toBe(2);
+        expect(findWord(rom, 0x5a, 3)).toBe(9);
+        expect(findWord(rom, 0x77)).toBe(-1);
+        // Looking again goes on from the word found
+        $('#memoryEditorFind').val('5A').trigger('change');
+        expect($('#memoryEditorSelected').text()).toBe('2');
+        $('#memoryEditorFind').val('5A').trigger('change');
+        expect($('#memoryEditorSelected').text()).toBe('9');
+        $('#memoryEditorDialog').dialog('close');
+        undo();
+        expect(rom.data[9]).toBe(0);
+    });
+
+    test('a rom has the widths it is given and old saves keep their 16 bytes', () => {
+        const microcode = new Rom(500, 100, scope, null, 12, 40);
+        expect(microcode.data).toHaveLength(4096);
+        expect([microcode.memAddr.bitWidth, microcode.dataOut.bitWidth]).toEqual([12, 40]);
+        microcode.data[4095] = 0xff00000001n;
+        expect(microcode.customSave().constructorParamaters.slice(1)).toEqual([12, 40]);
+        expect(microcode.customSave().constructorParamaters[0][4095]).toBe('1095216660481');
+        const copy = new Rom(500, 300, scope, ...microcode.customSave().constructorParamaters);
+        expect(copy.data[4095]).toBe(0xff00000001n);
+        microcode.memAddr.value = 4095;
+        microcode.resolve();
+        expect(microcode.dataOut.value).toBe(0xff00000001n);
+        expect(microcode.tooltipText).toBe('4K x 40b ROM');
+
+        const old = new Rom(500, 500, scope, [0xab, 0x12, 3]);
+        expect([old.addressWidth, old.bitWidth, old.data.length]).toEqual([4, 8, 16]);
+        expect(old.showsWords()).toBe(true);
+        old.changeAddressWidth(1);
+        expect(old.data).toEqual([0xab, 0x12]);
+        old.newBitWidth(4);
+        expect(old.data).toEqual([0xb, 0x2]);
+        expect(old.showsWords()).toBe(false);
+    });
+});
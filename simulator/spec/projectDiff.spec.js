@@ -0,0 +1,103 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit, scopeList } from '../src/circuit';
+import { generateSaveData } from '../src/data/save';
+import {
+    diffProjects, describeElement, markScopeDiff, showProjectDiff, createProjectDiffPrompt,
+} from '../src/projectDiff';
+import Input from '../src/modules/Input';
+import Output from '../src/modules/Output';
+import AndGate from '../src/modules/AndGate';
+import NotGate from '../src/modules/NotGate';
+import ConstantVal from '../src/modules/ConstantVal';
+
+jest.mock('codemirror');
+
+const save = () => JSON.parse(generateSaveData('Project', false));
+const pin = ({ element, name }) => `${describeElement(element)} ${name}`;
+
+describe('differences between versions of a project', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    const main = newCircuit('Gate');
+    const a = new Input(100, 100);
+    a.setLabel('A');
+    const b = new Input(100, 200);
+    b.setLabel('B');
+    const gate = new AndGate(200, 150, main, 'RIGHT', 2, 1);
+    const y = new Output(300, 150, main, 'LEFT');
+    y.setLabel('Y');
+    const constant = new ConstantVal(100, 300);
+    a.output1.connect(gate.inp[0]);
+    b.output1.connect(gate.inp[1]);
+    gate.output1.connect(y.inp1);
+    const before = save();
+
+    test('a project saved again has not changed', () => {
+        expect(diffProjects(before, save()).scopes.every(({ status }) => status === 'unchanged')).toBe(true);
+    });
+
+    test('elements are matched and their changes listed', () => {
+        gate.x = 220;
+        y.setLabel('Z');
+        b.newBitWidth(4);
+        b.output1.disconnectWireLess(gate.inp[1]);
+        a.output1.connect(gate.inp[1]);
+        constant.delete();
+        const not = new NotGate(200, 250, main);
+        newCircuit('Sub');
+
+        const { scopes } = diffProjects(before, save());
+        const mainDiff = scopes.find(({ id }) => id === main.id);
+        expect(scopes.map(({ name, status }) => [name, status])).toContainEqual(['Sub', 'added']);
+        expect(mainDiff.status).toBe('changed');
+        expect(mainDiff.added.map(describeElement)).toEqual(['NotGate at 200, 250']);
+        expect(mainDiff.removed.map(describeElement)).toEqual(['ConstantVal at 100, 300']);
+        // A wider Input grows to the left
+        expect(mainDiff.moved.map(({ element, from, to }) => [element.type, from, to])).toEqual([
+            ['Input', { x: 100, y: 200 }, { x: 70, y: 200 }],
+            ['AndGate', { x: 200, y: 150 }, { x: 220, y: 150 }],
+        ]);
+        // The bit width is in the settings of an Input too, it is not another change
+        const changes = mainDiff.changed.map(({
+            element, property, from, to,
+        }) => [describeElement(element), property, from, to]);
+        expect(changes.sort()).toEqual([
+            ['Input B', 'bitWidth', 1, 4],
+            ['Output Z', 'label', 'Y', 'Z'],
+        ]);
+        expect(mainDiff.connected.map((pins) => pins.map(pin)).sort()).toEqual([
+            ['AndGate at 220, 150 inp[0]', 'AndGate at 220, 150 inp[1]'],
+            ['AndGate at 220, 150 inp[1]', 'Input A output1'],
+        ]);
+        expect(mainDiff.disconnected.map((pins) => pins.map(pin))).toEqual([['AndGate at 220, 150 inp[1]', 'Input B output1']]);
+
+        const marks = markScopeDiff(main, mainDiff).map(({ element, kind }) => [element.objectType, element.label, kind]);
+        expect(marks.sort()).toEqual([
+            ['AndGate', '', 'changed'],
+            ['Input', 'A', 'rewired'],
+            ['Input', 'B', 'changed'],
+            ['NotGate', '', 'added'],
+            ['Output', 'Z', 'changed'],
+        ]);
+        expect(main.NotGate).toEqual([not]);
+    });
+
+    test('the prompt lists the differences of each circuit', () => {
+        createProjectDiffPrompt();
+        showProjectDiff(JSON.stringify(before));
+        const items = $('#projectDiffResult li').map((_, li) => li.textContent).get();
+        expect(items).toContain('Moved AndGate at 220, 150 from 200, 150 to 220, 150');
+        expect(items).toContain('Disconnected AndGate at 220, 150 inp[1] from Input B output1');
+        expect($('#projectDiffResult h6').map((_, h6) => h6.firstChild.textContent.trim()).get()).toEqual(['Gate (changed)', 'Sub (added)']);
+        $(`.projectDiffShow[data-scope="${main.id}"]`).trigger('click');
+        expect(globalScope).toBe(scopeList[main.id]);
+
+        showProjectDiff('{"name": "Untitled"}');
+        expect($('#projectDiffResult').text()).toBe('The file is not a saved project');
+    });
+});
@@ -42,4 +42,12 @@ describe('Simulator Sequential Element Testing', () => {
         const result = runAll(testData.TFlipFlop);
         expect(result.summary.passed).toBe(4);
     });
+
+    test('T Flip Flop working in a freshly loaded circuit', () => {
+        // Registers of circuits saved before four-state logic power up as 0,
+        // a T flip-flop that powered up as X would stay X as it is never reset
+        load(circuitData);
+        const result = runAll(testData.TFlipFlop);
+        expect(result.summary.passed).toBe(4);
+    });
 });
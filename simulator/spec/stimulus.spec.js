@@ -0,0 +1,118 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import simulationArea from '../src/simulationArea';
+import plotArea from '../src/plotArea';
+import Input from '../src/modules/Input';
+import Button from '../src/modules/Button';
+import Clock from '../src/sequential/Clock';
+import AndGate from '../src/modules/AndGate';
+import { parseCSV, readStimulus, StimulusPlayer } from '../src/stimulus';
+
+jest.mock('codemirror');
+
+const csv = `time, A, en, clk, unused
+# comment lines and blank lines are skipped
+
+0, 0b101, 0, 0, 1
+100, , 1, 1,
+200, 0x2, 0, 0,
+300, x, , 1,
+`;
+
+describe('stimulus files', () => {
+    test('CSV time series', () => {
+        const { signals } = parseCSV(csv);
+        expect(signals.map((s) => s.name)).toEqual(['A', 'en', 'clk', 'unused']);
+        expect(signals[0].changes).toEqual([[0, 5n], [200, 2n], [300, undefined]]);
+        expect(signals[1].changes).toEqual([[0, 0n], [100, 1n], [200, 0n]]);
+    });
+
+    test('CSV errors name the line', () => {
+        expect(() => parseCSV('')).toThrow('Empty CSV file');
+        expect(() => parseCSV('time\n0')).toThrow('at least one signal');
+        expect(() => parseCSV('t,A\n10,1\n5,0')).toThrow('Line 3: invalid time "5"');
+        expect(() => parseCSV('t,A\n0,high')).toThrow('Line 2: invalid value "high" for A');
+    });
+
+    test('the format is told by name or content', () => {
+        const vcd = '$var wire 1 ! A $end #0 1!';
+        expect(readStimulus(vcd).signals[0].changes).toEqual([[0, 1]]);
+        expect(readStimulus(vcd, 'trace.VCD').signals[0].name).toBe('A');
+        expect(readStimulus('t,A\n0,1', 'trace.csv').signals[0].changes).toEqual([[0, 1n]]);
+    });
+});
+
+describe('stimulus playback', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    const a = new Input(0, 0, globalScope, 'RIGHT', 3);
+    a.label = 'A';
+    const en = new Button(0, 50);
+    en.label = 'en';
+    const clk = new Clock(0, 100);
+    clk.label = 'clk';
+    const and = new AndGate(100, 50);
+    en.output1.connect(and.inp[0]);
+    clk.output1.connect(and.inp[1]);
+    const player = new StimulusPlayer(parseCSV(csv));
+
+    test('signals are bound to inputs, buttons and clocks by label', () => {
+        expect(player.bindings.map(({ element }) => element)).toEqual([a, en, clk]);
+        expect(player.unmatched).toEqual(['unused']);
+        expect(player.times).toEqual([0, 100, 200, 300]);
+        expect(player.end).toBe(300);
+    });
+
+    test('steps from event to event', () => {
+        expect(player.step()).toBe(true);
+        expect(a.state).toBe(5);
+        expect(and.output1.value).toBe(0);
+        player.step();
+        expect(en.wasClicked).toBe(true);
+        expect(clk.state).toBe(1);
+        expect(and.output1.value).toBe(1);
+        player.step();
+        player.step();
+        // x leaves A as it was
+        expect(a.state).toBe(2);
+        expect(player.step()).toBe(false);
+    });
+
+    test('seeks to any time', () => {
+        player.seek(150);
+        expect(player.time).toBe(150);
+        expect(a.state).toBe(5);
+        expect(and.output1.value).toBe(1);
+        expect(player.finished).toBe(false);
+        player.step();
+        expect(player.time).toBe(200);
+        expect(and.output1.value).toBe(0);
+    });
+
+    test('plays in real time and takes over the clock', () => {
+        jest.useFakeTimers();
+        const updates = jest.fn();
+        player.onUpdate = updates;
+        simulationArea.clockEnabled = true;
+        player.seek(0);
+        player.play();
+        expect(player.playing).toBe(true);
+        expect(simulationArea.clockEnabled).toBe(false);
+
+        // one clock period plays plotArea.cycleUnit units
+        const frame = (plotArea.cycleUnit * 50) / simulationArea.timePeriod;
+        jest.advanceTimersByTime(50);
+        expect(player.time).toBe(Math.min(frame, 300));
+        jest.advanceTimersByTime(simulationArea.timePeriod * 2);
+        expect(player.finished).toBe(true);
+        expect(player.playing).toBe(false);
+        expect(simulationArea.clockEnabled).toBe(true);
+        expect(updates).toHaveBeenCalled();
+        jest.useRealTimers();
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import { performCombinationalAnalysis } from '../src/combinationalAnalysis';
+import { parseBooleanExpressions, expressionTruthTable } from '../src/booleanExpression';
+import { tabulateCircuit } from '../src/truthTable';
+import {
+    SYNTHESIS_STYLES, synthesize, netlistReport, drawNetlist,
+} from '../src/synthesis';
+
+jest.mock('codemirror');
+
+const tableOf = (text) => {
+    const { variables, outputs } = parseBooleanExpressions(text);
+    return { variables, names: outputs.map(({ name }) => name), values: expressionTruthTable(variables, outputs) };
+};
+
+const GATES = {
+    And: (inputs) => Math.min(...inputs),
+    Or: (inputs) => Math.max(...inputs),
+    Nand: (inputs) => 1 - Math.min(...inputs),
+    Nor: (inputs) => 1 - Math.max(...inputs),
+    Not: ([input]) => 1 - input,
+};
+
+// Outputs of a netlist for a row of the truth table
+const evaluate = (netlist, row) => {
+    const n = netlist.inputs.length;
+    const value = (signal) => {
+        if (signal === '0' || signal === '1') return Number(signal);
+        const index = Number(signal.slice(1));
+        if (signal[0] === 'i') return Math.floor(row / (2 ** (n - index - 1))) % 2;
+        const { type, inputs } = netlist.gates[index];
+        return GATES[type](inputs.map(value));
+    };
+    return netlist.outputs.map(value);
+};
+
+const counts = (netlist) => Object.entries(netlistReport(netlist).counts)
+    .filter(([, count]) => count)
+    .map(([type, count]) => `${count} ${type}`)
+    .join(', ');
+
+describe('synthesis styles', () => {
+    const functions = ['X = AB + AC', 'S = A ^ B ^ C; Co = AB + BC + AC', "Y = A'B'C'D' + ABCD + A'C", 'Z = 1; W = A & 0'];
+
+    test('every style realizes the function', () => {
+        functions.forEach((text) => {
+            const { variables, values } = tableOf(text);
+            SYNTHESIS_STYLES.forEach(({ id }) => {
+                const netlist = synthesize(id, variables, values);
+                values[0].forEach((_, row) => {
+                    expect([id, text, row, evaluate(netlist, row)]).toEqual([id, text, row, values.map((table) => table[row])]);
+                });
+            });
+        });
+    });
+
+    test('gates and depth are reported', () => {
+        const { variables, values } = tableOf('X = AB + AC');
+        const report = (style) => netlistReport(synthesize(style, variables, values));
+        // An inverter on every input and the constant, as it is drawn
+        expect(counts(synthesize('sop', variables, values))).toBe('2 And, 1 Or, 4 Not');
+        expect(report('sop')).toMatchObject({ gates: 7, gateInputs: 10, depth: 2 });
+        expect(counts(synthesize('factored', variables, values))).toBe('1 And, 1 Or');
+        expect(report('factored')).toMatchObject({ gates: 2, gateInputs: 4, depth: 2 });
+        expect(counts(synthesize('nand', variables, values))).toBe('3 Nand');
+        // (A)(B + C) with A inverted by a NOR
+        expect(counts(synthesize('nor', variables, values))).toBe('3 Nor');
+        expect(report('nor').depth).toBe(2);
+    });
+
+    test('product terms can be shared by the outputs', () => {
+        const { variables, values } = tableOf("X = AB + C; Y = AB + C'");
+        expect(counts(synthesize('shared', variables, values))).toBe('1 And, 2 Or, 1 Not');
+        expect(netlistReport(synthesize('sop', variables, values)).counts.And).toBe(2);
+    });
+});
+
+describe('synthesized circuits', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('are drawn as they were synthesized', () => {
+        const { variables, names, values } = tableOf("S = A ^ B ^ C; Co = AB + BC + AC; K = 1; Y = A'");
+        SYNTHESIS_STYLES.forEach(({ id }) => {
+            newCircuit(id);
+            drawNetlist(synthesize(id, variables, values), names);
+            expect(tabulateCircuit(globalScope).outputs.map((output) => output.values)).toEqual(values);
+        });
+    });
+
+    test('a style is chosen after comparing them', () => {
+        newCircuit('Chosen');
+        performCombinationalAnalysis('', '', 'X = AB + AC');
+        $('#combinationalAnalysis').dialog('option', 'buttons').find((button) => button.text === 'Generate Circuit').click();
+        expect($('#combinationalAnalysis tr')).toHaveLength(SYNTHESIS_STYLES.length + 1);
+        $('input[name="synthesisStyle"][value="nor"]').prop('checked', true);
+        $('#combinationalAnalysis').dialog('option', 'buttons')[0].click.call($('#combinationalAnalysis')[0]);
+        expect(globalScope.NorGate).toHaveLength(3);
+        expect(globalScope.AndGate).toHaveLength(0);
+        expect(tabulateCircuit(globalScope).outputs[0].values).toEqual(tableOf('X = AB + AC').values[0]);
+    });
+});
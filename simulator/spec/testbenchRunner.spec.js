@@ -0,0 +1,141 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import fs from 'fs';
+import path from 'path';
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import load from '../src/data/load';
+import { scopeList } from '../src/circuit';
+import { runAll } from '../src/testbench';
+import { errorDetectedSet } from '../src/engine';
+import { main, readTestbenches, runTestbenches } from '../src/headless/testbenchRunner';
+import gatesCircuit from './circuits/gates-circuitdata.json';
+import gatesTests from './testData/gates-testdata.json';
+import miscCircuit from './circuits/misc-circuitdata.json';
+import miscTests from './testData/misc-testdata.json';
+import plexersCircuit from './circuits/Decoders-plexers-circuitdata.json';
+import plexersTests from './testData/decoders-plexers.json';
+import sequentialCircuit from './circuits/sequential-circuitdata.json';
+import sequentialTests from './testData/sequential-testdata.json';
+import subCircuitCircuit from './circuits/subCircuit-circuitdata.json';
+import subCircuitTests from './testData/subCircuit-testdata.json';
+import rippleCircuit from './circuits/rippleCarryAdder-circuitdata.json';
+import rippleTests from './testData/ripple-carry-adder.json';
+import aluCircuit from './circuits/alu-circuitdata.json';
+import aluTests from './testData/alu-testdata.json';
+
+jest.mock('codemirror');
+
+// Every file in testData with the circuit it tests
+const fixtures = {
+    'gates-testdata.json': [gatesCircuit, gatesTests],
+    'misc-testdata.json': [miscCircuit, miscTests],
+    'decoders-plexers.json': [plexersCircuit, plexersTests],
+    'sequential-testdata.json': [sequentialCircuit, sequentialTests],
+    'subCircuit-testdata.json': [subCircuitCircuit, subCircuitTests],
+    'ripple-carry-adder.json': [rippleCircuit, rippleTests],
+    'alu-testdata.json': [aluCircuit, aluTests],
+};
+
+/**
+ * Runs the command line tool on in-memory files
+ */
+function run(argv, files) {
+    const io = {
+        out: '',
+        err: '',
+        written: {},
+        readFile: (file) => {
+            if (!(file in files)) throw new Error(`ENOENT: ${file}`);
+            return JSON.stringify(files[file]);
+        },
+        writeFile: (file, text) => { io.written[file] = text; },
+        stdout: (text) => { io.out += text; },
+        stderr: (text) => { io.err += text; },
+    };
+    const status = main(argv, io);
+    return { status, ...io };
+}
+
+const failingAnd = JSON.parse(JSON.stringify(gatesTests.AndGate));
+failingAnd.groups[0].outputs[0].values[3] = '0';
+
+describe('testbench command line runner', () => {
+    test('accepts creator output, bare test data and named testbenches', () => {
+        expect(readTestbenches({ scopeID: '1', testData: aluTests.testData })[0].scopeID).toBe('1');
+        expect(readTestbenches(aluTests.testData)).toHaveLength(1);
+        expect(readTestbenches(gatesTests).map((t) => t.name)).toEqual(Object.keys(gatesTests));
+        expect(() => readTestbenches({})).toThrow('No testbench found');
+    });
+
+    test('prints a table and exits with 0 when every case passes', () => {
+        const { status, out } = run(['circuit.cv', 'tests.json'], { 'circuit.cv': gatesCircuit, 'tests.json': gatesTests });
+        expect(status).toBe(0);
+        expect(out).toMatch(/AndGate\s+Group 1\s+4\/4\s+PASS/);
+        expect(out).toContain('26/26 cases passed');
+    });
+
+    test('runs sequential testbenches on a freshly loaded circuit', () => {
+        const { status, out } = run(['circuit.cv', 'tests.json'], { 'circuit.cv': sequentialCircuit, 'tests.json': sequentialTests });
+        expect(out).toMatch(/TFlipFlop\s+Set 1\s+4\/4\s+PASS/);
+        expect(status).toBe(0);
+    });
+
+    test('exits with 1 and lists failing cases', () => {
+        const { status, out } = run(['circuit.cv', 'tests.json'], { 'circuit.cv': gatesCircuit, 'tests.json': failingAnd });
+        expect(status).toBe(1);
+        expect(out).toMatch(/3\/4\s+FAIL/);
+        expect(out).toContain('expected 0, got 1');
+    });
+
+    test('writes JUnit XML', () => {
+        const { status, written } = run(
+            ['circuit.cv', 'tests.json', '--format', 'junit', '--output', 'report.xml'],
+            { 'circuit.cv': gatesCircuit, 'tests.json': failingAnd },
+        );
+        expect(status).toBe(1);
+        expect(written['report.xml']).toContain('<testsuites name="cv-testbench" tests="4" failures="1">');
+        expect(written['report.xml']).toContain('<failure message="out1: expected 0, got 1">');
+    });
+
+    test('writes TAP', () => {
+        const { out } = run(['circuit.cv', 'tests.json', '--format', 'tap'], { 'circuit.cv': gatesCircuit, 'tests.json': failingAnd });
+        expect(out).toMatch(/^TAP version 13\n1\.\.4\n/);
+        expect(out).toContain('ok 1 - ');
+        expect(out).toContain('not ok 4 - ');
+    });
+
+    test('exits with 2 on bad arguments or missing files', () => {
+        expect(run(['circuit.cv'], {}).status).toBe(2);
+        expect(run(['a', 'b', '--format', 'html'], {}).err).toContain('Unknown format');
+        expect(run(['circuit.cv', 'tests.json'], {}).err).toContain('ENOENT');
+    });
+});
+
+describe('testbench command line runner and runAll()', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('cover every fixture', () => {
+        expect(Object.keys(fixtures).sort()).toEqual(fs.readdirSync(path.join(__dirname, 'testData')).sort());
+    });
+
+    Object.entries(fixtures).forEach(([file, [circuit, tests]]) => {
+        test(`give the same results for ${file}`, () => {
+            const reports = runTestbenches(circuit, readTestbenches(tests));
+            load(circuit);
+            // Errors shown for an earlier circuit stop the simulation until the user acts
+            errorDetectedSet(false);
+            readTestbenches(tests).forEach(({ scopeID, data }, i) => {
+                const scope = scopeID !== undefined ? scopeList[scopeID] : globalScope;
+                const { detailed, summary } = runAll(JSON.parse(JSON.stringify(data)), scope);
+                const passed = detailed.groups.map((group) => Array.from({ length: group.n }, (_, caseIndex) => group.outputs
+                    .every((output) => output.values[caseIndex] === output.results[caseIndex])));
+                expect(summary).toEqual(reports[i].summary);
+                expect(passed).toEqual(reports[i].groups.map((group) => group.cases.map((testCase) => testCase.passed)));
+            });
+        });
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import simulationArea from '../src/simulationArea';
+import plotArea from '../src/plotArea';
+import { clockTick } from '../src/utils';
+import { trackCommand } from '../src/data/commands';
+import { TimeMachine, captureState, restoreState } from '../src/timeTravel';
+import { Debugger } from '../src/debugger';
+import Clock from '../src/sequential/Clock';
+import DflipFlop from '../src/sequential/DflipFlop';
+import RAM from '../src/sequential/RAM';
+import Rom from '../src/sequential/Rom';
+import SubCircuit from '../src/subcircuit';
+import Output from '../src/modules/Output';
+import NotGate from '../src/modules/NotGate';
+import Adder from '../src/modules/Adder';
+import Input from '../src/modules/Input';
+import Flag from '../src/modules/Flag';
+
+jest.mock('codemirror');
+
+describe('time travel', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    // The test drives the global clock itself
+    clearInterval(simulationArea.ClockInterval);
+
+    // A program counter counting up on the rising edges of the clock
+    const scope = newCircuit('Counter');
+    const clock = new Clock(0, 0, scope);
+    const pc = new DflipFlop(100, 0, scope, 'RIGHT', 4);
+    pc.label = 'PC';
+    const one = new Input(0, 100, scope, 'RIGHT', 4);
+    one.state = 1;
+    const adder = new Adder(200, 0, scope, 'RIGHT', 4);
+    const flag = new Flag(300, 0, scope, 'RIGHT', 4, 'pc');
+    const ram = new RAM(300, 200, scope, 'RIGHT', 8, 4);
+    const bigRam = new RAM(300, 300, scope, 'RIGHT', 8, 12);
+    const rom = new Rom(300, 400, scope, null, 12, 8);
+    clock.output1.connect(pc.clockInp);
+    pc.qOutput.connect(adder.inpA);
+    one.output1.connect(adder.inpB);
+    adder.sum.connect(pc.dInp);
+    pc.qOutput.connect(flag.inp1);
+
+    const timeMachine = new TimeMachine(scope);
+    const values = {}; // value of PC after each tick
+    const tick = () => {
+        clockTick();
+        values[simulationArea.clockTime] = pc.qOutput.value;
+    };
+
+    test('the state is restored as it was', () => {
+        for (let i = 0; i < 4; i++) tick();
+        const snapshot = captureState(scope);
+        const { masterState, slaveState } = pc;
+        const plots = flag.plotValues.length;
+        ram.data[3] = 9;
+        for (let i = 0; i < 3; i++) tick();
+        restoreState(snapshot, scope);
+        expect([pc.masterState, pc.slaveState]).toEqual([masterState, slaveState]);
+        expect(pc.qOutput.value).toBe(values[snapshot.clockTime]);
+        expect(ram.data[3]).toBeUndefined();
+        expect(flag.plotValues).toHaveLength(plots);
+        expect(simulationArea.clockTime).toBe(snapshot.clockTime);
+        // A snapshot is not changed by what runs after it is restored
+        ram.data[3] = 9;
+        restoreState(snapshot, scope);
+        expect(ram.data[3]).toBeUndefined();
+    });
+
+    test('what did not change is shared with the tick kept before and Rom data is not kept', () => {
+        const fieldsOf = (snapshot, element) => snapshot.elements.find(([object]) => object === element)[1];
+        const first = captureState(scope);
+        bigRam.data[700] = 5;
+        const second = captureState(scope, first);
+        const blocks = [first, second].map((snapshot) => fieldsOf(snapshot, bigRam).data.blocks);
+        expect(blocks[1]).toHaveLength(16);
+        expect(blocks[1].filter((block, i) => block !== blocks[0][i])).toEqual([blocks[1][2]]);
+        expect(fieldsOf(second, ram).data).toBe(fieldsOf(first, ram).data);
+        expect(fieldsOf(second, rom)).not.toHaveProperty('data');
+
+        rom.data[1] = 7;
+        restoreState(first, scope);
+        expect(bigRam.data).toHaveLength(4096);
+        expect(bigRam.data[700]).toBeUndefined();
+        expect(rom.data[1]).toBe(7);
+        restoreState(second, scope);
+        expect(bigRam.data[700]).toBe(5);
+        rom.data[1] = 0;
+        bigRam.data = new Array(4096);
+    });
+
+    test('stepping back goes to the last tick kept and the simulation goes on from there', () => {
+        timeMachine.attach();
+        const start = simulationArea.clockTime;
+        for (let i = 0; i < 6; i++) tick();
+        expect(timeMachine.snapshots.map(({ clockTime }) => clockTime - start)).toEqual([0, 1, 2, 3, 4, 5]);
+        const cycles = plotArea.cycleCount;
+
+        expect(timeMachine.stepBack()).toBe(start + 5);
+        expect(pc.qOutput.value).toBe(values[start + 5]);
+        expect(plotArea.cycleCount).toBe(cycles - 1);
+        expect(timeMachine.stepBack()).toBe(start + 4);
+        expect(pc.qOutput.value).toBe(values[start + 4]);
+
+        const expected = values[start + 5];
+        tick();
+        expect(pc.qOutput.value).toBe(expected);
+        expect(timeMachine.snapshots.map(({ clockTime }) => clockTime - start)).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('every few ticks are kept and an edit forgets them', () => {
+        timeMachine.detach();
+        timeMachine.every = 3;
+        timeMachine.attach();
+        const start = simulationArea.clockTime;
+        for (let i = 0; i < 7; i++) tick();
+        const kept = [0, 1, 2, 3, 4, 5, 6].map((i) => start + i).filter((time) => time % 3 === 0);
+        expect(timeMachine.snapshots.map(({ clockTime }) => clockTime)).toEqual(kept);
+
+        trackCommand('edit', () => {
+            one.x += 10;
+        }, scope);
+        expect(() => timeMachine.stepBack()).toThrow(/^The circuit was edited after tick \d+$/);
+        for (let i = 0; i < 3; i++) tick();
+        // Ticks kept before the edit are forgotten
+        expect(timeMachine.snapshots).toHaveLength(1);
+        timeMachine.detach();
+    });
+
+    test('the debugger steps back from a breakpoint', () => {
+        const debug = new Debugger(scope);
+        debug.attach();
+        debug.setBreakpoints('PC == 0');
+        for (let i = 0; i < 40 && !debug.paused; i++) tick();
+        expect(debug.hit).toBe('PC == 0');
+        const time = simulationArea.clockTime;
+        expect(debug.stepBack()).toBe(time - 1);
+        expect(pc.qOutput.value).toBe(15);
+        expect(debug.paused).toBe(true);
+        // The breakpoint is hit again when the tick is run again
+        debug.resume();
+        for (let i = 0; i < 40 && !debug.paused; i++) tick();
+        expect(simulationArea.clockTime).toBe(time);
+        debug.detach();
+    });
+
+    test('an edit inside a subcircuit forgets the ticks kept', () => {
+        const inner = newCircuit('Inverter');
+        const input = new Input(0, 0, inner, 'RIGHT', 1);
+        const not = new NotGate(100, 0, inner, 'RIGHT', 1);
+        const output = new Output(200, 0, inner, 'LEFT', 1);
+        input.output1.connect(not.inp1);
+        not.output1.connect(output.inp1);
+        const subcircuit = new SubCircuit(0, 300, scope, inner.id);
+
+        let snapshot = captureState(scope);
+        trackCommand('edit', () => {
+            input.x += 10;
+        }, inner);
+        expect(() => restoreState(snapshot, scope)).toThrow(/^The circuit was edited after tick \d+$/);
+
+        snapshot = captureState(scope);
+        trackCommand('edit', () => {
+            subcircuit.localScope.Input[0].x += 10;
+        }, subcircuit.localScope);
+        expect(() => restoreState(snapshot, scope)).toThrow(/^The circuit was edited after tick \d+$/);
+    });
+});
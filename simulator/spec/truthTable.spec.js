@@ -0,0 +1,144 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import load from '../src/data/load';
+import { newCircuit, scopeList } from '../src/circuit';
+import simulationArea from '../src/simulationArea';
+import {
+    tabulateCircuit, canonicalSOP, canonicalPOS, minimizedSOP, analysisSourceOptions, showCircuitAnalysis,
+} from '../src/truthTable';
+import Input from '../src/modules/Input';
+import Output from '../src/modules/Output';
+import AndGate from '../src/modules/AndGate';
+import OrGate from '../src/modules/OrGate';
+import XorGate from '../src/modules/XorGate';
+import Splitter from '../src/modules/Splitter';
+import DflipFlop from '../src/sequential/DflipFlop';
+import circuitData from './circuits/rippleCarryAdder-circuitdata.json';
+
+jest.mock('codemirror');
+
+describe('truth tables of circuits', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+    load(circuitData);
+    const rippleAdder = Object.values(scopeList).find((scope) => scope.name === '4 bit Full adder');
+
+    const input = (label, y, bitWidth = 1) => {
+        const element = new Input(0, y, globalScope, 'RIGHT', bitWidth);
+        element.label = label;
+        return element;
+    };
+    const output = (label, y, bitWidth = 1) => {
+        const element = new Output(300, y, globalScope, 'LEFT', bitWidth);
+        element.label = label;
+        return element;
+    };
+    const gate = (Gate, y, x1, x2) => {
+        const element = new Gate(100, y, globalScope, 'RIGHT', 2, 1);
+        x1.connect(element.inp[0]);
+        x2.connect(element.inp[1]);
+        return element.output1;
+    };
+
+    // Half adder with a 2 bit output and an unconnected one
+    newCircuit('Half adder');
+    const halfAdder = globalScope;
+    const a = input('A', 0);
+    const b = input('B', 50);
+    const sum = output('S', 0);
+    gate(XorGate, 0, a.output1, b.output1).connect(sum.inp1);
+    const carry = output('C', 50);
+    gate(AndGate, 50, a.output1, b.output1).connect(carry.inp1);
+    output('N', 100);
+    b.state = 1;
+
+    // Y = A1 + A0 B from a 2 bit A
+    newCircuit('Bus');
+    const bus = globalScope;
+    const wide = input('A', 0, 2);
+    const b2 = input('B', 50);
+    const splitter = new Splitter(50, 0, globalScope, 'RIGHT', 2, [1, 1]);
+    wide.output1.connect(splitter.inp1);
+    const y = output('Y', 0);
+    gate(OrGate, 0, splitter.outputs[1], gate(AndGate, 50, splitter.outputs[0], b2.output1)).connect(y.inp1);
+
+    // 11 input bits
+    newCircuit('Wide');
+    const wideCircuit = globalScope;
+    input('A', 0, 8);
+    input('B', 50, 3);
+    output('Y', 0);
+
+    // A register
+    newCircuit('Register');
+    const register = globalScope;
+    const d = input('D', 0);
+    const flipFlop = new DflipFlop(150, 200, globalScope, 'RIGHT', 1);
+    d.output1.connect(flipFlop.dInp);
+    flipFlop.qOutput.connect(output('Q', 0).inp1);
+
+    test('every input combination is simulated', () => {
+        const { variables, outputs } = tabulateCircuit(halfAdder);
+        expect(variables).toEqual(['A', 'B']);
+        expect(outputs).toEqual([
+            { name: 'S', values: [0, 1, 1, 0] },
+            { name: 'C', values: [0, 0, 0, 1] },
+            { name: 'N', values: ['x', 'x', 'x', 'x'] },
+        ]);
+        // The inputs are as they were
+        expect([a.state, b.state]).toEqual([0, 1]);
+    });
+
+    test('wide inputs and outputs are split into bits', () => {
+        const { variables, outputs } = tabulateCircuit(bus);
+        expect(variables).toEqual(['A1', 'A0', 'B']);
+        expect(outputs[0].values).toEqual([0, 0, 0, 1, 1, 1, 1, 1]);
+        expect(minimizedSOP(variables, outputs[0].values).split(' + ').sort()).toEqual(['A0*B', 'A1']);
+    });
+
+    test('canonical and minimized expressions', () => {
+        const variables = ['A', 'B'];
+        expect(canonicalSOP(variables, [0, 1, 1, 0])).toBe("A'B + AB'");
+        expect(canonicalPOS(variables, [0, 1, 1, 0])).toBe("(A + B)(A' + B')");
+        expect(canonicalSOP(variables, [0, 0, 0, 0])).toBe('0');
+        expect(canonicalPOS(variables, [1, 1, 1, 1])).toBe('1');
+        expect(minimizedSOP(variables, [1, 1, 1, 1])).toBe('1');
+        // Unknown outputs do not matter
+        expect(minimizedSOP(variables, [0, 1, 'x', 'x'])).toBe('B');
+        expect(minimizedSOP(['A', 'B', 'C'], [0, 0, 0, 1, 0, 1, 1, 1]).split(' + ').sort()).toEqual(['AB', 'AC', 'BC']);
+    });
+
+    test('only a selection is tabulated', () => {
+        const { variables, outputs } = tabulateCircuit(halfAdder, [a, carry]);
+        expect(variables).toEqual(['A']);
+        // B stays 1
+        expect(outputs).toEqual([{ name: 'C', values: [0, 1] }]);
+    });
+
+    test('circuits must be small, labeled and combinational', () => {
+        expect(tabulateCircuit(rippleAdder).variables).toHaveLength(9);
+        expect(() => tabulateCircuit(wideCircuit)).toThrow('at most 10 input bits, there are 11');
+        expect(() => tabulateCircuit(register)).toThrow('Register has a DflipFlop, only combinational circuits can be analyzed');
+        const unlabeled = new Input(0, 150, halfAdder, 'RIGHT', 1);
+        expect(() => tabulateCircuit(halfAdder)).toThrow('Every Input of Half adder needs a label');
+        unlabeled.delete();
+    });
+
+    test('are shown in the combinational analysis dialog', () => {
+        expect(analysisSourceOptions(scopeList)).not.toContain('selection');
+        simulationArea.multipleObjectSelections = [a, b, sum];
+        expect(analysisSourceOptions(scopeList)).toMatch(/^<option value="selection">/);
+        showCircuitAnalysis(halfAdder, true);
+        expect($('#combinationalAnalysis tr')).toHaveLength(5);
+        expect($('#combinationalAnalysis').text()).toContain("A'B + AB'");
+        simulationArea.multipleObjectSelections = [];
+
+        $('#combinationalAnalysis').html('<p id="analysisError"></p>');
+        showCircuitAnalysis(wideCircuit);
+        expect($('#analysisError').text()).toContain('at most 10 input bits');
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import { generateVCD, parseVCD } from '../src/vcd';
+import Flag from '../src/modules/Flag';
+
+jest.mock('codemirror');
+
+const date = new Date(Date.UTC(2024, 0, 1));
+
+// Same shape as a Scope, only what the dump needs
+const adder = {
+    name: 'half adder',
+    Flag: [{ identifier: 'carry', bitWidth: 1, plotValues: [[0, 0], [1.5, 1]] }],
+    SubCircuit: [],
+};
+const main = {
+    name: 'Main',
+    Flag: [
+        { identifier: 'clk', bitWidth: 1, plotValues: [[0, 0], [1, 1], [1.01, 1], [2, 0]] },
+        { identifier: 'bus', bitWidth: 4, plotValues: [[0, undefined], [1.02, 10]] },
+    ],
+    SubCircuit: [
+        { label: '', localScope: adder },
+        { label: 'empty', localScope: { name: 'empty', Flag: [], SubCircuit: [] } },
+    ],
+};
+
+describe('VCD export', () => {
+    const vcd = generateVCD(main, { cycleUnit: 100, date });
+    const lines = vcd.split('\n');
+
+    test('declares a scope per circuit with flagged signals', () => {
+        expect(vcd).toContain('$timescale 1ns $end');
+        const start = lines.indexOf('$scope module Main $end');
+        expect(lines.slice(start, lines.indexOf('$enddefinitions $end'))).toEqual([
+            '$scope module Main $end',
+            '$var wire 1 ! clk $end',
+            '$var wire 4 " bus [3:0] $end',
+            '$scope module half_adder_0 $end',
+            '$var wire 1 # carry $end',
+            '$upscope $end',
+            '$upscope $end',
+        ]);
+    });
+
+    test('dumps the initial values and every change in simulation units', () => {
+        expect(lines.slice(lines.indexOf('$enddefinitions $end') + 1)).toEqual([
+            '#0', '$dumpvars', '0!', 'bx "', '0#', '$end',
+            '#100', '1!',
+            '#102', 'b1010 "',
+            '#150', '1#',
+            '#200', '0!',
+            '',
+        ]);
+    });
+
+    test('writes wide values and custom timescales', () => {
+        const wide = BigInt(`0b1${'0'.repeat(98)}1`);
+        const scope = {
+            name: 'wide',
+            Flag: [{ identifier: 'w', bitWidth: 100, plotValues: [[0, 0n], [1, wide]] }],
+            SubCircuit: [],
+        };
+        const dump = generateVCD(scope, { cycleUnit: 10, timescale: '10ps', date });
+        expect(dump).toContain('$timescale 10ps $end');
+        expect(dump).toContain(`#10\nb1${'0'.repeat(98)}1 !\n`);
+    });
+
+    test('writes unknown and floating bits as x and z', () => {
+        const scope = {
+            name: 'unknown',
+            Flag: [
+                // Bit 0 is X and bit 2 is Z
+                { identifier: 'bus', bitWidth: 4, plotValues: [[0, 0b1000, 0b0001, 0b0100], [1, 0b1010], [2, 0b1010, 0b0001, 0]] },
+                { identifier: 'bit', bitWidth: 1, plotValues: [[0, 0, 0, 1], [1, 1]] },
+            ],
+            SubCircuit: [],
+        };
+        const dump = generateVCD(scope, { cycleUnit: 10, date });
+        expect(dump.slice(dump.indexOf('#0'))).toBe('#0\n$dumpvars\nb1z0x !\nz"\n$end\n#10\nb1010 !\n1"\n#20\nb101x !\n');
+    });
+
+    test('gives every signal its own identifier code', () => {
+        const scope = {
+            name: 'many',
+            Flag: Array.from({ length: 200 }, (_, i) => ({ identifier: `F${i}`, bitWidth: 1, plotValues: [] })),
+            SubCircuit: [],
+        };
+        const codes = generateVCD(scope, { date }).split('\n')
+            .filter((line) => line.startsWith('$var'))
+            .map((line) => line.split(' ')[3]);
+        expect(new Set(codes).size).toBe(200);
+        expect(codes.every((code) => /^[!-~]+$/.test(code))).toBe(true);
+    });
+});
+
+describe('VCD import', () => {
+    test('reads back an exported dump', () => {
+        const { timescale, signals } = parseVCD(generateVCD(main, { cycleUnit: 100, date }));
+        expect(timescale).toBe('1ns');
+        expect(signals.map((s) => [s.scope, s.name, s.bitWidth])).toEqual([
+            ['Main', 'clk', 1],
+            ['Main', 'bus', 4],
+            ['Main.half_adder_0', 'carry', 1],
+        ]);
+        expect(signals[0].changes).toEqual([[0, 0], [100, 1], [200, 0]]);
+        expect(signals[1].changes).toEqual([[0, undefined], [102, 10]]);
+    });
+
+    test('reads dumps of other simulators', () => {
+        const { timescale, signals } = parseVCD(`$date Mon Jan 1 $end
+$version Icarus Verilog $end
+$timescale 1 ps $end
+$scope module tb $end
+$var reg 1 ! rst $end
+$var wire 8 " data [7:0] $end
+$scope module dut $end
+$var wire 1 ! reset $end
+$var wire 40 # wide [39:0] $end
+$upscope $end
+$upscope $end
+$enddefinitions $end
+$comment initial values $end
+#0
+$dumpvars
+x!
+bz "
+b0 #
+$end
+#5
+1!
+b1010x " 
+#10
+0!
+B00000011 "
+#10
+b1${'0'.repeat(39)} #
+r1.5 $
+`);
+        expect(timescale).toBe('1ps');
+        const [rst, data, reset, wide] = signals;
+        expect(rst.changes).toEqual([[0, undefined], [5, 1], [10, 0]]);
+        expect(reset.changes).toEqual(rst.changes);
+        expect(data.changes).toEqual([[0, undefined], [10, 3]]);
+        expect(wide.changes).toEqual([[0, 0n], [10, BigInt(`0b1${'0'.repeat(39)}`)]]);
+    });
+
+    test('rejects broken dumps', () => {
+        expect(() => parseVCD('hello')).toThrow('No signals found');
+        expect(() => parseVCD('$var wire 1 ! a $end #0 1"')).toThrow('Unknown VCD identifier code "');
+        expect(() => parseVCD('$scope module a')).toThrow('Unterminated');
+        expect(() => parseVCD('$var wire 1 ! a $end #0 b12 !')).toThrow('Invalid VCD value');
+    });
+});
+
+describe('VCD of a circuit', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('flags plot the unknown bits of their input', () => {
+        const scope = newCircuit('Partly unknown');
+        const flag = new Flag(0, 0, scope, 'RIGHT', 4, 'bus');
+        flag.inp1.setFourState({ value: 0b1000, xMask: 0b0001, zMask: 0b0100 });
+        flag.resolve();
+        expect(flag.plotValues[0].slice(1)).toEqual([0b1000, 0b0001, 0b0100]);
+        expect(generateVCD(scope, { date })).toContain('b1z0x !');
+        // Known values are plotted without masks
+        flag.inp1.value = 0b1000;
+        flag.resolve();
+        expect(flag.plotValues[0].slice(1)).toEqual([0b1000]);
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { newCircuit } from '../src/circuit';
+import { verilog } from '../src/verilog';
+import { TestbenchData, runAll } from '../src/testbench';
+import Input from '../src/modules/Input';
+import Output from '../src/modules/Output';
+import AndGate from '../src/modules/AndGate';
+import Clock from '../src/sequential/Clock';
+import DflipFlop from '../src/sequential/DflipFlop';
+
+jest.mock('codemirror');
+
+const io = (label, bitWidth, values) => ({ label, bitWidth, values });
+
+const combData = {
+    type: 'comb',
+    title: 'and',
+    groups: [
+        {
+            label: 'Set 1',
+            inputs: [io('A', 2, ['00', '11']), io('B', 2, ['10', '10'])],
+            outputs: [io('Y', 2, ['00', '11'])],
+            n: 2,
+        },
+    ],
+};
+
+const seqData = {
+    type: 'seq',
+    title: 'register',
+    groups: [
+        {
+            label: 'Load "1"',
+            inputs: [io('D', 1, ['1', '0'])],
+            outputs: [io('Q', 1, ['1', '0'])],
+            n: 2,
+        },
+        {
+            label: '100% zero',
+            inputs: [io('D', 1, ['0'])],
+            outputs: [io('Q', 1, ['0'])],
+            n: 1,
+        },
+    ],
+};
+
+describe('Verilog testbench from test data', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    // Main: Y = A & B, with a wrong expected value in the second case
+    const a = new Input(0, 0, globalScope, 'RIGHT', 2);
+    a.label = 'A';
+    const b = new Input(0, 50, globalScope, 'RIGHT', 2);
+    b.label = 'B';
+    b.state = 1;
+    const and = new AndGate(100, 0, globalScope, 'RIGHT', 2, 2);
+    const y = new Output(200, 0, globalScope, 'LEFT', 2);
+    y.label = 'Y';
+    a.output1.connect(and.inp[0]);
+    b.output1.connect(and.inp[1]);
+    and.output1.connect(y.inp1);
+    globalScope.testbenchData = new TestbenchData(combData);
+
+    // Register: Q follows D on every clock
+    newCircuit('Register');
+    const d = new Input(0, 0);
+    d.label = 'D';
+    const reset = new Input(0, 100);
+    reset.label = 'RST';
+    const clk = new Clock(0, 50);
+    clk.label = 'clk';
+    const flipFlop = new DflipFlop(100, 0);
+    const q = new Output(200, 0, globalScope, 'LEFT');
+    q.label = 'Q';
+    d.output1.connect(flipFlop.dInp);
+    clk.output1.connect(flipFlop.clockInp);
+    reset.output1.connect(flipFlop.reset);
+    flipFlop.qOutput.connect(q.inp1);
+    globalScope.testbenchData = new TestbenchData(seqData);
+
+    const code = verilog.exportVerilog();
+    const testbench = (index) => {
+        const start = code.indexOf(`module TestBench${index}();`);
+        return code.slice(start, code.indexOf('endmodule', start)).split('\n').map((line) => line.trim());
+    };
+
+    test('replaces the sample with a testbench per tested circuit', () => {
+        expect(code).not.toContain('Sample Testbench');
+        const main = testbench(0);
+        expect(main).toEqual(expect.arrayContaining([
+            'reg [1:0] A;',
+            'wire [1:0] Y;',
+            'Main DUT0(Y, A, B);',
+            // untested values start as they are in the circuit
+            "B = 2'd1;",
+        ]));
+    });
+
+    test('checks every case', () => {
+        const main = testbench(0);
+        const firstCase = main.indexOf('// Set 1') + 1;
+        expect(main.slice(firstCase, firstCase + 8)).toEqual([
+            "A = 2'b00;",
+            "B = 2'b10;",
+            '#10;',
+            'total = total + 1;',
+            "if ({Y} === {2'b00})",
+            'passed = passed + 1;',
+            'else',
+            '$display("Set 1, case 1 failed: Y = %b (expected 00)", Y);',
+        ]);
+        expect(main.filter((line) => line === 'total = total + 1;')).toHaveLength(2);
+        expect(main).toContain('$display("Main: %0d out of %0d cases passed", passed, total);');
+    });
+
+    test('sequential tests tick the clock and reset after each group', () => {
+        const register = testbench(1);
+        expect(register).toContain('Register DUT1(Q, clk, D, RST);');
+        const firstCase = register.indexOf('// Load "1"') + 1;
+        expect(register.slice(firstCase, firstCase + 7)).toEqual([
+            "D = 1'b1;",
+            '#10;',
+            'clk = ~clk;',
+            '#10;',
+            'clk = ~clk;',
+            '#10;',
+            'total = total + 1;',
+        ]);
+        const secondGroup = register.indexOf('// 100% zero');
+        expect(register.slice(secondGroup - 5, secondGroup)).toEqual([
+            "RST = 1'b1;", '#10;', "RST = 1'b0;", '#10;', '',
+        ]);
+        expect(register).toContain('$display("Load \\"1\\", case 2 failed: Q = %b (expected 0)", Q);');
+        expect(register).toContain('$display("100%% zero, case 1 failed: Q = %b (expected 0)", Q);');
+    });
+
+    test('counts as many cases as runAll()', () => {
+        const { total } = runAll(seqData).summary;
+        expect(testbench(1).filter((line) => line === 'total = total + 1;')).toHaveLength(total);
+    });
+
+    test('names what is missing from the circuit', () => {
+        globalScope.testbenchData = new TestbenchData({
+            ...seqData,
+            groups: [{ ...seqData.groups[0], outputs: [io('P', 1, ['1', '0'])] }],
+        });
+        expect(verilog.exportVerilog()).toContain('// No testbench for Register: P is not in the circuit');
+    });
+});
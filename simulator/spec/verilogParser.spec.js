@@ -0,0 +1,225 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import { play } from '../src/engine';
+import { newCircuit } from '../src/circuit';
+import generateVerilogCircuit, { YosysJSON2CV } from '../src/Verilog2CV';
+import parseVerilog from '../src/verilogParser';
+
+jest.mock('codemirror');
+
+/**
+ * Builds the circuit of some Verilog code in a new tab
+ * @return {{set: function(Object), get: function(string): number}}
+ */
+function synthesize(code) {
+    newCircuit('Verilog');
+    const scope = globalScope;
+    YosysJSON2CV(parseVerilog(code), scope, 'verilogCircuit', {}, true);
+    const find = (elements, name) => elements.find((element) => element.label === name);
+    return {
+        set(values) {
+            Object.keys(values).forEach((name) => {
+                const element = find([...scope.Input, ...scope.Clock], name);
+                element.state = values[name];
+                if (element.objectType === 'Clock') element.output1.value = values[name];
+            });
+            play(scope);
+        },
+        get(name) {
+            return find(scope.Output, name).inp1.value;
+        },
+    };
+}
+
+describe('Verilog netlist', () => {
+    test('has the shape the Yosys server returns', () => {
+        const netlist = parseVerilog(`
+            module gate(input a, input b, output y);
+                assign y = a & b;
+            endmodule`);
+        expect(netlist).toEqual({
+            name: 'gate',
+            devices: {
+                dev0: {
+                    type: 'Input', net: 'a', order: 0, bits: 1,
+                },
+                dev1: {
+                    type: 'Input', net: 'b', order: 1, bits: 1,
+                },
+                dev2: {
+                    type: 'Output', net: 'y', order: 2, bits: 1,
+                },
+                dev3: { type: 'And', bits: 1 },
+            },
+            connectors: [
+                { from: { id: 'dev0', port: 'out' }, to: { id: 'dev3', port: 'in1' } },
+                { from: { id: 'dev1', port: 'out' }, to: { id: 'dev3', port: 'in2' } },
+                { from: { id: 'dev3', port: 'out' }, to: { id: 'dev2', port: 'in' } },
+            ],
+            subcircuits: {},
+        });
+    });
+
+    test('folds parameters and constant expressions', () => {
+        const { devices } = parseVerilog(`
+            module constants(y);
+                parameter W = 8;
+                localparam HALF = W / 2;
+                output [W-1:0] y;
+                assign y = {HALF{2'b10}} >> $clog2(W);
+            endmodule`);
+        expect(devices.dev0.bits).toBe(8);
+        expect(Object.values(devices).filter((device) => device.type === 'Constant'))
+            .toEqual([{ type: 'Constant', constant: '00010101' }]);
+    });
+
+    test('errors name the line', () => {
+        const module = (body) => `module m(input a, output reg y);\n${body}\nendmodule`;
+        expect(() => parseVerilog('')).toThrow('No module found');
+        expect(() => parseVerilog(module('initial y = 0;'))).toThrow('Line 2: "initial" is not supported');
+        expect(() => parseVerilog(module('always @* y = b;'))).toThrow('Line 2: b is not declared');
+        expect(() => parseVerilog(module('always @* if (a) y = 1;'))).toThrow('Line 2: y is not assigned on every path');
+        expect(() => parseVerilog(module('always @* y = a;\nalways @* y = !a;'))).toThrow('Line 3: y is assigned in more than one place');
+        expect(() => parseVerilog(module('assign y = a'))).toThrow('Line 3: expected ";" but found "endmodule"');
+        expect(() => parseVerilog(module('sub s(a, y);'))).toThrow('Line 2: module sub is not defined');
+    });
+});
+
+describe('circuits built from Verilog', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('parameterized adder with carry', () => {
+        const circuit = synthesize(`
+            module adder #(parameter W = 4) (
+                input [W-1:0] a, b,
+                input cin,
+                output [W-1:0] sum,
+                output cout
+            );
+                assign {cout, sum} = a + b + cin;
+            endmodule`);
+        circuit.set({ a: 9, b: 8, cin: 1 });
+        expect([circuit.get('sum'), circuit.get('cout')]).toEqual([2, 1]);
+        circuit.set({ a: 3, b: 4, cin: 0 });
+        expect([circuit.get('sum'), circuit.get('cout')]).toEqual([7, 0]);
+    });
+
+    test('combinational always block with case', () => {
+        const circuit = synthesize(`
+            module alu(input [1:0] op, input [3:0] a, b, output reg [3:0] y, output zero);
+                always @(*) begin
+                    case (op)
+                        2'b00: y = a + b;
+                        2'b01: y = a - b;
+                        2'b10: y = a & b;
+                        default: y = a ^ b;
+                    endcase
+                end
+                assign zero = y == 0;
+            endmodule`);
+        const results = [0, 1, 2, 3].map((op) => {
+            circuit.set({ op, a: 12, b: 10 });
+            return circuit.get('y');
+        });
+        expect(results).toEqual([6, 2, 8, 6]);
+        expect(circuit.get('zero')).toBe(0);
+        circuit.set({ op: 1, a: 5, b: 5 });
+        expect([circuit.get('y'), circuit.get('zero')]).toEqual([0, 1]);
+    });
+
+    test('bits assigned by a variable index', () => {
+        const circuit = synthesize(`
+            module decoder(input en, input [1:0] sel, output reg [3:0] y);
+                always @* begin
+                    y = 4'b0000;
+                    if (en) y[sel] = 1'b1;
+                end
+            endmodule`);
+        const results = [0, 1, 2, 3].map((sel) => {
+            circuit.set({ en: 1, sel });
+            return circuit.get('y');
+        });
+        expect(results).toEqual([1, 2, 4, 8]);
+        circuit.set({ en: 0 });
+        expect(circuit.get('y')).toBe(0);
+    });
+
+    test('counter with asynchronous reset on a clock', () => {
+        const circuit = synthesize(`
+            module counter(input clk, input rst, input en, output reg [3:0] count, output wrap);
+                localparam MAX = 4'd9;
+                always @(posedge clk or posedge rst) begin
+                    if (rst)
+                        count <= 0;
+                    else if (en)
+                        count <= count == MAX ? 0 : count + 1;
+                end
+                assign wrap = count == MAX;
+            endmodule`);
+        const tick = () => {
+            circuit.set({ clk: 0 });
+            circuit.set({ clk: 1 });
+        };
+        circuit.set({ rst: 1, en: 1, clk: 0 });
+        expect(circuit.get('count')).toBe(0);
+        circuit.set({ rst: 0 });
+        for (let i = 0; i < 9; i++) tick();
+        expect([circuit.get('count'), circuit.get('wrap')]).toEqual([9, 1]);
+        tick();
+        expect(circuit.get('count')).toBe(0);
+        circuit.set({ en: 0 });
+        tick();
+        expect(circuit.get('count')).toBe(0);
+        circuit.set({ en: 1 });
+        tick();
+        tick();
+        circuit.set({ rst: 1 });
+        expect(circuit.get('count')).toBe(0);
+    });
+
+    test('module instances become subcircuits', () => {
+        const code = `
+            module register #(parameter N = 1) (input c, input [N-1:0] d, output reg [N-1:0] q);
+                always @(posedge c) q <= d;
+            endmodule
+
+            module pipeline(input c, input [1:0] d, output [1:0] q, output parity);
+                wire [1:0] middle;
+                register #(.N(2)) first (.c(c), .d(d), .q(middle));
+                register #(2) second (c, middle, q);
+                xor (parity, q[0], q[1]);
+            endmodule`;
+        const netlist = parseVerilog(code);
+        expect(netlist.name).toBe('pipeline');
+        expect(Object.keys(netlist.subcircuits)).toEqual(['register#(N=2)']);
+
+        const circuit = synthesize(code);
+        const tick = () => {
+            circuit.set({ c: 0 });
+            circuit.set({ c: 1 });
+        };
+        circuit.set({ d: 2 });
+        tick();
+        tick();
+        expect([circuit.get('q'), circuit.get('parity')]).toEqual([2, 1]);
+        circuit.set({ d: 3 });
+        tick();
+        expect(circuit.get('q')).toBe(2);
+        tick();
+        expect([circuit.get('q'), circuit.get('parity')]).toEqual([3, 0]);
+    });
+
+    test('is used when Yosys can not be reached', () => {
+        const ajax = jest.spyOn($, 'ajax').mockImplementation(({ error }) => error({ status: 500 }));
+        newCircuit('Verilog', undefined, true, true);
+        generateVerilogCircuit('module inverter(input a, output y); assign y = ~a; endmodule');
+        expect(globalScope.name).toBe('inverter');
+        expect(globalScope.NotGate).toHaveLength(1);
+        ajax.mockRestore();
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * @jest-environment jsdom
+ */
+/* eslint-disable no-bitwise */
+
+import CodeMirror from 'codemirror';
+import { setup } from '../src/setup';
+import Adder from '../src/modules/Adder';
+import AndGate from '../src/modules/AndGate';
+import Splitter from '../src/modules/Splitter';
+import { extractBits, bin2dec } from '../src/node';
+import { parseNumber } from '../src/utils';
+import { toBitWidth } from '../src/wideValue';
+
+jest.mock('codemirror');
+describe('bit widths beyond 32 bits', () => {
+    CodeMirror.fromTextArea.mockReturnValueOnce({ setValue: (text) => {} });
+    setup();
+
+    test('node values are numbers up to 32 bits and BigInt beyond', () => {
+        expect(toBitWidth(5, 32)).toBe(5);
+        expect(toBitWidth(5, 64)).toBe(5n);
+        expect(toBitWidth(-1n, 64)).toBe((1n << 64n) - 1n);
+        expect(toBitWidth((1n << 40n) + 3n, 8)).toBe(3);
+    });
+
+    test('extractBits and bin2dec handle wide values', () => {
+        const value = (0xABCDn << 48n) | 0x1234n;
+        expect(extractBits(value, 1, 16)).toBe(0x1234);
+        expect(extractBits(value, 49, 64)).toBe(0xABCD);
+        expect(bin2dec('1'.repeat(40))).toBe((1n << 40n) - 1n);
+        expect(parseNumber('0xffffffffffffffff')).toBe((1n << 64n) - 1n);
+    });
+
+    test('64 bit adder', () => {
+        const adder = new Adder(0, 0, globalScope, 'RIGHT', 64);
+        adder.inpA.value = (1n << 64n) - 1n;
+        adder.inpB.value = 2;
+        adder.carryIn.value = 0;
+        adder.resolve();
+        expect(adder.sum.value).toBe(1n);
+        expect(adder.carryOut.value).toBe(1);
+    });
+
+    test('128 bit AND gate', () => {
+        const gate = new AndGate(0, 0, globalScope, 'RIGHT', 2, 128);
+        gate.inp[0].value = (1n << 127n) | 1n;
+        gate.inp[1].value = 1n << 127n;
+        gate.resolve();
+        expect(gate.output1.value).toBe(1n << 127n);
+    });
+
+    test('splitter combines narrow buses into a wide one', () => {
+        const splitter = new Splitter(0, 0, globalScope, 'RIGHT', 64, [32, 32]);
+        splitter.outputs[0].value = 0xFFFFFFFF;
+        splitter.outputs[1].value = 1;
+        splitter.resolve();
+        expect(splitter.inp1.value).toBe((1n << 32n) | 0xFFFFFFFFn);
+    });
+});
@@ -87,6 +87,7 @@ export function verilogModeSet(mode) {
 }
 
 import yosysTypeMap from './VerilogClasses';
+import parseVerilog from './verilogParser';
 
 class verilogSubCircuit {
     constructor(circuit) {
@@ -159,7 +160,44 @@ export function YosysJSON2CV(JSON, parentScope = globalScope, name = "verilogCir
     }
 }
 
+/**
+ * Replaces the circuit of a scope with the one described by netlist JSON
+ */
+function loadVerilogCircuit(circuitData, verilogCode, scope, message = 'Verilog Circuit Successfully Created') {
+    scope.initialize();
+    for(var id in scope.verilogMetadata.subCircuitScopeIds)
+        delete scopeList[id];
+    scope.verilogMetadata.subCircuitScopeIds = [];
+    scope.verilogMetadata.code = verilogCode;
+    var subCircuitScope = {};
+    YosysJSON2CV(circuitData, globalScope, "verilogCircuit", subCircuitScope, true);
+    changeCircuitName(circuitData.name);
+    showMessage(message);
+    $('#verilogOutput').empty();
+}
+
+/**
+ * Builds the circuit with the built-in synthesizer, for when the Yosys
+ * server can not be reached
+ */
+function generateVerilogCircuitLocally(verilogCode, scope) {
+    var circuitData;
+    try {
+        circuitData = parseVerilog(verilogCode);
+    }
+    catch (err) {
+        showError("Could not connect to Yosys and the built-in synthesizer can not read the code");
+        $('#verilogOutput').text(err.message);
+        return;
+    }
+    loadVerilogCircuit(circuitData, verilogCode, scope, 'Verilog Circuit Created by the built-in synthesizer');
+}
+
 export default function generateVerilogCircuit(verilogCode, scope = globalScope) {
+    if (!navigator.onLine) {
+        generateVerilogCircuitLocally(verilogCode, scope);
+        return;
+    }
     const url='/simulator/verilogcv';
     var params = {"code": verilogCode};
     $.ajax({
@@ -170,22 +208,13 @@ export default function generateVerilogCircuit(verilogCode, scope = globalScope)
         },
         data: params,
         success: function(response) {
-            var circuitData = response;
-            scope.initialize();
-            for(var id in scope.verilogMetadata.subCircuitScopeIds)
-                delete scopeList[id];
-            scope.verilogMetadata.subCircuitScopeIds = [];
-            scope.verilogMetadata.code = verilogCode;
-            var subCircuitScope = {};
-            YosysJSON2CV(circuitData, globalScope, "verilogCircuit", subCircuitScope, true);
-            changeCircuitName(circuitData.name);
-            showMessage('Verilog Circuit Successfully Created');
-            $('#verilogOutput').empty();
+            loadVerilogCircuit(response, verilogCode, scope);
         },
         error: function(XMLHttpRequest, textStatus, errorThrown) {
             var errorCode = XMLHttpRequest.status;
-            if (errorCode == 500) {
-                showError("Could not connect to Yosys");
+            // No server, no route or no Yosys behind it
+            if (errorCode == 0 || errorCode == 404 || errorCode >= 500) {
+                generateVerilogCircuitLocally(verilogCode, scope);
             }
             else {
                 showError("There is some issue with the code");
@@ -0,0 +1,68 @@
+/**
+ * Helpers shared by the analyses of combinational circuits: truth tables,
+ * Boolean functions, state machines and equivalence checking.
+ * @category analysisHelpers
+ */
+
+import * as metadata from './metadata.json';
+
+/**
+ * Most input bits of a truth table, and of a circuit checked by simulating
+ * every input vector
+ * @type {number}
+ * @category analysisHelpers
+ */
+export const MAX_VARIABLES = 10;
+
+/**
+ * Elements whose outputs depend on more than their inputs
+ * @type {string[]}
+ */
+const STATEFUL_TYPES = [
+    ...metadata.elementHierarchy['Sequential Elements'].map((element) => element.name),
+    'Button', 'Stepper', 'Random', 'Counter',
+];
+
+/**
+ * Labeled inputs or outputs of a circuit keyed by label
+ * @param {Scope} scope
+ * @param {string} type - Input or Output
+ * @param {Array<CircuitElement>=} elements - only those among these, in their order
+ * @return {Map<string, CircuitElement>}
+ * @category analysisHelpers
+ */
+export function portsOf(scope, type, elements = scope[type]) {
+    const ports = new Map();
+    elements.filter((element) => element.objectType === type).forEach((element) => {
+        const label = element.label.trim();
+        if (!label) throw new Error(`Every ${type} of ${scope.name} needs a label`);
+        if (ports.has(label)) throw new Error(`${scope.name} has more than one ${type} labeled ${label}`);
+        ports.set(label, element);
+    });
+    return ports;
+}
+
+/**
+ * Bit width of an element as a number
+ * @param {CircuitElement} element
+ * @return {number}
+ * @category analysisHelpers
+ */
+export function bitWidthOf(element) {
+    // Loaded circuits may hold bit widths as strings
+    return Number(element.bitWidth);
+}
+
+/**
+ * Throws if a circuit or one of its subcircuits holds state
+ * @param {Scope} scope
+ * @category analysisHelpers
+ */
+export function checkCombinational(scope) {
+    STATEFUL_TYPES.forEach((type) => {
+        if (scope[type] && scope[type].length) {
+            throw new Error(`${scope.name} has a ${type}, only combinational circuits can be analyzed`);
+        }
+    });
+    scope.SubCircuit.forEach((subCircuit) => checkCombinational(subCircuit.localScope));
+}
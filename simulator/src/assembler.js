@@ -0,0 +1,489 @@
+/* eslint-disable import/no-cycle */
+/* eslint-disable no-bitwise */
+/**
+ * Assembler for CPUs built in the simulator. The instruction set is made up
+ * by the user, a line per instruction giving its mnemonic, its operands and
+ * the layout of its bits from the highest down:
+ *
+ *     .width 8              ; bits per word of the program memory
+ *     .define r1 1          ; a name operands may use
+ *     LDA addr : 0001 addr:4
+ *     LDI #imm : 0101 imm:4 ; operands may be marked, #5 is not the same as 5
+ *     NOP      : 0000 0000
+ *
+ * An instruction whose layout is longer than a word takes several words,
+ * the highest bits first. Programs have a statement per line:
+ *
+ *     start: LDI #0         ; a label and an instruction
+ *            JMP start
+ *     count = 3             ; a name for a value, like .equ count, 3
+ *            .org 0x0e      ; where the next words go
+ *     data:  .word 1, count ; words of data
+ *
+ * Values are decimal, 0x hex or 0b binary numbers, names, or $ for the
+ * address of the statement, added or subtracted. The words are loaded into
+ * a Rom, EEPROM or RAM, the listing shows the words made from each line and
+ * the line of the word the memory read last.
+ * @category assembler
+ */
+
+import simulationArea from './simulationArea';
+import { loadMemory, memoryWordWidth } from './memoryEditor';
+import { describeElement } from './projectDiff';
+import {
+    download, escapeHtml, showError, showMessage,
+} from './utils';
+import { MAX_BITWIDTH, toBitWidth } from './wideValue';
+
+const NAME = '[A-Za-z_.][A-Za-z0-9_.]*';
+const LABEL = new RegExp(`^(${NAME}):(.*)$`);
+const EQUATE = new RegExp(`^(${NAME})\\s*=\\s*(.+)$`);
+const INSTRUCTION = new RegExp(`^(${NAME})\\s*([^:]*?)\\s*:\\s*(.+)$`);
+const OPERAND = /^([^A-Za-z0-9_]*)([A-Za-z_]\w*)([^A-Za-z0-9_]*)$/;
+const TARGET_TYPES = ['Rom', 'EEPROM', 'RAM']; // Memories a program can be loaded into
+const REFRESH_INTERVAL = 250; // Refresh rate of the line read last (in ms)
+
+const DEFAULT_INSTRUCTION_SET = `; mnemonic operands : layout, highest bits first
+.width 8
+NOP      : 0000 0000
+LDA addr : 0001 addr:4
+ADD addr : 0010 addr:4
+SUB addr : 0011 addr:4
+STA addr : 0100 addr:4
+LDI #imm : 0101 imm:4
+JMP addr : 0110 addr:4
+JC addr  : 0111 addr:4
+JZ addr  : 1000 addr:4
+OUT      : 1110 0000
+HLT      : 1111 0000`;
+
+const DEFAULT_PROGRAM = `; Counts up by 3 until the count overflows
+start:  LDI #0
+loop:   ADD three
+        OUT
+        JC end
+        JMP loop
+end:    HLT
+three:  .word 3`;
+
+let panel; // The program shown in the assembler panel, {program, timer}
+
+/**
+ * Error pointing at a line of the instruction set or the program
+ * @param {number} line - counted from 1
+ * @param {string} message
+ * @return {Error} with the line in error.line
+ */
+function lineError(line, message) {
+    const error = new Error(`Line ${line}: ${message}`);
+    error.line = line;
+    return error;
+}
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+const withoutComment = (line) => line.replace(/;.*/, '').trim();
+
+/**
+ * Value of a number, a name or $
+ * @param {string} token
+ * @param {Map<string, bigint>} symbols
+ * @param {number} address - of the statement
+ * @param {number} line
+ * @return {bigint}
+ */
+function termValue(token, symbols, address, line) {
+    if (/^(\d+|0x[0-9a-f]+|0b[01]+)$/i.test(token)) return BigInt(token);
+    if (token === '$') return BigInt(address);
+    if (symbols.has(token)) return symbols.get(token);
+    throw lineError(line, `${token} is not defined`);
+}
+
+/**
+ * Value of a sum like start+2 or -1
+ * @param {string} text
+ * @param {Map<string, bigint>} symbols
+ * @param {number} address
+ * @param {number} line
+ * @return {bigint}
+ */
+function evaluate(text, symbols, address, line) {
+    const tokens = text.match(/[+-]|[^\s+-]+/g) || [];
+    let total = 0n;
+    let sign = 1n;
+    let term = true; // Whether a term comes next
+    tokens.forEach((token) => {
+        if (token === '+' || token === '-') {
+            if (!term) sign = 1n;
+            if (token === '-') sign = -sign;
+            term = true;
+            return;
+        }
+        if (!term) throw lineError(line, `${text} is not a value`);
+        total += sign * termValue(token, symbols, address, line);
+        term = false;
+    });
+    if (term) throw lineError(line, `${text || 'nothing'} is not a value`);
+    return total;
+}
+
+/**
+ * Reads an instruction set
+ * @param {string} text - as described at the top of this file
+ * @return {{width: number, instructions: Array<Object>, symbols: Map<string, bigint>}}
+ * @category assembler
+ */
+export function parseInstructionSet(text) {
+    const isa = { width: 8, instructions: [], symbols: new Map() };
+    text.split('\n').forEach((raw, i) => {
+        const line = i + 1;
+        const statement = withoutComment(raw);
+        if (!statement) return;
+        const width = statement.match(/^\.width\s+(\d+)$/i);
+        if (width) {
+            isa.width = parseInt(width[1], 10);
+            if (isa.width < 1 || isa.width > MAX_BITWIDTH) throw lineError(line, `words are 1 to ${MAX_BITWIDTH} bits wide`);
+            return;
+        }
+        const define = statement.match(new RegExp(`^\\.define\\s+(${NAME})\\s+(.+)$`, 'i'));
+        if (define) {
+            isa.symbols.set(define[1], evaluate(define[2], isa.symbols, 0, line));
+            return;
+        }
+        const match = statement.match(INSTRUCTION);
+        if (!match) throw lineError(line, `"${statement}" is not an instruction like "ADD addr : 0010 addr:4"`);
+        const operands = (match[2] ? match[2].split(',') : []).map((operand) => {
+            const parts = operand.trim().match(OPERAND);
+            if (!parts) throw lineError(line, `"${operand.trim()}" is not an operand`);
+            return { prefix: parts[1], name: parts[2], suffix: parts[3] };
+        });
+        const layout = match[3].split(/\s+/).map((part) => {
+            if (/^[01_]+$/.test(part)) {
+                const bits = part.replace(/_/g, '');
+                return { bits: bits.length, value: BigInt(`0b${bits}`) };
+            }
+            const field = part.match(/^(\w+):(\d+)$/);
+            if (!field || !operands.some(({ name }) => name === field[1])) throw lineError(line, `${part} is neither bits nor an operand`);
+            return { bits: parseInt(field[2], 10), field: field[1] };
+        });
+        operands.forEach(({ name }) => {
+            if (!layout.some(({ field }) => field === name)) throw lineError(line, `${name} is not in the layout`);
+        });
+        isa.instructions.push({
+            mnemonic: match[1].toUpperCase(), operands, layout, bits: layout.reduce((sum, { bits }) => sum + bits, 0), line,
+        });
+    });
+    if (!isa.instructions.length) throw new Error('The instruction set has no instructions');
+    isa.instructions.forEach(({ mnemonic, bits, line }) => {
+        if (bits % isa.width) throw lineError(line, `${mnemonic} has ${bits} bits, not a multiple of the ${isa.width} bit words`);
+    });
+    return isa;
+}
+
+/**
+ * Instruction a statement is, marked operands are matched first
+ * @param {Object} isa
+ * @param {string} mnemonic
+ * @param {Array<string>} operands
+ * @param {number} line
+ * @return {Object} the instruction
+ */
+function findInstruction(isa, mnemonic, operands, line) {
+    const marks = ({ operands: list }) => list.reduce((sum, { prefix, suffix }) => sum + prefix.length + suffix.length, 0);
+    const fits = isa.instructions
+        .filter((instruction) => instruction.mnemonic === mnemonic.toUpperCase() && instruction.operands.length === operands.length)
+        .filter((instruction) => instruction.operands.every(({ prefix, suffix }, i) => operands[i].length > prefix.length + suffix.length
+            && operands[i].startsWith(prefix) && operands[i].endsWith(suffix)))
+        .sort((a, b) => marks(b) - marks(a));
+    if (!fits.length) {
+        const known = isa.instructions.some((instruction) => instruction.mnemonic === mnemonic.toUpperCase());
+        throw lineError(line, known ? `${mnemonic} does not take ${operands.join(', ') || 'no operands'}` : `${mnemonic} is not an instruction`);
+    }
+    return fits[0];
+}
+
+/**
+ * Words of an instruction, the highest first
+ * @param {Object} statement
+ * @param {Object} isa
+ * @param {Map<string, bigint>} symbols
+ * @return {Array<bigint>}
+ */
+function encode({
+    instruction, operands, address, line,
+}, isa, symbols) {
+    const values = new Map(instruction.operands.map(({ prefix, suffix, name }, i) => {
+        const text = operands[i].slice(prefix.length, operands[i].length - suffix.length).trim();
+        return [name, evaluate(text, symbols, address, line)];
+    }));
+    let bits = 0n;
+    instruction.layout.forEach(({ bits: size, value, field }) => {
+        let part = value;
+        if (field) {
+            part = values.get(field);
+            // Negative values are two's complement
+            if (part < -(1n << BigInt(size - 1)) || part >= (1n << BigInt(size))) throw lineError(line, `${part} does not fit in ${field} (${size} bits)`);
+            part = BigInt.asUintN(size, part);
+        }
+        bits = (bits << BigInt(size)) | part;
+    });
+    const count = instruction.bits / isa.width;
+    return Array.from({ length: count }, (_, i) => BigInt.asUintN(isa.width, bits >> BigInt((count - 1 - i) * isa.width)));
+}
+
+/**
+ * Listing of a program, the address and words of each line and the names defined
+ * @param {Array<Object>} statements
+ * @param {Array<Array<bigint>>} made - words made from each statement
+ * @param {Map<string, bigint>} labels - names defined by the program
+ * @param {number} width
+ * @return {string}
+ */
+function listingOf(statements, made, labels, width) {
+    const digits = Math.ceil(width / 4);
+    const codes = made.map((words) => words.map((word) => hex(word, digits)).join(' '));
+    const column = Math.max(0, ...codes.map((code) => code.length));
+    const lines = statements.map(({ line, address, text }, i) => {
+        const where = codes[i] ? hex(address, 4) : '    ';
+        return `${String(line).padStart(4)}  ${where}  ${codes[i].padEnd(column)}  ${text}`;
+    });
+    if (labels.size) {
+        lines.push('', 'Symbols');
+        labels.forEach((value, name) => lines.push(`${name.padEnd(16)} ${value < 0n ? value : hex(value, 4)}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Assembles a program
+ * @param {string} source - as described at the top of this file
+ * @param {Object} isa - as parseInstructionSet() returns it
+ * @return {{width: number, words: Array<number|bigint>, lines: Array<number>, listing: string,
+ * errors: Array<Error>}} sparse arrays of the words and the line each comes from, by address,
+ * and the errors with their line in error.line
+ * @category assembler
+ */
+export function assemble(source, isa) {
+    const errors = [];
+    const symbols = new Map(isa.symbols);
+    const labels = new Map();
+    const define = (name, value, line) => {
+        if (symbols.has(name)) throw lineError(line, `${name} is defined twice`);
+        symbols.set(name, value);
+        labels.set(name, value);
+    };
+    // The addresses of the lines and the names they define
+    let address = 0;
+    const statements = source.split('\n').map((raw, i) => {
+        const statement = {
+            line: i + 1, text: raw.replace(/\s+$/, ''), address, size: 0,
+        };
+        try {
+            let rest = withoutComment(raw);
+            const label = rest.match(LABEL);
+            if (label) {
+                define(label[1], BigInt(address), statement.line);
+                rest = label[2].trim();
+            }
+            const equate = rest.match(EQUATE) || rest.match(new RegExp(`^\\.equ\\s+(${NAME})\\s*,\\s*(.+)$`, 'i'));
+            const directive = rest.match(/^(\.\w+)\s*(.*)$/);
+            if (!rest) return statement;
+            if (equate) {
+                define(equate[1], evaluate(equate[2], symbols, address, statement.line), statement.line);
+            } else if (directive && directive[1].toLowerCase() === '.org') {
+                address = Number(evaluate(directive[2], symbols, address, statement.line));
+                if (address < 0) throw lineError(statement.line, 'addresses can not be negative');
+                statement.address = address;
+            } else if (directive && directive[1].toLowerCase() === '.word') {
+                statement.values = directive[2].split(',').map((value) => value.trim());
+                statement.size = statement.values.length;
+            } else if (directive) {
+                throw lineError(statement.line, `${directive[1]} is not a directive`);
+            } else {
+                const [, mnemonic, operands] = rest.match(/^(\S+)\s*(.*)$/);
+                statement.operands = operands ? operands.split(',').map((operand) => operand.trim()) : [];
+                statement.instruction = findInstruction(isa, mnemonic, statement.operands, statement.line);
+                statement.size = statement.instruction.bits / isa.width;
+            }
+        } catch (err) {
+            errors.push(err);
+        }
+        address = statement.address + statement.size;
+        return statement;
+    });
+
+    const words = [];
+    const lines = [];
+    // Words made from each line
+    const made = statements.map((statement) => {
+        const { line } = statement;
+        if (!statement.size) return [];
+        try {
+            const values = statement.values ? statement.values.map((value) => {
+                const word = evaluate(value, symbols, statement.address, line);
+                if (word < -(1n << BigInt(isa.width - 1)) || word >= (1n << BigInt(isa.width))) throw lineError(line, `${word} does not fit in ${isa.width} bits`);
+                return BigInt.asUintN(isa.width, word);
+            }) : encode(statement, isa, symbols);
+            values.forEach((word, i) => {
+                const at = statement.address + i;
+                if (lines[at] !== undefined) throw lineError(line, `address ${hex(at, 4)} is taken by line ${lines[at]}`);
+                words[at] = toBitWidth(word, isa.width);
+                lines[at] = line;
+            });
+            return values;
+        } catch (err) {
+            errors.push(err);
+            return [];
+        }
+    });
+    return {
+        width: isa.width, words, lines, listing: listingOf(statements, made, labels, isa.width), errors,
+    };
+}
+
+/**
+ * Name of a memory for people
+ * @param {CircuitElement} element
+ * @return {string}
+ */
+function memoryName(element) {
+    return describeElement({
+        type: element.objectType, label: element.label, x: element.x, y: element.y,
+    });
+}
+
+/**
+ * Loads an assembled program into a memory, it can be undone
+ * @param {Object} program - as assemble() returns it, without errors
+ * @param {CircuitElement} element - Rom, EEPROM or RAM
+ * @category assembler
+ */
+export function loadProgram(program, element) {
+    const width = memoryWordWidth(element);
+    if (program.errors.length) throw new Error('The program has errors');
+    if (width < program.width) throw new Error(`${memoryName(element)} holds ${width} bit words, the program has ${program.width} bit words`);
+    if (program.words.length > element.data.length) throw new Error(`The program takes ${program.words.length} words, ${memoryName(element)} has ${element.data.length}`);
+    loadMemory(element, program.words.map((word) => toBitWidth(word, width)));
+}
+
+/**
+ * Memories of the current circuit a program can be loaded into
+ * @return {Array<CircuitElement>}
+ */
+function targets() {
+    return TARGET_TYPES.flatMap((type) => globalScope[type]);
+}
+
+/**
+ * Shows the listing, the line of the word the memory read last is marked
+ */
+function updateListing() {
+    if (!panel.program) return;
+    const target = targets()[$('#assemblerTarget').val()];
+    const current = target && target.lastRead !== undefined ? panel.program.lines[target.lastRead] : undefined;
+    if (current === panel.current && $('#assemblerListing').children().length) return;
+    panel.current = current;
+    const lines = panel.program.listing.split('\n').map((text, i) => {
+        const style = i + 1 === current ? ' style="background:lightgreen"' : '';
+        return `<span class="assemblerLine" data-line="${i + 1}"${style}>${escapeHtml(text)}</span>`;
+    });
+    $('#assemblerListing').html(lines.join('\n'));
+}
+
+/**
+ * Assembles the program of the panel and shows the listing or the errors
+ * @return {Object|null} the program, or null if it can not be assembled
+ */
+function assemblePanel() {
+    const instructionSet = $('#assemblerInstructionSet').val();
+    const source = $('#assemblerSource').val();
+    globalScope.assemblerData = { instructionSet, source };
+    $('#assemblerErrors').text('');
+    let program;
+    try {
+        program = assemble(source, parseInstructionSet(instructionSet));
+    } catch (err) {
+        $('#assemblerErrors').text(`Instruction set: ${err.message}`);
+        return null;
+    }
+    panel.program = program;
+    panel.current = undefined;
+    $('#assemblerListing').empty();
+    updateListing();
+    $('#assemblerErrors').text(program.errors.map(({ message }) => message).join('\n'));
+    return program.errors.length ? null : program;
+}
+
+/**
+ * Stops marking the listing when the panel is closed
+ */
+function closeAssemblerPanel() {
+    if (!panel) return;
+    clearInterval(panel.timer);
+    panel = undefined;
+}
+
+/**
+ * The assembler panel of the current circuit, the instruction set and the
+ * program are saved with the circuit
+ * @category assembler
+ */
+export function createAssemblerPrompt() {
+    closeAssemblerPanel();
+    panel = {};
+    const { instructionSet, source } = globalScope.assemblerData || { instructionSet: DEFAULT_INSTRUCTION_SET, source: DEFAULT_PROGRAM };
+    const memories = targets();
+    const selected = Math.max(0, memories.indexOf(simulationArea.lastSelected));
+    const options = memories.map((element, i) => `<option value="${i}"${i === selected ? ' selected' : ''}>${escapeHtml(memoryName(element))}</option>`);
+    $('#assemblerDialog').empty();
+    $('#assemblerDialog').append(`<div style="display:flex; gap:20px">
+        <div>
+        <p>Instruction set</p>
+        <textarea id="assemblerInstructionSet" rows="10" cols="40" spellcheck="false"></textarea>
+        <p>Program</p>
+        <textarea id="assemblerSource" rows="12" cols="40" spellcheck="false"></textarea>
+        <pre id="assemblerErrors"></pre>
+        <p>Load into <select id="assemblerTarget">${options.join('') || '<option value="">No Rom, EEPROM or RAM in this circuit</option>'}</select></p>
+        </div>
+        <pre id="assemblerListing"></pre>
+        </div>`);
+    $('#assemblerInstructionSet').val(instructionSet);
+    $('#assemblerSource').val(source);
+    panel.timer = setInterval(updateListing, REFRESH_INTERVAL);
+    $('#assemblerDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        close: closeAssemblerPanel,
+        buttons: [
+            {
+                style: 'padding: 6px',
+                text: 'Assemble',
+                click() {
+                    assemblePanel();
+                },
+            },
+            {
+                style: 'padding: 6px',
+                text: 'Load',
+                click() {
+                    const program = assemblePanel();
+                    const target = targets()[$('#assemblerTarget').val()];
+                    if (!program || !target) return;
+                    try {
+                        loadProgram(program, target);
+                        showMessage(`${program.words.filter((word) => word !== undefined).length} words loaded into ${memoryName(target)}`);
+                    } catch (err) {
+                        showError(err.message);
+                    }
+                },
+            },
+            {
+                style: 'padding: 6px',
+                text: 'Download Listing',
+                click() {
+                    assemblePanel();
+                    if (panel.program) download(`${globalScope.name || 'program'}.lst`, panel.program.listing);
+                },
+            },
+        ],
+    });
+}
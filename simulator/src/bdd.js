@@ -0,0 +1,156 @@
+/**
+ * Reduced ordered binary decision diagrams.
+ *
+ * A function is the index of its root node, 0 is false and 1 is true.
+ * Variables are numbered from 0, lower numbers are closer to the root.
+ * Nodes are shared, so two functions are equal exactly when their indices
+ * are equal.
+ * @category bdd
+ */
+
+const TERMINAL = Infinity; // Variable of the two terminal nodes
+
+/**
+ * @category bdd
+ */
+export default class BDD {
+    /**
+     * @param {number=} maxNodes - size after which operations give up
+     */
+    constructor(maxNodes = 2000000) {
+        this.maxNodes = maxNodes;
+        this.variables = [TERMINAL, TERMINAL];
+        this.lows = [0, 1];
+        this.highs = [0, 1];
+        this.unique = new Map(); // "variable,low,high" -> node
+        this.cache = new Map(); // "f,g,h" -> ite(f, g, h)
+    }
+
+    /**
+     * Node with a variable and two children, shared if it already exists
+     * @param {number} variable
+     * @param {number} low - function when the variable is 0
+     * @param {number} high - function when the variable is 1
+     * @return {number}
+     */
+    node(variable, low, high) {
+        if (low === high) return low;
+        const key = `${variable},${low},${high}`;
+        let node = this.unique.get(key);
+        if (node === undefined) {
+            if (this.variables.length >= this.maxNodes) {
+                throw new Error('The decision diagram grew too large, the circuits are too complex to compare');
+            }
+            node = this.variables.length;
+            this.variables.push(variable);
+            this.lows.push(low);
+            this.highs.push(high);
+            this.unique.set(key, node);
+        }
+        return node;
+    }
+
+    /**
+     * @param {number} index
+     * @return {number} function that is the variable
+     */
+    variable(index) {
+        return this.node(index, 0, 1);
+    }
+
+    /**
+     * Cofactor of a function for a variable at the top
+     * @param {number} f
+     * @param {number} variable
+     * @param {number} value
+     * @return {number}
+     */
+    restrictTop(f, variable, value) {
+        if (this.variables[f] !== variable) return f;
+        return value ? this.highs[f] : this.lows[f];
+    }
+
+    /**
+     * If f then g else h
+     * @param {number} f
+     * @param {number} g
+     * @param {number} h
+     * @return {number}
+     */
+    ite(f, g, h) {
+        if (f === 1) return g;
+        if (f === 0) return h;
+        if (g === h) return g;
+        if (g === 1 && h === 0) return f;
+        const key = `${f},${g},${h}`;
+        const cached = this.cache.get(key);
+        if (cached !== undefined) return cached;
+        const variable = Math.min(this.variables[f], this.variables[g], this.variables[h]);
+        const low = this.ite(
+            this.restrictTop(f, variable, 0),
+            this.restrictTop(g, variable, 0),
+            this.restrictTop(h, variable, 0),
+        );
+        const high = this.ite(
+            this.restrictTop(f, variable, 1),
+            this.restrictTop(g, variable, 1),
+            this.restrictTop(h, variable, 1),
+        );
+        const result = this.node(variable, low, high);
+        this.cache.set(key, result);
+        return result;
+    }
+
+    not(f) {
+        return this.ite(f, 0, 1);
+    }
+
+    and(f, g) {
+        return this.ite(f, g, 0);
+    }
+
+    or(f, g) {
+        return this.ite(f, 1, g);
+    }
+
+    xor(f, g) {
+        return this.ite(f, this.not(g), g);
+    }
+
+    /**
+     * Value of a function for an assignment
+     * @param {number} f
+     * @param {function(number): number} valueOf - value of a variable
+     * @return {number} 0 or 1
+     */
+    evaluate(f, valueOf) {
+        let node = f;
+        while (node > 1) {
+            node = valueOf(this.variables[node]) ? this.highs[node] : this.lows[node];
+        }
+        return node;
+    }
+
+    /**
+     * An assignment that makes a function true
+     * @param {number} f
+     * @return {Map<number, number>|null} values of the variables on the way,
+     * the others do not matter. null if the function is always false
+     */
+    satisfy(f) {
+        if (f === 0) return null;
+        const assignment = new Map();
+        let node = f;
+        while (node > 1) {
+            // A child other than false always leads to true
+            if (this.highs[node] !== 0) {
+                assignment.set(this.variables[node], 1);
+                node = this.highs[node];
+            } else {
+                assignment.set(this.variables[node], 0);
+                node = this.lows[node];
+            }
+        }
+        return assignment;
+    }
+}
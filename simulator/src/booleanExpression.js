@@ -0,0 +1,318 @@
+/**
+ * Parser for the Boolean functions of combinational analysis.
+ *
+ * Several functions are separated by semicolons and each may
+ * be named, like X = AB' + C; Y = sel & en. Names start with a letter or
+ * an underscore. Letters of one case side by side, like AB' or xy', are the
+ * product of single letter variables as in textbooks, unless the function
+ * writes its products with an operator or a space or has other names longer
+ * than a letter: then they are a name, like CIN in COUT = A B + CIN (A ^ B).
+ * The names of the functions are never split. From the tightest:
+ * - NOT: !A, ~A or A'
+ * - AND: A*B, A&B, A.B or side by side
+ * - XOR: A^B
+ * - OR: A+B or A|B
+ * and 0, 1 and parentheses.
+ * @category booleanExpression
+ */
+
+import { MAX_VARIABLES } from './analysisHelpers';
+
+const TOKEN = /\s+|([A-Za-z_][A-Za-z0-9_]*)|([0-9]+)|([+|*&.^!~'()=;])/y;
+const LETTERS = /^([A-Z]{2,}|[a-z]{2,})$/; // Letters of one case that may be a product
+
+const endsFactor = (token) => token.type === 'name' || token.type === 'constant' || token.text === ')' || token.text === "'";
+const startsFactor = (token) => token.type === 'name' || token.type === 'constant' || ['(', '!', '~'].includes(token.text);
+
+/**
+ * Error pointing at a column of the text
+ * @param {number} column - counted from 1
+ * @param {string} message
+ * @return {Error} with the column in error.column
+ */
+function columnError(column, message) {
+    const error = new Error(`Column ${column}: ${message}`);
+    error.column = column;
+    return error;
+}
+
+/**
+ * Splits the names of letters of one case that are products of single letter
+ * variables into their letters, unless the function is written with names
+ * @param {Array} tokens - of one function
+ * @return {Array}
+ */
+function splitLetters(tokens) {
+    const isFunctionName = (i) => tokens[i + 1] !== undefined && tokens[i + 1].text === '=';
+    const named = tokens.some((token, i) => {
+        if (token.type === 'name' && token.text.length > 1 && !LETTERS.test(token.text) && !isFunctionName(i)) return true;
+        if (token.type === 'op' && ['*', '&', '.'].includes(token.text)) return true;
+        // Factors side by side with a space between them
+        return i > 0 && token.spaced && endsFactor(tokens[i - 1]) && startsFactor(token);
+    });
+    if (named) return tokens;
+    return tokens.flatMap((token, i) => {
+        if (token.type !== 'name' || !LETTERS.test(token.text) || isFunctionName(i)) return [token];
+        return [...token.text].map((letter, j) => ({ type: 'name', text: letter, column: token.column + j }));
+    });
+}
+
+/**
+ * Splits the text into tokens
+ * @param {string} text
+ * @return {Array<{type: string, text: string, column: number}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < text.length) {
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(text);
+        if (!match) throw columnError(start + 1, `"${text[start]}" is not allowed`);
+        const [token, name, number] = match;
+        const spaced = /\s/.test(text[start - 1] || '');
+        if (name) {
+            tokens.push({
+                type: 'name', text: name, column: start + 1, spaced,
+            });
+        } else if (number) {
+            if (number !== '0' && number !== '1') throw columnError(start + 1, `${number} is not 0 or 1`);
+            tokens.push({
+                type: 'constant', text: number, column: start + 1, spaced,
+            });
+        } else if (token === ';') {
+            tokens.push({ type: ';', text: token, column: start + 1 });
+        } else if (token.trim()) {
+            tokens.push({
+                type: 'op', text: token, column: start + 1, spaced,
+            });
+        }
+    }
+    // Each function is read in its own notation
+    const functions = [[]];
+    tokens.forEach((token) => {
+        if (token.type === ';') functions.push([token], []);
+        else functions[functions.length - 1].push(token);
+    });
+    return functions.flatMap(splitLetters);
+}
+
+/**
+ * Recursive descent parser building the syntax tree of a function
+ */
+class Parser {
+    /**
+     * @param {Array} tokens - as returned by tokenize()
+     * @param {number} endColumn - column after the text
+     */
+    constructor(tokens, endColumn) {
+        this.tokens = tokens;
+        this.endColumn = endColumn;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    is(...texts) {
+        const token = this.peek();
+        return token !== undefined && token.type !== 'name' && texts.includes(token.text);
+    }
+
+    accept(...texts) {
+        if (!this.is(...texts)) return false;
+        this.index++;
+        return true;
+    }
+
+    expected(what) {
+        const token = this.peek();
+        if (!token || token.type === ';') return columnError(token ? token.column : this.endColumn, `expected ${what} but the function ended`);
+        return columnError(token.column, `expected ${what} but found "${token.text}"`);
+    }
+
+    /**
+     * Every function of the text
+     * @return {Array<{name: string|undefined, tree: Object, start: number, end: number}>}
+     */
+    functions() {
+        const functions = [];
+        while (this.peek()) {
+            if (!this.accept(';')) functions.push(this.function());
+        }
+        return functions;
+    }
+
+    /**
+     * A function up to the next semicolon
+     */
+    function() {
+        const start = this.peek().column;
+        let name;
+        const next = this.tokens[this.index + 1];
+        if (this.peek().type === 'name' && next && next.text === '=') {
+            name = this.peek().text;
+            this.index += 2;
+        }
+        const tree = this.or();
+        if (this.peek() && !this.is(';')) throw this.expected('an operator');
+        const end = this.peek() ? this.peek().column : this.endColumn;
+        return {
+            name, tree, start, end,
+        };
+    }
+
+    or() {
+        let tree = this.xor();
+        while (this.accept('+', '|')) tree = { kind: 'or', args: [tree, this.xor()] };
+        return tree;
+    }
+
+    xor() {
+        let tree = this.and();
+        while (this.accept('^')) tree = { kind: 'xor', args: [tree, this.and()] };
+        return tree;
+    }
+
+    and() {
+        let tree = this.not();
+        for (;;) {
+            const token = this.peek();
+            // Side by side factors are multiplied
+            const juxtaposed = token && (token.type === 'name' || token.type === 'constant' || this.is('(', '!', '~'));
+            if (!this.accept('*', '&', '.') && !juxtaposed) return tree;
+            tree = { kind: 'and', args: [tree, this.not()] };
+        }
+    }
+
+    not() {
+        if (this.accept('!', '~')) return { kind: 'not', arg: this.not() };
+        let tree = this.primary();
+        while (this.accept("'")) tree = { kind: 'not', arg: tree };
+        return tree;
+    }
+
+    primary() {
+        const token = this.peek();
+        if (token && token.type === 'name') {
+            this.index++;
+            return { kind: 'variable', name: token.text, column: token.column };
+        }
+        if (token && token.type === 'constant') {
+            this.index++;
+            return { kind: 'constant', value: Number(token.text) };
+        }
+        if (this.accept('(')) {
+            const tree = this.or();
+            if (!this.accept(')')) throw this.expected('")"');
+            return tree;
+        }
+        throw this.expected('a variable, 0, 1 or "("');
+    }
+}
+
+/**
+ * Variables of a syntax tree
+ * @param {Object} tree
+ * @param {Map<string, number>} variables - name and column of the first use
+ */
+function collectVariables(tree, variables) {
+    if (tree.kind === 'variable') {
+        if (!variables.has(tree.name)) variables.set(tree.name, tree.column);
+    } else if (tree.kind === 'not') {
+        collectVariables(tree.arg, variables);
+    } else if (tree.args) {
+        tree.args.forEach((arg) => collectVariables(arg, variables));
+    }
+}
+
+/**
+ * Value of a syntax tree
+ * @param {Object} tree
+ * @param {Map<string, number>} values - value of each variable
+ * @return {number} 0 or 1
+ * @category booleanExpression
+ */
+export function evaluateExpression(tree, values) {
+    switch (tree.kind) {
+    case 'variable':
+        return values.get(tree.name);
+    case 'constant':
+        return tree.value;
+    case 'not':
+        return 1 - evaluateExpression(tree.arg, values);
+    case 'and':
+        return Math.min(...tree.args.map((arg) => evaluateExpression(arg, values)));
+    case 'or':
+        return Math.max(...tree.args.map((arg) => evaluateExpression(arg, values)));
+    default:
+        return tree.args.reduce((value, arg) => (value + evaluateExpression(arg, values)) % 2, 0);
+    }
+}
+
+/**
+ * Parses Boolean functions
+ * @param {string} text
+ * @return {{variables: Array<string>, outputs: Array<{name: string, tree: Object}>}}
+ * variables in natural order and outputs in the order of the text, named by
+ * their text if they have no name
+ * @throws {Error} with the column of the mistake in error.column
+ * @category booleanExpression
+ */
+export function parseBooleanExpressions(text) {
+    const functions = new Parser(tokenize(text), text.length + 1).functions();
+    if (!functions.length) throw columnError(1, 'there is no function');
+    const variables = new Map();
+    functions.forEach(({ tree }) => collectVariables(tree, variables));
+    const outputs = functions.map(({
+        name, tree, start, end,
+    }) => ({ name: name || text.slice(start - 1, end - 1).trim(), tree }));
+    const names = new Set();
+    outputs.forEach(({ name }, i) => {
+        if (names.has(name)) throw columnError(functions[i].start, `${name} is defined more than once`);
+        names.add(name);
+        if (variables.has(name)) throw columnError(variables.get(name), `${name} is an output and can not be used as a variable`);
+    });
+    if (!variables.size) throw columnError(1, 'there are no variables');
+    if (variables.size > MAX_VARIABLES) {
+        throw columnError(1, `there can be at most ${MAX_VARIABLES} variables, there are ${variables.size}`);
+    }
+    return {
+        variables: [...variables.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+        outputs,
+    };
+}
+
+/**
+ * Parses one Boolean expression with no name, like the condition of a
+ * transition
+ * @param {string} text
+ * @return {{tree: Object, variables: Array<string>}} variables in the order they are used
+ * @throws {Error} with the column of the mistake in error.column
+ * @category booleanExpression
+ */
+export function parseBooleanExpression(text) {
+    const parser = new Parser(tokenize(text), text.length + 1);
+    if (!parser.peek()) throw columnError(1, 'there is no expression');
+    const tree = parser.or();
+    if (parser.peek()) throw parser.expected('an operator');
+    const variables = new Map();
+    collectVariables(tree, variables);
+    return { tree, variables: [...variables.keys()] };
+}
+
+/**
+ * Truth table of parsed functions
+ * @param {Array<string>} variables - the first is the most significant bit of the row number
+ * @param {Array<{tree: Object}>} outputs - as parseBooleanExpressions() returns them
+ * @return {Array<Array<number>>} values of each output by row
+ * @category booleanExpression
+ */
+export function expressionTruthTable(variables, outputs) {
+    const rows = 2 ** variables.length;
+    return outputs.map(({ tree }) => Array.from({ length: rows }, (_, row) => {
+        const values = new Map(variables.map((name, i) => [name, Math.floor(row / (2 ** (variables.length - i - 1))) % 2]));
+        return evaluateExpression(tree, values);
+    }));
+}
@@ -36,9 +36,10 @@ import { changeInputSize } from './modules';
 import { verilogModeGet, verilogModeSet } from './Verilog2CV';
 import { updateTestbenchUI } from './testbench';
 import load from './data/load';
+import { HistoryTree } from './data/history';
 
 export const circuitProperty = {
-    toggleLayoutMode, setProjectName, changeCircuitName, changeClockTime, deleteCurrentCircuit, changeClockEnable, changeInputSize, changeLightMode,
+    toggleLayoutMode, setProjectName, changeCircuitName, changeClockTime, deleteCurrentCircuit, changeClockEnable, changeInputSize, changeLightMode, changeUnknownPowerUp,
 };
 export var scopeList = {};
 export function resetScopeList() {
@@ -218,6 +219,21 @@ export function changeCircuitName(name, id = globalScope.id) {
     scopeList[id].name = name;
 }
 
+/**
+ * Used to make the registers of the current circuit power up unknown (X)
+ * or as 0. They are powered up again at once.
+ * @param {boolean} val
+ * @category circuit
+ */
+export function changeUnknownPowerUp(val) {
+    globalScope.unknownPowerUp = val;
+    moduleList.forEach((type) => globalScope[type].forEach((element) => {
+        if (element.powerUp) element.powerUp();
+    }));
+    forceResetNodesSet(true);
+    scheduleBackup();
+}
+
 /**
  * Class representing a Scope
  * @class
@@ -228,15 +244,16 @@ export function changeCircuitName(name, id = globalScope.id) {
 export default class Scope {
     constructor(name = 'localScope', id = undefined) {
         this.restrictedCircuitElementsUsed = [];
+        // Registers power up unknown (X) instead of 0, see powerUpMask()
+        this.unknownPowerUp = false;
         this.id = id || Math.floor((Math.random() * 100000000000) + 1);
         this.CircuitElement = [];
         this.name = name;
 
         // root object for referring to main canvas - intermediate node uses this
         this.root = new CircuitElement(0, 0, this, 'RIGHT', 1);
-        this.backups = [];
-        // maintaining a state (history) for redo function
-        this.history = [];
+        // every change made, for undo and redo
+        this.history = new HistoryTree();
         this.timeStamp = new Date().getTime();
         this.verilogMetadata = {
             isVerilogCircuit: false,
@@ -307,11 +324,12 @@ export default class Scope {
     }
 
     /**
-     * Ticks clocks recursively -- needs to be deprecated and synchronize all clocks with a global clock
+     * Sets every clock recursively to its value at a time of the global clock
+     * @param {number} time - ticks of the global clock
      */
-    clockTick() {
-        for (let i = 0; i < this.Clock.length; i++) { this.Clock[i].toggleState(); } // tick clock!
-        for (let i = 0; i < this.SubCircuit.length; i++) { this.SubCircuit[i].localScope.clockTick(); } // tick clock!
+    clockStep(time) {
+        for (let i = 0; i < this.Clock.length; i++) { this.Clock[i].step(time); }
+        for (let i = 0; i < this.SubCircuit.length; i++) { this.SubCircuit[i].localScope.clockStep(time); }
     }
 
     /**
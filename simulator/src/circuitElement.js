@@ -10,6 +10,7 @@ import { colors } from './themer/themer';
 import { layoutModeGet, tempBuffer } from './layoutMode';
 import { fillSubcircuitElements } from './ux';
 import { generateNodeName } from './verilogHelpers';
+import { isWide, toBigInt } from './wideValue';
 
 /**
  * Base class for circuit elements.
@@ -81,10 +82,11 @@ export default class CircuitElement {
 
     /**
      * Function to flip bits
-     * @param {number} val - the value of flipped bits
-     * @returns {number} - The number of flipped bits
+     * @param {number|bigint} val - the value of flipped bits
+     * @returns {number|bigint} - The number of flipped bits
      */
     flipBits(val) {
+        if (isWide(this.bitWidth)) return BigInt.asUintN(this.bitWidth, ~toBigInt(val));
         return ((~val >>> 0) << (32 - this.bitWidth)) >>> (32 - this.bitWidth);
     }
 
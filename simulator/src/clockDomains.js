@@ -0,0 +1,118 @@
+/* eslint-disable import/no-cycle */
+/**
+ * Clock domains of a project: clocks that share a waveform, that is the
+ * same period, duty cycle and phase, belong to one domain. Signals passing
+ * between circuits of different domains need a synchronizer.
+ * @category clockDomains
+ */
+
+import { scopeList } from './circuit';
+import simulationArea from './simulationArea';
+import { escapeHtml } from './utils';
+
+const MAX_PREVIEW_TICKS = 48; // Longest waveform shown in the dialog
+const TICK_WIDTH = 8; // Width of a tick in the waveform (in px)
+const WAVE_HEIGHT = 16;
+
+function gcd(a, b) {
+    return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * Groups the clocks of circuits by waveform
+ * @param {Object=} scopes - circuits keyed by id, all circuits by default
+ * @return {Array<{period: number, highTime: number, phase: number, clocks: Array<{scope: Scope, clock: Clock}>}>}
+ * in order of period then phase
+ * @category clockDomains
+ */
+export function findClockDomains(scopes = scopeList) {
+    const domains = new Map();
+    Object.values(scopes).forEach((scope) => {
+        scope.Clock.forEach((clock) => {
+            const { period } = clock;
+            const highTime = clock.highTime();
+            const phase = clock.phase % period;
+            const key = `${period}:${highTime}:${phase}`;
+            if (!domains.has(key)) {
+                domains.set(key, {
+                    period, highTime, phase, clocks: [],
+                });
+            }
+            domains.get(key).clocks.push({ scope, clock });
+        });
+    });
+    return [...domains.values()].sort((a, b) => a.period - b.period || a.phase - b.phase);
+}
+
+/**
+ * Ticks after which the waveforms of all domains repeat together
+ * @param {Array} domains - as returned by findClockDomains()
+ * @return {number}
+ * @category clockDomains
+ */
+export function commonPeriod(domains) {
+    return domains.reduce((lcm, { period }) => (lcm * period) / gcd(lcm, period), 1);
+}
+
+/**
+ * Waveform of a domain as an SVG polyline
+ * @param {Object} domain
+ * @param {number} ticks - length of the waveform
+ * @return {string}
+ */
+function waveformSVG(domain, ticks) {
+    const { clock } = domain.clocks[0];
+    const points = [];
+    for (let t = 0; t < ticks; t++) {
+        const y = clock.valueAt(t) ? 1 : WAVE_HEIGHT - 1;
+        points.push(`${t * TICK_WIDTH},${y}`, `${(t + 1) * TICK_WIDTH},${y}`);
+    }
+    return `<svg width="${ticks * TICK_WIDTH}" height="${WAVE_HEIGHT}">`
+        + `<polyline points="${points.join(' ')}" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`;
+}
+
+/**
+ * Dialog listing the clock domains of the project
+ * @category clockDomains
+ */
+export function createClockDomainsPrompt() {
+    const domains = findClockDomains();
+    const { timePeriod } = simulationArea;
+    $('#clockDomainsDialog').empty();
+    if (!domains.length) {
+        $('#clockDomainsDialog').append('<p>There are no clocks in the project</p>');
+    } else {
+        const ticks = Math.min(commonPeriod(domains), MAX_PREVIEW_TICKS);
+        const rows = domains.map((domain, i) => {
+            const clocks = domain.clocks
+                .map(({ scope, clock }) => `${escapeHtml(scope.name)}: ${escapeHtml(clock.label || 'unlabeled')}`)
+                .join('<br>');
+            const frequency = 1000 / (domain.period * timePeriod);
+            return `<tr>
+                <td>${i + 1}</td>
+                <td>${domain.period} (${domain.period * timePeriod} ms, ${Number(frequency.toPrecision(3))} Hz)</td>
+                <td>${Math.round((domain.highTime * 100) / domain.period)}%</td>
+                <td>${domain.phase}</td>
+                <td>${clocks}</td>
+                <td>${waveformSVG(domain, ticks)}</td>
+            </tr>`;
+        });
+        $('#clockDomainsDialog').append(`<p>${domains.length} clock domain${domains.length > 1 ? 's' : ''}, one tick is ${timePeriod} ms</p>
+            <table class="table table-sm">
+            <tr><th>Domain</th><th>Period (ticks)</th><th>Duty Cycle</th><th>Phase (ticks)</th><th>Clocks</th><th>First ${ticks} ticks</th></tr>
+            ${rows.join('')}
+            </table>`);
+    }
+    $('#clockDomainsDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        buttons: [
+            {
+                text: 'Close',
+                click() {
+                    $(this).dialog('close');
+                },
+            },
+        ],
+    });
+}
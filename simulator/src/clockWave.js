@@ -0,0 +1,31 @@
+/**
+ * Waveform of a clock with its own period, duty cycle and phase.
+ *
+ * Times are in ticks of the global clock. Every cycle starts low and at
+ * least one tick of it is high and one is low. Used by the Clock element
+ * and by the headless simulator, so both step clocks the same way.
+ * @category clockWave
+ */
+
+/**
+ * Number of ticks per cycle a clock is high
+ * @param {number} period - ticks per cycle, at least 2
+ * @param {number} dutyCycle - percentage of the cycle the clock is high
+ * @return {number}
+ * @category clockWave
+ */
+export function clockHighTime(period, dutyCycle) {
+    return Math.min(period - 1, Math.max(1, Math.round((period * dutyCycle) / 100)));
+}
+
+/**
+ * Value of a clock at a time
+ * @param {number} time - ticks of the global clock
+ * @param {{period: number, dutyCycle: number, phase: number}} clock
+ * @return {number}
+ * @category clockWave
+ */
+export function clockValueAt(time, { period, dutyCycle, phase }) {
+    const t = (((time - phase) % period) + period) % period;
+    return t >= period - clockHighTime(period, dutyCycle) ? 1 : 0;
+}
@@ -3,6 +3,7 @@
 /* eslint-disable no-restricted-syntax */
 import Node from './node';
 import { scheduleBackup } from './data/backupCircuit';
+import { trackCommand } from './data/commands';
 import BooleanMinimize from './quinMcCluskey';
 import Input from './modules/Input';
 import ConstantVal from './modules/ConstantVal';
@@ -13,6 +14,13 @@ import NotGate from './modules/NotGate';
 import { stripTags } from './utils';
 import simulationArea from './simulationArea';
 import { findDimensions } from './canvasApi';
+import { scopeList } from './circuit';
+import { analysisSourceOptions, showCircuitAnalysis } from './truthTable';
+import { showKarnaughMap } from './kmap';
+import { parseBooleanExpressions, expressionTruthTable } from './booleanExpression';
+import {
+    SYNTHESIS_STYLES, synthesize, netlistReport, drawNetlist,
+} from './synthesis';
 
 var inputSample = 5;
 var dataSample = [['01---', '11110', '01---', '00000'], ['01110', '1-1-1', '----0'], ['01---', '11110', '01110', '1-1-1', '0---0'], ['----1']];
@@ -21,36 +29,29 @@ var sampleInputListNames = ['A', 'B'];
 var sampleOutputListNames = ['X'];
 
 export const performCombinationalAnalysis = (inputNameList, outputNameList, booleanNameExpression, scope = globalScope) => {
-    var flag = 0;
     var inputList = stripTags(inputNameList).split(',');
     var outputList = stripTags(outputNameList).split(',');
-    var booleanExpression = booleanNameExpression;
+    var booleanExpression = booleanNameExpression.trim();
     inputList = inputList.map((x) => x.trim());
     inputList = inputList.filter((e) => e);
     outputList = outputList.map((x) => x.trim());
     outputList = outputList.filter((e) => e);
-    booleanExpression = booleanExpression.replace(/ /g, '');
-    booleanExpression = booleanExpression.toUpperCase();
 
-    var booleanInputVariables = [];
-    for (var i = 0; i < booleanExpression.length; i++) {
-        if ((booleanExpression[i] >= 'A' && booleanExpression[i] <= 'Z')) {
-            if (booleanExpression.indexOf(booleanExpression[i]) == i) {
-                booleanInputVariables.push(booleanExpression[i]);
-            }
-        }
-    }
-    booleanInputVariables.sort();
-    if (inputList.length > 0 && outputList.length > 0 && booleanInputVariables.length == 0) {
+    if (inputList.length > 0 && outputList.length > 0 && booleanExpression === '') {
         createBooleanPrompt(inputList, outputList, null, scope);
     }
-    else if (booleanInputVariables.length > 0 && inputList.length == 0 && outputList.length == 0) {
-        var output = solveBooleanFunction(booleanInputVariables, booleanExpression);
-        if(output != null) {
-            createBooleanPrompt(booleanInputVariables, booleanExpression, output, scope);
+    else if (booleanExpression !== '' && inputList.length == 0 && outputList.length == 0) {
+        var parsed;
+        try {
+            parsed = parseBooleanExpressions(booleanNameExpression);
+        } catch (err) {
+            showExpressionError(booleanNameExpression, err);
+            return;
         }
+        var output = expressionTruthTable(parsed.variables, parsed.outputs);
+        createBooleanPrompt(parsed.variables, parsed.outputs.map((x) => x.name), output, scope);
     }
-    else if ((inputList.length == 0 || outputList.length == 0) && booleanInputVariables == 0) {
+    else if ((inputList.length == 0 || outputList.length == 0) && booleanExpression === '') {
         alert('Enter Input / Output Variable(s) OR Boolean Function!');
     }
     else {
@@ -58,14 +59,48 @@ export const performCombinationalAnalysis = (inputNameList, outputNameList, bool
     }
 };
 
-export const GenerateCircuit = (outputListNamesInteger, inputListNames, output, outputListNames, scope = globalScope) => {
-    var data = generateBooleanTableData(outputListNamesInteger);
-    // passing the hash values to avoid spaces being passed which is causing a problem
+/**
+ * Shows where a Boolean function could not be read, below its input
+ * @param {string} booleanExpression - the functions as entered
+ * @param {Error} err - as thrown by parseBooleanExpressions()
+ * @category combinationalAnalysis
+ */
+function showExpressionError(booleanExpression, err) {
+    $('#booleanExpressionError').text(`${booleanExpression}\n${' '.repeat(err.column - 1)}^\n${err.message}`);
+    $('#booleanExpression').focus();
+    $('#booleanExpression')[0].setSelectionRange(err.column - 1, err.column);
+}
+
+/**
+ * Values of the truth table in the dialog
+ * @param {Array} outputListNames - class of the cells of each output
+ * @return {Array<Array>} 0, 1 or 'x' per row for each output
+ */
+function booleanTableValues(outputListNames) {
+    var data = generateBooleanTableData(outputListNames);
+    return outputListNames.map((hash) => {
+        var values = [];
+        [0, 1, 'x'].forEach((value) => {
+            data[hash][value].forEach((row) => {
+                values[Number(row)] = value;
+            });
+        });
+        return values;
+    });
+}
+
+/**
+ * Minimized terms of each output as drawCombinationalAnalysis() draws them
+ * @param {Array<Array>} values - 0, 1 or 'x' per row for each output
+ * @param {number} inputCount - number of inputs
+ * @return {Array<Array<string>>}
+ * @category combinationalAnalysis
+ */
+function twoLevelCircuitData(values, inputCount) {
     var minimizedCircuit = [];
-    let inputCount = inputListNames.length;
-    for (const output in data) {
-        let oneCount = data[output][1].length; // Number of ones
-        let zeroCount = data[output][0].length; // Number of zeroes
+    for (const table of values) {
+        let oneCount = table.filter((v) => v === 1).length; // Number of ones
+        let zeroCount = table.filter((v) => v === 0).length; // Number of zeroes
         if(oneCount == 0) {
             // Hardcode to 0 as output
             minimizedCircuit.push(['-'.repeat(inputCount) + '0']);
@@ -77,21 +112,77 @@ export const GenerateCircuit = (outputListNamesInteger, inputListNames, output,
         else {
             // Perform KMap like minimzation
             const temp = new BooleanMinimize(
-                inputListNames.length,
-                data[output][1].map(Number),
-                data[output].x.map(Number),
+                inputCount,
+                table.reduce((rows, v, row) => (v === 1 ? [...rows, row] : rows), []),
+                table.reduce((rows, v, row) => (v === 'x' ? [...rows, row] : rows), []),
             );
             minimizedCircuit.push(temp.result);
         }
     }
-    if (output == null) {
-        drawCombinationalAnalysis(minimizedCircuit, inputListNames, outputListNames, scope);
-    }
-    else {
-        drawCombinationalAnalysis(minimizedCircuit, inputListNames, [`${outputListNames}`], scope);
-    }
+    return minimizedCircuit;
+}
+
+export const GenerateCircuit = (outputListNamesInteger, inputListNames, output, outputListNames, scope = globalScope) => {
+    // passing the hash values to avoid spaces being passed which is causing a problem
+    var values = booleanTableValues(outputListNamesInteger);
+    var minimizedCircuit = twoLevelCircuitData(values, inputListNames.length);
+    trackCommand('edit', () => {
+        if (Array.isArray(outputListNames)) {
+            drawCombinationalAnalysis(minimizedCircuit, inputListNames, outputListNames, scope);
+        }
+        else {
+            drawCombinationalAnalysis(minimizedCircuit, inputListNames, [`${outputListNames}`], scope);
+        }
+    }, scope);
 };
 
+/**
+ * Compares the realizations of the truth table in each style and draws the
+ * chosen one
+ * @param {Array} inputListNames - labels of input nodes
+ * @param {Array} outputListNames - labels of output nodes
+ * @param {Array} outputListNamesInteger - class of the cells of each output
+ * @param {Scope=} scope - the circuit
+ * @category combinationalAnalysis
+ */
+function createSynthesisPrompt(inputListNames, outputListNames, outputListNamesInteger, scope = globalScope) {
+    var values = booleanTableValues(outputListNamesInteger);
+    var netlists = {};
+    var rows = SYNTHESIS_STYLES.map((style, i) => {
+        netlists[style.id] = synthesize(style.id, inputListNames, values);
+        var report = netlistReport(netlists[style.id]);
+        var counts = Object.values(report.counts).map((count) => `<td>${count}</td>`).join('');
+        return `<tr><td><input type="radio" name="synthesisStyle" value="${style.id}"${i === 0 ? ' checked' : ''}></td>
+            <td>${style.name}</td>${counts}<td>${report.gates}</td><td>${report.gateInputs}</td><td>${report.depth}</td></tr>`;
+    });
+    $('#combinationalAnalysis').empty();
+    $('#combinationalAnalysis').append(`<table class="content-table">
+        <tr><th></th><th>Style</th><th>AND</th><th>OR</th><th>NAND</th><th>NOR</th><th>NOT</th><th>Gates</th><th>Gate Inputs</th><th>Depth</th></tr>
+        ${rows.join('')}
+        </table>`);
+    $('#combinationalAnalysis').dialog({
+        resizable: false,
+        width: 'auto',
+        buttons: [
+            {
+                style: 'padding: 6px',
+                text: 'Draw Circuit',
+                click() {
+                    var style = $('input[name="synthesisStyle"]:checked').val();
+                    $(this).dialog('close');
+                    trackCommand('edit', () => {
+                        if (style === 'sop') {
+                            drawCombinationalAnalysis(twoLevelCircuitData(values, inputListNames.length), inputListNames, outputListNames, scope);
+                        } else {
+                            drawNetlist(netlists[style], outputListNames, scope);
+                        }
+                    }, scope);
+                },
+            },
+        ],
+    });
+}
+
 /**
  * The prompt for combinational analysis
  * @param {Scope=} - the circuit in which we want combinational analysis
@@ -103,8 +194,12 @@ export function createCombinationalAnalysisPrompt(scope = globalScope) {
     $('#combinationalAnalysis').append("<p>Enter Input names separated by commas: <input id='inputNameList' type='text'  placeHolder='eg. In A, In B'></p>");
     $('#combinationalAnalysis').append("<p>Enter Output names separated by commas: <input id='outputNameList' type='text'  placeHolder='eg. Out X, Out Y'></p>");
     $('#combinationalAnalysis').append("<p style='text-align:center;'>OR</p>");
-    $('#combinationalAnalysis').append("<p>Enter Boolean Function: <input class='truth_table_input' autofocus id='booleanExpression' placeholder='Example: (AB)' type='text'></p>");
+    $('#combinationalAnalysis').append(`<p>Enter Boolean Function: <input class='truth_table_input' autofocus id='booleanExpression' placeholder="Example: X = AB' + C; Y = sel & en" type='text' size='30'></p>`);
+    $('#combinationalAnalysis').append("<pre id='booleanExpressionError' class='error'></pre>");
     $('#combinationalAnalysis').append("<label class='cb-checkbox'>I need a decimal column.<input id='decimalColumnBox' type='checkbox'></label>");
+    $('#combinationalAnalysis').append("<p style='text-align:center;'>OR</p>");
+    $('#combinationalAnalysis').append(`<p>Analyse an existing circuit: <select id='analysisSource'>${analysisSourceOptions(scopeList)}</select></p>`);
+    $('#combinationalAnalysis').append("<p id='analysisError' class='error'></p>");
     $('#combinationalAnalysis').dialog({
         resizable:false,
         width: 'auto',
@@ -116,6 +211,15 @@ export function createCombinationalAnalysisPrompt(scope = globalScope) {
                     performCombinationalAnalysis($("#inputNameList").val(), $("#outputNameList").val(), $('#booleanExpression').val());
                 },
             },
+            {
+                style: 'padding: 5px',
+                text: 'Analyse Circuit',
+                click() {
+                    var source = $('#analysisSource').val();
+                    if (source === 'selection') showCircuitAnalysis(globalScope, true);
+                    else showCircuitAnalysis(scopeList[source]);
+                },
+            },
         ],
     });
     $("#combinationalAnalysis").checkBo();
@@ -126,6 +230,7 @@ export function createCombinationalAnalysisPrompt(scope = globalScope) {
  * be output table is also initialied here
  * @param {Array} inputListNames - labels of input nodes
  * @param {Array} outputListNames - labels of output nodes
+ * @param {Array=} output - values of each output by row, null to enter them
  * @param {Scope=} scope - h circuit
  * @category combinationalAnalysis
  */
@@ -133,18 +238,13 @@ function createBooleanPrompt(inputListNames, outputListNames, output, scope = gl
     var inputListNames = inputListNames || (prompt('Enter inputs separated by commas').split(','));
     var outputListNames = outputListNames || (prompt('Enter outputs separated by commas').split(','));
     var outputListNamesInteger = [];
-    if(output == null) {
-        for (var i = 0; i < outputListNames.length; i++) { outputListNamesInteger[i] = 7 * i + 13; }// assigning an integer to the value, 7*i + 13 is random
-    } else {
-        outputListNamesInteger = [13];
-    }
+    for (var i = 0; i < outputListNames.length; i++) { outputListNamesInteger[i] = 7 * i + 13; }// assigning an integer to the value, 7*i + 13 is random
     var s = '<table  class="content-table">';
     s += '<tbody style="display:block; max-height:70vh; overflow-y:scroll" >';
     s += '<tr>';
     if ($('#decimalColumnBox').is(':checked')) { s += '<th>' + 'dec' + '</th>'; }
     for (var i = 0; i < inputListNames.length; i++) { s += `<th>${inputListNames[i]}</th>`; }
-    if (output == null) { for (var i = 0; i < outputListNames.length; i++) { s += `<th>${outputListNames[i]}</th>`; } }
-    else { s += `<th>${outputListNames}</th>`; }
+    for (var i = 0; i < outputListNames.length; i++) { s += `<th>${outputListNames[i]}</th>`; }
     s += '</tr>';
 
     var matrix = [];
@@ -168,17 +268,16 @@ function createBooleanPrompt(inputListNames, outputListNames, output, scope = gl
             if (output == null) {
                 s += `<td class ="output ${outputListNamesInteger[i]}" id="${j}">` + 'x' + '</td>';
             // using hash values as they'll be used in the generateBooleanTableData function
+            } else {
+                s += `<td class="${outputListNamesInteger[i]}" id="${j}">` + `${output[i][j]}` + '</td>';
             }
         }
-        if (output != null) {
-            s += `<td class="${outputListNamesInteger[0]}" id="${j}">` + `${output[j]}` + '</td>';
-        }
         s += '</tr>';
     }
     s += '</tbody>';
     s += '</table>';
     $('#combinationalAnalysis').empty();
-    $('#combinationalAnalysis').append(s);
+    $('#combinationalAnalysis').append(`<div style="display:flex; gap:20px; align-items:flex-start">${s}<div id="kmapPanel"></div></div>`);
     $('#combinationalAnalysis').dialog({
         resizable: false,
         width: 'auto',
@@ -187,8 +286,14 @@ function createBooleanPrompt(inputListNames, outputListNames, output, scope = gl
                 style: 'padding: 6px',
                 text: 'Generate Circuit',
                 click() {
-                    $(this).dialog('close');
-                    GenerateCircuit(outputListNamesInteger, inputListNames, output, outputListNames);
+                    createSynthesisPrompt(inputListNames, outputListNames, outputListNamesInteger);
+                },
+            },
+            {
+                style: 'padding: 6px',
+                text: 'Karnaugh Map',
+                click() {
+                    showKarnaughMap(inputListNames, outputListNames, outputListNamesInteger);
                 },
             },
             {
@@ -363,106 +468,3 @@ function drawCombinationalAnalysis(combinationalData, inputList, outputListNames
     }
     globalScope.centerFocus();
 }
-
-/**
- * This function solves passed boolean expression and returns
- * output array which contains solution of the truth table
- * of given boolean expression
- * @param {Array}  inputListNames - labels for input nodes
- * @param {String} booleanExpression - boolean expression which is to be solved
- */
-export function solveBooleanFunction(inputListNames, booleanExpression) {
-    let i;
-    let j;
-    let output = [];
-
-    if (booleanExpression.match(/[^ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz01+'() ]/g) != null) {
-        alert('One of the characters is not allowed.');
-        return;
-    }
-
-    if (inputListNames.length > 8) {
-        alert('You can only have 8 variables at a time.');
-        return;
-    }
-
-    var s = '<table  class="content-table">';
-    s += '<tbody style="display:block; max-height:70vh; overflow-y:scroll" >';
-    s += '<tr>';
-    if ($('#decimalColumnBox').is(':checked')) { s += '<th>' + 'dec' + '</th>'; }
-    for (i = 0; i < inputListNames.length; i++) { s += `<th>${inputListNames[i]}</th>`; }
-    s += `<th>${booleanExpression}</th>`;
-    s += '</tr>';
-    var matrix = [];
-    for (i = 0; i < inputListNames.length; i++) {
-        matrix[i] = new Array((inputListNames.length));
-    }
-
-    for (i = 0; i < inputListNames.length; i++) {
-        for (j = 0; j < (1 << inputListNames.length); j++) {
-            matrix[i][j] = (+((j & (1 << (inputListNames.length - i - 1))) != 0));
-        }
-    }
-    // generate equivalent expression by replacing input vars with possible combinations of o and 1
-    for (i = 0; i < (2 ** inputListNames.length); i++) {
-        const data = [];
-        for (j = 0; j < inputListNames.length; j++) {
-            data[j] = Math.floor(i / Math.pow(2, inputListNames.length - j - 1)) % 2;
-        }
-        let equation = booleanExpression;
-        for (j = 0; j < inputListNames.length; j++) {
-            equation = equation.replace(new RegExp(inputListNames[j], 'g'), data[j]);
-        }
-
-        output[i] = solve(equation);
-    }
-
-    for (j = 0; j < (1 << inputListNames.length); j++) {
-        s += '<tr>';
-        if ($('#decimalColumnBox').is(':checked')) { s += `<td>${j}</td>`; }
-        for (i = 0; i < inputListNames.length; i++) {
-            s += `<td>${matrix[i][j]}</td>`;
-        }
-
-        s += `<td class="13" id="${j}">` + `${output[j]}` + '</td>';
-        s += '</tr>';
-    }
-
-    s += '</tbody>';
-    s += '</table>';
-    // generates solution for the truth table of booleanexpression
-    function solve(equation) {
-        while (equation.indexOf("(") != -1) {
-            const start = equation.lastIndexOf("(");
-            const end = equation.indexOf(")", start);
-            if (start != -1) {
-                equation = equation.substring(0, start)
-                + solve(equation.substring(start + 1, end))
-                + equation.substring(end + 1);
-            }
-        }
-        equation = equation.replace(/''/g, '');
-        equation = equation.replace(/0'/g, '1');
-        equation = equation.replace(/1'/g, '0');
-        for (let i = 0; i < equation.length - 1; i++) {
-            if ((equation[i] == '0' || equation[i] == '1') && (equation[i + 1] == '0' || equation[i + 1] == '1')) {
-                equation = equation.substring(0, i + 1) + '*' + equation.substring(i + 1, equation.length);
-            }
-        }
-        try {
-            const safeEval = eval;
-            const answer = safeEval(equation);
-            if (answer == 0) {
-                return 0;
-            }
-            if (answer > 0) {
-                return 1;
-            }
-            return '';
-        } catch (e) {
-            return '';
-        }
-    }
-
-    return output;
-}
@@ -21,6 +21,14 @@ import { generateVerilog } from './verilog';
 import { bitConverterDialog } from './utils';
 import ExportCircuitFiles from './file/SaveAs';
 import ImportCircuitFiles from './file/Open';
+import { createStimulusPrompt } from './stimulus';
+import { createClockDomainsPrompt } from './clockDomains';
+import { createEquivalencePrompt } from './equivalence';
+import { createStateMachinePrompt } from './fsm';
+import { createProjectDiffPrompt } from './projectDiff';
+import { createHistoryPrompt } from './data/history';
+import { createAssemblerPrompt } from './assembler';
+import { createDebuggerPrompt } from './debugger';
 
 // Hack to restart tour guide
 function showTourGuideHelper() {
@@ -51,4 +59,12 @@ logixFunction.bitconverter = bitConverterDialog;
 logixFunction.createNewCircuitScope = createNewCircuitScope;
 logixFunction.ExportCircuitFiles = ExportCircuitFiles;
 logixFunction.ImportCircuitFiles = ImportCircuitFiles;
+logixFunction.createStimulusPrompt = createStimulusPrompt;
+logixFunction.createClockDomainsPrompt = createClockDomainsPrompt;
+logixFunction.createEquivalencePrompt = createEquivalencePrompt;
+logixFunction.createStateMachinePrompt = createStateMachinePrompt;
+logixFunction.createProjectDiffPrompt = createProjectDiffPrompt;
+logixFunction.createHistoryPrompt = createHistoryPrompt;
+logixFunction.createAssemblerPrompt = createAssemblerPrompt;
+logixFunction.createDebuggerPrompt = createDebuggerPrompt;
 export default logixFunction;
@@ -36,6 +36,15 @@ export function backUp(scope = globalScope) {
     // Storing test attached to scope
     data.testbenchData = scope.testbenchData;
 
+    // Storing the instruction set and program of the assembler
+    data.assemblerData = scope.assemblerData;
+
+    // Storing the breakpoints of the debugger
+    data.breakpoints = scope.breakpoints;
+
+    // Storing whether registers power up unknown
+    data.unknownPowerUp = scope.unknownPowerUp;
+
     // Storing other details
     data.id = scope.id;
     data.name = scope.name;
@@ -60,9 +69,8 @@ export function backUp(scope = globalScope) {
 
 export function scheduleBackup(scope = globalScope) {
     var backup = JSON.stringify(backUp(scope));
-    if (scope.backups.length === 0 || scope.backups[scope.backups.length - 1] !== backup) {
-        scope.backups.push(backup);
-        scope.history = [];
+    if (scope.lastBackup !== backup) {
+        scope.lastBackup = backup;
         scope.timeStamp = new Date().getTime();
         projectSavedSet(false);
     }
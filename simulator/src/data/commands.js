@@ -0,0 +1,366 @@
+/* eslint-disable import/no-cycle */
+/* eslint-disable no-param-reassign */
+/**
+ * Undoable commands. An edit, like adding, deleting or moving elements,
+ * drawing wires, changing a property or pasting, is recorded as the changes
+ * it made to the objects of the circuit: the objects that joined or left the
+ * lists of the scope and the fields of the elements, nodes and wires that
+ * changed. Undoing puts the same objects back, so nothing is saved or loaded
+ * again and the selection and the values in the circuit are kept.
+ * @category data
+ */
+
+import simulationArea from '../simulationArea';
+import {
+    scheduleUpdate, updateSimulationSet, updateCanvasSet, forceResetNodesSet, wireToBeCheckedSet,
+} from '../engine';
+import { projectSavedSet } from './project';
+import { describeElement } from '../projectDiff';
+import { updateHistoryPanel } from './history';
+
+/**
+ * Fields of an element an edit may change, the others are the state of the simulation
+ * @type {Array<string>}
+ * @category data
+ */
+export const ELEMENT_FIELDS = ['x', 'y', 'direction', 'labelDirection', 'label', 'bitWidth', 'propagationDelay', 'deleted',
+    'leftDimensionX', 'rightDimensionX', 'upDimensionY', 'downDimensionY', 'nodeList'];
+const NODE_FIELDS = ['x', 'y', 'leftx', 'lefty', 'type', 'parent', 'bitWidth', 'label', 'deleted', 'connections'];
+const WIRE_FIELDS = ['x1', 'y1', 'x2', 'y2', 'type'];
+
+// Names of the properties of the sidebar
+const PROPERTY_NAMES = {
+    setLabel: 'label',
+    newBitWidth: 'bit width',
+    newDirection: 'direction',
+    newLabelDirection: 'label direction',
+    changeInputSize: 'input size',
+    changeAddressWidth: 'address width',
+    changePropagationDelay: 'delay',
+    loadMemory: 'contents',
+};
+
+let pending = null; // The command being recorded, {kind, scope, target, before, depth}
+
+const copyValue = (value) => (Array.isArray(value) ? value.slice() : value);
+const isElement = (object) => moduleList.includes(object.objectType);
+
+/**
+ * Lists of a scope that edits change
+ * @param {Scope} scope
+ * @return {Array<string>}
+ */
+function listsOf(scope) {
+    return [...moduleList, 'allNodes', 'nodes', 'wires'].filter((name) => Array.isArray(scope[name]));
+}
+
+/**
+ * Fields of an object an edit may change
+ * @param {Object} object - element, node or wire
+ * @param {boolean} whole - every field of the element, when a property of it is changed
+ * @return {Object}
+ */
+function fieldsOf(object, whole = false) {
+    let names = ELEMENT_FIELDS;
+    if (whole) names = Object.keys(object);
+    else if (object.objectType === 'Node') names = NODE_FIELDS;
+    else if (object.objectType === 'Wire') names = WIRE_FIELDS;
+    const fields = {};
+    names.forEach((name) => {
+        fields[name] = copyValue(object[name]);
+    });
+    return fields;
+}
+
+/**
+ * The objects of a circuit and their fields
+ * @param {Scope} scope
+ * @param {Object=} target - element whose property is being changed
+ * @return {{lists: Object, fields: Map<Object, Object>}}
+ */
+function capture(scope, target) {
+    const lists = {};
+    const fields = new Map();
+    listsOf(scope).forEach((name) => {
+        // An element following the mouse from the panel is added when it is dropped
+        lists[name] = scope[name].filter((object) => !object.newElement);
+        lists[name].forEach((object) => fields.set(object, fieldsOf(object)));
+    });
+    if (target) fields.set(target, fieldsOf(target, true));
+    return { lists, fields };
+}
+
+/**
+ * Whether a field is the same, arrays are compared word by word as the data
+ * of a memory may have holes
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ */
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Changes made to a circuit since it was captured
+ * @param {{lists: Object, fields: Map}} before - as capture() returns it
+ * @param {Scope} scope
+ * @param {Object=} target
+ * @return {{lists: Object, fields: Array<{object: Object, before: Object, after: Object}>}}
+ */
+function changesSince(before, scope, target) {
+    const after = capture(scope, target);
+    const lists = {};
+    Object.entries(before.lists).forEach(([name, objects]) => {
+        const remaining = new Set(after.lists[name]);
+        const previous = new Set(objects);
+        const removed = [];
+        const added = [];
+        objects.forEach((object, index) => {
+            if (!remaining.has(object)) removed.push({ object, index });
+        });
+        after.lists[name].forEach((object, index) => {
+            if (!previous.has(object)) added.push({ object, index });
+        });
+        if (removed.length || added.length) lists[name] = { removed, added };
+    });
+    const fields = [];
+    new Set([...before.fields.keys(), ...after.fields.keys()]).forEach((object) => {
+        const old = before.fields.get(object);
+        const now = after.fields.get(object) || fieldsOf(object, object === target);
+        if (!old) {
+            // New objects are put back as they were made
+            fields.push({ object, before: {}, after: now });
+            return;
+        }
+        const change = { object, before: {}, after: {} };
+        Object.keys(now).forEach((name) => {
+            if (sameValue(old[name], now[name])) return;
+            change.before[name] = old[name];
+            change.after[name] = now[name];
+        });
+        if (Object.keys(change.after).length) fields.push(change);
+    });
+    return { lists, fields };
+}
+
+/**
+ * Counts a list of elements, like "AndGate", "3 AndGates" or "3 elements"
+ * @param {Array<CircuitElement>} elements
+ * @return {string}
+ */
+function countOf(elements) {
+    const types = new Set(elements.map(({ objectType }) => objectType));
+    if (elements.length === 1) return elements[0].objectType;
+    return types.size === 1 ? `${elements.length} ${elements[0].objectType}s` : `${elements.length} elements`;
+}
+
+/**
+ * What a command did, like "Added AndGate" or "Moved 3 elements"
+ * @param {Object} command
+ * @return {string}
+ */
+function labelOf({ kind, target, changes }) {
+    if (target) {
+        const { element, property } = target;
+        const describe = describeElement({
+            type: element.objectType, label: element.label, x: element.x, y: element.y,
+        });
+        return `Changed ${PROPERTY_NAMES[property] || property} of ${describe}`;
+    }
+    const joined = (list) => Object.values(changes.lists).flatMap((change) => change[list])
+        .map(({ object }) => object).filter(isElement);
+    const added = joined('added');
+    const removed = joined('removed');
+    const moved = changes.fields.filter(({ object, before }) => isElement(object) && ('x' in before || 'y' in before))
+        .map(({ object }) => object).filter((object) => !added.includes(object));
+    const parts = [];
+    if (added.length) parts.push(`${kind === 'paste' ? 'Pasted' : 'Added'} ${countOf(added)}`);
+    if (removed.length) parts.push(`${kind === 'cut' ? 'Cut' : 'Deleted'} ${countOf(removed)}`);
+    if (moved.length && !added.length && !removed.length) parts.push(`Moved ${countOf(moved)}`);
+    if (parts.length) return parts.join(', ');
+    const wires = changes.lists.wires || { added: [], removed: [] };
+    if (wires.added.length && !wires.removed.length) return 'Connected wires';
+    if (wires.removed.length && !wires.added.length) return 'Deleted wires';
+    return changes.fields.some(({ object, before }) => object.objectType === 'Node' && 'connections' in before) ? 'Rewired' : 'Moved wires';
+}
+
+/**
+ * Starts recording an edit of a circuit. Edits made while one is recorded
+ * are part of it.
+ * @param {string} kind - edit, delete, paste, cut or property
+ * @param {Scope=} scope
+ * @param {{element: CircuitElement, property: string}=} target - the property changed
+ * @category data
+ */
+export function beginCommand(kind, scope = globalScope, target = undefined) {
+    if (pending) {
+        pending.depth++;
+        return;
+    }
+    pending = {
+        kind, scope, target, before: capture(scope, target && target.element), depth: 1,
+    };
+}
+
+/**
+ * Records the edit started by beginCommand() in the history of its circuit,
+ * unless nothing changed
+ * @return {boolean} whether it was recorded
+ * @category data
+ */
+export function endCommand() {
+    if (!pending || --pending.depth > 0) return false;
+    const {
+        kind, scope, target, before,
+    } = pending;
+    pending = null;
+    const changes = changesSince(before, scope, target && target.element);
+    if (!Object.keys(changes.lists).length && !changes.fields.length) return false;
+    const command = { kind, target, changes };
+    command.label = labelOf(command);
+    scope.history.record(command);
+    scope.timeStamp = new Date().getTime();
+    projectSavedSet(false);
+    updateHistoryPanel();
+    return true;
+}
+
+/**
+ * Records an edit made by a function
+ * @param {string} kind
+ * @param {function} edit
+ * @param {Scope=} scope
+ * @param {{element: CircuitElement, property: string}=} target
+ * @category data
+ */
+export function trackCommand(kind, edit, scope = globalScope, target = undefined) {
+    beginCommand(kind, scope, target);
+    try {
+        edit();
+    } finally {
+        endCommand();
+    }
+}
+
+/**
+ * Whether a command may be merged into another, like typing a label
+ * @param {Object} command - the command of the current point
+ * @param {Object} next - the command recorded after it
+ * @return {boolean}
+ * @category data
+ */
+export function canMergeCommands(command, next) {
+    return Boolean(command && command.target && next.target
+        && command.target.element === next.target.element && command.target.property === next.target.property
+        && !Object.keys(command.changes.lists).length && !Object.keys(next.changes.lists).length);
+}
+
+/**
+ * Merges a command into the one before it
+ * @param {Object} command - changed in place
+ * @param {Object} next
+ * @category data
+ */
+export function mergeCommands(command, next) {
+    next.changes.fields.forEach(({ object, before, after }) => {
+        const change = command.changes.fields.find((other) => other.object === object);
+        if (!change) {
+            command.changes.fields.push({ object, before, after });
+            return;
+        }
+        change.before = { ...before, ...change.before };
+        change.after = { ...change.after, ...after };
+    });
+    command.label = next.label;
+}
+
+/**
+ * Undoes or redoes a command on the circuit
+ * @param {Scope} scope
+ * @param {Object} command
+ * @param {boolean} undoing
+ * @category data
+ */
+export function applyCommand(scope, command, undoing) {
+    const { lists, fields } = command.changes;
+    fields.forEach(({ object, before, after }) => {
+        Object.entries(undoing ? before : after).forEach(([name, value]) => {
+            object[name] = copyValue(value);
+        });
+    });
+    Object.entries(lists).forEach(([name, { added, removed }]) => {
+        const list = scope[name];
+        const leaving = new Set((undoing ? added : removed).map(({ object }) => object));
+        const joining = (undoing ? removed : added).slice().sort((a, b) => a.index - b.index);
+        let kept = 0;
+        for (let i = 0; i < list.length; i++) {
+            if (!leaving.has(list[i])) list[kept++] = list[i];
+        }
+        list.length = kept;
+        joining.forEach(({ object, index }) => {
+            if (object.scope !== scope && object.updateScope) object.updateScope(scope);
+            list.splice(Math.min(index, list.length), 0, object);
+        });
+    });
+    // The selection keeps what is still in the circuit
+    const gone = new Set(Object.values(lists).flatMap((change) => (undoing ? change.added : change.removed)).map(({ object }) => object));
+    if (gone.has(simulationArea.lastSelected)) simulationArea.lastSelected = undefined;
+    simulationArea.multipleObjectSelections = simulationArea.multipleObjectSelections.filter((object) => !gone.has(object));
+    scope.timeStamp = new Date().getTime();
+    forceResetNodesSet(true);
+    updateSimulationSet(true);
+    updateCanvasSet(true);
+    wireToBeCheckedSet(1);
+    scheduleUpdate();
+}
+
+/**
+ * Objects of a circuit paired with those of a copy of it loaded from its
+ * saved data, before the copy is changed
+ * @param {Scope} scope
+ * @param {Scope} copy
+ * @return {Map<Object, Object>}
+ * @category data
+ */
+export function scopeCorrespondence(scope, copy) {
+    const correspondence = new Map([[scope.root, copy.root]]);
+    [...moduleList, 'allNodes'].forEach((name) => {
+        (scope[name] || []).forEach((object, i) => {
+            if (copy[name] && copy[name][i]) correspondence.set(object, copy[name][i]);
+        });
+    });
+    const wireKey = (wire) => [copy.allNodes.indexOf(wire.node1), copy.allNodes.indexOf(wire.node2)].sort().join();
+    const wires = new Map(copy.wires.map((wire) => [wireKey(wire), wire]));
+    scope.wires.forEach((wire) => {
+        const key = wireKey({ node1: correspondence.get(wire.node1), node2: correspondence.get(wire.node2) });
+        if (wires.has(key)) correspondence.set(wire, wires.get(key));
+    });
+    return correspondence;
+}
+
+/**
+ * Points a command at the objects of a copy of its circuit
+ * @param {Object} command - changed in place
+ * @param {Map<Object, Object>} correspondence - as scopeCorrespondence() returns it
+ * @category data
+ */
+export function rebaseCommand(command, correspondence) {
+    const map = (value) => correspondence.get(value) || value;
+    const mapValue = (value) => (Array.isArray(value) ? value.map(map) : map(value));
+    const mapFields = (fields) => Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, mapValue(value)]));
+    Object.values(command.changes.lists).forEach((change) => {
+        ['added', 'removed'].forEach((list) => {
+            change[list] = change[list].map(({ object, index }) => ({ object: map(object), index }));
+        });
+    });
+    command.changes.fields = command.changes.fields.map(({ object, before, after }) => ({
+        object: map(object), before: mapFields(before), after: mapFields(after),
+    }));
+    if (command.target) command.target = { ...command.target, element: map(command.target.element) };
+}
@@ -0,0 +1,193 @@
+/* eslint-disable import/no-cycle */
+/**
+ * Undo history of a circuit as a tree. Every command recorded by
+ * endCommand() is a point whose parent is the point it was made from, so
+ * undoing and then editing starts a new branch instead of dropping the
+ * changes that were undone. Moving between points undoes and redoes the
+ * commands on the way.
+ * @category data
+ */
+
+import { layoutModeGet } from '../layoutMode';
+import { updateRestrictedElementsInScope } from '../restrictedElementDiv';
+import {
+    applyCommand, canMergeCommands, mergeCommands, rebaseCommand,
+} from './commands';
+import { escapeHtml } from '../utils';
+
+/**
+ * History of the changes of a circuit
+ * @category data
+ */
+export class HistoryTree {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Forgets every change, the circuit as it is becomes the start
+     */
+    clear() {
+        this.points = [{
+            id: 0, parent: undefined, children: [], lastChild: undefined, label: 'Start', time: new Date().getTime(), command: null,
+        }];
+        this.current = 0;
+    }
+
+    /**
+     * Records a command as a child of the current point. Changing the same
+     * property again, like typing a label, changes the current point.
+     * @param {Object} command - as endCommand() makes it
+     */
+    record(command) {
+        const point = this.points[this.current];
+        if (!point.children.length && canMergeCommands(point.command, command)) {
+            mergeCommands(point.command, command);
+            point.label = point.command.label;
+            point.time = new Date().getTime();
+            return;
+        }
+        const child = {
+            id: this.points.length, parent: point.id, children: [], lastChild: undefined, label: command.label, time: new Date().getTime(), command,
+        };
+        this.points.push(child);
+        point.children.push(child.id);
+        point.lastChild = child.id;
+        this.current = child.id;
+    }
+
+    /**
+     * Number of points
+     * @type {number}
+     */
+    get size() {
+        return this.points.length;
+    }
+
+    canUndo() {
+        return this.points[this.current].parent !== undefined;
+    }
+
+    canRedo() {
+        return this.points[this.current].lastChild !== undefined;
+    }
+
+    /**
+     * Goes to any point, through the last point both branches share. Going
+     * back to a parent is undo and going forward to the child last left is redo.
+     * @param {number} id
+     * @param {Scope} scope - the circuit of the history
+     * @return {boolean} whether the point is there
+     */
+    jump(id, scope) {
+        if (!this.points[id]) return false;
+        const ancestors = this.pathTo(this.current);
+        const path = this.pathTo(id);
+        let shared = 0;
+        while (shared < path.length && ancestors[shared] === path[shared]) shared++;
+        while (this.current !== path[shared - 1]) this.up(scope);
+        path.slice(shared).forEach((point) => this.down(point, scope));
+        return true;
+    }
+
+    /**
+     * Points from the start to a point
+     * @param {number} id
+     * @return {Array<number>}
+     */
+    pathTo(id) {
+        const path = [];
+        for (let point = id; point !== undefined; point = this.points[point].parent) path.unshift(point);
+        return path;
+    }
+
+    up(scope) {
+        const point = this.points[this.current];
+        applyCommand(scope, point.command, true);
+        this.points[point.parent].lastChild = point.id;
+        this.current = point.parent;
+    }
+
+    down(id, scope) {
+        applyCommand(scope, this.points[id].command, false);
+        this.points[this.current].lastChild = id;
+        this.current = id;
+    }
+
+    /**
+     * Points every command at a copy of the circuit, when the circuit is
+     * loaded again
+     * @param {Map<Object, Object>} correspondence - as scopeCorrespondence() returns it
+     */
+    rebase(correspondence) {
+        this.points.forEach(({ command }) => {
+            if (command) rebaseCommand(command, correspondence);
+        });
+    }
+}
+
+/**
+ * Points of a branch as HTML, branches leaving it are nested under the point
+ * they leave from
+ * @param {HistoryTree} history
+ * @param {number} id - the first point of the branch
+ * @return {string}
+ */
+function branchHTML(history, id) {
+    const items = [];
+    for (let point = history.points[id]; point; point = history.points[point.children[0]]) {
+        const label = point.id === history.current ? `<b>${escapeHtml(point.label)}</b>` : escapeHtml(point.label);
+        const time = new Date(point.time).toLocaleTimeString();
+        const branches = point.children.slice(1).map((child) => branchHTML(history, child)).join('');
+        items.push(`<li><a class="historyPoint" data-point="${point.id}" title="${time}">${label}</a>${branches}</li>`);
+    }
+    return `<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Lists the history of the current circuit in the history panel, if it is there
+ * @category data
+ */
+export function updateHistoryPanel() {
+    const list = $('#historyList');
+    if (!list.length) return;
+    list.empty();
+    if (globalScope.history.size === 1) {
+        list.append('<p>Nothing has been changed yet</p>');
+        return;
+    }
+    list.append(branchHTML(globalScope.history, 0));
+}
+
+/**
+ * Brings a circuit back to a point of its history
+ * @param {number} id - of the point
+ * @param {Scope=} scope
+ * @category data
+ */
+export function jumpTo(id, scope = globalScope) {
+    if (layoutModeGet() || id === scope.history.current) return;
+    if (!scope.history.jump(id, scope)) return;
+    // Updated restricted elements
+    updateRestrictedElementsInScope(scope);
+    updateHistoryPanel();
+}
+
+/**
+ * The panel listing the history of the current circuit
+ * @category data
+ */
+export function createHistoryPrompt() {
+    $('#historyDialog').empty();
+    $('#historyDialog').append('<div id="historyList"></div>');
+    // Bound once, the points are listed again on every change
+    $('#historyList').on('click', '.historyPoint', function jumpToPoint() {
+        jumpTo(Number(this.dataset.point));
+    });
+    updateHistoryPanel();
+    $('#historyDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        maxHeight: 500,
+    });
+}
@@ -99,6 +99,8 @@ function removeBugNodes(scope = globalScope) {
 export function loadScope(scope, data) {
     const ML = moduleList.slice(); // Module List copy
     scope.restrictedCircuitElementsUsed = data.restrictedCircuitElementsUsed;
+    // Registers read it when they are loaded, circuits saved before it power up as 0
+    scope.unknownPowerUp = Boolean(data.unknownPowerUp);
 
     // Load all nodes
     data.allNodes.map((x) => loadNode(x, scope));
@@ -139,6 +141,16 @@ export function loadScope(scope, data) {
         );
     }
 
+    // If an assembler program exists, then restore
+    if (data.assemblerData) {
+        scope.assemblerData = data.assemblerData;
+    }
+
+    // If breakpoints exist, then restore
+    if (data.breakpoints) {
+        scope.breakpoints = data.breakpoints;
+    }
+
     // If layout exists, then restore
     if (data.layout) {
         scope.layout = data.layout;
@@ -428,9 +428,9 @@ export function autosave() {
 }
 
 export function checkBackups() {
-    if (checkForAutosave < globalScope.backups.length) {
+    if (checkForAutosave < globalScope.history.size) {
         autosave();
-        checkForAutosave = globalScope.backups.length;
+        checkForAutosave = globalScope.history.size;
     }
 }
 
@@ -0,0 +1,452 @@
+/* eslint-disable import/no-cycle */
+/* eslint-disable no-param-reassign */
+/**
+ * Debugger of the simulation. When a breakpoint is hit the simulation pauses
+ * between two events: the clock stops and the events still queued wait until
+ * the simulation is stepped or continued. Breakpoints are a line each:
+ *
+ *     PC == 0x1F   ; the value of PC becomes 0x1F, also != < <= > and >=
+ *     Z changes    ; the value of Z changes, for example a Flag
+ *     8 edges      ; every 8 ticks of the clock
+ *
+ * Elements are found by their label, a Flag also by its identifier. The
+ * value of an element is the value of its first output, or of its input
+ * when it has no output. Step Event resolves the next queued event, Step
+ * Clock resolves the events left of the current tick, or ticks the clock
+ * when there are none and lets the circuit settle. While debugging the state
+ * of the circuit is kept every few ticks (see timeTravel.js) and Step Back
+ * goes back to the last tick kept.
+ * @category debugger
+ */
+
+import simulationArea from './simulationArea';
+import {
+    breakHandlerSet, resumePlay, scheduleUpdate, startPlay, updateCanvasSet,
+} from './engine';
+import { describeElement } from './projectDiff';
+import {
+    advanceClock, escapeHtml, showError, showMessage,
+} from './utils';
+import { TimeMachine } from './timeTravel';
+import { toBigInt } from './wideValue';
+
+const REFRESH_INTERVAL = 250; // Refresh rate of the panel (in ms)
+const MAX_EVENTS_SHOWN = 100;
+const VALUE_BREAKPOINT = /^(\S+?)\s*(==|!=|<=|>=|<|>)\s*(\S+)$/;
+const CHANGE_BREAKPOINT = /^(\S+)\s+changes$/i;
+const EDGE_BREAKPOINT = /^(\d+)\s+edges?$/i;
+const NUMBER = /^(0x[0-9a-f]+|0b[01]+|\d+)$/i;
+const COMPARE = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+};
+
+let panel; // The debugger of the panel and its refresh timer, {debug, timer}
+
+/**
+ * Error of a line of the breakpoints
+ * @param {number} line
+ * @param {string} message
+ * @return {Error}
+ */
+function lineError(line, message) {
+    return new Error(`Line ${line}: ${message}`);
+}
+
+/**
+ * Name of an element for people
+ * @param {CircuitElement} element
+ * @return {string}
+ */
+function elementName(element) {
+    return describeElement({
+        type: element.objectType, label: element.label, x: element.x, y: element.y,
+    });
+}
+
+/**
+ * The node whose value a breakpoint on an element watches
+ * @param {Scope} scope
+ * @param {string} name - label of the element, or identifier of a Flag
+ * @return {Node|undefined}
+ */
+function findWatchedNode(scope, name) {
+    const element = moduleList.flatMap((type) => scope[type] || [])
+        .find((object) => object.label === name || (object.objectType === 'Flag' && object.identifier === name));
+    if (!element) return undefined;
+    return element.nodeList.find((node) => node.type === NODE_OUTPUT) || element.nodeList[0];
+}
+
+/**
+ * Reads the breakpoints, a line each
+ * @param {string} text
+ * @param {Scope=} scope - circuit with the elements the breakpoints watch
+ * @return {Array<Object>} {text, kind, ...} where kind is value, change or edges
+ * @category debugger
+ */
+export function parseBreakpoints(text, scope = globalScope) {
+    const breakpoints = [];
+    text.split('\n').forEach((raw, i) => {
+        const line = raw.replace(/;.*/, '').trim();
+        if (!line) return;
+        let match = line.match(EDGE_BREAKPOINT);
+        if (match) {
+            const every = Number(match[1]);
+            if (every < 1) throw lineError(i + 1, 'a breakpoint needs at least 1 edge');
+            breakpoints.push({ text: line, kind: 'edges', every });
+            return;
+        }
+        let kind = 'change';
+        match = line.match(CHANGE_BREAKPOINT);
+        if (!match) {
+            kind = 'value';
+            match = line.match(VALUE_BREAKPOINT);
+        }
+        if (!match) throw lineError(i + 1, `${line} is not a breakpoint`);
+        const node = findWatchedNode(scope, match[1]);
+        if (!node) throw lineError(i + 1, `no element is labelled ${match[1]}`);
+        if (kind === 'change') {
+            breakpoints.push({ text: line, kind, node });
+            return;
+        }
+        if (!NUMBER.test(match[3])) throw lineError(i + 1, `${match[3]} is not a number`);
+        breakpoints.push({
+            text: line, kind, node, operator: match[2], value: BigInt(match[3]),
+        });
+    });
+    return breakpoints;
+}
+
+/**
+ * The events in the simulation queue, in the order they will be resolved
+ * @return {Array<{time: number, object: Object}>} object is a node or an element
+ * @category debugger
+ */
+export function queuedEvents() {
+    const { queue, frontIndex } = simulationArea.simulationQueue;
+    return queue.slice(0, frontIndex)
+        .sort((a, b) => a.queueProperties.time - b.queueProperties.time || b.queueProperties.order - a.queueProperties.order)
+        .map((object) => ({ time: object.queueProperties.time, object }));
+}
+
+/**
+ * What an event resolves, for people
+ * @param {Object} object - a node or an element
+ * @return {string}
+ * @category debugger
+ */
+export function describeEvent(object) {
+    if (object.objectType !== 'Node') return elementName(object);
+    return `${object.label || 'Node'} of ${elementName(object.parent)}`;
+}
+
+/**
+ * Checks whether a breakpoint is hit now and remembers what it watches
+ * @param {Object} breakpoint
+ * @return {boolean}
+ */
+function triggered(breakpoint) {
+    if (breakpoint.kind === 'edges') {
+        // The ticks are counted when the circuit has settled
+        if (!simulationArea.simulationQueue.isEmpty()) return false;
+        if (simulationArea.clockTime - breakpoint.since < breakpoint.every) return false;
+        breakpoint.since = simulationArea.clockTime;
+        return true;
+    }
+    const { value } = breakpoint.node;
+    if (breakpoint.kind === 'change') {
+        const changed = value !== breakpoint.last;
+        breakpoint.last = value;
+        return changed;
+    }
+    const met = value !== undefined && COMPARE[breakpoint.operator](toBigInt(value), breakpoint.value);
+    const hit = met && !breakpoint.met;
+    breakpoint.met = met;
+    return hit;
+}
+
+/**
+ * Pauses the simulation at breakpoints and steps it
+ * @category debugger
+ */
+export class Debugger {
+    /**
+     * @param {Scope=} scope - circuit being debugged
+     */
+    constructor(scope = globalScope) {
+        this.scope = scope;
+        this.breakpoints = [];
+        this.paused = false;
+        this.hit = undefined; // text of the breakpoint hit last
+        this.stepping = false; // breakpoints do not pause a step
+        this.clockEnabled = undefined; // clock setting before pausing
+        this.timeMachine = new TimeMachine(scope);
+        this.onUpdate = () => {}; // called whenever the simulation pauses or steps
+    }
+
+    /**
+     * Starts pausing at breakpoints
+     */
+    attach() {
+        breakHandlerSet(() => this.check());
+        this.timeMachine.attach();
+    }
+
+    /**
+     * Stops pausing, the simulation goes on if it is paused
+     */
+    detach() {
+        breakHandlerSet(undefined);
+        this.timeMachine.detach();
+        this.breakpoints = [];
+        this.resume();
+    }
+
+    /**
+     * Replaces the breakpoints, they are hit by what changes from now on
+     * @param {string} text - a breakpoint per line
+     */
+    setBreakpoints(text) {
+        this.breakpoints = parseBreakpoints(text, this.scope);
+        this.watch();
+    }
+
+    /**
+     * Breakpoints are hit by what changes from now on
+     */
+    watch() {
+        this.breakpoints.forEach((breakpoint) => {
+            if (breakpoint.kind === 'edges') breakpoint.since = simulationArea.clockTime;
+            else triggered(breakpoint);
+        });
+    }
+
+    /**
+     * Called after every event, pauses if a breakpoint is hit
+     * @return {boolean} true to pause the simulation
+     */
+    check() {
+        const hits = this.breakpoints.filter(triggered);
+        if (!hits.length) return false;
+        this.hit = hits[0].text;
+        if (this.stepping) return false;
+        this.pause(this.hit);
+        return true;
+    }
+
+    /**
+     * Pauses the simulation, the clock stops
+     * @param {string=} hit - the breakpoint hit
+     */
+    pause(hit) {
+        this.hit = hit;
+        if (!this.paused) {
+            this.paused = true;
+            this.clockEnabled = simulationArea.clockEnabled;
+            simulationArea.clockEnabled = false;
+        }
+        updateCanvasSet(true);
+        scheduleUpdate(0, 20);
+        this.onUpdate();
+    }
+
+    /**
+     * Resolves queued events and shows the circuit as they leave it
+     * @param {number} maxEvents
+     */
+    run(maxEvents = Infinity) {
+        resumePlay(this.scope, maxEvents);
+        updateCanvasSet(true);
+        scheduleUpdate(0, 20);
+        this.onUpdate();
+    }
+
+    /**
+     * Goes on from a pause until the next breakpoint, the clock runs again
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.hit = undefined;
+        simulationArea.clockEnabled = this.clockEnabled;
+        this.clockEnabled = undefined;
+        this.run();
+    }
+
+    /**
+     * Starts the next tick of the clock when no event is left
+     * @return {boolean} false if the circuit can not be simulated now
+     */
+    nextTick() {
+        if (!simulationArea.simulationQueue.isEmpty()) return true;
+        advanceClock();
+        return startPlay(this.scope);
+    }
+
+    /**
+     * Resolves the next event and pauses
+     */
+    stepEvent() {
+        this.step(1);
+    }
+
+    /**
+     * Resolves the events of a tick and pauses
+     */
+    stepClock() {
+        this.step(Infinity);
+    }
+
+    /**
+     * Pauses and resolves some events, breakpoints are noted but do not stop it
+     * @param {number} maxEvents
+     */
+    step(maxEvents) {
+        if (!this.paused) this.pause();
+        this.hit = undefined;
+        if (!this.nextTick()) return;
+        this.stepping = true;
+        try {
+            this.run(maxEvents);
+        } finally {
+            this.stepping = false;
+        }
+    }
+
+    /**
+     * Pauses and goes back to the last tick kept before now
+     * @return {number|undefined} the tick gone back to, undefined if none is kept
+     */
+    stepBack() {
+        if (!this.paused) this.pause();
+        this.hit = undefined;
+        const tick = this.timeMachine.stepBack();
+        this.watch();
+        this.onUpdate();
+        return tick;
+    }
+}
+
+/**
+ * Shows whether the simulation is paused and the queued events
+ */
+function updateDebugger() {
+    const { debug } = panel;
+    let status = `Running, tick ${simulationArea.clockTime}`;
+    if (debug.paused) status = `Paused at tick ${simulationArea.clockTime}${debug.hit ? `: ${debug.hit}` : ''}`;
+    else if (debug.hit) status += `, last hit ${debug.hit}`;
+    const { snapshots } = debug.timeMachine;
+    if (snapshots.length) status += `. Ticks ${snapshots[0].clockTime} to ${snapshots[snapshots.length - 1].clockTime} kept`;
+    $('#debuggerStatus').text(status);
+    const events = queuedEvents();
+    const lines = events.slice(0, MAX_EVENTS_SHOWN)
+        .map(({ time, object }) => `${String(time).padStart(6)}  ${describeEvent(object)}`);
+    if (events.length > MAX_EVENTS_SHOWN) lines.push(`and ${events.length - MAX_EVENTS_SHOWN} more`);
+    $('#debuggerEvents').html(escapeHtml(lines.join('\n') || 'No events queued'));
+}
+
+/**
+ * Reads the breakpoints of the panel
+ */
+function setPanelBreakpoints() {
+    const text = $('#debuggerBreakpoints').val();
+    globalScope.breakpoints = text;
+    try {
+        panel.debug.setBreakpoints(text);
+        $('#debuggerErrors').text('');
+    } catch (err) {
+        $('#debuggerErrors').text(err.message);
+    }
+}
+
+/**
+ * Stops debugging when the panel is closed
+ */
+function closeDebugger() {
+    if (!panel) return;
+    clearInterval(panel.timer);
+    panel.debug.detach();
+    panel = undefined;
+}
+
+/**
+ * Panel to set breakpoints on the circuit, step the simulation and see the
+ * queued events
+ * @category debugger
+ */
+export function createDebuggerPrompt() {
+    closeDebugger();
+    panel = { debug: new Debugger(globalScope) };
+    panel.debug.onUpdate = updateDebugger;
+    panel.debug.attach();
+    $('#debuggerDialog').empty();
+    $('#debuggerDialog').append(`<div>
+        <p><label for="debuggerBreakpoints">Breakpoints, one per line: PC == 0x1F, Z changes or 8 edges</label></p>
+        <textarea id="debuggerBreakpoints" rows="6" cols="40" spellcheck="false"></textarea>
+        <pre id="debuggerErrors" style="color:red"></pre>
+        <p><label for="debuggerSnapshotEvery">Keep the state every</label> <input type="number" id="debuggerSnapshotEvery" min="1" value="1" style="width:60px"/> ticks</p>
+        <p id="debuggerStatus"></p>
+        <p>Queued events (time, what is resolved)</p>
+        <pre id="debuggerEvents" style="max-height:300px; overflow:auto"></pre>
+        </div>`);
+    $('#debuggerBreakpoints').val(globalScope.breakpoints || '');
+    $('#debuggerBreakpoints').on('change', setPanelBreakpoints);
+    $('#debuggerSnapshotEvery').on('change', function changeEvery() {
+        const every = parseInt(this.value, 10);
+        if (every >= 1) panel.debug.timeMachine.every = every;
+    });
+    setPanelBreakpoints();
+    updateDebugger();
+    panel.timer = setInterval(updateDebugger, REFRESH_INTERVAL);
+    $('#debuggerDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        position: { my: 'right top', at: 'right top', of: window },
+        close: closeDebugger,
+        buttons: [
+            {
+                style: 'padding: 6px',
+                text: 'Pause',
+                click() {
+                    panel.debug.pause();
+                },
+            },
+            {
+                style: 'padding: 6px',
+                text: 'Continue',
+                click() {
+                    panel.debug.resume();
+                },
+            },
+            {
+                style: 'padding: 6px',
+                text: 'Step Event',
+                click() {
+                    panel.debug.stepEvent();
+                },
+            },
+            {
+                style: 'padding: 6px',
+                text: 'Step Clock',
+                click() {
+                    panel.debug.stepClock();
+                },
+            },
+            {
+                style: 'padding: 6px',
+                text: 'Step Back',
+                click() {
+                    try {
+                        if (panel.debug.stepBack() === undefined) showMessage('No earlier tick is kept');
+                    } catch (err) {
+                        showError(err.message);
+                    }
+                },
+            },
+        ],
+    });
+}
@@ -15,6 +15,7 @@ import miniMapArea from './minimap';
 import { resetup } from './setup';
 import { verilogModeGet } from './Verilog2CV';
 import ContentionPendingData from './contention';
+import { drawDiffMarks } from './projectDiff';
 
 /**
  * Core of the simulation and rendering algorithm.
@@ -215,6 +216,23 @@ export function updateSubcircuitSet(param) {
     return false;
 }
 
+/**
+ * Called after every event of the simulation, returns true to pause it
+ * with the rest of the events still queued (see debugger.js)
+ * @type {function(Object): boolean|undefined}
+ * @category engine
+ */
+var breakHandler;
+
+/**
+ * used to set breakHandler
+ * @param {function(Object): boolean|undefined} param
+ * @category engine
+ */
+export function breakHandlerSet(param) {
+    breakHandler = param;
+}
+
 /**
  * turn light mode on
  * @param {boolean} val -- new value for light mode
@@ -260,6 +278,8 @@ export function renderCanvas(scope) {
     for (let i = 0; i < renderOrder.length; i++) {
         for (var j = 0; j < scope[renderOrder[i]].length; j++) { scope[renderOrder[i]][j].draw(); }
     }
+    // Differences with an earlier version of the project
+    drawDiffMarks(scope);
     // Show any message
     if (canvasMessageData.string !== undefined) {
         canvasMessage(ctx, canvasMessageData.string, canvasMessageData.x, canvasMessageData.y);
@@ -375,8 +395,20 @@ export function updateSelectionsAndPane(scope = globalScope) {
  * @category engine
  */
 export function play(scope = globalScope, resetNodes = false) {
-    if (errorDetected) return; // Don't simulate until error is fixed
-    if (loading === true) return; // Don't simulate until loaded
+    if (!startPlay(scope, resetNodes)) return;
+    resumePlay(scope);
+}
+
+/**
+ * Queues the inputs of the circuit without resolving them
+ * @param {Scope=} scope - the circuit we want to simulate
+ * @param {boolean} resetNodes - boolean to reset all nodes
+ * @return {boolean} false if the circuit can not be simulated now
+ * @category engine
+ */
+export function startPlay(scope = globalScope, resetNodes = false) {
+    if (errorDetected) return false; // Don't simulate until error is fixed
+    if (loading === true) return false; // Don't simulate until loaded
 
     simulationArea.simulationQueue.reset();
     plotArea.setExecutionTime(); // Waveform thing
@@ -392,13 +424,26 @@ export function play(scope = globalScope, resetNodes = false) {
     simulationArea.contentionPending = new ContentionPendingData();
     // add inputs to the simulation queue
     scope.addInputs();
+    return true;
+}
+
+/**
+ * Resolves the queued events until none is left, the break handler pauses
+ * or the given number of events is resolved
+ * @param {Scope=} scope - the circuit we want to simulate
+ * @param {number=} maxEvents - events to resolve at most
+ * @param {boolean=} breaks - whether the break handler may pause
+ * @return {boolean} true if the circuit settled
+ * @category engine
+ */
+export function resumePlay(scope = globalScope, maxEvents = Infinity, breaks = true) {
     // to check if we have infinite loop in circuit
     let stepCount = 0;
     let elem;
     while (!simulationArea.simulationQueue.isEmpty()) {
         if (errorDetected) {
             simulationArea.simulationQueue.reset();
-            return;
+            return false;
         }
         elem = simulationArea.simulationQueue.pop();
 
@@ -409,7 +454,10 @@ export function play(scope = globalScope, resetNodes = false) {
             showError('Simulation Stack limit exceeded: maybe due to cyclic paths or contention');
             forceResetNodesSet(true);
         }
+        if ((breaks && breakHandler && breakHandler(elem)) || stepCount >= maxEvents) break;
     }
+    if (!simulationArea.simulationQueue.isEmpty()) return false;
+    plotArea.settle(); // Hazard detection in timing mode
     // Check for Contentions
     if (simulationArea.contentionPending.size() > 0) {
         for (const [ourNode, theirNode] of simulationArea.contentionPending.nodes()) {
@@ -420,6 +468,7 @@ export function play(scope = globalScope, resetNodes = false) {
         forceResetNodesSet(true);
         showError('Contention Error: One or more bus contentions in the circuit (check highlighted nodes)');
     }
+    return true;
 }
 
 export function resetNodeHighlights(scope) {
@@ -0,0 +1,458 @@
+/* eslint-disable import/no-cycle */
+/**
+ * Combinational equivalence checking of two circuits whose inputs and
+ * outputs have the same labels.
+ *
+ * Circuits with few input bits are simulated for every input vector, like
+ * the rows of a truth table. Wider ones are compared symbolically: every
+ * output bit is built as a binary decision diagram over the input bits and
+ * the diagrams of both circuits must be the same. Either way a difference
+ * is reported with an input vector that shows it.
+ * @category equivalence
+ */
+
+import { scopeList } from './circuit';
+import { play, errorDetectedGet } from './engine';
+import { formatFourState } from './fourState';
+import { escapeHtml } from './utils';
+import BDD from './bdd';
+import {
+    MAX_VARIABLES, portsOf, bitWidthOf, checkCombinational,
+} from './analysisHelpers';
+
+const LOOP = new Error('Loop'); // Thrown when a wire is reached again while its value is being built
+
+/**
+ * Pairs up the inputs and outputs of two circuits by label
+ * @param {Scope} scopeA
+ * @param {Scope} scopeB
+ * @param {string} type - Input or Output
+ * @return {Array<{label: string, bitWidth: number, a: CircuitElement, b: CircuitElement}>}
+ * sorted by label
+ */
+function matchPorts(scopeA, scopeB, type) {
+    const portsA = portsOf(scopeA, type);
+    const portsB = portsOf(scopeB, type);
+    portsA.forEach((_, label) => {
+        if (!portsB.has(label)) throw new Error(`${scopeB.name} has no ${type} labeled ${label}`);
+    });
+    portsB.forEach((_, label) => {
+        if (!portsA.has(label)) throw new Error(`${scopeA.name} has no ${type} labeled ${label}`);
+    });
+    return [...portsA.keys()].sort().map((label) => {
+        const a = portsA.get(label);
+        const b = portsB.get(label);
+        const bitWidth = bitWidthOf(a);
+        if (bitWidth !== bitWidthOf(b)) {
+            throw new Error(`${type} ${label} is ${a.bitWidth} bits wide in ${scopeA.name} and ${b.bitWidth} in ${scopeB.name}`);
+        }
+        return {
+            label, bitWidth, a, b,
+        };
+    });
+}
+
+/**
+ * Value of an output node as a binary string, x and z for unknown bits
+ * @param {Node} node
+ * @return {string}
+ */
+function formatNode(node) {
+    return formatFourState(node.value, node.xMask || 0, node.zMask || 0, node.bitWidth);
+}
+
+/**
+ * Compares the circuits on every input vector
+ * @return {Object} result as checkEquivalence() returns it
+ */
+function checkBySimulation(scopeA, scopeB, inputs, outputs, inputBits) {
+    const saved = inputs.map(({ a, b }) => [a.state, b.state]);
+    let counterexample = null;
+    for (let vector = 0; vector < 2 ** inputBits && !counterexample; vector++) {
+        let shift = 0;
+        for (let i = 0; i < inputs.length; i++) {
+            const { a, b, bitWidth } = inputs[i];
+            const value = Math.floor(vector / (2 ** shift)) % (2 ** bitWidth);
+            a.state = value;
+            b.state = value;
+            shift += bitWidth;
+        }
+        play(scopeA);
+        play(scopeB);
+        if (errorDetectedGet()) throw new Error('The simulation stopped with an error');
+        const differs = outputs.some(({ a, b }) => formatNode(a.inp1) !== formatNode(b.inp1));
+        if (differs) {
+            counterexample = {
+                inputs: Object.fromEntries(inputs.map(({ label, a, bitWidth }) => [label, a.state.toString(2).padStart(bitWidth, '0')])),
+                outputs: Object.fromEntries(outputs.map(({ label, a, b }) => [label, [formatNode(a.inp1), formatNode(b.inp1)]])),
+            };
+        }
+    }
+    for (let i = 0; i < inputs.length; i++) {
+        const { a, b } = inputs[i];
+        [a.state, b.state] = saved[i];
+    }
+    play(scopeA);
+    play(scopeB);
+    if (globalScope !== scopeA && globalScope !== scopeB) play();
+    return { equivalent: !counterexample, method: 'simulation', counterexample };
+}
+
+/**
+ * Builds the decision diagrams of the outputs of a circuit
+ * @category equivalence
+ */
+export class SymbolicCircuit {
+    /**
+     * @param {BDD} bdd
+     * @param {Scope} scope
+     * @param {function(Input): Array<number>} inputValue - bits of an input, least significant first
+     */
+    constructor(bdd, scope, inputValue) {
+        this.bdd = bdd;
+        this.scope = scope;
+        this.inputValue = inputValue;
+        this.nets = new Map(); // node -> array of the nodes wired to it
+        this.values = new Map(); // net -> bits
+        this.visiting = new Set(); // nets being evaluated, to find loops
+        this.subCircuits = new Map(); // subcircuit -> SymbolicCircuit of its circuit
+    }
+
+    /**
+     * Nodes wired to a node, in the same circuit
+     * @param {Node} node
+     * @return {Array<Node>}
+     */
+    netOf(node) {
+        if (!this.nets.has(node)) {
+            const net = [node];
+            this.nets.set(node, net);
+            for (let i = 0; i < net.length; i++) {
+                net[i].connections.forEach((next) => {
+                    if (next.scope !== this.scope || this.nets.has(next)) return;
+                    this.nets.set(next, net);
+                    net.push(next);
+                });
+            }
+        }
+        return this.nets.get(node);
+    }
+
+    /**
+     * Bits on the wire of a node, undefined if nothing drives it
+     * @param {Node} node
+     * @return {Array<number>|undefined}
+     */
+    valueOf(node) {
+        const net = this.netOf(node);
+        if (this.values.has(net)) return this.values.get(net);
+        if (this.visiting.has(net)) throw LOOP;
+        this.visiting.add(net);
+        let value;
+        try {
+            for (let i = 0; i < net.length && value === undefined; i++) {
+                value = this.driverValue(net[i]);
+            }
+        } finally {
+            this.visiting.delete(net);
+        }
+        // Without a driver the wire may still get a value once the loop
+        // through a splitter or tunnel that was cut is left
+        if (value !== undefined || !this.visiting.size) this.values.set(net, value);
+        return value;
+    }
+
+    /**
+     * Bits a node drives onto its wire
+     * @param {Node} node
+     * @return {Array<number>|undefined}
+     */
+    driverValue(node) {
+        const element = node.parent;
+        // Splitters and tunnels pass values both ways, the side that leads
+        // back to this wire is not the driver
+        if (element.objectType === 'Splitter' || element.objectType === 'Tunnel') {
+            try {
+                return element.objectType === 'Splitter' ? this.splitter(element, node) : this.tunnel(element);
+            } catch (err) {
+                if (err === LOOP) return undefined;
+                throw err;
+            }
+        }
+        if (node.type !== NODE_OUTPUT) return undefined;
+        try {
+            return this.output(element, node);
+        } catch (err) {
+            if (err === LOOP) throw new Error(`${this.scope.name} has a loop, only combinational circuits can be compared`);
+            throw err;
+        }
+    }
+
+    /**
+     * Bits of a node that must be driven
+     * @param {Node} node
+     * @return {Array<number>}
+     */
+    input(node) {
+        const value = this.valueOf(node);
+        if (value === undefined) {
+            throw new Error(`${this.scope.name}: an input of ${node.parent.objectType} ${node.parent.label} is not connected`);
+        }
+        return value;
+    }
+
+    splitter(splitter, node) {
+        if (node === splitter.inp1) {
+            const parts = splitter.outputs.map((output) => this.valueOf(output));
+            if (parts.includes(undefined)) return undefined;
+            return [].concat(...parts);
+        }
+        const whole = this.valueOf(splitter.inp1);
+        if (whole === undefined) return undefined;
+        const index = splitter.outputs.indexOf(node);
+        const start = splitter.bitWidthSplit.slice(0, index).reduce((sum, width) => sum + width, 0);
+        return whole.slice(start, start + splitter.bitWidthSplit[index]);
+    }
+
+    tunnel(tunnel) {
+        const others = this.scope.tunnelList[tunnel.identifier].filter((other) => other !== tunnel);
+        for (let i = 0; i < others.length; i++) {
+            const value = this.valueOf(others[i].inp1);
+            if (value !== undefined) return value;
+        }
+        return undefined;
+    }
+
+    /**
+     * Bits where a value equals a constant
+     * @param {Array<number>} bits
+     * @param {number} constant
+     * @return {number}
+     */
+    equals(bits, constant) {
+        const { bdd } = this;
+        return bits.reduce((all, bit, i) => bdd.and(all, Math.floor(constant / 2 ** i) % 2 ? bit : bdd.not(bit)), 1);
+    }
+
+    /**
+     * Bits on an output node of an element
+     * @param {CircuitElement} element
+     * @param {Node} node
+     * @return {Array<number>}
+     */
+    output(element, node) {
+        const { bdd } = this;
+        const bitwise = (values, operation) => values.reduce((result, value) => result.map((bit, i) => operation(bit, value[i])));
+        const not = (bits) => bits.map((bit) => bdd.not(bit));
+        const constant = (bitWidth, value) => Array.from({ length: bitWidth }, () => value);
+        const gate = (operation) => bitwise(element.inp.map((inp) => this.input(inp)), operation);
+        switch (element.objectType) {
+        case 'Input':
+            return this.inputValue(element);
+        case 'ConstantVal':
+            return [...element.state].reverse().map(Number);
+        case 'Power':
+            return constant(element.bitWidth, 1);
+        case 'Ground':
+            return constant(element.bitWidth, 0);
+        case 'AndGate':
+            return gate((f, g) => bdd.and(f, g));
+        case 'OrGate':
+            return gate((f, g) => bdd.or(f, g));
+        case 'XorGate':
+            return gate((f, g) => bdd.xor(f, g));
+        case 'NandGate':
+            return not(gate((f, g) => bdd.and(f, g)));
+        case 'NorGate':
+            return not(gate((f, g) => bdd.or(f, g)));
+        case 'XnorGate':
+            return not(gate((f, g) => bdd.xor(f, g)));
+        case 'NotGate':
+            return not(this.input(element.inp1));
+        case 'Buffer':
+            return this.input(element.inp1);
+        case 'TwoComplement': {
+            let carry = 1;
+            return not(this.input(element.inp1)).map((bit) => {
+                const sum = bdd.xor(bit, carry);
+                carry = bdd.and(bit, carry);
+                return sum;
+            });
+        }
+        case 'Adder': {
+            const a = this.input(element.inpA);
+            const b = this.input(element.inpB);
+            let [carry] = this.valueOf(element.carryIn) || [0];
+            const sum = a.map((bit, i) => {
+                const half = bdd.xor(bit, b[i]);
+                const result = bdd.xor(half, carry);
+                carry = bdd.or(bdd.and(bit, b[i]), bdd.and(half, carry));
+                return result;
+            });
+            return node === element.sum ? sum : [carry];
+        }
+        case 'Multiplexer': {
+            const select = this.input(element.controlSignalInput);
+            const inputs = element.inp.map((inp) => this.input(inp));
+            return inputs.slice(1).reduce((result, value, i) => {
+                const chosen = this.equals(select, i + 1);
+                return result.map((bit, j) => bdd.ite(chosen, value[j], bit));
+            }, inputs[0]);
+        }
+        case 'Demultiplexer': {
+            const select = this.input(element.controlSignalInput);
+            const value = this.input(element.input);
+            const chosen = this.equals(select, element.output1.indexOf(node));
+            return value.map((bit) => bdd.and(chosen, bit));
+        }
+        case 'Decoder':
+            return [this.equals(this.input(element.input), element.output1.indexOf(node))];
+        case 'BitSelector': {
+            const value = this.input(element.inp1);
+            const select = this.input(element.bitSelectorInp);
+            return [value.reduce((result, bit, i) => bdd.or(result, bdd.and(this.equals(select, i), bit)), 0)];
+        }
+        case 'SubCircuit':
+            return this.subCircuit(element, node);
+        default:
+            throw new Error(`${this.scope.name}: ${element.objectType} can only be compared in circuits with at most ${MAX_VARIABLES} input bits`);
+        }
+    }
+
+    subCircuit(subCircuit, node) {
+        if (!this.subCircuits.has(subCircuit)) {
+            const { localScope } = subCircuit;
+            this.subCircuits.set(subCircuit, new SymbolicCircuit(this.bdd, localScope, (input) => (
+                this.input(subCircuit.inputNodes[localScope.Input.indexOf(input)])
+            )));
+        }
+        const inner = this.subCircuits.get(subCircuit);
+        const output = subCircuit.localScope.Output[subCircuit.outputNodes.indexOf(node)];
+        return inner.valueOf(output.inp1);
+    }
+}
+
+/**
+ * Compares the circuits with decision diagrams
+ * @return {Object} result as checkEquivalence() returns it
+ */
+function checkSymbolically(scopeA, scopeB, inputs, outputs) {
+    const bdd = new BDD();
+    // Bits of the inputs are interleaved, which keeps adders and comparators small
+    const variables = new Map(inputs.map(({ label }) => [label, []]));
+    const order = []; // input and bit of every variable
+    const widest = Math.max(0, ...inputs.map(({ bitWidth }) => bitWidth));
+    for (let bit = 0; bit < widest; bit++) {
+        inputs.forEach(({ label, bitWidth }) => {
+            if (bit >= bitWidth) return;
+            variables.get(label).push(bdd.variable(order.length));
+            order.push({ label, bit });
+        });
+    }
+    const inputValue = (input) => variables.get(input.label.trim());
+    const circuitA = new SymbolicCircuit(bdd, scopeA, inputValue);
+    const circuitB = new SymbolicCircuit(bdd, scopeB, inputValue);
+    const values = outputs.map(({ a, b }) => [circuitA.valueOf(a.inp1), circuitB.valueOf(b.inp1)]);
+
+    let assignment = null;
+    for (let i = 0; i < outputs.length && !assignment; i++) {
+        const [valueA, valueB] = values[i];
+        if (valueA === undefined || valueB === undefined) {
+            // Undriven outputs only match undriven outputs
+            if (valueA !== valueB) assignment = new Map();
+        } else {
+            assignment = bdd.satisfy(valueA.reduce((differs, bit, j) => bdd.or(differs, bdd.xor(bit, valueB[j])), 0));
+        }
+    }
+    if (!assignment) return { equivalent: true, method: 'bdd', counterexample: null };
+
+    const valueOf = (variable) => assignment.get(variable) || 0;
+    const format = (bits, bitWidth) => (bits === undefined
+        ? 'z'.repeat(bitWidth)
+        : bits.map((bit) => bdd.evaluate(bit, valueOf)).reverse().join(''));
+    const inputBits = new Map(inputs.map(({ label, bitWidth }) => [label, Array(bitWidth).fill(0)]));
+    order.forEach(({ label, bit }, variable) => {
+        inputBits.get(label)[bit] = valueOf(variable);
+    });
+    return {
+        equivalent: false,
+        method: 'bdd',
+        counterexample: {
+            inputs: Object.fromEntries([...inputBits].map(([label, bits]) => [label, bits.reverse().join('')])),
+            outputs: Object.fromEntries(outputs.map(({ label, bitWidth }, i) => [label, values[i].map((bits) => format(bits, bitWidth))])),
+        },
+    };
+}
+
+/**
+ * Checks whether two combinational circuits compute the same outputs
+ * @param {Scope} scopeA
+ * @param {Scope} scopeB
+ * @param {string=} method - 'simulation', 'bdd' or by the number of input bits
+ * @return {{equivalent: boolean, method: string, counterexample: Object|null}}
+ * the counterexample holds the inputs as binary strings and for every output
+ * its values in both circuits
+ * @category equivalence
+ */
+export function checkEquivalence(scopeA, scopeB, method = undefined) {
+    const inputs = matchPorts(scopeA, scopeB, 'Input');
+    const outputs = matchPorts(scopeA, scopeB, 'Output');
+    if (!outputs.length) throw new Error('The circuits have no outputs to compare');
+    checkCombinational(scopeA);
+    checkCombinational(scopeB);
+    const inputBits = inputs.reduce((sum, { bitWidth }) => sum + bitWidth, 0);
+    if (method === 'simulation' || (method === undefined && inputBits <= MAX_VARIABLES)) {
+        return checkBySimulation(scopeA, scopeB, inputs, outputs, inputBits);
+    }
+    return checkSymbolically(scopeA, scopeB, inputs, outputs);
+}
+
+/**
+ * Dialog to compare two circuits of the project
+ * @category equivalence
+ */
+export function createEquivalencePrompt() {
+    const options = Object.keys(scopeList)
+        .map((id) => `<option value="${id}">${escapeHtml(scopeList[id].name)}</option>`)
+        .join('');
+    $('#equivalenceDialog').empty();
+    $('#equivalenceDialog').append(`<div>
+        <p>Circuits with matching input and output labels</p>
+        <p><select id="equivalenceFirst">${options}</select> and <select id="equivalenceSecond">${options}</select></p>
+        <div id="equivalenceResult"></div>
+        </div>`);
+    $('#equivalenceFirst').val(globalScope.id);
+    $('#equivalenceDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        buttons: [
+            {
+                text: 'Compare',
+                click() {
+                    const scopeA = scopeList[$('#equivalenceFirst').val()];
+                    const scopeB = scopeList[$('#equivalenceSecond').val()];
+                    const result = $('#equivalenceResult');
+                    result.empty();
+                    try {
+                        const { equivalent, method, counterexample } = checkEquivalence(scopeA, scopeB);
+                        const how = method === 'bdd' ? 'with decision diagrams' : 'on every input';
+                        if (equivalent) {
+                            result.append(`<p>The circuits are equivalent (checked ${how})</p>`);
+                            return;
+                        }
+                        const row = (label, values) => `<tr><td>${escapeHtml(label)}</td>${values.map((value) => `<td>${value}</td>`).join('')}</tr>`;
+                        result.append(`<p>The circuits differ (checked ${how}), for example</p>
+                            <table class="table table-sm">
+                            <tr><th>Input</th><th>Value</th></tr>
+                            ${Object.entries(counterexample.inputs).map(([label, value]) => row(label, [value])).join('')}
+                            <tr><th>Output</th><th>${escapeHtml(scopeA.name)}</th><th>${escapeHtml(scopeB.name)}</th></tr>
+                            ${Object.entries(counterexample.outputs).map(([label, values]) => row(label, values)).join('')}
+                            </table>`);
+                    } catch (err) {
+                        result.append(`<p>${escapeHtml(err.message)}</p>`);
+                    }
+                },
+            },
+        ],
+    });
+}
@@ -1,13 +1,22 @@
 /**
- * Event Queue is simply a priority Queue, basic implementation O(n^2).
+ * Event Queue is a priority queue ordered by simulation time, implemented
+ * as an indexed binary min-heap. add(), re-prioritizing a queued object
+ * and pop() are O(log n). The heap grows as needed.
+ *
+ * Objects with the same time are popped newest first, as they were by the
+ * previous sorted array implementation.
  * @category eventQueue
  */
 export default class EventQueue {
-    constructor(size) {
+    /**
+    * @param {number} size - initial capacity, the queue grows beyond it
+    */
+    constructor(size = 16) {
         this.size = size;
         this.queue = new Array(size);
         this.frontIndex = 0;
         this.time = 0;
+        this.order = 0;
     }
 
     /**
@@ -15,33 +24,16 @@ export default class EventQueue {
     * @param {number} delay - the delay in adding an object to queue
     */
     add(obj, delay) {
-        if (obj.queueProperties.inQueue) {
-            obj.queueProperties.time = this.time + (delay || obj.propagationDelay);
-            let i = obj.queueProperties.index;
-            while (i > 0 && obj.queueProperties.time > this.queue[i - 1].queueProperties.time) {
-                this.swap(i, i - 1);
-                i--;
-            }
-            i = obj.queueProperties.index;
-            while (i < this.frontIndex - 1 && obj.queueProperties.time < this.queue[i + 1].queueProperties.time) {
-                this.swap(i, i + 1);
-                i++;
-            }
+        const time = this.time + (delay || obj.propagationDelay);
+        const properties = obj.queueProperties;
+        if (properties.inQueue) {
+            const previous = properties.time;
+            properties.time = time;
+            if (time < previous) this.siftUp(properties.index);
+            else if (time > previous) this.siftDown(properties.index);
             return;
         }
-
-        if (this.frontIndex == this.size) throw 'EventQueue size exceeded';
-        this.queue[this.frontIndex] = obj;
-        // obj.queueProperties.time=obj.propagationDelay;
-        obj.queueProperties.time = this.time + (delay || obj.propagationDelay);
-        obj.queueProperties.index = this.frontIndex;
-        this.frontIndex++;
-        obj.queueProperties.inQueue = true;
-        let i = obj.queueProperties.index;
-        while (i > 0 && obj.queueProperties.time > this.queue[i - 1].queueProperties.time) {
-            this.swap(i, i - 1);
-            i--;
-        }
+        this.insert(obj, time);
     }
 
     /**
@@ -49,11 +41,76 @@ export default class EventQueue {
     * @param {CircuitElement} obj - the object to be added
     */
     addImmediate(obj) {
+        this.insert(obj, this.time);
+    }
+
+    /**
+    * Inserts an object that is not queued yet
+    * @param {CircuitElement} obj
+    * @param {number} time - simulation time of the event
+    */
+    insert(obj, time) {
+        if (this.frontIndex === this.size) this.grow();
+        const properties = obj.queueProperties;
         this.queue[this.frontIndex] = obj;
-        obj.queueProperties.time = this.time;
-        obj.queueProperties.index = this.frontIndex;
-        obj.queueProperties.inQueue = true;
+        properties.time = time;
+        properties.index = this.frontIndex;
+        properties.order = this.order++;
+        properties.inQueue = true;
         this.frontIndex++;
+        this.siftUp(properties.index);
+    }
+
+    /**
+    * Doubles the capacity of the queue
+    */
+    grow() {
+        this.size = Math.max(2 * this.size, 16);
+        this.queue.length = this.size;
+    }
+
+    /**
+    * Checks if the object at index v1 is due before the one at v2
+    * @param {number} v1
+    * @param {number} v2
+    * @return {boolean}
+    */
+    before(v1, v2) {
+        const a = this.queue[v1].queueProperties;
+        const b = this.queue[v2].queueProperties;
+        return a.time < b.time || (a.time === b.time && a.order > b.order);
+    }
+
+    /**
+    * Moves the object at index i up until its parent is due before it
+    * @param {number} i
+    */
+    siftUp(i) {
+        let child = i;
+        while (child > 0) {
+            const parent = Math.floor((child - 1) / 2);
+            if (!this.before(child, parent)) return;
+            this.swap(child, parent);
+            child = parent;
+        }
+    }
+
+    /**
+    * Moves the object at index i down until it is due before its children
+    * @param {number} i
+    */
+    siftDown(i) {
+        let parent = i;
+        for (;;) {
+            const left = 2 * parent + 1;
+            const right = left + 1;
+            let first = parent;
+            if (left < this.frontIndex && this.before(left, first)) first = left;
+            if (right < this.frontIndex && this.before(right, first)) first = right;
+            if (first === parent) return;
+            this.swap(parent, first);
+            parent = first;
+        }
     }
 
     /**
@@ -78,8 +135,14 @@ export default class EventQueue {
     pop() {
         if (this.isEmpty()) throw 'Queue Empty';
 
+        const obj = this.queue[0];
         this.frontIndex--;
-        const obj = this.queue[this.frontIndex];
+        if (this.frontIndex > 0) {
+            this.queue[0] = this.queue[this.frontIndex];
+            this.queue[0].queueProperties.index = 0;
+            this.siftDown(0);
+        }
+        this.queue[this.frontIndex] = undefined;
         this.time = obj.queueProperties.time;
         obj.queueProperties.inQueue = false;
         return obj;
@@ -89,7 +152,10 @@ export default class EventQueue {
      * function to reset queue.
      */
     reset() {
-        for (let i = 0; i < this.frontIndex; i++) this.queue[i].queueProperties.inQueue = false;
+        for (let i = 0; i < this.frontIndex; i++) {
+            this.queue[i].queueProperties.inQueue = false;
+            this.queue[i] = undefined;
+        }
         this.time = 0;
         this.frontIndex = 0;
     }
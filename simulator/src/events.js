@@ -10,6 +10,7 @@ import { getNextPosition } from './modules';
 import { generateId } from './utils';
 import simulationArea from './simulationArea';
 import { TestbenchData } from './testbench';
+import { beginCommand, endCommand, scopeCorrespondence } from './data/commands';
 
 /**
  * Helper function to paste
@@ -37,6 +38,7 @@ export function paste(copyData) {
     }
 
     switchCircuit(currentScopeId);
+    beginCommand('paste');
     var tempScope = new Scope(globalScope.name, globalScope.id);
     var oldOx = globalScope.ox;
     var oldOy = globalScope.oy;
@@ -114,6 +116,7 @@ export function paste(copyData) {
 
 
     forceResetNodesSet(true);
+    endCommand();
 }
 /**
  * Helper function for cut
@@ -129,6 +132,9 @@ export function cut(copyList) {
     d = backUp(globalScope);
     loadScope(tempScope, d);
     scopeList[tempScope.id] = tempScope;
+    // The history goes on with the objects of the copy
+    const correspondence = scopeCorrespondence(globalScope, tempScope);
+    beginCommand('cut', tempScope);
 
     for (let i = 0; i < copyList.length; i++) {
         const obj = copyList[i];
@@ -140,7 +146,7 @@ export function cut(copyList) {
             }
         }
     }
-    tempScope.backups = globalScope.backups;
+    tempScope.history = globalScope.history;
     for (let i = 0; i < updateOrder.length; i++) {
         let prevLength = globalScope[updateOrder[i]].length; // LOL length of list will reduce automatically when deletion starts
         for (let j = 0; j < globalScope[updateOrder[i]].length; j++) {
@@ -184,6 +190,8 @@ export function cut(copyList) {
     var canvasUpdate = true;
     updateSimulationSet(true);
     globalScope = tempScope;
+    globalScope.history.rebase(correspondence);
+    endCommand();
     scheduleUpdate();
     globalScope.ox = oldOx;
     globalScope.oy = oldOy;
@@ -209,8 +217,11 @@ export function copy(copyList, cutflag = false) {
 
     loadScope(tempScope, d);
     scopeList[tempScope.id] = tempScope;
+    // The history goes on with the objects of the copy
+    const correspondence = scopeCorrespondence(globalScope, tempScope);
 
     if (cutflag) {
+        beginCommand('cut', tempScope);
         for (let i = 0; i < copyList.length; i++) {
             const obj = copyList[i];
             if (obj.objectType === 'Node') obj.objectType = 'allNodes';
@@ -222,7 +233,7 @@ export function copy(copyList, cutflag = false) {
             }
         }
     }
-    tempScope.backups = globalScope.backups;
+    tempScope.history = globalScope.history;
     for (let i = 0; i < updateOrder.length; i++) {
         let prevLength = globalScope[updateOrder[i]].length; // LOL length of list will reduce automatically when deletion starts
         for (let j = 0; j < globalScope[updateOrder[i]].length; j++) {
@@ -274,6 +285,8 @@ export function copy(copyList, cutflag = false) {
     var canvasUpdate = true;
     updateSimulationSet(true);
     globalScope = tempScope;
+    globalScope.history.rebase(correspondence);
+    if (cutflag) endCommand();
     scheduleUpdate();
     globalScope.ox = oldOx;
     globalScope.oy = oldOy;
@@ -0,0 +1,275 @@
+/* eslint-disable no-bitwise */
+/**
+ * Helpers for four-state (0/1/X/Z) logic.
+ *
+ * A node carries its value together with two per-bit masks:
+ * xMask marks bits that are unknown (X) and zMask marks bits that are
+ * high impedance (Z). Value bits under either mask are kept at 0.
+ * A node whose value is undefined is not driven at all and reads as Z.
+ *
+ * Gates follow the IEEE 1364 truth tables: a Z input behaves like X,
+ * a known 0 dominates AND, a known 1 dominates OR, and any unknown bit
+ * makes XOR unknown.
+ *
+ * Values and masks of nodes wider than 32 bits are BigInt, see wideValue.js.
+ * A mask of 0 is always stored as the number 0 so it can be tested for
+ * truthiness whatever the width.
+ * @category fourState
+ */
+
+/**
+ * Returns a function converting values to BigInt for wide values
+ * and to numbers otherwise
+ * @param {boolean} wide
+ * @return {function}
+ */
+function wordOf(wide) {
+    if (wide) return (v) => BigInt(v || 0);
+    return (v) => v || 0;
+}
+
+/**
+ * Returns a function that brings a computed word back to an unsigned value
+ * @param {boolean} wide
+ * @return {function}
+ */
+function unsignedOf(wide) {
+    if (wide) return (v) => v;
+    return (v) => v >>> 0;
+}
+
+/**
+ * Mask with the lower bitWidth bits set
+ * @param {number} bitWidth
+ * @return {number}
+ * @category fourState
+ */
+export function fullMask(bitWidth) {
+    if (bitWidth > 32) return (1n << BigInt(bitWidth)) - 1n;
+    if (bitWidth === 32) return 0xFFFFFFFF;
+    return ((1 << bitWidth) >>> 0) - 1;
+}
+
+/**
+ * Reads the four-state value of a node
+ * @param {Node} node
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category fourState
+ */
+export function readFourState(node) {
+    if (node.value === undefined) {
+        return { value: 0, xMask: 0, zMask: fullMask(node.bitWidth) };
+    }
+    return { value: node.value, xMask: node.xMask, zMask: node.zMask };
+}
+
+/**
+ * Mask of the bits of a node that are not a known 0 or 1
+ * @param {Node} node
+ * @return {number}
+ * @category fourState
+ */
+export function unknownBits(node) {
+    if (node.value === undefined) return fullMask(node.bitWidth);
+    if (!node.xMask && !node.zMask) return 0;
+    if (node.bitWidth > 32) return BigInt(node.xMask) | BigInt(node.zMask);
+    return (node.xMask | node.zMask) >>> 0;
+}
+
+/**
+ * Checks whether every bit of a node is a known 0 or 1
+ * @param {Node} node
+ * @return {boolean}
+ * @category fourState
+ */
+export function isKnown(node) {
+    return !unknownBits(node);
+}
+
+/**
+ * AND of the inputs, per bit
+ * @param {Node[]} inputs
+ * @param {number} bitWidth
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category fourState
+ */
+export function fourStateAnd(inputs, bitWidth) {
+    const word = wordOf(bitWidth > 32);
+    const unsigned = unsignedOf(bitWidth > 32);
+    const mask = fullMask(bitWidth);
+    let zeros = word(0);
+    let ones = mask;
+    for (let i = 0; i < inputs.length; i++) {
+        const unknown = word(unknownBits(inputs[i]));
+        const value = word(inputs[i].value);
+        zeros |= ~value & ~unknown;
+        ones &= value & ~unknown;
+    }
+    zeros &= mask;
+    return { value: unsigned(ones), xMask: unsigned(mask & ~zeros & ~ones) || 0, zMask: 0 };
+}
+
+/**
+ * OR of the inputs, per bit
+ * @param {Node[]} inputs
+ * @param {number} bitWidth
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category fourState
+ */
+export function fourStateOr(inputs, bitWidth) {
+    const word = wordOf(bitWidth > 32);
+    const unsigned = unsignedOf(bitWidth > 32);
+    const mask = fullMask(bitWidth);
+    let zeros = mask;
+    let ones = word(0);
+    for (let i = 0; i < inputs.length; i++) {
+        const unknown = word(unknownBits(inputs[i]));
+        const value = word(inputs[i].value);
+        zeros &= ~value & ~unknown;
+        ones |= value & ~unknown;
+    }
+    ones &= mask;
+    return { value: unsigned(ones), xMask: unsigned(mask & ~zeros & ~ones) || 0, zMask: 0 };
+}
+
+/**
+ * XOR of the inputs, per bit
+ * @param {Node[]} inputs
+ * @param {number} bitWidth
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category fourState
+ */
+export function fourStateXor(inputs, bitWidth) {
+    const word = wordOf(bitWidth > 32);
+    const unsigned = unsignedOf(bitWidth > 32);
+    const mask = fullMask(bitWidth);
+    let value = word(0);
+    let unknown = word(0);
+    for (let i = 0; i < inputs.length; i++) {
+        unknown |= word(unknownBits(inputs[i]));
+        value ^= word(inputs[i].value);
+    }
+    unknown &= mask;
+    return { value: unsigned(value & mask & ~unknown), xMask: unsigned(unknown) || 0, zMask: 0 };
+}
+
+/**
+ * Inverts a four-state value. Unknown bits stay unknown, Z becomes X.
+ * @param {{value: number, xMask: number, zMask: number}} val
+ * @param {number} bitWidth
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category fourState
+ */
+export function fourStateNot(val, bitWidth) {
+    const word = wordOf(bitWidth > 32);
+    const unsigned = unsignedOf(bitWidth > 32);
+    const mask = fullMask(bitWidth);
+    const unknown = (word(val.xMask) | word(val.zMask)) & mask;
+    return { value: unsigned(~word(val.value) & mask & ~unknown), xMask: unsigned(unknown) || 0, zMask: 0 };
+}
+
+/**
+ * Buffer of a value, per bit. Z bits are driven as X.
+ * @param {{value: number, xMask: number, zMask: number}} val
+ * @param {number} bitWidth
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category fourState
+ */
+export function fourStateBuffer(val, bitWidth) {
+    const word = wordOf(bitWidth > 32);
+    const unsigned = unsignedOf(bitWidth > 32);
+    const mask = fullMask(bitWidth);
+    const unknown = (word(val.xMask) | word(val.zMask)) & mask;
+    return { value: unsigned(word(val.value) & mask & ~unknown), xMask: unsigned(unknown) || 0, zMask: 0 };
+}
+
+/**
+ * Merges two candidate values when it is not known which of them applies,
+ * e.g. a flip-flop whose clock is X. Bits on which both agree are kept,
+ * everything else becomes X.
+ * @param {{value: number, xMask: number}} a
+ * @param {{value: number, xMask: number}} b
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category fourState
+ */
+export function fourStateMerge(a, b) {
+    const wide = [a.value, a.xMask, b.value, b.xMask].some((v) => typeof v === 'bigint');
+    const word = wordOf(wide);
+    const unsigned = unsignedOf(wide);
+    const unknown = word(a.xMask) | word(a.zMask) | word(b.xMask) | word(b.zMask)
+        | (word(a.value) ^ word(b.value));
+    return { value: unsigned(word(a.value) & ~unknown), xMask: unsigned(unknown) || 0, zMask: 0 };
+}
+
+/**
+ * Formats a four-state value as a binary string using x and z for unknown bits
+ * @param {number|undefined} value
+ * @param {number} xMask
+ * @param {number} zMask
+ * @param {number} bitWidth
+ * @return {string}
+ * @category fourState
+ */
+export function formatFourState(value, xMask, zMask, bitWidth) {
+    if (value === undefined) return 'z'.repeat(bitWidth);
+    const word = wordOf(true);
+    let res = '';
+    for (let i = bitWidth - 1; i >= 0; i--) {
+        const bit = BigInt(i);
+        if ((word(zMask) >> bit) & 1n) res += 'z';
+        else if ((word(xMask) >> bit) & 1n) res += 'x';
+        else res += (word(value) >> bit) & 1n;
+    }
+    return res;
+}
+
+/**
+ * Checks whether a node is driven but holds unknown bits
+ * @param {Node} node
+ * @return {boolean}
+ * @category fourState
+ */
+export function isDrivenUnknown(node) {
+    return node.value !== undefined && !isKnown(node);
+}
+
+/**
+ * Reads a pin the way sequential elements sample it. An undriven pin
+ * reads as a known 0, as unconnected preset pins always have, and Z bits
+ * are captured as X.
+ * @param {Node} node
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category fourState
+ */
+export function readSampled(node) {
+    if (node.value === undefined) return { value: 0, xMask: 0, zMask: 0 };
+    return { value: node.value, xMask: unknownBits(node), zMask: 0 };
+}
+
+/**
+ * Drives the Q and Q inverse outputs of a sequential element
+ * @param {Node} qOutput
+ * @param {Node} qInvOutput
+ * @param {{value: number, xMask: number}} state - state to be driven
+ * @param {number} bitWidth
+ * @return {boolean} - true if the outputs changed
+ * @category fourState
+ */
+export function driveStateOutputs(qOutput, qInvOutput, state, bitWidth) {
+    const q = { value: state.value, xMask: state.xMask, zMask: 0 };
+    if (!qOutput.setFourState(q)) return false;
+    qInvOutput.setFourState(fourStateNot(q, bitWidth));
+    return true;
+}
+
+/**
+ * X mask a register powers up with. Registers start as a known 0, as they
+ * did before four-state logic, unless their circuit has unknownPowerUp set.
+ * @param {{unknownPowerUp: boolean}} scope - the circuit or its saved data
+ * @param {number} bitWidth
+ * @return {number}
+ * @category fourState
+ */
+export function powerUpMask(scope, bitWidth) {
+    return scope && scope.unknownPowerUp ? fullMask(bitWidth) : 0;
+}
@@ -0,0 +1,491 @@
+/* eslint-disable import/no-cycle */
+/**
+ * Finite state machines made into sequential circuits. A register of D
+ * flip-flops holds the encoded state, and the next state and the outputs
+ * are synthesized from their truth tables.
+ *
+ * A machine is described by a line per state or transition:
+ * - S1: Z, Y - a state and the outputs that are 1 in it (Moore)
+ * - S0 -> S1 if X & !Y / Z - a transition, its condition and the outputs that
+ * are 1 while it is taken (Mealy), the condition and outputs are optional
+ *
+ * The first state is the one Reset puts the machine in. A state stays as it
+ * is when none of its transitions is taken, and outputs are 0 unless they
+ * are listed.
+ * @category fsm
+ */
+
+import { newCircuit } from './circuit';
+import { parseBooleanExpression, evaluateExpression } from './booleanExpression';
+import {
+    SYNTHESIS_STYLES, synthesize, netlistReport, drawingOrigin, drawConstants, drawGates, route,
+} from './synthesis';
+import { escapeHtml } from './utils';
+import Input from './modules/Input';
+import Output from './modules/Output';
+import DflipFlop from './sequential/DflipFlop';
+import Node from './node';
+import { MAX_VARIABLES } from './analysisHelpers';
+
+const NAME = '[A-Za-z_][A-Za-z0-9_]*';
+const STATE_LINE = new RegExp(`^\\s*(${NAME})\\s*(?::(.*))?$`);
+const TRANSITION_LINE = new RegExp(`^\\s*(${NAME})\\s*->\\s*(${NAME})(?:\\s+if\\s+(.*\\S))?\\s*$`);
+const RESERVED_NAMES = ['Clock', 'Reset']; // Inputs of every generated circuit
+
+/**
+ * @category fsm
+ */
+export const STATE_ENCODINGS = [
+    { id: 'binary', name: 'Binary' },
+    { id: 'gray', name: 'Gray code' },
+    { id: 'onehot', name: 'One-hot' },
+];
+
+/**
+ * Error pointing at a line of the description
+ * @param {number} line - counted from 1
+ * @param {string} message
+ * @return {Error} with the line in error.line
+ */
+function lineError(line, message) {
+    const error = new Error(`Line ${line}: ${message}`);
+    error.line = line;
+    return error;
+}
+
+/**
+ * Names of a list of outputs like "Z, Y"
+ * @param {string} text
+ * @param {number} line
+ * @return {Array<string>}
+ */
+function outputList(text, line) {
+    const names = text.split(/[\s,]+/).filter((name) => name);
+    names.forEach((name) => {
+        if (!new RegExp(`^${NAME}$`).test(name)) throw lineError(line, `"${name}" is not an output name`);
+    });
+    return names;
+}
+
+/**
+ * Values of the inputs in a row of a truth table
+ * @param {Array<string>} inputs - the first is the most significant bit
+ * @param {number} row
+ * @return {Map<string, number>}
+ */
+function inputValues(inputs, row) {
+    return new Map(inputs.map((name, i) => [name, Math.floor(row / (2 ** (inputs.length - i - 1))) % 2]));
+}
+
+/**
+ * Where a state goes and what the outputs are, for some input values
+ * @param {Object} machine - as parseStateMachine() returns it
+ * @param {string} state - name of the state
+ * @param {Map<string, number>} values - value of each input
+ * @return {{state: string, outputs: Array<string>}} the next state and the outputs that are 1
+ * @category fsm
+ */
+export function nextState(machine, state, values) {
+    const { outputs } = machine.states.find(({ name }) => name === state);
+    const taken = machine.transitions.find(({ from, condition }) => from === state && evaluateExpression(condition, values));
+    if (!taken) return { state, outputs };
+    return { state: taken.to, outputs: [...new Set([...outputs, ...taken.outputs])] };
+}
+
+/**
+ * A machine must not take two different transitions at once
+ * @param {Object} machine
+ * @throws {Error} at the line of the second transition
+ */
+function checkDeterministic(machine) {
+    for (let row = 0; row < 2 ** machine.inputs.length; row++) {
+        const values = inputValues(machine.inputs, row);
+        const first = new Map(); // state -> first transition taken
+        machine.transitions.forEach((transition) => {
+            if (!evaluateExpression(transition.condition, values)) return;
+            const other = first.get(transition.from);
+            if (!other) {
+                first.set(transition.from, transition);
+            } else if (other.to !== transition.to || [...other.outputs].sort().join() !== [...transition.outputs].sort().join()) {
+                const when = machine.inputs.map((name) => `${name} = ${values.get(name)}`).join(', ');
+                throw lineError(transition.line, `this transition and the one on line ${other.line} are both taken${when && ` when ${when}`}`);
+            }
+        });
+    }
+}
+
+/**
+ * Parses the description of a state machine
+ * @param {string} text - a state or a transition per line
+ * @return {{states: Array<{name: string, outputs: Array<string>}>,
+ * transitions: Array<{from: string, to: string, condition: Object, conditionText: string, outputs: Array<string>, line: number}>,
+ * inputs: Array<string>, outputs: Array<string>}}
+ * states in the order they first appear, inputs in natural order and outputs
+ * in the order they first appear
+ * @throws {Error} with the line of the mistake in error.line
+ * @category fsm
+ */
+export function parseStateMachine(text) {
+    const states = new Map(); // name -> {name, outputs, line}
+    const transitions = [];
+    const outputs = new Set();
+    const inputs = new Set();
+    const addState = (name) => {
+        if (!states.has(name)) states.set(name, { name, outputs: [], line: undefined });
+        return states.get(name);
+    };
+    text.split('\n').forEach((source, index) => {
+        const line = index + 1;
+        if (!source.trim()) return;
+        const slash = source.indexOf('/');
+        const main = (slash === -1 ? source : source.slice(0, slash)).trimEnd();
+        const mealy = slash === -1 ? [] : outputList(source.slice(slash + 1), line);
+        const transition = TRANSITION_LINE.exec(main);
+        if (transition) {
+            const [, from, to, conditionText] = transition;
+            let condition = { kind: 'constant', value: 1 };
+            if (conditionText) {
+                const offset = main.length - conditionText.length;
+                try {
+                    const parsed = parseBooleanExpression(conditionText);
+                    condition = parsed.tree;
+                    parsed.variables.forEach((name) => inputs.add(name));
+                } catch (err) {
+                    throw lineError(line, `column ${offset + err.column}, ${err.message.replace(/^Column \d+: /, '')}`);
+                }
+            }
+            addState(from);
+            addState(to);
+            mealy.forEach((name) => outputs.add(name));
+            transitions.push({
+                from, to, condition, conditionText: conditionText || '', outputs: mealy, line,
+            });
+            return;
+        }
+        const state = slash === -1 && STATE_LINE.exec(main);
+        if (!state) throw lineError(line, 'expected a state like "S1: Z" or a transition like "S0 -> S1 if X / Z"');
+        const described = addState(state[1]);
+        if (described.line) throw lineError(line, `${state[1]} is already described on line ${described.line}`);
+        described.line = line;
+        described.outputs = state[2] ? outputList(state[2], line) : [];
+        described.outputs.forEach((name) => outputs.add(name));
+    });
+    if (!states.size) throw lineError(1, 'there are no states');
+    [...inputs, ...outputs].forEach((name) => {
+        if (RESERVED_NAMES.includes(name)) throw lineError(1, `${name} is an input of the circuit and can not be used`);
+    });
+    inputs.forEach((name) => {
+        if (outputs.has(name)) throw lineError(1, `${name} is an output and can not be used in a condition`);
+    });
+    if (inputs.size > MAX_VARIABLES) throw lineError(1, `there can be at most ${MAX_VARIABLES} inputs, there are ${inputs.size}`);
+    const machine = {
+        states: [...states.values()].map(({ name, outputs: stateOutputs }) => ({ name, outputs: stateOutputs })),
+        transitions,
+        inputs: [...inputs].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+        outputs: [...outputs],
+    };
+    checkDeterministic(machine);
+    return machine;
+}
+
+/**
+ * Codes of the states in an encoding. Binary and Gray code states take as
+ * few bits as they can, one-hot states a bit each.
+ * @param {number} count - number of states
+ * @param {string} encoding - id of one of STATE_ENCODINGS
+ * @return {{bits: number, codes: Array<number>}} code of each state
+ * @category fsm
+ */
+export function encodeStates(count, encoding) {
+    if (encoding === 'onehot') {
+        return { bits: count, codes: Array.from({ length: count }, (_, i) => 2 ** i) };
+    }
+    const bits = Math.max(1, Math.ceil(Math.log2(count)));
+    if (encoding === 'binary') {
+        return { bits, codes: Array.from({ length: count }, (_, i) => i) };
+    }
+    // Reflected: the second half is the first one backwards with the next bit set
+    let gray = [0];
+    for (let bit = 0; bit < bits; bit++) {
+        gray = [...gray, ...[...gray].reverse().map((code) => code + 2 ** bit)];
+    }
+    return { bits, codes: gray.slice(0, count) };
+}
+
+/**
+ * Truth tables of the next state and the outputs of a machine. The state
+ * bits Q come before the inputs, rows of unused codes are don't cares.
+ * @param {Object} machine - as parseStateMachine() returns it
+ * @param {string} encoding - id of one of STATE_ENCODINGS
+ * @return {{variables: Array<string>, names: Array<string>, values: Array<Array>, bits: number, codes: Array<number>}}
+ * names and values of the next state bits D and then of the outputs
+ * @throws {Error} if there are too many variables
+ * @category fsm
+ */
+export function stateMachineTables(machine, encoding) {
+    const { bits, codes } = encodeStates(machine.states.length, encoding);
+    const stateBits = Array.from({ length: bits }, (_, i) => bits - i - 1);
+    const variables = [...stateBits.map((bit) => `Q${bit}`), ...machine.inputs];
+    if (variables.length > MAX_VARIABLES) {
+        throw new Error(`${bits} state bits and ${machine.inputs.length} inputs are more than the ${MAX_VARIABLES} variables a truth table can have`);
+    }
+    const names = [...stateBits.map((bit) => `D${bit}`), ...machine.outputs];
+    const inputRows = 2 ** machine.inputs.length;
+    const stateOfCode = new Map(codes.map((code, i) => [code, machine.states[i].name]));
+    const codeOfState = new Map(codes.map((code, i) => [machine.states[i].name, code]));
+    const values = names.map(() => []);
+    for (let row = 0; row < 2 ** variables.length; row++) {
+        const state = stateOfCode.get(Math.floor(row / inputRows));
+        if (state === undefined) {
+            values.forEach((table) => table.push('x'));
+        } else {
+            const next = nextState(machine, state, inputValues(machine.inputs, row % inputRows));
+            const code = codeOfState.get(next.state);
+            stateBits.forEach((bit, i) => values[i].push(Math.floor(code / (2 ** bit)) % 2));
+            machine.outputs.forEach((name, i) => values[bits + i].push(next.outputs.includes(name) ? 1 : 0));
+        }
+    }
+    return {
+        variables, names, values, bits, codes,
+    };
+}
+
+/**
+ * Wires a node to another through corners
+ * @param {Node} from
+ * @param {Array<Array<number>>} corners - x and y of each
+ * @param {Node} to
+ * @param {Scope} scope
+ */
+function wire(from, corners, to, scope) {
+    const last = corners.reduce((previous, [x, y]) => {
+        const corner = new Node(x, y, 2, scope.root);
+        previous.connect(corner);
+        return corner;
+    }, from);
+    last.connect(to);
+}
+
+/**
+ * Draws a machine as a new circuit. Clock and Reset drive a D flip-flop per
+ * state bit, on the left, and the next state is wired back to them from the
+ * gates below everything.
+ * @param {Object} machine - as parseStateMachine() returns it
+ * @param {string} encoding - id of one of STATE_ENCODINGS
+ * @param {string} style - id of one of SYNTHESIS_STYLES
+ * @param {string} name - of the new circuit
+ * @return {Scope} the new circuit
+ * @category fsm
+ */
+export function drawStateMachine(machine, encoding, style, name) {
+    const {
+        variables, values, bits, codes,
+    } = stateMachineTables(machine, encoding);
+    const netlist = synthesize(style, variables, values);
+    const scope = newCircuit(name);
+    const { x: startX, y: startY } = drawingOrigin(scope);
+    const sources = new Map(); // signal -> node driving it
+
+    const [clock, reset, ...inputs] = [...RESERVED_NAMES, ...machine.inputs].map((label, i) => {
+        const input = new Input(startX, startY + i * 40, scope, 'RIGHT', 1);
+        input.setLabel(label);
+        input.newLabelDirection('LEFT');
+        return input;
+    });
+    inputs.forEach((input, i) => sources.set(`i${bits + i}`, input.output1));
+    const inputsBottom = drawConstants(netlist, sources, startX, startY + (inputs.length + 2) * 40, scope);
+
+    // Clock and Reset buses, then a channel per state bit wired back
+    const clockX = startX + 40;
+    const resetX = clockX + 10;
+    const feedbackX = resetX + 20;
+    const flipFlopX = feedbackX + bits * 10 + 30;
+    let clockBus = new Node(clockX, clock.output1.absY(), 2, scope.root);
+    clock.output1.connect(clockBus);
+    let resetBus = new Node(resetX, reset.output1.absY(), 2, scope.root);
+    reset.output1.connect(resetBus);
+    const initialCode = codes[0];
+    const flipFlops = Array.from({ length: bits }, (_, i) => {
+        const bit = bits - i - 1;
+        const y = inputsBottom + 40 + i * 80;
+        const flipFlop = new DflipFlop(flipFlopX, y, scope, 'RIGHT', 1);
+        flipFlop.setLabel(`Q${bit}`);
+        sources.set(`i${i}`, flipFlop.qOutput);
+
+        const clockTap = new Node(clockX, flipFlop.clockInp.absY(), 2, scope.root);
+        clockBus.connect(clockTap);
+        clockTap.connect(flipFlop.clockInp);
+        clockBus = clockTap;
+
+        // Reset loads the code of the first state through the preset
+        const resetTap = new Node(resetX, y + 40, 2, scope.root);
+        resetBus.connect(resetTap);
+        const presetCorner = new Node(flipFlopX, y + 40, 2, scope.root);
+        resetTap.connect(presetCorner);
+        if (Math.floor(initialCode / (2 ** bit)) % 2) presetCorner.connect(flipFlop.preset);
+        wire(presetCorner, [[flipFlopX + 10, y + 40]], flipFlop.reset, scope);
+        resetBus = resetTap;
+        return flipFlop;
+    });
+
+    const { right, bottom } = drawGates(netlist, sources, flipFlopX + 20, startY, scope);
+    const below = Math.max(bottom, inputsBottom + bits * 80) + 20;
+    const channelStart = right + 20;
+    flipFlops.forEach((flipFlop, i) => {
+        const from = sources.get(netlist.outputs[i]);
+        const channel = channelStart + i * 10;
+        const y = below + i * 10;
+        wire(from, [[channel, from.absY()], [channel, y], [feedbackX + i * 10, y], [feedbackX + i * 10, flipFlop.dInp.absY()]], flipFlop.dInp, scope);
+    });
+    const outputX = channelStart + netlist.outputs.length * 10 + 30;
+    machine.outputs.forEach((label, i) => {
+        const output = new Output(outputX, startY + i * 40, scope, 'LEFT', 1);
+        output.setLabel(label);
+        output.newLabelDirection('RIGHT');
+        route(sources.get(netlist.outputs[bits + i]), output.inp1, channelStart + (bits + i) * 10, scope);
+    });
+    globalScope.centerFocus();
+    return scope;
+}
+
+/**
+ * Draws the state diagram of a machine as SVG, with the states around a
+ * circle and the first one circled twice
+ * @param {Object} machine - as parseStateMachine() returns it
+ * @return {string}
+ * @category fsm
+ */
+export function stateDiagramSVG(machine) {
+    const count = machine.states.length;
+    const radius = Math.max(90, count * 30);
+    const size = 2 * (radius + 80);
+    const position = new Map(machine.states.map(({ name }, i) => {
+        const angle = -Math.PI / 2 + (2 * Math.PI * i) / count;
+        return [name, { x: size / 2 + radius * Math.cos(angle), y: size / 2 + radius * Math.sin(angle) }];
+    }));
+    const label = ({ conditionText, outputs }) => `${conditionText || '1'}${outputs.length ? ` / ${outputs.join(', ')}` : ''}`;
+    // Transitions between the same states are drawn once with all their labels
+    const edges = new Map();
+    machine.transitions.forEach((transition) => {
+        const key = `${transition.from}->${transition.to}`;
+        if (!edges.has(key)) edges.set(key, { from: transition.from, to: transition.to, labels: [] });
+        edges.get(key).labels.push(label(transition));
+    });
+    const parts = [];
+    edges.forEach(({ from, to, labels }) => {
+        const text = escapeHtml(labels.join(', '));
+        const a = position.get(from);
+        if (from === to) {
+            // A loop outside the circle of states
+            const dx = (a.x - size / 2) / radius;
+            const dy = (a.y - size / 2) / radius;
+            const cx = a.x + 30 * dx;
+            const cy = a.y + 30 * dy;
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="14" fill="none" stroke="currentColor"/>`);
+            parts.push(`<text x="${cx + 30 * dx}" y="${cy + 30 * dy + 4}" text-anchor="middle" font-size="12">${text}</text>`);
+            return;
+        }
+        const b = position.get(to);
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        const ux = (b.x - a.x) / length;
+        const uy = (b.y - a.y) / length;
+        // Both directions between two states are side by side
+        const offset = edges.has(`${to}->${from}`) ? 6 : 0;
+        const [x1, y1] = [a.x + 24 * ux - offset * uy, a.y + 24 * uy + offset * ux];
+        const [x2, y2] = [b.x - 26 * ux - offset * uy, b.y - 26 * uy + offset * ux];
+        parts.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="currentColor" marker-end="url(#stateArrow)"/>`);
+        parts.push(`<text x="${(x1 + x2) / 2 - 3 * offset * uy}" y="${(y1 + y2) / 2 + 3 * offset * ux}" text-anchor="middle" font-size="12">${text}</text>`);
+    });
+    machine.states.forEach(({ name, outputs }, i) => {
+        const { x, y } = position.get(name);
+        parts.push(`<circle class="fsmState" cx="${x}" cy="${y}" r="22" fill="white" stroke="currentColor"/>`);
+        if (i === 0) parts.push(`<circle cx="${x}" cy="${y}" r="18" fill="none" stroke="currentColor"/>`);
+        parts.push(`<text x="${x}" y="${y + 4}" text-anchor="middle" font-size="12">${escapeHtml(name)}</text>`);
+        if (outputs.length) {
+            parts.push(`<text x="${x}" y="${y + 36}" text-anchor="middle" font-size="11">${escapeHtml(outputs.join(', '))}</text>`);
+        }
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+        <defs><marker id="stateArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+        <path d="M 0 0 L 10 5 L 0 10 z" fill="currentColor"/></marker></defs>
+        ${parts.join('')}</svg>`;
+}
+
+/**
+ * Codes of the states and the gates of the next state and outputs
+ * @param {Object} machine
+ * @param {string} encoding
+ * @param {string} style
+ * @return {string} HTML
+ */
+function stateMachineReport(machine, encoding, style) {
+    const {
+        variables, values, bits, codes,
+    } = stateMachineTables(machine, encoding);
+    const { gates, depth } = netlistReport(synthesize(style, variables, values));
+    const rows = machine.states.map(({ name }, i) => `<tr><td>${escapeHtml(name)}</td><td>${codes[i].toString(2).padStart(bits, '0')}</td></tr>`);
+    return `<table class="content-table"><tr><th>State</th><th>${variables.slice(0, bits).join(' ')}</th></tr>${rows.join('')}</table>
+        <p>${bits} flip-flop${bits === 1 ? '' : 's'}, ${gates} gate${gates === 1 ? '' : 's'} with a depth of ${depth}</p>`;
+}
+
+/**
+ * The prompt to describe a state machine and make it into a circuit
+ * @category fsm
+ */
+export function createStateMachinePrompt() {
+    const options = (list, selected) => list
+        .map(({ id, name }) => `<option value="${id}"${id === selected ? ' selected' : ''}>${name}</option>`)
+        .join('');
+    $('#stateMachineDialog').empty();
+    $('#stateMachineDialog').append(`<div style="display:flex; gap:20px">
+        <div>
+        <p>A state per line like S1: Z, or a transition like S0 -&gt; S1 if X / Z.
+        The first state is the one Reset puts the machine in.</p>
+        <textarea id="stateMachineText" rows="10" cols="40" spellcheck="false"
+            placeholder="S0 -&gt; S1 if X&#10;S1 -&gt; S2 if X'&#10;S2 -&gt; S1 if X / Z&#10;S2 -&gt; S0 if X'"></textarea>
+        <pre id="stateMachineError"></pre>
+        <p>Circuit name <input id="stateMachineName" type="text" value="State Machine"></p>
+        <p>State encoding <select id="stateMachineEncoding">${options(STATE_ENCODINGS, 'binary')}</select></p>
+        <p>Gates <select id="stateMachineStyle">${options(SYNTHESIS_STYLES, 'shared')}</select></p>
+        </div>
+        <div id="stateMachinePreview"></div>
+        </div>`);
+    // The machine as it is described now, or null after showing why it can not be read
+    const machineOf = () => {
+        $('#stateMachineError').text('');
+        try {
+            const machine = parseStateMachine($('#stateMachineText').val());
+            stateMachineTables(machine, $('#stateMachineEncoding').val());
+            return machine;
+        } catch (err) {
+            $('#stateMachineError').text(err.message);
+            return null;
+        }
+    };
+    $('#stateMachineDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        buttons: [
+            {
+                style: 'padding: 6px',
+                text: 'Preview',
+                click() {
+                    const machine = machineOf();
+                    if (!machine) return;
+                    $('#stateMachinePreview').html(stateDiagramSVG(machine)
+                        + stateMachineReport(machine, $('#stateMachineEncoding').val(), $('#stateMachineStyle').val()));
+                },
+            },
+            {
+                style: 'padding: 6px',
+                text: 'Generate Circuit',
+                click() {
+                    const machine = machineOf();
+                    if (!machine) return;
+                    $(this).dialog('close');
+                    drawStateMachine(machine, $('#stateMachineEncoding').val(), $('#stateMachineStyle').val(), $('#stateMachineName').val() || 'State Machine');
+                },
+            },
+        ],
+    });
+}
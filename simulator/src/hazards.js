@@ -0,0 +1,74 @@
+/* eslint-disable no-bitwise */
+/**
+ * Hazard detection on recorded waveforms.
+ *
+ * While a circuit settles after its inputs change, a signal may change more
+ * often than its initial and final values require, because paths from the
+ * inputs to it have different propagation delays. Such a glitch is a
+ * static hazard if the signal returns to its initial value (static-0 for a
+ * 0-1-0 pulse, static-1 for 1-0-1) and a dynamic hazard if it ends on the
+ * other value but changes three or more times on the way.
+ *
+ * Every bit of a bus is checked on its own.
+ * @category hazards
+ */
+
+import { toBigInt } from './wideValue';
+
+/**
+ * Value of one bit of a node value
+ * @param {number|bigint} value
+ * @param {number} bit
+ * @return {number} 0 or 1
+ */
+function bitOf(value, bit) {
+    return Number((toBigInt(value) >> BigInt(bit)) & 1n);
+}
+
+/**
+ * Finds the hazards in the transitions of a signal during one settling of
+ * the circuit.
+ * @param {Array} transitions - [time, value] pairs in time order as Flags
+ * plot them, the first one holding the value before the circuit started to settle
+ * @param {number=} bitWidth
+ * @return {Array<{type: string, bit: number, start: number, end: number}>}
+ * type is 'static-0', 'static-1' or 'dynamic', start and end are the times of
+ * the first and last transition of the bit
+ * @category hazards
+ */
+export function findHazards(transitions, bitWidth = 1) {
+    const hazards = [];
+    // A floating or unknown signal is not a glitch
+    const known = transitions.filter(([, value, xMask, zMask]) => value !== undefined && !xMask && !zMask);
+    if (known.length < 3) return hazards;
+
+    for (let bit = 0; bit < bitWidth; bit++) {
+        const edges = [known[0]];
+        known.forEach(([time, value]) => {
+            if (bitOf(value, bit) !== bitOf(edges[edges.length - 1][1], bit)) edges.push([time, value]);
+        });
+        const changes = edges.length - 1;
+        const initial = bitOf(edges[0][1], bit);
+        const final = bitOf(edges[changes][1], bit);
+        let type;
+        if (initial === final && changes >= 2) type = `static-${initial}`;
+        else if (initial !== final && changes >= 3) type = 'dynamic';
+        if (type) {
+            hazards.push({
+                type, bit, start: edges[1][0], end: edges[changes][0],
+            });
+        }
+    }
+    return hazards;
+}
+
+/**
+ * Short name of a hazard for the waveform, e.g. S1 or D
+ * @param {Object} hazard - as returned by findHazards()
+ * @return {string}
+ * @category hazards
+ */
+export function hazardLabel(hazard) {
+    if (hazard.type === 'dynamic') return 'D';
+    return `S${hazard.type.slice(-1)}`;
+}
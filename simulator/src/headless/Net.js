@@ -0,0 +1,75 @@
+/* eslint-disable no-bitwise */
+import { toBitWidth } from '../wideValue';
+
+/**
+ * A wire bundle shared by one or more pins. The value is the resolution
+ * of all pins driving it: undefined when nothing drives it and X on bits
+ * where drivers disagree.
+ * @category headless
+ */
+export default class Net {
+    constructor(bitWidth, onChange) {
+        this.bitWidth = bitWidth;
+        this.onChange = onChange;
+        this.pins = [];
+        this.drivers = [];
+        this.readers = [];
+        this.value = undefined;
+        this.xMask = 0;
+        this.zMask = 0;
+        this.contention = false;
+    }
+
+    /**
+     * Recomputes the value from the drivers and reports a change
+     */
+    update() {
+        const driven = this.drivers.filter((pin) => pin.drive !== undefined);
+        let next;
+        this.contention = false;
+        if (driven.length === 1) {
+            next = driven[0].drive;
+        } else if (driven.length > 1) {
+            next = this.resolveDrivers(driven);
+        } else {
+            next = { value: undefined, xMask: 0, zMask: 0 };
+        }
+        if (next.value === this.value && next.xMask === this.xMask && next.zMask === this.zMask) return;
+        this.value = next.value;
+        this.xMask = next.xMask;
+        this.zMask = next.zMask;
+        this.onChange(this);
+    }
+
+    /**
+     * Resolves several drivers bit by bit. Z bits of a driver do not
+     * drive, bits driven to different values become X.
+     * @param {Pin[]} driven
+     * @return {{value: number, xMask: number, zMask: number}}
+     */
+    resolveDrivers(driven) {
+        const all = (1n << BigInt(this.bitWidth)) - 1n;
+        let drivenBits = 0n;
+        let value = 0n;
+        let xMask = 0n;
+        driven.forEach(({ drive }) => {
+            const active = all & ~BigInt(drive.zMask);
+            const dValue = BigInt(drive.value);
+            const dXMask = BigInt(drive.xMask);
+            const fresh = active & ~drivenBits;
+            const shared = active & drivenBits;
+            const conflict = shared & (value ^ dValue) & ~xMask & ~dXMask;
+            if (conflict) this.contention = true;
+            value |= dValue & fresh;
+            xMask |= (dXMask & active) | conflict;
+            value &= ~xMask;
+            drivenBits |= active;
+        });
+        const word = (v) => (v ? toBitWidth(v, this.bitWidth) : 0);
+        return {
+            value: toBitWidth(value, this.bitWidth),
+            xMask: word(xMask),
+            zMask: word(all & ~drivenBits),
+        };
+    }
+}
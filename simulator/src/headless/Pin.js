@@ -0,0 +1,76 @@
+import { toBitWidth } from '../wideValue';
+
+/**
+ * Connection point of an element. Reads the value of its net and,
+ * for output pins, drives it.
+ * @category headless
+ */
+export default class Pin {
+    constructor(element, name, bitWidth) {
+        this.element = element;
+        this.name = name;
+        this.bitWidth = bitWidth;
+        this.net = undefined;
+        this.drive = undefined;
+    }
+
+    get value() {
+        return this.net.value;
+    }
+
+    get xMask() {
+        return this.net.xMask;
+    }
+
+    get zMask() {
+        return this.net.zMask;
+    }
+
+    /**
+     * true if anything else is attached to the net of this pin
+     * @type {boolean}
+     */
+    get connected() {
+        return this.net.pins.length > 1;
+    }
+
+    /**
+     * Drives a four-state value, an undefined value releases the net
+     * @param {{value: number, xMask: number, zMask: number}} val
+     * @return {boolean} - true if the driven value changed
+     */
+    setFourState(val) {
+        if (val.value === undefined) return this.release();
+        const mask = (m) => (m ? toBitWidth(m, this.bitWidth) || 0 : 0);
+        const drive = {
+            value: toBitWidth(val.value, this.bitWidth),
+            xMask: mask(val.xMask),
+            zMask: mask(val.zMask),
+        };
+        const prev = this.drive;
+        if (prev && prev.value === drive.value && prev.xMask === drive.xMask && prev.zMask === drive.zMask) return false;
+        this.drive = drive;
+        this.net.update();
+        return true;
+    }
+
+    /**
+     * Drives a known value
+     * @param {number|bigint|undefined} value
+     * @return {boolean} - true if the driven value changed
+     */
+    set(value) {
+        return this.setFourState({ value, xMask: 0, zMask: 0 });
+    }
+
+    /**
+     * Stops driving the net
+     * @return {boolean} - true if the pin was driving
+     */
+    release() {
+        if (this.drive === undefined) return false;
+        this.drive = undefined;
+        this.net.update();
+        return true;
+    }
+}
@@ -0,0 +1,268 @@
+/* eslint-disable no-bitwise */
+/**
+ * Headless simulation of saved projects, for use in Node.js scripts,
+ * batch grading and regression tests.
+ *
+ * Unlike engine.js this does not use globalScope, simulationArea, the
+ * canvas or the DOM: a project is turned into a netlist of pins and nets
+ * (see netlist.js) and every Simulator instance keeps its own event queue,
+ * so several circuits can be simulated side by side.
+ *
+ * @example
+ * const sim = new Simulator().load(projectJson);
+ * sim.setInput('A', 1).setInput('B', '0110').step();
+ * sim.readOutput('Y');
+ * @category headless
+ */
+
+import EventQueue from '../eventQueue';
+import { formatFourState } from '../fourState';
+import { clockValueAt } from '../clockWave';
+import { toBitWidth } from '../wideValue';
+import { runCases } from '../testbenchCases';
+import buildNetlist from './netlist';
+import { parseBits } from './elements';
+
+/**
+ * Events processed in one step before the circuit is considered unstable,
+ * same limit as play() in engine.js
+ * @type {number}
+ */
+const STEP_LIMIT = 1000000;
+
+/**
+ * Circuit of a project to simulate
+ * @param {Object} data - project
+ * @param {string|number=} circuit - id or name, defaults to the focussed circuit
+ * @return {Object} saved scope
+ */
+function findCircuit(data, circuit) {
+    if (circuit !== undefined) {
+        const scope = data.scopes.find((s) => String(s.id) === String(circuit) || s.name === circuit);
+        if (!scope) throw new Error(`No circuit "${circuit}" in project`);
+        return scope;
+    }
+    return data.scopes.find((s) => String(s.id) === String(data.focussedCircuit))
+        || data.scopes[data.scopes.length - 1];
+}
+
+/**
+ * Headless circuit simulator
+ * @category headless
+ */
+export default class Simulator {
+    constructor() {
+        this.netlist = undefined;
+        this.queue = undefined;
+        this.contentions = [];
+        // elements resolved since the project was loaded
+        this.events = 0;
+        // ticks of the global clock since the project was loaded
+        this.clockTime = 0;
+    }
+
+    /**
+     * Loads a project as saved by the simulator
+     * @param {Object|string} project - project JSON or its text
+     * @param {Object=} options
+     * @param {string|number=} options.circuit - id or name of the circuit to simulate,
+     * defaults to the focussed circuit
+     * @return {Simulator}
+     */
+    load(project, options = {}) {
+        const data = typeof project === 'string' ? JSON.parse(project) : project;
+        if (!data || !Array.isArray(data.scopes) || data.scopes.length === 0) {
+            throw new Error('Not a CircuitVerse project: no circuits found');
+        }
+        const scope = findCircuit(data, options.circuit);
+        this.netlist = buildNetlist(data, scope.id, (net) => this.netChanged(net));
+        this.queue = new EventQueue(this.netlist.elements.length + 1);
+        this.events = 0;
+        this.clockTime = 0;
+        return this.step();
+    }
+
+    /**
+     * Labels of the inputs that can be set
+     * @type {string[]}
+     */
+    get inputs() {
+        return [...this.loaded().inputs.keys()];
+    }
+
+    /**
+     * Labels of the outputs that can be read
+     * @type {string[]}
+     */
+    get outputs() {
+        return [...this.loaded().outputs.keys()];
+    }
+
+    /**
+     * Sets an Input or Button, the new value propagates on the next step()
+     * @param {string} label
+     * @param {number|bigint|string} value - a number or a binary string, which may contain x and z
+     * @return {Simulator}
+     */
+    setInput(label, value) {
+        const input = this.loaded().inputs.get(String(label).trim());
+        if (!input) throw new Error(`No input labelled "${label}"`);
+        const { bitWidth } = input.pins.output1;
+        if (typeof value === 'string') input.setState(parseBits(value.replace(/^0b/, ''), bitWidth));
+        else input.setState({ value: toBitWidth(value, bitWidth), xMask: 0, zMask: 0 });
+        return this;
+    }
+
+    /**
+     * Types on a Keyboard, a key is sent on each clock cycle after this
+     * @param {string} label
+     * @param {string} text
+     * @return {Simulator}
+     */
+    typeKeys(label, text) {
+        const keyboard = this.loaded().keyboards.get(String(label).trim());
+        if (!keyboard) throw new Error(`No keyboard labelled "${label}"`);
+        [...text].forEach((key) => keyboard.keyDown(key));
+        return this;
+    }
+
+    /**
+     * Propagates all values until the circuit settles
+     * @return {Simulator}
+     */
+    step() {
+        const { elements } = this.loaded();
+        this.queue.reset();
+        elements.forEach((element) => {
+            if (element.isSource) this.queue.add(element);
+        });
+        let stepCount = 0;
+        while (!this.queue.isEmpty()) {
+            this.queue.pop().resolve();
+            stepCount++;
+            this.events++;
+            if (stepCount > STEP_LIMIT) {
+                this.queue.reset();
+                throw new Error('Simulation Stack limit exceeded: maybe due to cyclic paths or contention');
+            }
+        }
+        this.contentions = this.netlist.nets.filter((net) => net.contention)
+            .map((net) => net.drivers.map((pin) => `${pin.element.label || pin.element.objectType}.${pin.name}`));
+        return this;
+    }
+
+    /**
+     * Advances the global clock like clockTick() in utils.js: at each tick
+     * every clock is set to its value at the new time, see clockWave.js,
+     * and the circuit settles. Two ticks are a full cycle of a default clock.
+     * @param {number=} ticks
+     * @return {Simulator}
+     */
+    tick(ticks = 2) {
+        for (let i = 0; i < ticks; i++) {
+            this.clockTime++;
+            this.loaded().elements.forEach((element) => {
+                if (element.objectType === 'Clock') {
+                    element.setState({ value: clockValueAt(this.clockTime, element), xMask: 0, zMask: 0 });
+                }
+            });
+            this.step();
+        }
+        return this;
+    }
+
+    /**
+     * Value of an Output
+     * @param {string} label
+     * @return {number|bigint|undefined} - undefined if it is floating or has unknown bits
+     */
+    readOutput(label) {
+        const net = this.outputNet(label);
+        if (net.value === undefined || net.xMask || net.zMask) return undefined;
+        return net.value;
+    }
+
+    /**
+     * Value of an Output as a binary string, with x and z for unknown
+     * and floating bits
+     * @param {string} label
+     * @return {string}
+     */
+    readOutputBits(label) {
+        const net = this.outputNet(label);
+        return formatFourState(net.value, net.xMask, net.zMask, net.bitWidth);
+    }
+
+    /**
+     * Runs a testbench as created by the testbench creator, see runAll() in testbench.js.
+     * The data passed in is not modified.
+     * @param {Object} testbench - test data
+     * @return {{detailed: Object, summary: {passed: number, total: number}}}
+     */
+    runTestbench(testbench) {
+        const data = JSON.parse(JSON.stringify(testbench));
+        this.validateTestbench(data);
+        const { results, summary } = runCases(data, {
+            setInput: (label, bits) => this.setInput(label, bits),
+            settle: () => this.step(),
+            tick: () => this.tick(1),
+            output: (label) => this.outputNet(label),
+            reset: () => this.setInput('RST', 1).step().setInput('RST', 0).step(),
+        });
+
+        return {
+            detailed: {
+                ...data,
+                groups: data.groups.map((group, i) => ({
+                    ...group,
+                    outputs: group.outputs.map((output) => ({ ...output, results: results[i].get(output.label.trim()) })),
+                })),
+            },
+            summary,
+        };
+    }
+
+    /**
+     * Checks that the circuit has every input and output of a testbench
+     * @param {Object} data - test data
+     */
+    validateTestbench(data) {
+        const { inputs, outputs } = this.loaded();
+        const missing = [];
+        data.groups[0].inputs.forEach((input) => {
+            if (!inputs.has(input.label.trim())) missing.push(`input "${input.label}"`);
+        });
+        data.groups[0].outputs.forEach((output) => {
+            if (!outputs.has(output.label.trim())) missing.push(`output "${output.label}"`);
+        });
+        if (data.type === 'seq' && !inputs.has('RST')) missing.push('reset input "RST"');
+        if (missing.length) throw new Error(`Circuit has no ${missing.join(', ')}`);
+    }
+
+    /**
+     * Net read by an Output
+     * @param {string} label
+     * @return {Net}
+     */
+    outputNet(label) {
+        const output = this.loaded().outputs.get(String(label).trim());
+        if (!output) throw new Error(`No output labelled "${label}"`);
+        return output.pins.inp1.net;
+    }
+
+    /**
+     * Schedules the elements reading a net that changed
+     * @param {Net} net
+     */
+    netChanged(net) {
+        net.readers.forEach((element) => this.queue.add(element));
+    }
+
+    /**
+     * @return {Object} the netlist, throws if no project is loaded
+     */
+    loaded() {
+        if (!this.netlist) throw new Error('No project loaded');
+        return this.netlist;
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Benchmarks of the event queue and of the headless simulator, see bin/cv-benchmark.
+ * Both report simulation events per second; an event is one object popped
+ * from the queue, i.e. one element resolved.
+ * @category headless
+ */
+
+import EventQueue from '../eventQueue';
+import Simulator from './Simulator';
+
+const USAGE = `Usage: cv-benchmark [project.cv] [options]
+
+Without a project, measures the event queue alone with a synthetic load.
+With a project, ticks the clocks of the circuit and measures the whole
+simulation.
+
+Options:
+  --circuit <id|name>   circuit to simulate, defaults to the focussed circuit
+  --cycles <n>          clock cycles to simulate (default 1000)
+  --events <n>          events for the queue benchmark (default 1000000)
+  --pending <n>         objects kept queued in the queue benchmark (default 1000)
+  --help                show this message`;
+
+/**
+ * Current time in milliseconds
+ * @return {number}
+ */
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Result of a benchmark
+ * @param {number} events
+ * @param {number} milliseconds
+ * @return {{events: number, seconds: number, eventsPerSecond: number}}
+ */
+function result(events, milliseconds) {
+    const seconds = milliseconds / 1000;
+    return { events, seconds, eventsPerSecond: seconds > 0 ? Math.round(events / seconds) : Infinity };
+}
+
+/**
+ * Pops events from a queue that always holds pending objects. Every popped
+ * object is queued again and every fourth event also re-prioritizes a
+ * queued object, as a changing input does in a simulation.
+ * @param {number} events - number of events to process
+ * @param {number} pending - objects in the queue
+ * @return {{events: number, seconds: number, eventsPerSecond: number}}
+ * @category headless
+ */
+export function benchmarkQueue(events = 1000000, pending = 1000) {
+    const queue = new EventQueue();
+    const objects = [];
+    // small deterministic generator so runs are comparable
+    let seed = 1;
+    const random = (max) => {
+        seed = (seed * 48271) % 2147483647;
+        return 1 + (seed % max);
+    };
+    for (let i = 0; i < pending; i++) {
+        const obj = { propagationDelay: 10, queueProperties: { inQueue: false } };
+        objects.push(obj);
+        queue.add(obj, random(100));
+    }
+    const start = now();
+    for (let i = 0; i < events; i++) {
+        queue.add(queue.pop(), random(100));
+        if (i % 4 === 0) queue.add(objects[random(pending) - 1], random(100));
+    }
+    return result(events, now() - start);
+}
+
+/**
+ * Simulates clock cycles of a project
+ * @param {Object|string} project - saved project
+ * @param {Object=} options
+ * @param {number=} options.cycles - clock cycles to simulate
+ * @param {string=} options.circuit - id or name of the circuit
+ * @return {{cycles: number, events: number, seconds: number, eventsPerSecond: number}}
+ * @category headless
+ */
+export function benchmarkCircuit(project, { cycles = 1000, circuit } = {}) {
+    const sim = new Simulator().load(project, { circuit });
+    const before = sim.events;
+    const start = now();
+    for (let i = 0; i < cycles; i++) sim.tick();
+    return { cycles, ...result(sim.events - before, now() - start) };
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv
+ * @return {Object}
+ */
+function parseArguments(argv) {
+    const options = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (['--circuit', '--cycles', '--events', '--pending'].includes(arg)) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    ['cycles', 'events', 'pending'].forEach((name) => {
+        if (options[name] === undefined) return;
+        const value = Number(options[name]);
+        if (!Number.isInteger(value) || value <= 0) throw new Error(`--${name} must be a positive integer`);
+        options[name] = value;
+    });
+    if (options.files.length > 1) throw new Error('Expected at most one project file');
+    return options;
+}
+
+/**
+ * Runs the command line tool
+ * @param {string[]} argv - arguments without node and the script name
+ * @param {Object} io - readFile(path), stdout(text) and stderr(text)
+ * @return {number} exit status
+ * @category headless
+ */
+export function main(argv, io) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (err) {
+        io.stderr(`${err.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        io.stdout(`${USAGE}\n`);
+        return 0;
+    }
+
+    try {
+        if (options.files.length === 0) {
+            const { events, seconds, eventsPerSecond } = benchmarkQueue(options.events, options.pending);
+            io.stdout(`event queue: ${events} events in ${seconds.toFixed(3)} s, ${eventsPerSecond} events/sec\n`);
+        } else {
+            const project = JSON.parse(io.readFile(options.files[0]));
+            const {
+                cycles, events, seconds, eventsPerSecond,
+            } = benchmarkCircuit(project, { cycles: options.cycles, circuit: options.circuit });
+            io.stdout(`${options.files[0]}: ${cycles} cycles, ${events} events in ${seconds.toFixed(3)} s, `
+                + `${eventsPerSecond} events/sec\n`);
+        }
+    } catch (err) {
+        io.stderr(`cv-benchmark: ${err.message}\n`);
+        return 2;
+    }
+    return 0;
+}
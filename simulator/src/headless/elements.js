@@ -0,0 +1,999 @@
+/* eslint-disable no-bitwise */
+/**
+ * Behaviour of circuit elements in the headless simulator.
+ *
+ * Behaviour methods are called with the element as this. They mirror the
+ * resolve() methods of the modules in modules/ and sequential/, which
+ * can't be reused here as they draw on the canvas and schedule through
+ * simulationArea. Pins look like nodes to the four-state helpers: they
+ * have value, xMask, zMask, bitWidth and setFourState(). Clocks share
+ * their waveform with Clock, see clockWave.js. headless.spec.js runs
+ * every circuit in spec/circuits in both simulators and compares the
+ * labelled outputs, so a change to a resolve() not mirrored here fails it.
+ * @category headless
+ */
+
+import {
+    fullMask, readFourState, isKnown, isDrivenUnknown, readSampled, driveStateOutputs,
+    fourStateAnd, fourStateOr, fourStateXor, fourStateNot, fourStateBuffer, fourStateMerge, powerUpMask,
+} from '../fourState';
+import { toBigInt, toBitWidth } from '../wideValue';
+
+/**
+ * Element types that can be set with Simulator#setInput
+ * @type {string[]}
+ * @category headless
+ */
+export const inputTypes = ['Input', 'Button'];
+
+/**
+ * Elements without any behaviour, they only display a value
+ * @type {string[]}
+ */
+const passiveTypes = [
+    'Output', 'Tunnel', 'Flag', 'DigitalLed', 'VariableLed', 'RGBLed', 'SquareRGBLed',
+    'HexDisplay', 'SevenSegDisplay', 'SixteenSegDisplay', 'RGBLedMatrix', 'TTY',
+];
+
+const known = (value) => ({ value, xMask: 0, zMask: 0 });
+const unknown = (bitWidth) => ({ value: 0, xMask: fullMask(bitWidth), zMask: 0 });
+const poweredUp = (scope, bitWidth) => ({ value: 0, xMask: powerUpMask(scope, bitWidth), zMask: 0 });
+
+/**
+ * Bits start .. start + width - 1 of a value
+ * @param {number|bigint} value
+ * @param {number} start
+ * @param {number} width
+ * @return {number|bigint}
+ */
+function bitsOf(value, start, width) {
+    return toBitWidth(toBigInt(value) >> BigInt(start), width) || 0;
+}
+
+/**
+ * Parses a binary string, x and z digits give unknown and floating bits
+ * @param {string} bits
+ * @param {number} bitWidth
+ * @return {{value: number, xMask: number, zMask: number}}
+ * @category headless
+ */
+export function parseBits(bits, bitWidth) {
+    if (!/^[01xz]+$/i.test(bits)) throw new Error(`Invalid binary value "${bits}"`);
+    let value = 0n;
+    let xMask = 0n;
+    let zMask = 0n;
+    [...bits.toLowerCase()].forEach((digit) => {
+        value <<= 1n;
+        xMask <<= 1n;
+        zMask <<= 1n;
+        if (digit === '1') value |= 1n;
+        else if (digit === 'x') xMask |= 1n;
+        else if (digit === 'z') zMask |= 1n;
+    });
+    return {
+        value: toBitWidth(value, bitWidth),
+        xMask: toBitWidth(xMask, bitWidth) || 0,
+        zMask: toBitWidth(zMask, bitWidth) || 0,
+    };
+}
+
+/**
+ * Drives a value computed from known inputs, or X if any input is unknown
+ * @param {Pin} pin - pin to drive
+ * @param {Pin[]} inputs
+ * @param {function} fn - computes the value from the input values
+ */
+function driveKnown(pin, inputs, fn) {
+    if (inputs.every(isKnown)) pin.set(fn(...inputs.map((input) => input.value)));
+    else pin.setFourState(unknown(pin.bitWidth));
+}
+
+/**
+ * Reads the saved state of an input like element
+ * @param {*} state - saved state, a number or a decimal string for wide inputs
+ * @param {number} bitWidth
+ * @return {{value: number, xMask: number, zMask: number}}
+ */
+function savedState(state, bitWidth) {
+    return known(toBitWidth(state === undefined ? 0 : state, bitWidth));
+}
+
+/**
+ * Input like elements driving their state
+ */
+const source = {
+    source: true,
+    outputs: ['output1'],
+    resolve() {
+        this.pins.output1.setFourState(this.state);
+    },
+};
+
+/**
+ * Shared behaviour of the D, T and JK flip flops, nextState computes the
+ * value sampled into the master on a falling clock
+ * @param {function} nextState
+ * @return {Object}
+ */
+function masterSlave(nextState) {
+    return {
+        source: true,
+        outputs: ['qOutput', 'qInvOutput'],
+        init(data, scope) {
+            this.master = poweredUp(scope, this.pins.qOutput.bitWidth);
+            this.slave = this.master;
+            this.prevClockState = 0;
+        },
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            const {
+                reset, preset, en, clockInp, qOutput, qInvOutput,
+            } = this.pins;
+            if (isDrivenUnknown(reset)) {
+                this.master = fourStateMerge(this.master, readSampled(preset));
+                this.slave = fourStateMerge(this.slave, readSampled(preset));
+            } else if (reset.value === 1) {
+                this.master = readSampled(preset);
+                this.slave = readSampled(preset);
+            } else if (isDrivenUnknown(en) || isDrivenUnknown(clockInp)) {
+                const next = nextState.call(this);
+                if (next) this.master = fourStateMerge(this.master, next);
+                this.slave = fourStateMerge(this.slave, this.master);
+                this.prevClockState = undefined;
+            } else if (en.value === 0) {
+                this.prevClockState = clockInp.value;
+            } else if (en.value === 1 || !en.connected) {
+                if (clockInp.value === this.prevClockState) {
+                    const next = clockInp.value === 0 && nextState.call(this);
+                    if (next) this.master = next;
+                } else if (clockInp.value !== undefined) {
+                    if (clockInp.value === 1) {
+                        this.slave = this.master;
+                    } else {
+                        const next = nextState.call(this);
+                        if (next) this.master = next;
+                    }
+                    this.prevClockState = clockInp.value;
+                }
+            }
+            driveStateOutputs(qOutput, qInvOutput, this.slave, qOutput.bitWidth);
+        },
+    };
+}
+
+/**
+ * Value sampled by a D flip flop
+ * @return {{value: number, xMask: number}|undefined}
+ */
+function sampleD() {
+    return this.pins.dInp.value !== undefined ? readSampled(this.pins.dInp) : undefined;
+}
+
+/**
+ * Value sampled by a T flip flop, the state toggled where T is 1
+ * @return {{value: number, xMask: number}|undefined}
+ */
+function sampleT() {
+    const { dInp, qOutput } = this.pins;
+    if (dInp.value === undefined) return undefined;
+    const t = { ...readSampled(dInp), bitWidth: qOutput.bitWidth };
+    const slave = { ...this.slave, zMask: 0, bitWidth: qOutput.bitWidth };
+    return fourStateXor([t, slave], qOutput.bitWidth);
+}
+
+/**
+ * Value sampled by a JK flip flop, J and K may be unknown
+ * @return {{value: number, xMask: number}|undefined}
+ */
+function sampleJK() {
+    const { J, K } = this.pins;
+    if (J.value === undefined || K.value === undefined) return undefined;
+    const j = readSampled(J);
+    const k = readSampled(K);
+    let result;
+    for (let jv = 0; jv <= 1; jv++) {
+        for (let kv = 0; kv <= 1; kv++) {
+            if ((j.xMask || jv === j.value) && (k.xMask || kv === k.value)) {
+                let next = this.master;
+                if (jv && kv) next = { value: (1 ^ this.slave.value) & ~this.slave.xMask, xMask: this.slave.xMask };
+                else if (jv ^ kv) next = known(jv);
+                result = result === undefined ? next : fourStateMerge(result, next);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Gate driving the four-state result of fn over all inputs
+ * @param {function} fn
+ * @param {boolean} inverted
+ * @return {Object}
+ */
+function gate(fn, inverted = false) {
+    return {
+        outputs: ['output1'],
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            const { bitWidth } = this.pins.output1;
+            const result = fn(this.pins.inp, bitWidth);
+            this.pins.output1.setFourState(inverted ? fourStateNot(result, bitWidth) : result);
+        },
+    };
+}
+
+/**
+ * Words of a memory as saved, cut to its width. Words not saved are 0.
+ * @param {Array<number|string>=} saved - wide words are saved as strings
+ * @param {number} addressWidth
+ * @param {number} bitWidth
+ * @return {Array<number|bigint>}
+ */
+function savedWords(saved, addressWidth, bitWidth) {
+    const words = new Array(2 ** addressWidth).fill(toBitWidth(0, bitWidth));
+    (saved || []).slice(0, words.length).forEach((word, address) => {
+        words[address] = toBitWidth(toBigInt(word || 0), bitWidth);
+    });
+    return words;
+}
+
+/**
+ * Shared behaviour of RAM and EEPROM. Words are kept with their unknown
+ * bits, words never written read as 0.
+ * @param {function} savedData - words at the start, from the saved element
+ * @return {Object}
+ */
+function memory(savedData) {
+    return {
+        outputs: ['dataOut'],
+        init(data) {
+            this.data = savedData.call(this, data);
+        },
+        resolvable() {
+            const { address, reset, coreDump } = this.pins;
+            return address.value !== undefined || reset.value !== undefined || coreDump.value !== undefined;
+        },
+        resolve() {
+            const {
+                address, dataIn, write, reset, dataOut,
+            } = this.pins;
+            if (write.value === 1 && isKnown(write) && isKnown(address)) this.data[address.value] = readFourState(dataIn);
+            if (reset.value === 1) this.data = [];
+            if (address.value !== undefined && !isKnown(address)) dataOut.setFourState(unknown(dataOut.bitWidth));
+            else dataOut.setFourState(this.data[address.value] || known(0));
+        },
+    };
+}
+
+/**
+ * Words of a memory made by the Verilog import, see verilogRAM#fillData.
+ * A number repeats the word after it, words starting with x are skipped.
+ * @param {Array<number|string>} memData
+ * @param {number} words
+ * @param {number} bitWidth
+ * @return {number[]}
+ */
+function verilogWords(memData, words, bitWidth) {
+    const data = new Array(words).fill(0);
+    let address = 0;
+    for (let i = 0; i < memData.length; i++) {
+        let count = 1;
+        if (Number.isInteger(memData[i])) {
+            count = memData[i];
+            i++;
+        }
+        const word = memData[i];
+        if (word.startsWith('x')) {
+            address += count;
+        } else {
+            const value = [...word.slice(0, bitWidth)].reduce((acc, bit) => acc * 2 + (bit === '1' ? 1 : 0), 0);
+            data.fill(value, address, address + count);
+            address += count;
+        }
+    }
+    return data;
+}
+
+/**
+ * D flip-flop of a port of a memory made by the Verilog import, see
+ * customResolve() in verilogRAM.js, called with the state of the port as
+ * this. Ports without a clock pass D through.
+ * @param {Pin} clockInp
+ * @param {Pin} dInp
+ * @param {Pin} en
+ * @return {number|undefined} the value of Q
+ */
+function resolvePort(clockInp, dInp, en) {
+    if (this.clockPolarity === undefined) {
+        const enabled = this.enPolarity === undefined || en.value === undefined || en.value === +this.enPolarity;
+        if (enabled && dInp.value !== undefined) this.q = dInp.value;
+        return this.q;
+    }
+    if (this.enPolarity !== undefined && en.value === 0) {
+        this.prevClockState = clockInp.value;
+    } else if (this.enPolarity === undefined || en.value === 1 || !en.connected) {
+        if (clockInp.value === this.prevClockState) {
+            if (clockInp.value === 0 && dInp.value !== undefined) this.master = dInp.value;
+        } else if (clockInp.value !== undefined) {
+            if (clockInp.value === 1) this.slave = this.master;
+            else if (dInp.value !== undefined) this.master = dInp.value;
+            this.prevClockState = clockInp.value;
+        }
+    }
+    return this.slave;
+}
+
+/**
+ * Arithmetic of the elements made by the Verilog import. Every result
+ * is computed from the two inputs as BigInt and cut to the width of its
+ * output.
+ * @param {string[]} inputs - names of the two inputs
+ * @param {Object<string, function>} results - computes each output from the inputs and its width
+ * @return {Object}
+ */
+function verilogOperator(inputs, results) {
+    return {
+        outputs: Object.keys(results),
+        resolve() {
+            const pins = inputs.map((name) => this.pins[name]);
+            Object.keys(results).forEach((name) => {
+                const pin = this.pins[name];
+                driveKnown(pin, pins, (a, b) => results[name](toBigInt(a), toBigInt(b), pin.bitWidth));
+            });
+        },
+    };
+}
+
+/**
+ * Power of a number cut to a width, by squaring and multiplying
+ * @param {bigint} base
+ * @param {bigint} exponent
+ * @param {number} bitWidth
+ * @return {bigint}
+ */
+function powerOf(base, exponent, bitWidth) {
+    let answer = 1n;
+    let square = base;
+    for (let e = exponent; e > 0n; e >>= 1n) {
+        if (e & 1n) answer = BigInt.asUintN(bitWidth, answer * square);
+        square = BigInt.asUintN(bitWidth, square * square);
+    }
+    return answer;
+}
+
+/**
+ * Random number below max, like Random#randomWide
+ * @param {bigint} max
+ * @param {number} bitWidth
+ * @return {bigint}
+ */
+function randomBelow(max, bitWidth) {
+    let n = 0n;
+    for (let i = 0; i < bitWidth; i += 32) n = (n << 32n) | BigInt(Math.floor(Math.random() * 2 ** 32));
+    return n % max;
+}
+
+/**
+ * Behaviours keyed by objectType
+ * @type {Object}
+ */
+const behaviours = {
+    Input: {
+        ...source,
+        init(data) {
+            this.state = savedState(data.customData.values && data.customData.values.state, this.pins.output1.bitWidth);
+        },
+    },
+    Button: {
+        ...source,
+        init() {
+            this.state = known(0);
+        },
+    },
+    Stepper: {
+        ...source,
+        init(data) {
+            this.state = savedState(data.customData.values && data.customData.values.state, this.pins.output1.bitWidth);
+        },
+    },
+    Clock: {
+        ...source,
+        init(data) {
+            // Projects saved before clocks had a period toggle on every tick
+            const values = data.customData.values || {};
+            this.period = values.period || 2;
+            this.dutyCycle = values.dutyCycle || 50;
+            this.phase = values.phase || 0;
+            this.state = known(0);
+        },
+    },
+    ConstantVal: {
+        ...source,
+        init(data) {
+            this.state = parseBits(data.customData.constructorParamaters[2] || '0', this.pins.output1.bitWidth);
+        },
+    },
+    Power: {
+        ...source,
+        init() {
+            this.state = known(fullMask(this.pins.output1.bitWidth));
+        },
+    },
+    Ground: {
+        ...source,
+        init() {
+            this.state = known(0);
+        },
+    },
+    AndGate: gate(fourStateAnd),
+    OrGate: gate(fourStateOr),
+    XorGate: gate(fourStateXor),
+    NandGate: gate(fourStateAnd, true),
+    NorGate: gate(fourStateOr, true),
+    XnorGate: gate(fourStateXor, true),
+    NotGate: {
+        outputs: ['output1'],
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            this.pins.output1.setFourState(fourStateNot(readFourState(this.pins.inp1), this.pins.output1.bitWidth));
+        },
+    },
+    Buffer: {
+        source: true,
+        outputs: ['output1'],
+        init() {
+            this.state = known(0);
+        },
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            if (this.pins.reset && this.pins.reset.value === 1) this.state = known(0);
+            if (this.pins.inp1.value !== undefined) this.state = readFourState(this.pins.inp1);
+            this.pins.output1.setFourState(this.state);
+        },
+    },
+    TriState: {
+        outputs: ['output1'],
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            const { state, inp1, output1 } = this.pins;
+            if (state.value !== 0 || !isKnown(state)) {
+                output1.setFourState(isKnown(state)
+                    ? fourStateBuffer(readFourState(inp1), output1.bitWidth)
+                    : unknown(output1.bitWidth));
+            } else {
+                output1.release();
+            }
+        },
+    },
+    ControlledInverter: {
+        outputs: ['output1'],
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            const { state, inp1, output1 } = this.pins;
+            if (state.value !== 0 || !isKnown(state)) {
+                output1.setFourState(isKnown(state)
+                    ? fourStateNot(readFourState(inp1), output1.bitWidth)
+                    : unknown(output1.bitWidth));
+            } else {
+                output1.release();
+            }
+        },
+    },
+    ForceGate: {
+        outputs: ['output1'],
+        resolvable() {
+            return this.pins.inp1.value !== undefined || this.pins.inp2.value !== undefined;
+        },
+        resolve() {
+            const { inp1, inp2, output1 } = this.pins;
+            output1.setFourState(readFourState(inp2.value !== undefined ? inp2 : inp1));
+        },
+    },
+    Multiplexer: {
+        outputs: ['output1'],
+        resolvable() {
+            const select = this.pins.controlSignalInput;
+            if (select.value === undefined) return false;
+            if (!isKnown(select)) return true;
+            const chosen = this.pins.inp[select.value];
+            return chosen !== undefined && chosen.value !== undefined;
+        },
+        resolve() {
+            const { controlSignalInput, inp, output1 } = this.pins;
+            if (isKnown(controlSignalInput)) output1.setFourState(readFourState(inp[controlSignalInput.value]));
+            else output1.setFourState(unknown(output1.bitWidth));
+        },
+    },
+    Demultiplexer: {
+        outputs: ['output1'],
+        resolve() {
+            const { controlSignalInput, input, output1 } = this.pins;
+            output1.forEach((pin, i) => {
+                if (!isKnown(controlSignalInput)) pin.setFourState(unknown(pin.bitWidth));
+                else if (i === controlSignalInput.value) pin.setFourState(readFourState(input));
+                else pin.set(0);
+            });
+        },
+    },
+    Decoder: {
+        outputs: ['output1'],
+        resolve() {
+            const { input, output1 } = this.pins;
+            output1.forEach((pin, i) => {
+                if (!isKnown(input)) pin.setFourState(unknown(1));
+                else pin.set(+(i === Number(input.value)));
+            });
+        },
+    },
+    BitSelector: {
+        outputs: ['output1'],
+        resolve() {
+            const { inp1, bitSelectorInp, output1 } = this.pins;
+            if (!isKnown(bitSelectorInp)) {
+                output1.setFourState(unknown(1));
+                return;
+            }
+            const bit = Number(bitSelectorInp.value);
+            output1.setFourState({
+                value: bitsOf(inp1.value, bit, 1),
+                xMask: bitsOf(inp1.xMask, bit, 1),
+                zMask: bitsOf(inp1.zMask, bit, 1),
+            });
+        },
+    },
+    PriorityEncoder: {
+        outputs: ['output1', 'enable'],
+        resolve() {
+            const { inp1, output1, enable } = this.pins;
+            let index = -1;
+            for (let i = inp1.length - 1; i >= 0; i--) {
+                if (inp1[i].value === 1 && isKnown(inp1[i])) {
+                    index = i;
+                    break;
+                }
+            }
+            enable.set(+(index >= 0));
+            output1.forEach((pin, bit) => pin.set(index >= 0 ? (index >> bit) & 1 : 0));
+        },
+    },
+    MSB: {
+        outputs: ['output1', 'enable'],
+        resolve() {
+            const { inp1, output1, enable } = this.pins;
+            driveKnown(output1, [inp1], (value) => toBigInt(value).toString(2).length - 1);
+            driveKnown(enable, [inp1], (value) => +(toBigInt(value) !== 0n));
+        },
+    },
+    LSB: {
+        outputs: ['output1', 'enable'],
+        resolve() {
+            const { inp1, output1, enable } = this.pins;
+            driveKnown(output1, [inp1], (value) => {
+                const bits = toBigInt(value).toString(2);
+                const lowest = bits.lastIndexOf('1');
+                return lowest < 0 ? 0 : bits.length - 1 - lowest;
+            });
+            driveKnown(enable, [inp1], (value) => +(toBigInt(value) !== 0n));
+        },
+    },
+    Adder: {
+        outputs: ['sum', 'carryOut'],
+        resolvable() {
+            return this.pins.inpA.value !== undefined && this.pins.inpB.value !== undefined;
+        },
+        resolve() {
+            const {
+                inpA, inpB, carryIn, sum, carryOut,
+            } = this.pins;
+            const inputs = carryIn.value !== undefined ? [inpA, inpB, carryIn] : [inpA, inpB];
+            const total = () => inputs.reduce((acc, pin) => acc + toBigInt(pin.value), 0n);
+            driveKnown(sum, inputs, () => total());
+            driveKnown(carryOut, inputs, () => +((total() >> BigInt(sum.bitWidth)) !== 0n));
+        },
+    },
+    TwoComplement: {
+        outputs: ['output1'],
+        resolve() {
+            driveKnown(this.pins.output1, [this.pins.inp1], (value) => -toBigInt(value));
+        },
+    },
+    ALU: {
+        outputs: ['output', 'carryOut'],
+        resolve() {
+            const {
+                inp1, inp2, controlSignalInput, output, carryOut,
+            } = this.pins;
+            const inputs = [inp1, inp2, controlSignalInput];
+            if (!inputs.every(isKnown)) {
+                output.setFourState(unknown(output.bitWidth));
+                carryOut.setFourState(unknown(1));
+                return;
+            }
+            const { bitWidth } = output;
+            const a = toBigInt(inp1.value);
+            const b = toBigInt(inp2.value);
+            const notB = toBigInt(fullMask(bitWidth)) & ~b;
+            const operations = [
+                () => a & b,
+                () => a | b,
+                () => a + b,
+                undefined,
+                () => a & notB,
+                () => a | notB,
+                () => a - b,
+                () => +(a < b),
+            ];
+            const operation = operations[controlSignalInput.value];
+            if (!operation) return;
+            output.set(operation());
+            carryOut.set(controlSignalInput.value === 2 ? +(((a + b) >> BigInt(bitWidth)) !== 0n) : 0);
+        },
+    },
+    Counter: {
+        source: true,
+        outputs: ['output', 'zero'],
+        init() {
+            this.count = 0n;
+            this.prevClockState = undefined;
+        },
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            const {
+                maxValue, clock, reset, output, zero,
+            } = this.pins;
+            const max = maxValue.value !== undefined ? toBigInt(maxValue.value) : toBigInt(fullMask(output.bitWidth));
+            if (clock.value !== this.prevClockState && clock.value === 1) this.count++;
+            this.prevClockState = clock.value;
+            this.count %= max + 1n;
+            if (reset.value === 1) this.count = 0n;
+            output.set(this.count);
+            zero.set(+(clock.value === 1 && this.count === 0n));
+        },
+    },
+    DflipFlop: masterSlave(sampleD),
+    TflipFlop: masterSlave(sampleT),
+    JKflipFlop: masterSlave(sampleJK),
+    SRflipFlop: {
+        source: true,
+        outputs: ['qOutput', 'qInvOutput'],
+        init(data, scope) {
+            this.state = poweredUp(scope, this.pins.qOutput.bitWidth);
+        },
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            const {
+                S, R, reset, preset, en, qOutput, qInvOutput,
+            } = this.pins;
+            const enabled = en.value === 1 || !en.connected;
+            let next = this.state;
+            if (isDrivenUnknown(reset)) {
+                next = fourStateMerge(this.state, readSampled(preset));
+            } else if (reset.value === 1) {
+                next = readSampled(preset);
+            } else if (isDrivenUnknown(en) || isDrivenUnknown(S) || isDrivenUnknown(R)) {
+                if (enabled || isDrivenUnknown(en)) {
+                    const s = readSampled(S);
+                    const r = readSampled(R);
+                    if (s.xMask || r.xMask || s.value ^ r.value) next = fourStateMerge(this.state, s);
+                }
+            } else if (enabled && S.value ^ R.value) {
+                next = known(S.value);
+            }
+            this.state = next;
+            driveStateOutputs(qOutput, qInvOutput, next, qOutput.bitWidth);
+        },
+    },
+    Dlatch: {
+        source: true,
+        outputs: ['qOutput', 'qInvOutput'],
+        init(data, scope) {
+            this.state = poweredUp(scope, this.pins.qOutput.bitWidth);
+        },
+        resolvable() {
+            return this.pins.clockInp.value !== undefined && this.pins.dInp.value !== undefined;
+        },
+        resolve() {
+            const {
+                clockInp, dInp, qOutput, qInvOutput,
+            } = this.pins;
+            if (isDrivenUnknown(clockInp)) this.state = fourStateMerge(this.state, readSampled(dInp));
+            else if (clockInp.value === 1) this.state = readSampled(dInp);
+            driveStateOutputs(qOutput, qInvOutput, this.state, qOutput.bitWidth);
+        },
+    },
+    Rom: {
+        outputs: ['dataOut'],
+        init(data) {
+            const { memAddr, dataOut } = this.pins;
+            this.data = savedWords(data.customData.constructorParamaters[0], memAddr.bitWidth, dataOut.bitWidth);
+        },
+        resolvable() {
+            const { memAddr, en } = this.pins;
+            return (en.value === 1 || !en.connected) && memAddr.value !== undefined;
+        },
+        resolve() {
+            driveKnown(this.pins.dataOut, [this.pins.memAddr], (address) => this.data[address]);
+        },
+    },
+    RAM: memory(() => []),
+    EEPROM: memory(function savedData(data) {
+        const { address, dataOut } = this.pins;
+        return savedWords(data.customData.constructorParamaters[3], address.bitWidth, dataOut.bitWidth).map(known);
+    }),
+    verilogRAM: {
+        outputs: ['dataOut', 'readDffQOutput', 'writeDffQOutput'],
+        init(data) {
+            const [, bitWidth, , memData, words, , , rdports, wrports] = data.customData.constructorParamaters;
+            const port = ({ clock_polarity: clockPolarity, enable_polarity: enPolarity }) => ({
+                clockPolarity, enPolarity, master: 0, slave: 0, prevClockState: 0, q: undefined,
+            });
+            this.data = verilogWords(memData, words, bitWidth);
+            this.readPorts = rdports.map(port);
+            // Write ports are enabled by a 1 unless told otherwise
+            this.writePorts = wrports.map((wrport) => ({
+                ...port(wrport),
+                enPolarity: wrport.enable_polarity === undefined ? true : wrport.enable_polarity,
+            }));
+        },
+        resolvable() {
+            return true;
+        },
+        resolve() {
+            const pins = (name) => this.pins[name] || [];
+            const { reset } = this.pins;
+            this.writePorts.forEach((port, i) => {
+                const q = resolvePort.call(port, pins('writeDffClock')[i], pins('writeDffDInp')[i], pins('writeDffEn')[i]);
+                pins('writeDffQOutput')[i].set(q);
+                if (pins('writeEnable')[i].value === 1) this.data[pins('writeAddress')[i].value] = q;
+            });
+            if (reset.value === 1) this.data = [];
+            this.readPorts.forEach((port, i) => {
+                pins('dataOut')[i].set(this.data[pins('readAddress')[i].value] || 0);
+                pins('readDffQOutput')[i].set(resolvePort.call(port, pins('readDffClock')[i], pins('readDffDInp')[i], pins('readDffEn')[i]));
+            });
+        },
+    },
+    Keyboard: {
+        outputs: ['asciiOutput', 'available'],
+        init(data) {
+            this.bufferSize = data.customData.constructorParamaters[0] || 32;
+            this.buffer = '';
+            this.bufferOutValue = undefined;
+            this.prevClockState = 0;
+        },
+        keyDown(key) {
+            if (key.length !== 1) return;
+            this.buffer = (this.buffer + key).slice(-this.bufferSize);
+        },
+        resolvable() {
+            const { clockInp, reset, en } = this.pins;
+            if (reset.value === 1) return true;
+            if (en.value === 0 || (en.connected && en.value === undefined)) return false;
+            return clockInp.value !== undefined;
+        },
+        resolve() {
+            const {
+                clockInp, reset, en, asciiOutput, available,
+            } = this.pins;
+            if (reset.value === 1) {
+                this.buffer = '';
+                return;
+            }
+            if (en.value === 0) return;
+            const next = this.buffer ? this.buffer.charCodeAt(0) : undefined;
+            if (clockInp.value === this.prevClockState) {
+                if (clockInp.value === 0) this.bufferOutValue = next;
+            } else {
+                // The key sent is taken from the buffer on the rising edge
+                if (clockInp.value !== 1 || !this.buffer) this.bufferOutValue = next;
+                else if (this.bufferOutValue === next) this.buffer = this.buffer.slice(1);
+                this.prevClockState = clockInp.value;
+            }
+            asciiOutput.set(this.bufferOutValue);
+            available.set(+(this.bufferOutValue !== undefined));
+        },
+    },
+    Random: {
+        outputs: ['output'],
+        init() {
+            this.currentRandomNo = 0;
+            this.prevClockState = 0;
+        },
+        resolvable() {
+            const { clockInp, maxValue } = this.pins;
+            return clockInp.value !== undefined && (maxValue.value !== undefined || !maxValue.connected);
+        },
+        resolve() {
+            const { clockInp, maxValue, output } = this.pins;
+            if (clockInp.value !== this.prevClockState) {
+                if (clockInp.value === 1) {
+                    const max = maxValue.connected ? toBigInt(maxValue.value) + 1n : 1n << BigInt(output.bitWidth);
+                    this.currentRandomNo = randomBelow(max, output.bitWidth);
+                }
+                this.prevClockState = clockInp.value;
+            }
+            output.set(this.currentRandomNo);
+        },
+    },
+    verilogMultiplier: verilogOperator(['inpA', 'inpB'], { product: (a, b) => a * b }),
+    verilogDivider: verilogOperator(['inpA', 'inpB'], {
+        // Division by zero gives 0
+        quotient: (a, b) => (b === 0n ? 0n : a / b),
+        remainder: (a, b) => (b === 0n ? 0n : a % b),
+    }),
+    verilogPower: verilogOperator(['inpA', 'inpB'], { answer: powerOf }),
+    verilogShiftLeft: verilogOperator(['inp1', 'shiftInp'], {
+        output1: (value, shift, bitWidth) => (shift >= BigInt(bitWidth) ? 0n : value << shift),
+    }),
+    verilogShiftRight: verilogOperator(['inp1', 'shiftInp'], { output1: (value, shift) => value >> shift }),
+    Splitter: {
+        outputs() {
+            return this.mode === 'split' ? ['outputs'] : ['inp1'];
+        },
+        resolvable() {
+            if (this.mode === 'split') return this.pins.inp1.value !== undefined;
+            return this.pins.outputs.every((pin) => pin.value !== undefined);
+        },
+        resolve() {
+            const { inp1, outputs } = this.pins;
+            if (this.mode === 'split') {
+                let start = 0;
+                outputs.forEach((pin) => {
+                    pin.setFourState({
+                        value: bitsOf(inp1.value, start, pin.bitWidth),
+                        xMask: bitsOf(inp1.xMask, start, pin.bitWidth),
+                        zMask: bitsOf(inp1.zMask, start, pin.bitWidth),
+                    });
+                    start += pin.bitWidth;
+                });
+                return;
+            }
+            let value = 0n;
+            let xMask = 0n;
+            let zMask = 0n;
+            for (let i = outputs.length - 1; i >= 0; i--) {
+                const width = BigInt(outputs[i].bitWidth);
+                value = (value << width) | toBigInt(outputs[i].value);
+                xMask = (xMask << width) | toBigInt(outputs[i].xMask);
+                zMask = (zMask << width) | toBigInt(outputs[i].zMask);
+            }
+            inp1.setFourState({ value, xMask, zMask });
+        },
+    },
+};
+
+/**
+ * Element of the headless netlist
+ * @category headless
+ */
+class HeadlessElement {
+    constructor(objectType, behaviour, data, passive) {
+        this.objectType = objectType;
+        this.behaviour = behaviour;
+        this.label = (data.label || '').trim();
+        this.passive = passive;
+        this.pins = {};
+        this.propagationDelay = data.propagationDelay === 0 ? 0 : data.propagationDelay || 10;
+        this.queueProperties = {
+            inQueue: false,
+            time: undefined,
+            index: undefined,
+        };
+    }
+
+    /**
+     * Sets up the element state once the pins are attached
+     * @param {Object} data - saved element
+     * @param {Object} scope - saved circuit of the element
+     */
+    init(data, scope) {
+        if (this.behaviour.init) this.behaviour.init.call(this, data, scope);
+    }
+
+    /**
+     * Sets the value driven by an input like element
+     * @param {{value: number, xMask: number, zMask: number}} state
+     */
+    setState(state) {
+        this.state = state;
+    }
+
+    /**
+     * Adds a key pressed to the buffer of a keyboard
+     * @param {string} key - a single character
+     */
+    keyDown(key) {
+        this.behaviour.keyDown.call(this, key);
+    }
+
+    /**
+     * Sets whether a splitter splits or combines
+     * @param {string} mode - 'split' or 'combine'
+     */
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    /**
+     * true for elements that are resolved at the start of every step
+     * @type {boolean}
+     */
+    get isSource() {
+        return !this.passive && !!this.behaviour.source;
+    }
+
+    /**
+     * @return {Pin[]} all pins of the element
+     */
+    allPins() {
+        return Object.values(this.pins).flat();
+    }
+
+    /**
+     * Checks if a pin drives its net
+     * @param {Pin} pin
+     * @return {boolean}
+     */
+    isOutput(pin) {
+        if (this.passive || !this.behaviour.outputs) return false;
+        const { outputs } = this.behaviour;
+        return (typeof outputs === 'function' ? outputs.call(this) : outputs).includes(pin.name);
+    }
+
+    /**
+     * Like CircuitElement#isResolvable, by default all inputs must be driven
+     * @return {boolean}
+     */
+    isResolvable() {
+        if (this.behaviour.resolvable) return this.behaviour.resolvable.call(this);
+        return this.allPins().every((pin) => this.isOutput(pin) || pin.value !== undefined);
+    }
+
+    /**
+     * Resolves the element, or releases its outputs if it can't be resolved
+     */
+    resolve() {
+        if (this.passive || !this.behaviour.resolve) return;
+        if (this.isResolvable()) {
+            this.behaviour.resolve.call(this);
+        } else {
+            this.allPins().forEach((pin) => {
+                if (this.isOutput(pin)) pin.release();
+            });
+        }
+    }
+}
+
+/**
+ * Creates the headless element for a saved element. Elements without
+ * pins, such as annotations, are skipped.
+ * @param {string} objectType
+ * @param {Object} data - saved element
+ * @param {boolean} passive - inputs of subcircuits are driven from outside
+ * @return {HeadlessElement|undefined}
+ * @category headless
+ */
+export function createElement(objectType, data, passive) {
+    const nodes = data.customData && data.customData.nodes;
+    if (!nodes || Object.keys(nodes).length === 0) return undefined;
+    if (passiveTypes.includes(objectType)) return new HeadlessElement(objectType, {}, data, true);
+    const behaviour = behaviours[objectType];
+    if (!behaviour) throw new Error(`${objectType} is not supported by the headless simulator`);
+    return new HeadlessElement(objectType, behaviour, data, passive);
+}
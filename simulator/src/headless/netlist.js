@@ -0,0 +1,226 @@
+/**
+ * Netlist of a saved project for the headless simulator.
+ *
+ * All nodes that are wired together, joined by tunnels or connected
+ * through subcircuit ports form one net. Elements read and drive nets
+ * through pins, so no Node objects, scopes or globals are created.
+ * @category headless
+ */
+
+import Net from './Net';
+import Pin from './Pin';
+import { createElement, inputTypes } from './elements';
+
+/**
+ * Subcircuits nested deeper than this are treated as recursive
+ * @type {number}
+ */
+const MAX_DEPTH = 64;
+
+/**
+ * Union-find over node keys
+ * @return {{find: function, join: function}}
+ */
+function createUnion() {
+    const parent = new Map();
+    const find = (key) => {
+        let root = key;
+        while (parent.has(root) && parent.get(root) !== root) root = parent.get(root);
+        parent.set(key, root);
+        return root;
+    };
+    const join = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent.set(rootA, rootB);
+    };
+    return { find, join };
+}
+
+/**
+ * Calls fn for every node index referenced by an element
+ * @param {Object} data - saved element
+ * @param {function} fn - called with (name, index, position in array or undefined)
+ */
+function forEachNode(data, fn) {
+    const nodes = (data.customData && data.customData.nodes) || {};
+    Object.keys(nodes).forEach((name) => {
+        if (Array.isArray(nodes[name])) nodes[name].forEach((index, i) => fn(name, index, i));
+        else if (nodes[name] !== undefined) fn(name, nodes[name]);
+    });
+}
+
+/**
+ * Elements and subcircuits of a saved scope
+ * @param {Object} scopeData
+ * @return {Array} - [objectType, saved element] pairs
+ */
+function savedElements(scopeData) {
+    const list = [];
+    Object.keys(scopeData).forEach((key) => {
+        const value = scopeData[key];
+        if (!Array.isArray(value) || key === 'allNodes' || key === 'nodes') return;
+        value.forEach((data) => {
+            if (key === 'SubCircuit' || (data && data.customData && data.customData.nodes)) {
+                list.push([data.objectType || key, data]);
+            }
+        });
+    });
+    return list;
+}
+
+/**
+ * A splitter either splits its bus or combines its parts. A splitter
+ * splits if its bus is driven from elsewhere, and combines if all of
+ * its parts are; this is decided once, as the wiring never changes.
+ * @param {Array} elements
+ */
+function chooseSplitterModes(elements) {
+    const driven = new Set();
+    let undecided = [];
+    elements.forEach((element) => {
+        if (element.objectType === 'Splitter') {
+            undecided.push(element);
+            return;
+        }
+        element.allPins().forEach((pin) => {
+            if (element.isOutput(pin)) driven.add(pin.net);
+        });
+    });
+
+    const decide = (splitter) => {
+        const { inp1, outputs } = splitter.pins;
+        if (driven.has(inp1.net)) {
+            splitter.setMode('split');
+            outputs.forEach((pin) => driven.add(pin.net));
+            return true;
+        }
+        if (outputs.every((pin) => driven.has(pin.net))) {
+            splitter.setMode('combine');
+            driven.add(inp1.net);
+            return true;
+        }
+        return false;
+    };
+    let count;
+    do {
+        count = undecided.length;
+        undecided = undecided.filter((splitter) => !decide(splitter));
+    } while (undecided.length < count);
+    undecided.forEach((splitter) => splitter.setMode('combine'));
+}
+
+/**
+ * Builds the netlist of one circuit of a saved project
+ * @param {Object} project - parsed project JSON as saved by the simulator
+ * @param {string|number} scopeId - id of the circuit to simulate
+ * @param {function} onChange - called with a net whenever its value changes
+ * @return {Object} - elements, nets, labelled inputs, outputs and keyboards
+ * @category headless
+ */
+export default function buildNetlist(project, scopeId, onChange) {
+    const scopes = new Map();
+    project.scopes.forEach((scope) => scopes.set(String(scope.id), scope));
+
+    const union = createUnion();
+    const instances = [];
+
+    const instantiate = (scopeData, depth) => {
+        if (depth > MAX_DEPTH) throw new Error(`Subcircuit nesting too deep in "${scopeData.name}"`);
+        const id = instances.length;
+        const instance = {
+            id, scope: scopeData, elements: savedElements(scopeData), passive: new Set(),
+        };
+        instances.push(instance);
+        const key = (index) => `${id}:${index}`;
+
+        scopeData.allNodes.forEach((node, index) => {
+            union.find(key(index));
+            (node.connections || []).forEach((other) => union.join(key(index), key(other)));
+        });
+
+        const tunnels = new Map();
+        instance.elements.forEach(([type, data]) => {
+            if (type !== 'Tunnel') return;
+            const { identifier } = data.customData.values;
+            if (tunnels.has(identifier)) union.join(key(tunnels.get(identifier)), key(data.customData.nodes.inp1));
+            else tunnels.set(identifier, data.customData.nodes.inp1);
+        });
+
+        instance.elements.forEach(([type, data]) => {
+            if (type !== 'SubCircuit') return;
+            const inner = scopes.get(String(data.id));
+            if (!inner) throw new Error(`Missing circuit ${data.id} used as subcircuit`);
+            const child = instantiate(inner, depth + 1);
+            const inputs = child.elements.filter(([t]) => t === 'Input');
+            const outputs = child.elements.filter(([t]) => t === 'Output');
+            data.inputNodes.forEach((index, i) => {
+                if (!inputs[i]) return;
+                child.passive.add(inputs[i][1]);
+                union.join(key(index), `${child.id}:${inputs[i][1].customData.nodes.output1}`);
+            });
+            data.outputNodes.forEach((index, i) => {
+                if (outputs[i]) union.join(key(index), `${child.id}:${outputs[i][1].customData.nodes.inp1}`);
+            });
+        });
+        return instance;
+    };
+
+    const top = scopes.get(String(scopeId));
+    if (!top) throw new Error(`No circuit with id ${scopeId}`);
+    instantiate(top, 0);
+
+    const nets = new Map();
+    const netOf = (instance, index) => {
+        const root = union.find(`${instance.id}:${index}`);
+        if (!nets.has(root)) {
+            const { bitWidth } = instance.scope.allNodes[index] || { bitWidth: 1 };
+            nets.set(root, new Net(bitWidth, onChange));
+        }
+        return nets.get(root);
+    };
+
+    const elements = [];
+    const inputs = new Map();
+    const outputs = new Map();
+    const keyboards = new Map();
+    instances.forEach((instance) => {
+        instance.elements.forEach(([type, data]) => {
+            if (type === 'SubCircuit') return;
+            const element = createElement(type, data, instance.passive.has(data));
+            if (!element) return;
+            forEachNode(data, (name, index, position) => {
+                const node = instance.scope.allNodes[index];
+                if (!node) return;
+                const pin = new Pin(element, name, node.bitWidth);
+                pin.net = netOf(instance, index);
+                pin.net.pins.push(pin);
+                if (position === undefined) element.pins[name] = pin;
+                else {
+                    element.pins[name] = element.pins[name] || [];
+                    element.pins[name][position] = pin;
+                }
+            });
+            element.init(data, instance.scope);
+            elements.push(element);
+            if (instance.id !== 0) return;
+            const label = (data.label || '').trim();
+            if (inputTypes.includes(type) && !inputs.has(label)) inputs.set(label, element);
+            if (type === 'Output' && !outputs.has(label)) outputs.set(label, element);
+            if (type === 'Keyboard' && !keyboards.has(label)) keyboards.set(label, element);
+        });
+    });
+
+    chooseSplitterModes(elements);
+
+    elements.forEach((element) => {
+        element.allPins().forEach((pin) => {
+            if (element.isOutput(pin)) pin.net.drivers.push(pin);
+            else if (!pin.net.readers.includes(element)) pin.net.readers.push(element);
+        });
+    });
+
+    return {
+        elements, nets: [...nets.values()], inputs, outputs, keyboards,
+    };
+}
@@ -0,0 +1,283 @@
+/**
+ * Command line runner for testbenches, see bin/cv-testbench.
+ *
+ * Runs the testbenches in a JSON file against a saved project with the
+ * headless Simulator and reports the results as a table, JUnit XML or TAP.
+ * Everything but main() is pure so it can be used from scripts as well.
+ * @category headless
+ */
+
+import Simulator from './Simulator';
+
+const USAGE = `Usage: cv-testbench <project.cv> <testbench.json> [options]
+
+Runs every group of the testbenches against the circuit and exits with
+status 1 if any case fails.
+
+Options:
+  --circuit <id|name>   circuit to test, defaults to the one the testbench
+                        was created for or the focussed circuit
+  --format <format>     table (default), junit or tap
+  --output <file>       write the report to a file instead of stdout
+  --help                show this message`;
+
+const FORMATS = ['table', 'junit', 'tap'];
+
+/**
+ * Testbenches in a file. Accepts the data posted by the testbench
+ * creator ({scopeID, testData}), bare test data, or an object of
+ * named testbenches as used in simulator/spec/testData.
+ * @param {Object} json - parsed file
+ * @return {Array<{name: string, scopeID: string, data: Object}>}
+ * @category headless
+ */
+export function readTestbenches(json) {
+    if (json && Array.isArray(json.groups)) {
+        return [{ name: json.title || 'testbench', scopeID: undefined, data: json }];
+    }
+    if (json && json.testData && Array.isArray(json.testData.groups)) {
+        return [{ name: json.testData.title || 'testbench', scopeID: json.scopeID, data: json.testData }];
+    }
+    if (json && typeof json === 'object') {
+        const named = Object.keys(json).filter((key) => json[key] && Array.isArray(json[key].groups));
+        if (named.length) return named.map((name) => ({ name, scopeID: undefined, data: json[name] }));
+    }
+    throw new Error('No testbench found: expected test data with groups');
+}
+
+/**
+ * Runs testbenches against a project
+ * @param {Object} project - saved project
+ * @param {Array} testbenches - as returned by readTestbenches()
+ * @param {string=} circuit - id or name of the circuit to test
+ * @return {Array} a report per testbench, with a list of cases per group
+ * @category headless
+ */
+export function runTestbenches(project, testbenches, circuit) {
+    return testbenches.map(({ name, scopeID, data }) => {
+        const sim = new Simulator().load(project, { circuit: circuit !== undefined ? circuit : scopeID });
+        const { detailed, summary } = sim.runTestbench(data);
+        const groups = detailed.groups.map((group) => {
+            const cases = [];
+            for (let i = 0; i < group.n; i++) {
+                const inputs = group.inputs.map((input) => ({ label: input.label, value: input.values[i] }));
+                const outputs = group.outputs.map((output) => ({
+                    label: output.label,
+                    expected: output.values[i],
+                    actual: output.results[i],
+                }));
+                cases.push({
+                    index: i + 1,
+                    inputs,
+                    outputs,
+                    passed: outputs.every((output) => output.expected === output.actual),
+                });
+            }
+            return { label: group.label, cases };
+        });
+        return {
+            name, type: detailed.type, groups, summary,
+        };
+    });
+}
+
+/**
+ * Input values of a case, e.g. "A=01 B=10"
+ * @param {Object} testCase
+ * @return {string}
+ */
+function describeInputs(testCase) {
+    return testCase.inputs.map((input) => `${input.label}=${input.value}`).join(' ');
+}
+
+/**
+ * Outputs of a case that did not match
+ * @param {Object} testCase
+ * @return {Object[]}
+ */
+function mismatches(testCase) {
+    return testCase.outputs.filter((output) => output.expected !== output.actual);
+}
+
+/**
+ * Inputs and mismatching outputs of a failed case, one per line
+ * @param {Object} testCase
+ * @return {string[]}
+ */
+function describeFailure(testCase) {
+    return [
+        `inputs: ${describeInputs(testCase)}`,
+        ...mismatches(testCase).map((output) => `${output.label}: expected ${output.expected}, got ${output.actual}`),
+    ];
+}
+
+/**
+ * Plain text report with a pass/fail row per group
+ * @param {Array} reports
+ * @return {string}
+ * @category headless
+ */
+export function formatTable(reports) {
+    const rows = [['Testbench', 'Group', 'Passed', 'Result']];
+    const failures = [];
+    reports.forEach((report) => {
+        report.groups.forEach((group) => {
+            const passed = group.cases.filter((testCase) => testCase.passed).length;
+            rows.push([report.name, group.label, `${passed}/${group.cases.length}`,
+                passed === group.cases.length ? 'PASS' : 'FAIL']);
+            group.cases.filter((testCase) => !testCase.passed).forEach((testCase) => {
+                failures.push(`${report.name} / ${group.label} / case ${testCase.index}`);
+                describeFailure(testCase).forEach((line) => failures.push(`    ${line}`));
+            });
+        });
+    });
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    const line = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    const out = [line(rows[0]), widths.map((width) => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)];
+
+    const passed = reports.reduce((sum, report) => sum + report.summary.passed, 0);
+    const total = reports.reduce((sum, report) => sum + report.summary.total, 0);
+    if (failures.length) out.push('', 'Failures:', ...failures);
+    out.push('', `${passed}/${total} cases passed`);
+    return `${out.join('\n')}\n`;
+}
+
+/**
+ * Escapes text for XML attributes and content
+ * @param {string} text
+ * @return {string}
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, (c) => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;',
+    }[c]));
+}
+
+/**
+ * JUnit XML report, a testsuite per testbench and a testcase per case
+ * @param {Array} reports
+ * @return {string}
+ * @category headless
+ */
+export function formatJUnit(reports) {
+    const total = reports.reduce((sum, report) => sum + report.summary.total, 0);
+    const failures = reports.reduce((sum, report) => sum + report.summary.total - report.summary.passed, 0);
+    const out = ['<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="cv-testbench" tests="${total}" failures="${failures}">`];
+    reports.forEach((report) => {
+        const { passed, total: cases } = report.summary;
+        out.push(`  <testsuite name="${escapeXml(report.name)}" tests="${cases}" failures="${cases - passed}">`);
+        report.groups.forEach((group) => {
+            group.cases.forEach((testCase) => {
+                const attributes = `classname="${escapeXml(`${report.name}.${group.label}`)}" name="case ${testCase.index}"`;
+                if (testCase.passed) {
+                    out.push(`    <testcase ${attributes}/>`);
+                    return;
+                }
+                const [inputs, ...details] = describeFailure(testCase);
+                out.push(`    <testcase ${attributes}>`);
+                out.push(`      <failure message="${escapeXml(details.join('; '))}">${escapeXml([inputs, ...details].join('\n'))}</failure>`);
+                out.push('    </testcase>');
+            });
+        });
+        out.push('  </testsuite>');
+    });
+    out.push('</testsuites>');
+    return `${out.join('\n')}\n`;
+}
+
+/**
+ * TAP version 13 report, a test point per case
+ * @param {Array} reports
+ * @return {string}
+ * @category headless
+ */
+export function formatTAP(reports) {
+    const points = [];
+    reports.forEach((report) => {
+        report.groups.forEach((group) => {
+            group.cases.forEach((testCase) => {
+                const description = `${report.name} / ${group.label} / case ${testCase.index}`;
+                if (testCase.passed) {
+                    points.push(`ok ${points.length + 1} - ${description}`);
+                    return;
+                }
+                points.push([
+                    `not ok ${points.length + 1} - ${description}`,
+                    '  ---',
+                    `  inputs: "${describeInputs(testCase)}"`,
+                    ...mismatches(testCase).map((output) => `  ${output.label}: { expected: "${output.expected}", actual: "${output.actual}" }`),
+                    '  ...',
+                ].join('\n'));
+            });
+        });
+    });
+    return `TAP version 13\n1..${points.length}\n${points.join('\n')}\n`;
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv
+ * @return {Object}
+ */
+function parseArguments(argv) {
+    const options = { format: 'table', files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (['--circuit', '--format', '--output'].includes(arg)) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    if (!options.help && options.files.length !== 2) throw new Error('Expected a project file and a testbench file');
+    if (!FORMATS.includes(options.format)) throw new Error(`Unknown format ${options.format}, use ${FORMATS.join(', ')}`);
+    return options;
+}
+
+/**
+ * Runs the command line tool
+ * @param {string[]} argv - arguments without node and the script name
+ * @param {Object} io - readFile(path), writeFile(path, text), stdout(text) and stderr(text)
+ * @return {number} exit status: 0 if every case passed, 1 on failures, 2 on errors
+ * @category headless
+ */
+export function main(argv, io) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (err) {
+        io.stderr(`${err.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        io.stdout(`${USAGE}\n`);
+        return 0;
+    }
+
+    let reports;
+    try {
+        const [projectFile, testbenchFile] = options.files;
+        const project = JSON.parse(io.readFile(projectFile));
+        const testbenches = readTestbenches(JSON.parse(io.readFile(testbenchFile)));
+        reports = runTestbenches(project, testbenches, options.circuit);
+    } catch (err) {
+        io.stderr(`cv-testbench: ${err.message}\n`);
+        return 2;
+    }
+
+    const format = { table: formatTable, junit: formatJUnit, tap: formatTAP }[options.format];
+    const report = format(reports);
+    if (options.output) io.writeFile(options.output, report);
+    else io.stdout(report);
+    if (options.output || options.format !== 'table') {
+        const failed = reports.filter((r) => r.summary.passed !== r.summary.total).length;
+        io.stderr(`${reports.length - failed}/${reports.length} testbenches passed\n`);
+    }
+    return reports.every((r) => r.summary.passed === r.summary.total) ? 0 : 1;
+}
@@ -0,0 +1,238 @@
+/* eslint-disable import/no-cycle */
+/**
+ * Karnaugh maps of the truth table in the combinational analysis dialog.
+ * A map shows one output for 2 to 6 variables, five and six variables are
+ * drawn as two and four maps of four variables. Cells are edited like the
+ * cells of the table and the implicants of the minimized expression are
+ * drawn as loops.
+ * @category kmap
+ */
+
+import { minimizeTable, implicantToProduct } from './truthTable';
+import { escapeHtml } from './utils';
+
+const GRAY_CODES = [[0], [0, 1], [0, 1, 3, 2]]; // Order of the rows or columns for 0, 1 and 2 bits
+const CELL_SIZE = 32; // Size of a cell (in px)
+const NEXT_VALUE = { 0: 1, 1: 'x', x: 0 }; // Clicking a cell goes through 0, 1 and don't care as in the table
+const LOOP_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+/**
+ * Shape of the maps for a number of variables. The first variables choose
+ * the map, the next ones the row and the last ones the column. Maps are laid
+ * out two by two so that neighbouring maps differ in one variable.
+ * @param {number} numVars - 2 to 6
+ * @return {{mapBits: number, rowBits: number, colBits: number, maps: number, rows: number, cols: number}}
+ * @category kmap
+ */
+export function kmapLayout(numVars) {
+    if (numVars < 2 || numVars > 6) throw new Error('Karnaugh maps are drawn for 2 to 6 variables');
+    const mapBits = Math.max(numVars - 4, 0);
+    const rowBits = Math.floor((numVars - mapBits) / 2);
+    const colBits = numVars - mapBits - rowBits;
+    return {
+        mapBits, rowBits, colBits, maps: 2 ** mapBits, rows: 2 ** rowBits, cols: 2 ** colBits,
+    };
+}
+
+/**
+ * Row of the truth table shown in a cell
+ * @param {Object} layout - as kmapLayout() returns it
+ * @param {number} map
+ * @param {number} row
+ * @param {number} col
+ * @return {number}
+ * @category kmap
+ */
+export function kmapCell(layout, map, row, col) {
+    const { rowBits, colBits } = layout;
+    return map * (2 ** (rowBits + colBits))
+        + GRAY_CODES[rowBits][row] * (2 ** colBits)
+        + GRAY_CODES[colBits][col];
+}
+
+/**
+ * Splits sorted positions into runs of neighbours
+ * @param {Array<number>} positions
+ * @return {Array<Array<number>>} first and last position of each run
+ */
+function runsOf(positions) {
+    const runs = [];
+    positions.forEach((position) => {
+        const last = runs[runs.length - 1];
+        if (last && last[1] === position - 1) last[1] = position;
+        else runs.push([position, position]);
+    });
+    return runs;
+}
+
+/**
+ * Rectangles of cells covered by an implicant. A group that wraps around
+ * an edge of a map is split into the rectangles on either side.
+ * @param {string} implicant - one of 0, 1 and - per variable, as BooleanMinimize gives it
+ * @param {Object} layout - as kmapLayout() returns it
+ * @return {Array<{map: number, top: number, bottom: number, left: number, right: number}>}
+ * @category kmap
+ */
+export function implicantRectangles(implicant, layout) {
+    const numVars = implicant.length;
+    const covers = (cell) => {
+        const bits = cell.toString(2).padStart(numVars, '0');
+        return [...implicant].every((bit, i) => bit === '-' || bit === bits[i]);
+    };
+    const rectangles = [];
+    for (let map = 0; map < layout.maps; map++) {
+        const rows = new Set();
+        const cols = new Set();
+        for (let row = 0; row < layout.rows; row++) {
+            for (let col = 0; col < layout.cols; col++) {
+                if (covers(kmapCell(layout, map, row, col))) {
+                    rows.add(row);
+                    cols.add(col);
+                }
+            }
+        }
+        const sorted = (set) => [...set].sort((a, b) => a - b);
+        runsOf(sorted(rows)).forEach(([top, bottom]) => {
+            runsOf(sorted(cols)).forEach(([left, right]) => {
+                rectangles.push({
+                    map, top, bottom, left, right,
+                });
+            });
+        });
+    }
+    return rectangles;
+}
+
+/**
+ * Labels of the rows or columns of a map, like 00 01 11 10
+ */
+function grayLabels(bits) {
+    return GRAY_CODES[bits].map((code) => (bits ? code.toString(2).padStart(bits, '0') : ''));
+}
+
+/**
+ * Draws the maps of an output as SVG
+ * @param {Array<string>} variables
+ * @param {Array} values - 0, 1 or 'x' per row of the truth table
+ * @param {Array<string>} implicants - loops to draw
+ * @return {string}
+ * @category kmap
+ */
+export function kmapSVG(variables, values, implicants) {
+    const layout = kmapLayout(variables.length);
+    const { mapBits, rowBits, colBits } = layout;
+    const mapVars = variables.slice(0, mapBits).join('');
+    const rowVars = variables.slice(mapBits, mapBits + rowBits).join('');
+    const colVars = variables.slice(mapBits + rowBits).join('');
+    const rowLabels = grayLabels(rowBits);
+    const colLabels = grayLabels(colBits);
+    const margin = 2 * CELL_SIZE; // Room for the labels
+    const mapWidth = margin + layout.cols * CELL_SIZE;
+    const mapHeight = margin + layout.rows * CELL_SIZE;
+    const parts = [];
+    for (let map = 0; map < layout.maps; map++) {
+        const x0 = (map % 2) * mapWidth + margin;
+        const y0 = Math.floor(map / 2) * mapHeight + margin;
+        if (mapBits) {
+            parts.push(`<text x="${x0}" y="${y0 - 1.5 * CELL_SIZE}" font-weight="bold">${escapeHtml(mapVars)} = ${map.toString(2).padStart(mapBits, '0')}</text>`);
+        }
+        parts.push(`<text x="${x0 - 4}" y="${y0 - 4}" text-anchor="end" font-size="12">${escapeHtml(rowVars)}\\${escapeHtml(colVars)}</text>`);
+        colLabels.forEach((label, col) => {
+            parts.push(`<text x="${x0 + (col + 0.5) * CELL_SIZE}" y="${y0 - 4}" text-anchor="middle" font-size="12">${label}</text>`);
+        });
+        rowLabels.forEach((label, row) => {
+            parts.push(`<text x="${x0 - 4}" y="${y0 + (row + 0.6) * CELL_SIZE}" text-anchor="end" font-size="12">${label}</text>`);
+        });
+        for (let row = 0; row < layout.rows; row++) {
+            for (let col = 0; col < layout.cols; col++) {
+                const cell = kmapCell(layout, map, row, col);
+                const x = x0 + col * CELL_SIZE;
+                const y = y0 + row * CELL_SIZE;
+                parts.push(`<rect class="kmapCell" data-row="${cell}" x="${x}" y="${y}" width="${CELL_SIZE}" height="${CELL_SIZE}" fill="transparent" stroke="currentColor" style="cursor:pointer"/>`);
+                parts.push(`<text class="kmapValue" x="${x + CELL_SIZE / 2}" y="${y + CELL_SIZE * 0.6}" text-anchor="middle" pointer-events="none">${values[cell]}</text>`);
+            }
+        }
+    }
+    implicants.forEach((implicant, i) => {
+        // Loops of later implicants are drawn a little inside the earlier ones
+        const inset = 3 + (i % 4) * 2;
+        implicantRectangles(implicant, layout).forEach(({
+            map, top, bottom, left, right,
+        }) => {
+            const x = (map % 2) * mapWidth + margin + left * CELL_SIZE + inset;
+            const y = Math.floor(map / 2) * mapHeight + margin + top * CELL_SIZE + inset;
+            const width = (right - left + 1) * CELL_SIZE - 2 * inset;
+            const height = (bottom - top + 1) * CELL_SIZE - 2 * inset;
+            parts.push(`<rect class="kmapLoop" x="${x}" y="${y}" width="${width}" height="${height}" rx="8" fill="none" stroke="${LOOP_COLORS[i % LOOP_COLORS.length]}" stroke-width="2" pointer-events="none"/>`);
+        });
+    });
+    const width = Math.min(layout.maps, 2) * mapWidth;
+    const height = Math.ceil(layout.maps / 2) * mapHeight;
+    return `<svg width="${width}" height="${height}">${parts.join('')}</svg>`;
+}
+
+/**
+ * Cells of the truth table of an output, by row
+ * @param {number} hash - class of the cells of the output
+ * @return {Array<HTMLElement>}
+ */
+function tableCells(hash) {
+    const cells = [];
+    $(`.${hash}`).each((_, cell) => {
+        cells[Number(cell.id)] = cell;
+    });
+    return cells;
+}
+
+/**
+ * Value of a truth table cell
+ * @param {HTMLElement} cell
+ * @return {number|string} 0, 1 or 'x'
+ */
+function cellValue(cell) {
+    const text = $(cell).text().trim();
+    return text === '0' || text === '1' ? Number(text) : 'x';
+}
+
+/**
+ * Shows the Karnaugh map of an output of the truth table in the combinational
+ * analysis dialog. Editing either one updates the other.
+ * @param {Array<string>} inputListNames - variables of the table
+ * @param {Array<string>} outputListNames - outputs of the table
+ * @param {Array<number>} outputListNamesInteger - class of the cells of each output
+ * @category kmap
+ */
+export function showKarnaughMap(inputListNames, outputListNames, outputListNamesInteger) {
+    const panel = $('#kmapPanel');
+    panel.empty();
+    if (inputListNames.length < 2 || inputListNames.length > 6) {
+        panel.append('<p>Karnaugh maps are drawn for 2 to 6 variables</p>');
+        return;
+    }
+    const options = outputListNames.map((name, i) => `<option value="${i}">${escapeHtml(name)}</option>`).join('');
+    panel.append(`<p${outputListNames.length > 1 ? '' : ' style="display:none"'}>Output <select id="kmapOutput">${options}</select></p>
+        <div id="kmapView"></div>
+        <p id="kmapExpression"></p>`);
+
+    const render = () => {
+        const output = Number($('#kmapOutput').val());
+        const values = tableCells(outputListNamesInteger[output]).map(cellValue);
+        const implicants = minimizeTable(inputListNames, values);
+        $('#kmapView').html(kmapSVG(inputListNames, values, implicants));
+        const terms = implicants.map((implicant, i) => `<span style="color:${LOOP_COLORS[i % LOOP_COLORS.length]}">${escapeHtml(implicantToProduct(implicant, inputListNames))}</span>`);
+        $('#kmapExpression').html(`${escapeHtml(outputListNames[output])} = ${terms.length ? terms.join(' + ') : '0'}`);
+    };
+
+    $('#kmapOutput').on('change', render);
+    panel.off('click.kmap').on('click.kmap', '.kmapCell', function toggleCell() {
+        const output = Number($('#kmapOutput').val());
+        const cell = tableCells(outputListNamesInteger[output])[Number($(this).attr('data-row'))];
+        // Tables made from an expression can not be edited
+        if (!$(cell).hasClass('output')) return;
+        $(cell).html(NEXT_VALUE[cellValue(cell)]);
+        render();
+    });
+    // The table changed
+    $('#combinationalAnalysis').off('click.kmap').on('click.kmap', '.output', render);
+    render();
+}
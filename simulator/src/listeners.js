@@ -1,3 +1,4 @@
+/* eslint-disable import/no-cycle */
 /* eslint-disable no-shadow */
 /* eslint-disable no-negated-condition */
 /* eslint-disable no-alert */
@@ -17,7 +18,7 @@ import {
     updateCanvasSet, gridUpdateSet, errorDetectedSet,
 } from './engine';
 import { changeScale, findDimensions } from './canvasApi';
-import { scheduleBackup } from './data/backupCircuit';
+import { beginCommand, endCommand, trackCommand } from './data/commands';
 import { hideProperties, deleteSelected, uxvar, fullView, createElement, exitFullView, escapeHtml } from './ux';
 import {
     updateRestrictedElementsList, updateRestrictedElementsInScope, hideRestricted, showRestricted,
@@ -221,7 +222,9 @@ function panStart(e) {
     simulationArea.oldx = globalScope.ox;
     simulationArea.oldy = globalScope.oy;
     e.preventDefault();
-    scheduleBackup();
+    // What the mouse does until it is released is one command
+    endCommand();
+    beginCommand('edit');
     scheduleUpdate(1);
     $('.dropdown.open').removeClass('open');
 }
@@ -301,6 +304,7 @@ function panStop(e) {
         wireToBeCheckedSet(1);
         update();
     }
+    endCommand();
 
     errorDetectedSet(false);
     updateSimulationSet(true);
@@ -519,7 +523,13 @@ export default function startListeners() {
 
             if (simulationArea.lastSelected && simulationArea.lastSelected.keyDown) {
                 if (e.key.toString().length == 1 || e.key.toString() == 'Backspace' || e.key.toString() == 'Enter') {
-                    simulationArea.lastSelected.keyDown(e.key.toString());
+                    const element = simulationArea.lastSelected;
+                    if (simulationArea.controlDown) {
+                        element.keyDown(e.key.toString());
+                    } else {
+                        // Typing the text of an element changes its label
+                        trackCommand('property', () => element.keyDown(e.key.toString()), globalScope, { element, property: 'setLabel' });
+                    }
                     e.cancelBubble = true;
                     e.returnValue = false;
 
@@ -575,7 +585,8 @@ export default function startListeners() {
 
             if ((e.keyCode == 113 || e.keyCode == 81) && simulationArea.lastSelected != undefined) {
                 if (simulationArea.lastSelected.bitWidth !== undefined) {
-                    simulationArea.lastSelected.newBitWidth(parseInt(prompt('Enter new bitWidth'), 10));
+                    const element = simulationArea.lastSelected;
+                    trackCommand('property', () => element.newBitWidth(parseInt(prompt('Enter new bitWidth'), 10)), globalScope, { element, property: 'newBitWidth' });
                 }
             }
 
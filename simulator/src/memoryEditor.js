@@ -0,0 +1,329 @@
+/* eslint-disable import/no-cycle */
+/* eslint-disable no-param-reassign */
+/**
+ * Memory editor of RAM, EEPROM, Rom and verilogRAM elements. It shows the
+ * words of the memory a page at a time, the word read last and the word
+ * written last are marked while the simulation runs, and it imports and
+ * exports the contents as memory files (see memoryFiles.js), for example
+ * a program assembled for a CPU built in the simulator. A word is changed by
+ * selecting it and typing its value, and a value is looked up to find the
+ * addresses holding it.
+ * @category memoryEditor
+ */
+
+import { trackCommand } from './data/commands';
+import {
+    scheduleUpdate, updateSimulationSet, forceResetNodesSet,
+} from './engine';
+import {
+    MEMORY_FORMATS, detectMemoryFormat, readMemoryFile, writeMemoryFile,
+} from './memoryFiles';
+import { describeElement } from './projectDiff';
+import { escapeHtml, showError, showMessage } from './utils';
+import { toBigInt, toBitWidth } from './wideValue';
+import { fullMask } from './fourState';
+
+const WORDS_PER_ROW = 16;
+const ROWS_PER_PAGE = 16;
+const PAGE_WORDS = WORDS_PER_ROW * ROWS_PER_PAGE;
+const REFRESH_INTERVAL = 250; // Refresh rate of the marks (in ms)
+const READ_COLOR = 'lightgreen';
+const WRITE_COLOR = 'lightsalmon';
+const SELECTED_COLOR = 'yellow';
+
+let editor; // The element shown in the editor and the page shown, {element, page, selected, timer}
+
+/**
+ * Width of the words of a memory
+ * @param {CircuitElement} element
+ * @return {number}
+ * @category memoryEditor
+ */
+export function memoryWordWidth(element) {
+    return element.bitWidth;
+}
+
+/**
+ * Replaces the words of a memory, it can be undone
+ * @param {CircuitElement} element - RAM, EEPROM, Rom or verilogRAM
+ * @param {Array<number|bigint|undefined>} data - the words, addresses left out are cleared
+ * @category memoryEditor
+ */
+export function loadMemory(element, data) {
+    trackCommand('property', () => {
+        if (element.clearData) element.clearData();
+        else element.data = element.data.map(() => 0);
+        data.forEach((value, address) => {
+            element.data[address] = value;
+        });
+    }, element.scope, { element, property: 'loadMemory' });
+    forceResetNodesSet(true);
+    updateSimulationSet(true);
+    scheduleUpdate();
+}
+
+/**
+ * Reads a word typed in hex
+ * @param {string} text
+ * @param {number} bitWidth - of the memory
+ * @return {number|bigint}
+ * @category memoryEditor
+ */
+export function parseWord(text, bitWidth) {
+    const digits = text.trim().replace(/^0x/i, '');
+    if (!/^[0-9a-f]+$/i.test(digits)) throw new Error(`${text} is not a hex value`);
+    const value = BigInt(`0x${digits}`);
+    if (value > toBigInt(fullMask(bitWidth))) throw new Error(`${text} is too large for ${bitWidth} bits`);
+    return toBitWidth(value, bitWidth);
+}
+
+/**
+ * Changes a word of a memory, it can be undone
+ * @param {CircuitElement} element
+ * @param {number} address
+ * @param {number|bigint} value
+ * @category memoryEditor
+ */
+export function setMemoryWord(element, address, value) {
+    trackCommand('property', () => {
+        element.data[address] = value;
+    }, element.scope, { element, property: 'loadMemory' });
+    updateSimulationSet(true);
+    scheduleUpdate();
+}
+
+/**
+ * The first address holding a value, looking from an address on and going
+ * round to the start of the memory
+ * @param {CircuitElement} element
+ * @param {number|bigint} value
+ * @param {number=} from
+ * @return {number} -1 when no address holds it
+ * @category memoryEditor
+ */
+export function findWord(element, value, from = 0) {
+    const words = element.data.length;
+    const wanted = toBigInt(value);
+    for (let i = 0; i < words; i++) {
+        const address = (from + i) % words;
+        if (toBigInt(element.data[address]) === wanted) return address;
+    }
+    return -1;
+}
+
+/**
+ * Loads a memory file into a memory, the format is guessed from the file
+ * @param {CircuitElement} element
+ * @param {string} name - of the file
+ * @param {Uint8Array} bytes - the file
+ * @param {boolean=} bigEndian - for the formats holding bytes
+ * @return {string} the format of the file
+ * @category memoryEditor
+ */
+export function importMemory(element, name, bytes, bigEndian = false) {
+    const format = detectMemoryFormat(name, bytes);
+    const { data, count } = readMemoryFile(bytes, format, { words: element.data.length, bitWidth: memoryWordWidth(element), bigEndian });
+    loadMemory(element, data);
+    showMessage(`${count} words loaded from ${MEMORY_FORMATS[format].name} file`);
+    return format;
+}
+
+/**
+ * The contents of a memory as a file
+ * @param {CircuitElement} element
+ * @param {string} format - a key of MEMORY_FORMATS
+ * @param {boolean=} bigEndian
+ * @return {{name: string, bytes: Uint8Array}}
+ * @category memoryEditor
+ */
+export function exportMemory(element, format, bigEndian = false) {
+    const bytes = writeMemoryFile(Array.from(element.data), format, { bitWidth: memoryWordWidth(element), bigEndian });
+    return { name: `${element.label || element.objectType}.${MEMORY_FORMATS[format].extension}`, bytes };
+}
+
+/**
+ * Downloads a file
+ * @param {string} name
+ * @param {Uint8Array} bytes
+ */
+function saveFile(name, bytes) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = name;
+    anchor.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Table of the words of the page shown, the last word read and written are marked
+ * @return {string}
+ */
+function pageHTML() {
+    const { element, page } = editor;
+    const words = element.data.length;
+    const digits = Math.ceil(memoryWordWidth(element) / 4);
+    const addressDigits = Math.max(1, Math.ceil(Math.log2(words) / 4));
+    const columns = Array.from({ length: Math.min(WORDS_PER_ROW, words) }, (_, i) => `<th>${i.toString(16).toUpperCase()}</th>`);
+    const rows = [`<tr><th></th>${columns.join('')}</tr>`];
+    for (let row = page * PAGE_WORDS; row < Math.min(words, (page + 1) * PAGE_WORDS); row += WORDS_PER_ROW) {
+        const cells = [];
+        for (let address = row; address < Math.min(words, row + WORDS_PER_ROW); address++) {
+            let style = '';
+            if (address === editor.selected) style = ` style="background:${SELECTED_COLOR}"`;
+            else if (address === element.lastWrite) style = ` style="background:${WRITE_COLOR}"`;
+            else if (address === element.lastRead) style = ` style="background:${READ_COLOR}"`;
+            const value = toBigInt(element.data[address]).toString(16).toUpperCase().padStart(digits, '0');
+            cells.push(`<td class="memoryWord" data-address="${address}"${style}>${value}</td>`);
+        }
+        rows.push(`<tr><th>${row.toString(16).toUpperCase().padStart(addressDigits, '0')}</th>${cells.join('')}</tr>`);
+    }
+    return `<table class="content-table" style="font-family:monospace">${rows.join('')}</table>`;
+}
+
+/**
+ * Shows the page of the memory again, with the marks where they are now
+ */
+function updateMemoryEditor() {
+    const { element, page } = editor;
+    const pages = Math.ceil(element.data.length / PAGE_WORDS);
+    const marks = [
+        element.lastRead !== undefined ? `<span style="background:${READ_COLOR}">read ${element.lastRead.toString(16).toUpperCase()}</span>` : '',
+        element.lastWrite !== undefined ? `<span style="background:${WRITE_COLOR}">written ${element.lastWrite.toString(16).toUpperCase()}</span>` : '',
+    ].filter((mark) => mark);
+    $('#memoryEditorInfo').html(`${element.data.length} words of ${memoryWordWidth(element)} bits, page ${page + 1} of ${pages} ${marks.join(' ')}`);
+    const { selected } = editor;
+    $('#memoryEditorSelected').text(selected !== undefined ? selected.toString(16).toUpperCase() : '');
+    $('#memoryEditorValue').prop('disabled', selected === undefined);
+    $('#memoryEditorPage').html(pageHTML());
+}
+
+/**
+ * Shows another page of the memory
+ * @param {number} page
+ */
+function showPage(page) {
+    const pages = Math.ceil(editor.element.data.length / PAGE_WORDS);
+    editor.page = Math.min(Math.max(0, page), pages - 1);
+    updateMemoryEditor();
+}
+
+/**
+ * Selects a word to change and shows its page
+ * @param {number} address
+ */
+function selectWord(address) {
+    editor.selected = address;
+    showPage(Math.floor(address / PAGE_WORDS));
+    $('#memoryEditorValue').val(toBigInt(editor.element.data[address]).toString(16).toUpperCase());
+}
+
+/**
+ * Stops refreshing the editor when it is closed
+ */
+function closeMemoryEditor() {
+    if (!editor) return;
+    clearInterval(editor.timer);
+    editor = undefined;
+}
+
+/**
+ * The memory editor of a memory element
+ * @param {CircuitElement} element - RAM, EEPROM, Rom or verilogRAM
+ * @category memoryEditor
+ */
+export function createMemoryEditorPrompt(element) {
+    closeMemoryEditor();
+    editor = { element, page: 0 };
+    const formats = Object.entries(MEMORY_FORMATS).map(([key, { name }]) => `<option value="${key}">${name}</option>`);
+    const title = describeElement({
+        type: element.objectType, label: element.label, x: element.x, y: element.y,
+    });
+    $('#memoryEditorDialog').empty();
+    $('#memoryEditorDialog').append(`<div>
+        <p>${escapeHtml(title)}: <span id="memoryEditorInfo"></span></p>
+        <p><label for="memoryEditorFile">Import</label> <input type="file" id="memoryEditorFile" accept=".hex,.ihex,.txt,.mem,.bin"/></p>
+        <p><label for="memoryEditorFormat">Format</label> <select id="memoryEditorFormat">${formats.join('')}</select>
+        <label><input type="checkbox" id="memoryEditorBigEndian"/> Big-endian words</label>
+        <label for="memoryEditorAddress">Go to</label> <input type="text" id="memoryEditorAddress" size="8" placeholder="hex address"/>
+        <label for="memoryEditorFind">Find</label> <input type="text" id="memoryEditorFind" size="8" placeholder="hex value"/></p>
+        <p><label for="memoryEditorValue">Word <span id="memoryEditorSelected"></span></label> <input type="text" id="memoryEditorValue" size="16" placeholder="select a word"/></p>
+        <div id="memoryEditorPage"></div>
+        </div>`);
+    updateMemoryEditor();
+    $('#memoryEditorFile').on('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const format = importMemory(element, file.name, new Uint8Array(e.target.result), $('#memoryEditorBigEndian').prop('checked'));
+                // Exporting writes the file back as it came
+                $('#memoryEditorFormat').val(format);
+            } catch (err) {
+                showError(err.message);
+            }
+            if (editor) updateMemoryEditor();
+        };
+        reader.readAsArrayBuffer(file);
+    });
+    $('#memoryEditorAddress').on('change', function goToAddress() {
+        const address = parseInt(this.value, 16);
+        if (Number.isNaN(address)) return;
+        showPage(Math.floor(address / PAGE_WORDS));
+    });
+    $('#memoryEditorPage').on('click', '.memoryWord', function clickWord() {
+        selectWord(Number(this.dataset.address));
+    });
+    $('#memoryEditorValue').on('change', function changeWord() {
+        if (editor.selected === undefined) return;
+        try {
+            setMemoryWord(element, editor.selected, parseWord(this.value, memoryWordWidth(element)));
+        } catch (err) {
+            showError(err.message);
+        }
+        updateMemoryEditor();
+    });
+    $('#memoryEditorFind').on('change', function find() {
+        let address;
+        try {
+            const from = editor.selected === undefined ? 0 : editor.selected + 1;
+            address = findWord(element, parseWord(this.value, memoryWordWidth(element)), from);
+        } catch (err) {
+            showError(err.message);
+            return;
+        }
+        if (address === -1) showMessage(`${this.value} is not in the memory`);
+        else selectWord(address);
+    });
+    editor.timer = setInterval(() => {
+        if (element.deleted) $('#memoryEditorDialog').dialog('close');
+        else updateMemoryEditor();
+    }, REFRESH_INTERVAL);
+    $('#memoryEditorDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        close: closeMemoryEditor,
+        buttons: [
+            {
+                text: 'Previous Page',
+                click() {
+                    showPage(editor.page - 1);
+                },
+            },
+            {
+                text: 'Next Page',
+                click() {
+                    showPage(editor.page + 1);
+                },
+            },
+            {
+                text: 'Export',
+                click() {
+                    const { name, bytes } = exportMemory(element, $('#memoryEditorFormat').val(), $('#memoryEditorBigEndian').prop('checked'));
+                    saveFile(name, bytes);
+                },
+            },
+        ],
+    });
+}
@@ -0,0 +1,324 @@
+/* eslint-disable no-bitwise */
+/**
+ * Memory image files, read into and written from the data of RAM, EEPROM,
+ * Rom and verilogRAM elements (see memoryEditor.js).
+ *
+ * Four formats are understood:
+ * - Intel HEX, as written by assemblers and linkers
+ * - Logisim images, "v2.0 raw" followed by hex words, N*word repeats a word
+ * - $readmemh files, hex words with @address jumps and comments
+ * - raw binary
+ *
+ * Intel HEX and raw binary files hold bytes. A word wider than 8 bits takes
+ * as many bytes as it needs, the first byte holds its lowest bits unless the
+ * file is big-endian. The other formats hold one word per value.
+ * @category memoryFiles
+ */
+
+import { toBigInt, toBitWidth } from './wideValue';
+
+/**
+ * Formats of memory files
+ * @type {Object<string, {name: string, extension: string, binary: boolean}>}
+ * @category memoryFiles
+ */
+export const MEMORY_FORMATS = {
+    intelHex: { name: 'Intel HEX', extension: 'hex', binary: false },
+    logisim: { name: 'Logisim image', extension: 'txt', binary: false },
+    readmemh: { name: '$readmemh', extension: 'mem', binary: false },
+    binary: { name: 'Raw binary', extension: 'bin', binary: true },
+};
+
+const LOGISIM_HEADER = 'v2.0 raw';
+const RECORD_BYTES = 16; // Data bytes per Intel HEX record
+const LOGISIM_RUN = 4; // Shortest run of equal words written as N*word
+const LOGISIM_LINE = 8; // Words per line of a Logisim image
+
+const bytesPerWord = (bitWidth) => Math.ceil(bitWidth / 8);
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+/**
+ * Text of a file read as bytes
+ * @param {Uint8Array} bytes
+ * @return {string}
+ */
+function textOf(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return text;
+}
+
+/**
+ * Bytes of a text file
+ * @param {string} text
+ * @return {Uint8Array}
+ */
+function bytesOf(text) {
+    return Uint8Array.from(text, (char) => char.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Collects the words of a file and checks they fit the memory
+ */
+class WordCollector {
+    /**
+     * @param {{words: number, bitWidth: number, bigEndian: boolean}} memory
+     */
+    constructor({ words, bitWidth, bigEndian = false }) {
+        this.words = words;
+        this.bitWidth = bitWidth;
+        this.bigEndian = bigEndian;
+        this.max = (1n << BigInt(bitWidth)) - 1n;
+        this.data = [];
+        this.count = 0;
+    }
+
+    checkAddress(address) {
+        if (address >= this.words) throw new Error(`Capacity: ${this.words} words. But data for address ${address} found`);
+    }
+
+    word(address, value, text = value.toString(16)) {
+        this.checkAddress(address);
+        if (value > this.max) throw new Error(`Address ${address}: ${text} is too large for ${this.bitWidth} bits`);
+        if (this.data[address] === undefined) this.count++;
+        this.data[address] = toBitWidth(value, this.bitWidth);
+    }
+
+    byte(address, byte) {
+        const size = bytesPerWord(this.bitWidth);
+        const word = Math.floor(address / size);
+        const index = address % size;
+        const shift = BigInt(8 * (this.bigEndian ? size - 1 - index : index));
+        this.checkAddress(word);
+        // Bytes of a word may come in any order
+        if (!this.bytes) this.bytes = new Map();
+        const old = this.bytes.get(word) || 0n;
+        this.bytes.set(word, (old & ~(0xffn << shift)) | (BigInt(byte) << shift));
+    }
+
+    /**
+     * Words collected, a sparse array
+     * @return {Array<number|bigint>}
+     */
+    result() {
+        if (this.bytes) this.bytes.forEach((value, address) => this.word(address, value));
+        return this.data;
+    }
+}
+
+/**
+ * Parses a hex word, digits may be separated by _
+ * @param {string} token
+ * @return {bigint|undefined}
+ */
+function parseHexWord(token) {
+    const digits = token.replace(/_/g, '');
+    if (!/^[0-9a-f]+$/i.test(digits)) return undefined;
+    return BigInt(`0x${digits}`);
+}
+
+function readIntelHex(text, words) {
+    const lines = text.split(/\r?\n/).map((line, i) => ({ line: line.trim(), number: i + 1 })).filter(({ line }) => line);
+    let base = 0;
+    // Records up to the end of file record
+    lines.every(({ line, number }) => {
+        if (!/^:([0-9a-f]{2})+$/i.test(line)) throw new Error(`Line ${number}: "${line}" is not an Intel HEX record`);
+        const record = line.slice(1).match(/../g).map((pair) => parseInt(pair, 16));
+        const [count, high, low, type] = record;
+        if (record.length !== count + 5) throw new Error(`Line ${number}: the record should hold ${count} bytes`);
+        if (record.reduce((sum, byte) => sum + byte, 0) & 0xff) throw new Error(`Line ${number}: wrong checksum`);
+        const payload = record.slice(4, 4 + count);
+        if (type === 0) {
+            payload.forEach((byte, j) => words.byte(base + (high << 8) + low + j, byte));
+        } else if (type === 2) {
+            base = ((payload[0] << 8) | payload[1]) * 16;
+        } else if (type === 4) {
+            base = ((payload[0] << 8) | payload[1]) * 0x10000;
+        } else if (type > 5) {
+            // Start addresses (3 and 5) do not change the memory
+            throw new Error(`Line ${number}: unknown record type ${type}`);
+        }
+        return type !== 1;
+    });
+}
+
+function readLogisim(text, words) {
+    const lines = text.split(/\r?\n/).map((line) => line.replace(/#.*/, '').trim());
+    const header = lines.findIndex((line) => line);
+    if (header < 0 || lines[header] !== LOGISIM_HEADER) throw new Error(`A Logisim image starts with "${LOGISIM_HEADER}"`);
+    let address = 0;
+    const tokens = lines.slice(header + 1).join(' ').split(/\s+/).filter((token) => token);
+    tokens.forEach((token) => {
+        const [, times, word] = token.match(/^(?:(\d+)\*)?(.*)$/);
+        const value = parseHexWord(word);
+        if (value === undefined) throw new Error(`Address ${address}: ${token} is not a hex value`);
+        for (let n = times === undefined ? 1 : parseInt(times, 10); n > 0; n--) words.word(address++, value, word);
+    });
+}
+
+function readReadmemh(text, words) {
+    const tokens = text.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*/g, '').split(/\s+/).filter((token) => token);
+    let address = 0;
+    tokens.forEach((token) => {
+        if (token[0] === '@') {
+            const jump = parseHexWord(token.slice(1));
+            if (jump === undefined) throw new Error(`${token} is not an address`);
+            address = Number(jump);
+            return;
+        }
+        const value = parseHexWord(token);
+        if (value === undefined) throw new Error(`Address ${address}: ${token} is not a hex value`);
+        words.word(address++, value, token);
+    });
+}
+
+/**
+ * Guesses the format of a memory file from its name and contents
+ * @param {string} name - of the file
+ * @param {Uint8Array} bytes
+ * @return {string} a key of MEMORY_FORMATS
+ * @category memoryFiles
+ */
+export function detectMemoryFormat(name, bytes) {
+    if (name.split('.').pop().toLowerCase() === 'bin') return 'binary';
+    const text = textOf(bytes.subarray(0, 256)).trimStart();
+    if (text.startsWith(':')) return 'intelHex';
+    if (text.startsWith(LOGISIM_HEADER)) return 'logisim';
+    // Hex words, address jumps and comments, the last comment may be cut off
+    if (/^[\s0-9a-f_@]*$/i.test(text.replace(/\/\/.*|\/\*[\s\S]*?(\*\/|$)/g, ''))) return 'readmemh';
+    return 'binary';
+}
+
+/**
+ * Reads the words of a memory file
+ * @param {Uint8Array} bytes - the file
+ * @param {string} format - a key of MEMORY_FORMATS
+ * @param {{words: number, bitWidth: number, bigEndian: boolean}} memory - words of the memory
+ * and their width, bigEndian is for the formats holding bytes
+ * @return {{data: Array<number|bigint>, count: number}} sparse array of the words in the
+ * file and how many there are
+ * @category memoryFiles
+ */
+export function readMemoryFile(bytes, format, memory) {
+    const words = new WordCollector(memory);
+    if (format === 'intelHex') readIntelHex(textOf(bytes), words);
+    else if (format === 'logisim') readLogisim(textOf(bytes), words);
+    else if (format === 'readmemh') readReadmemh(textOf(bytes), words);
+    else if (format === 'binary') bytes.forEach((byte, address) => words.byte(address, byte));
+    else throw new Error(`Unknown memory file format ${format}`);
+    const data = words.result();
+    return { data, count: words.count };
+}
+
+/**
+ * Bytes of the words of a memory, words not written are left out
+ * @param {Array<number|bigint|undefined>} data
+ * @param {number} bitWidth
+ * @param {boolean} bigEndian
+ * @return {Map<number, number>} byte address to byte
+ */
+function bytesOfWords(data, bitWidth, bigEndian) {
+    const size = bytesPerWord(bitWidth);
+    const bytes = new Map();
+    data.forEach((value, word) => {
+        if (value === undefined) return;
+        const big = toBigInt(value);
+        for (let i = 0; i < size; i++) {
+            const shift = BigInt(8 * (bigEndian ? size - 1 - i : i));
+            bytes.set(word * size + i, Number((big >> shift) & 0xffn));
+        }
+    });
+    return bytes;
+}
+
+function intelHexRecord(type, address, payload) {
+    const record = [payload.length, (address >> 8) & 0xff, address & 0xff, type, ...payload];
+    const checksum = (0x100 - (record.reduce((sum, byte) => sum + byte, 0) & 0xff)) & 0xff;
+    return `:${record.map((byte) => hex(byte, 2)).join('')}${hex(checksum, 2)}`;
+}
+
+function writeIntelHex(data, bitWidth, bigEndian) {
+    const lines = [];
+    let upper = 0;
+    let record = null;
+    const flush = () => {
+        if (record) lines.push(intelHexRecord(0, record.address & 0xffff, record.bytes));
+        record = null;
+    };
+    bytesOfWords(data, bitWidth, bigEndian).forEach((byte, address) => {
+        if (record && (record.address + record.bytes.length !== address
+            || record.bytes.length === RECORD_BYTES || (address & 0xffff) === 0)) flush();
+        if (Math.floor(address / 0x10000) !== upper) {
+            flush();
+            upper = Math.floor(address / 0x10000);
+            lines.push(intelHexRecord(4, 0, [(upper >> 8) & 0xff, upper & 0xff]));
+        }
+        if (!record) record = { address, bytes: [] };
+        record.bytes.push(byte);
+    });
+    flush();
+    lines.push(intelHexRecord(1, 0, []));
+    return `${lines.join('\n')}\n`;
+}
+
+function writeLogisim(data, bitWidth) {
+    const digits = Math.ceil(bitWidth / 4);
+    const values = Array.from(data, (value) => toBigInt(value));
+    // Logisim fills the rest with zeroes
+    while (values.length && values[values.length - 1] === 0n) values.pop();
+    const tokens = [];
+    for (let i = 0; i < values.length;) {
+        let run = 1;
+        while (i + run < values.length && values[i + run] === values[i]) run++;
+        const word = values[i].toString(16).padStart(digits, '0');
+        if (run >= LOGISIM_RUN) tokens.push(`${run}*${word}`);
+        else for (let n = 0; n < run; n++) tokens.push(word);
+        i += run;
+    }
+    const lines = [LOGISIM_HEADER];
+    for (let i = 0; i < tokens.length; i += LOGISIM_LINE) lines.push(tokens.slice(i, i + LOGISIM_LINE).join(' '));
+    return `${lines.join('\n')}\n`;
+}
+
+function writeReadmemh(data, bitWidth) {
+    const digits = Math.ceil(bitWidth / 4);
+    const lines = [`// ${data.length} words of ${bitWidth} bits`];
+    let next = 0;
+    data.forEach((value, address) => {
+        if (value === undefined) return;
+        if (address !== next) lines.push(`@${address.toString(16)}`);
+        lines.push(toBigInt(value).toString(16).padStart(digits, '0'));
+        next = address + 1;
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+function writeBinary(data, bitWidth, bigEndian) {
+    const size = bytesPerWord(bitWidth);
+    let last = data.length - 1;
+    while (last >= 0 && data[last] === undefined) last--;
+    const file = new Uint8Array((last + 1) * size);
+    bytesOfWords(data, bitWidth, bigEndian).forEach((byte, address) => {
+        file[address] = byte;
+    });
+    return file;
+}
+
+/**
+ * Writes the words of a memory as a file
+ * @param {Array<number|bigint|undefined>} data - words of the memory, undefined words are
+ * left out where the format allows it and written as 0 otherwise
+ * @param {string} format - a key of MEMORY_FORMATS
+ * @param {{bitWidth: number, bigEndian: boolean}} memory
+ * @return {Uint8Array}
+ * @category memoryFiles
+ */
+export function writeMemoryFile(data, format, { bitWidth, bigEndian = false }) {
+    if (format === 'intelHex') return bytesOf(writeIntelHex(data, bitWidth, bigEndian));
+    if (format === 'logisim') return bytesOf(writeLogisim(data, bitWidth));
+    if (format === 'readmemh') return bytesOf(writeReadmemh(data, bitWidth));
+    if (format === 'binary') return writeBinary(data, bitWidth, bigEndian);
+    throw new Error(`Unknown memory file format ${format}`);
+}
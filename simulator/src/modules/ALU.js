@@ -6,6 +6,7 @@ import {
     correctWidth, lineTo, moveTo, fillText4,
 } from '../canvasApi';
 import { colors } from '../themer/themer';
+import { isWide, toBigInt } from '../wideValue';
 
 
 /**
@@ -120,6 +121,10 @@ export default class ALU extends CircuitElement {
      * resolve output values based on inputData
      */
     resolve() {
+        if (isWide(this.bitWidth)) {
+            this.resolveWide();
+            return;
+        }
         if (this.controlSignalInput.value === 0) {
             this.output.value = ((this.inp1.value) & (this.inp2.value));
             simulationArea.simulationQueue.add(this.output);
@@ -170,6 +175,51 @@ export default class ALU extends CircuitElement {
 
         this.setOutputsUpstream(true);
     }
+
+    /**
+     * @memberof ALU
+     * resolve for bit widths beyond 32 bits, same operations using BigInt
+     */
+    resolveWide() {
+        const a = toBigInt(this.inp1.value);
+        const b = toBigInt(this.inp2.value);
+        let result;
+        let carry = 0;
+        if (this.controlSignalInput.value === 0) {
+            result = a & b;
+            this.message = 'A&B';
+        } else if (this.controlSignalInput.value === 1) {
+            result = a | b;
+            this.message = 'A|B';
+        } else if (this.controlSignalInput.value === 2) {
+            result = a + b;
+            carry = +((result >> BigInt(this.bitWidth)) !== 0n);
+            this.message = 'A+B';
+        } else if (this.controlSignalInput.value === 3) {
+            this.message = 'ALU';
+        } else if (this.controlSignalInput.value === 4) {
+            result = a & this.flipBits(b);
+            this.message = 'A&~B';
+        } else if (this.controlSignalInput.value === 5) {
+            result = a | this.flipBits(b);
+            this.message = 'A|~B';
+        } else if (this.controlSignalInput.value === 6) {
+            result = a - b;
+            this.message = 'A-B';
+        } else if (this.controlSignalInput.value === 7) {
+            result = a < b ? 1 : 0;
+            this.message = 'A<B';
+        }
+
+        if (result !== undefined) {
+            this.output.value = result;
+            this.carryOut.value = carry;
+            simulationArea.simulationQueue.add(this.output);
+            simulationArea.simulationQueue.add(this.carryOut);
+        }
+
+        this.setOutputsUpstream(true);
+    }
 }
 
 /**
@@ -2,6 +2,7 @@
 import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
+import { isWide, toBigInt } from '../wideValue';
 
 /**
  * @class
@@ -77,12 +78,18 @@ export default class Adder extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
-        let carryIn = this.carryIn.value;
-        if (carryIn === undefined) carryIn = 0;
-        const sum = this.inpA.value + this.inpB.value + carryIn;
+        if (isWide(this.bitWidth)) {
+            const sum = toBigInt(this.inpA.value) + toBigInt(this.inpB.value) + toBigInt(this.carryIn.value);
+            this.sum.value = sum;
+            this.carryOut.value = +((sum >> BigInt(this.bitWidth)) !== 0n);
+        } else {
+            let carryIn = this.carryIn.value;
+            if (carryIn === undefined) carryIn = 0;
+            const sum = this.inpA.value + this.inpB.value + carryIn;
 
-        this.sum.value = ((sum) << (32 - this.bitWidth)) >>> (32 - this.bitWidth);
-        this.carryOut.value = +((sum >>> (this.bitWidth)) !== 0);
+            this.sum.value = ((sum) << (32 - this.bitWidth)) >>> (32 - this.bitWidth);
+            this.carryOut.value = +((sum >>> (this.bitWidth)) !== 0);
+        }
         simulationArea.simulationQueue.add(this.carryOut);
         simulationArea.simulationQueue.add(this.sum);
 
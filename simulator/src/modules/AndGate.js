@@ -1,6 +1,7 @@
 import CircuitElement from "../circuitElement";
 import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
+import { fourStateAnd } from "../fourState";
 import { correctWidth, lineTo, moveTo, arc } from "../canvasApi";
 import { changeInputSize } from "../modules";
 import { colors } from "../themer/themer";
@@ -95,15 +96,12 @@ export default class AndGate extends CircuitElement {
      * resolve output values based on inputData
      */
     resolve() {
-        let result = this.inp[0].value || 0;
         if (this.isResolvable() === false) {
             return;
         }
-        for (let i = 1; i < this.inputSize; i++)
-            result &= this.inp[i].value || 0;
-        this.output1.value = result >>> 0;
+        this.output1.setFourState(fourStateAnd(this.inp, this.bitWidth));
         simulationArea.simulationQueue.add(this.output1);
-        
+
         this.setOutputsUpstream(true);
     }
 
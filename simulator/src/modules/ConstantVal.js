@@ -1,14 +1,10 @@
 import CircuitElement from "../circuitElement";
-import Node, { findNode } from "../node";
+import Node, { findNode, bin2dec } from "../node";
 import simulationArea from "../simulationArea";
 import { correctWidth, rect2, fillText, oppositeDirection } from "../canvasApi";
 import { colors } from "../themer/themer";
 import { showMessage } from '../utils';
 
-function bin2dec(binString) {
-    return parseInt(binString, 2);
-}
-
 function dec2bin(dec, bitWidth = undefined) {
     // only for positive nos
     var bin = dec.toString(2);
@@ -1,6 +1,9 @@
 import CircuitElement from "../circuitElement";
 import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
+import {
+    fullMask, fourStateNot, isKnown, readFourState,
+} from "../fourState";
 import { correctWidth, lineTo, moveTo, drawCircle2 } from "../canvasApi";
 import { changeInputSize } from "../modules";
 /**
@@ -66,12 +69,14 @@ export default class ControlledInverter extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
-        if (this.state.value === 1) {
-            this.output1.value =
-                ((~this.inp1.value >>> 0) << (32 - this.bitWidth)) >>>
-                (32 - this.bitWidth);
+        if (this.drivesOutput()) {
+            // An unknown enable may or may not pass the input, so drive X
+            const result = isKnown(this.state)
+                ? fourStateNot(readFourState(this.inp1), this.bitWidth)
+                : { value: 0, xMask: fullMask(this.bitWidth), zMask: 0 };
+            this.output1.setFourState(result);
             simulationArea.simulationQueue.add(this.output1);
-            
+
             this.setOutputsUpstream(true);
         } else if (
             this.output1.value !== undefined &&
@@ -85,6 +90,15 @@ export default class ControlledInverter extends CircuitElement {
         simulationArea.contentionPending.removeAllContentionsForNode(this.output1);
     }
  
+    /**
+     * @memberof ControlledInverter
+     * Checks if the output is driven, which is the case unless enable is a known 0
+     * @return {boolean}
+     */
+    drivesOutput() {
+        return this.state.value !== 0 || !isKnown(this.state);
+    }
+
     /**
      * @memberof ControlledInverter
      * function to draw element
@@ -128,3 +142,11 @@ export default class ControlledInverter extends CircuitElement {
 ControlledInverter.prototype.tooltipText =
     "Controlled Inverter ToolTip : Controlled buffer and NOT gate.";
 ControlledInverter.prototype.objectType = "ControlledInverter";
+
+/**
+ * @memberof ControlledInverter
+ * Undriven and unknown inputs resolve to X
+ * @type {boolean}
+ * @category modules
+ */
+ControlledInverter.prototype.alwaysResolve = true;
@@ -3,6 +3,8 @@ import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
 import { lineTo, moveTo, fillText, correctWidth, rect2 } from '../canvasApi';
 import { colors } from '../themer/themer';
+import { fullMask } from '../fourState';
+import { isWide, toBigInt } from '../wideValue';
 
 
 /**
@@ -67,8 +69,10 @@ export default class Counter extends CircuitElement {
 
     resolve() {
         // Max value is either the value in the input pin or the max allowed by the bitWidth.
-        var maxValue = this.maxValue.value != undefined ? this.maxValue.value : (1 << this.bitWidth) - 1;
-        var outputValue = this.value;
+        // Wide counters count in BigInt
+        var word = isWide(this.bitWidth) ? toBigInt : (v) => v;
+        var maxValue = this.maxValue.value != undefined ? word(this.maxValue.value) : word(fullMask(this.bitWidth));
+        var outputValue = word(this.value);
 
         // Increase value when clock is raised
         if (this.clock.value != this.prevClockState && this.clock.value == 1) {
@@ -77,11 +81,11 @@ export default class Counter extends CircuitElement {
         this.prevClockState = this.clock.value;
 
         // Limit to the effective maximum value; this also accounts for bitWidth changes.
-        outputValue = outputValue % (maxValue + 1);
+        outputValue = outputValue % (maxValue + word(1));
 
         // Reset to zero if RESET pin is on
         if (this.reset.value == 1) {
-            outputValue = 0;
+            outputValue = word(0);
         }
 
         // Output the new value
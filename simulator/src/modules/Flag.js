@@ -38,6 +38,7 @@ export default class Flag extends CircuitElement {
         this.orientationFixed = false;
         this.identifier = identifier || `F${this.scope.Flag.length}`;
         this.plotValues = [];
+        this.hazards = [];
 
         this.xSize = 10;
         this.flagTimeUnit = 0;
@@ -56,17 +57,30 @@ export default class Flag extends CircuitElement {
             this.plotValues.pop();
         }
 
+        const entry = this.plotValue(time);
         if (this.plotValues.length === 0) {
-            this.plotValues.push([time, this.inp1.value]);
+            this.plotValues.push(entry);
             return;
         }
 
-        if (
-            this.plotValues[this.plotValues.length - 1][1] === this.inp1.value
-        ) {
+        const last = this.plotValues[this.plotValues.length - 1];
+        if (last.length === entry.length && last.every((value, i) => i === 0 || value === entry[i])) {
             return;
         }
-        this.plotValues.push([time, this.inp1.value]);
+        this.plotValues.push(entry);
+    }
+
+    /**
+     * @memberof Flag
+     * Entry of the plot for the value of the input, with its X and Z masks
+     * when some bits are unknown
+     * @param {number} time - in clock cycles
+     * @return {Array} [time, value] or [time, value, xMask, zMask]
+     */
+    plotValue(time) {
+        const { value, xMask, zMask } = this.inp1;
+        if (value !== undefined && (xMask || zMask)) return [time, value, xMask, zMask];
+        return [time, value];
     }
 
     /**
@@ -82,6 +96,7 @@ export default class Flag extends CircuitElement {
             },
             values: {
                 identifier: this.identifier,
+                hazardDetection: this.hazardDetection,
             },
         };
         return data;
@@ -101,6 +116,16 @@ export default class Flag extends CircuitElement {
         else this.xSize = 0;
     }
 
+    /**
+     * @memberof Flag
+     * Checks the flag for static and dynamic hazards
+     * while the timing diagram is in timing mode
+     */
+    toggleHazardDetection() {
+        this.hazardDetection = !this.hazardDetection;
+        this.hazards = [];
+    }
+
     /**
      * @memberof Flag
      * function to draw element
@@ -139,7 +164,7 @@ export default class Flag extends CircuitElement {
         ctx.beginPath();
         rect2(ctx, -40 + this.xSize, -12, this.xOff + 10, 25, xx, yy, "RIGHT");
         ctx.fillStyle = "#eee";
-        ctx.strokeStyle = "#ccc";
+        ctx.strokeStyle = this.hazards.length ? "#dc5656" : "#ccc";
         ctx.fill();
         ctx.stroke();
 
@@ -227,6 +252,12 @@ Flag.prototype.mutableProperties = {
         maxlength: "5",
         func: "setIdentifier",
     },
+    hazardDetection: {
+        name: "Toggle Hazard Detection",
+        type: "button",
+        func: "toggleHazardDetection",
+    },
 };
 Flag.prototype.objectType = "Flag";
 Flag.prototype.propagationDelay = 0;
+Flag.prototype.hazardDetection = false;
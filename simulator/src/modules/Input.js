@@ -20,6 +20,7 @@ import { generateId } from '../utils';
  * @category modules
  */
 import { colors } from '../themer/themer';
+import { isWide, serializeValue, toBigInt, toBitWidth } from '../wideValue';
 
 
 function bin2dec(binString) {
@@ -69,7 +70,7 @@ export default class Input extends CircuitElement {
                 output1: findNode(this.output1),
             },
             values: {
-                state: this.state,
+                state: serializeValue(this.state),
             },
             constructorParamaters: [this.direction, this.bitWidth, this.layoutProperties],
         };
@@ -99,7 +100,7 @@ export default class Input extends CircuitElement {
         const diffBitWidth = bitWidth - this.bitWidth;
         this.bitWidth = bitWidth; // ||parseInt(prompt("Enter bitWidth"),10);
         this.setWidth(this.bitWidth * 10);
-        this.state = 0;
+        this.state = toBitWidth(0, bitWidth);
         this.output1.bitWidth = bitWidth;
         if (this.direction === 'RIGHT') {
             this.x -= 10 * diffBitWidth;
@@ -120,6 +121,10 @@ export default class Input extends CircuitElement {
         let pos = this.findPos();
         if (pos === 0) pos = 1; // minor correction
         if (pos < 1 || pos > this.bitWidth) return;
+        if (isWide(this.bitWidth)) {
+            this.state = toBigInt(this.state) ^ (1n << BigInt(this.bitWidth - pos));
+            return;
+        }
         this.state = ((this.state >>> 0) ^ (1 << (this.bitWidth - pos))) >>> 0;
     }
 
@@ -136,7 +141,7 @@ export default class Input extends CircuitElement {
         ctx.beginPath();
         ctx.fillStyle = colors['input_text'];
         ctx.textAlign = 'center';
-        const bin = dec2bin(this.state, this.bitWidth);
+        const bin = dec2bin(toBitWidth(this.state, this.bitWidth), this.bitWidth);
         for (let k = 0; k < this.bitWidth; k++) { fillText(ctx, bin[k], xx - 10 * this.bitWidth + 10 + (k) * 20, yy + 5); }
         ctx.fill();
     }
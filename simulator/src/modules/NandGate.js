@@ -1,6 +1,7 @@
 import CircuitElement from "../circuitElement";
 import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
+import { fourStateAnd, fourStateNot } from "../fourState";
 import { correctWidth, lineTo, moveTo, drawCircle2, arc } from "../canvasApi";
 import { changeInputSize } from "../modules";
 import { gateGenerateVerilog } from '../utils';
@@ -92,15 +93,14 @@ export default class NandGate extends CircuitElement {
      * resolve output values based on inputData
      */
     resolve() {
-        let result = this.inp[0].value || 0;
         if (this.isResolvable() === false) {
             return;
         }
-        for (let i = 1; i < this.inputSize; i++)
-            result &= this.inp[i].value || 0;
-        result =
-            ((~result >>> 0) << (32 - this.bitWidth)) >>> (32 - this.bitWidth);
-        this.output1.value = result;
+        const result = fourStateNot(
+            fourStateAnd(this.inp, this.bitWidth),
+            this.bitWidth
+        );
+        this.output1.setFourState(result);
         simulationArea.simulationQueue.add(this.output1);
 
         this.setOutputsUpstream(true);
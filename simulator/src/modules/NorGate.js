@@ -1,6 +1,7 @@
 import CircuitElement from "../circuitElement";
 import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
+import { fourStateOr, fourStateNot } from "../fourState";
 import { gateGenerateVerilog } from '../utils';
 
 import {
@@ -93,12 +94,11 @@ export default class NorGate extends CircuitElement {
      * resolve output values based on inputData
      */
     resolve() {
-        let result = this.inp[0].value || 0;
-        for (let i = 1; i < this.inputSize; i++)
-            result |= this.inp[i].value || 0;
-        result =
-            ((~result >>> 0) << (32 - this.bitWidth)) >>> (32 - this.bitWidth);
-        this.output1.value = result;
+        const result = fourStateNot(
+            fourStateOr(this.inp, this.bitWidth),
+            this.bitWidth
+        );
+        this.output1.setFourState(result);
         simulationArea.simulationQueue.add(this.output1);
 
         this.setOutputsUpstream(true);
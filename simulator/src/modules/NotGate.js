@@ -1,6 +1,7 @@
 import CircuitElement from "../circuitElement";
 import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
+import { fourStateNot, readFourState } from "../fourState";
 import { correctWidth, lineTo, moveTo, drawCircle2 } from "../canvasApi";
 import { changeInputSize } from "../modules";
 /**
@@ -53,9 +54,9 @@ export default class NotGate extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
-        this.output1.value =
-            ((~this.inp1.value >>> 0) << (32 - this.bitWidth)) >>>
-            (32 - this.bitWidth);
+        this.output1.setFourState(
+            fourStateNot(readFourState(this.inp1), this.bitWidth)
+        );
         simulationArea.simulationQueue.add(this.output1);
 
         this.setOutputsUpstream(true);
@@ -108,3 +109,11 @@ NotGate.prototype.helplink =
     "https://docs.circuitverse.org/#/chapter4/4gates?id=not-gate";
 NotGate.prototype.objectType = "NotGate";
 NotGate.prototype.verilogType = "not";
+
+/**
+ * @memberof NotGate
+ * Undriven and unknown inputs resolve to X
+ * @type {boolean}
+ * @category modules
+ */
+NotGate.prototype.alwaysResolve = true;
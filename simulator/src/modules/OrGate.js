@@ -1,6 +1,7 @@
 import CircuitElement from "../circuitElement";
 import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
+import { fourStateOr } from "../fourState";
 import { correctWidth, bezierCurveTo, moveTo, arc2 } from "../canvasApi";
 import { changeInputSize } from "../modules";
 import { gateGenerateVerilog } from '../utils';
@@ -88,13 +89,10 @@ export default class OrGate extends CircuitElement {
      * resolve output values based on inputData
      */
     resolve() {
-        let result = this.inp[0].value || 0;
         if (this.isResolvable() === false) {
             return;
         }
-        for (let i = 1; i < this.inputSize; i++)
-            result |= this.inp[i].value || 0;
-        this.output1.value = result >>> 0;
+        this.output1.setFourState(fourStateOr(this.inp, this.bitWidth));
         simulationArea.simulationQueue.add(this.output1);
 
         this.setOutputsUpstream(true);
@@ -5,6 +5,7 @@ import { correctWidth, fillText, rect2, oppositeDirection } from "../canvasApi";
 import { getNextPosition } from "../modules";
 import { generateId } from "../utils";
 import { colors } from "../themer/themer";
+import { formatFourState } from "../fourState";
 
 function bin2dec(binString) {
     return parseInt(binString, 2);
@@ -158,6 +159,13 @@ export default class Output extends CircuitElement {
         let bin;
         if (this.state === undefined) {
             bin = "x".repeat(this.bitWidth);
+        } else if (this.inp1.xMask || this.inp1.zMask) {
+            bin = formatFourState(
+                this.state,
+                this.inp1.xMask,
+                this.inp1.zMask,
+                this.bitWidth
+            );
         } else {
             bin = dec2bin(this.state, this.bitWidth);
         }
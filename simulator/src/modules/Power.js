@@ -3,6 +3,7 @@ import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
 import { correctWidth, lineTo, moveTo, arc } from "../canvasApi";
 import { changeInputSize } from "../modules";
+import { fullMask } from "../fourState";
 /**
  * @class
  * Power
@@ -32,7 +33,7 @@ export default class Power extends CircuitElement {
      * resolve output values based on inputData
      */
     resolve() {
-        this.output1.value = ~0 >>> (32 - this.bitWidth);
+        this.output1.value = fullMask(this.bitWidth);
         simulationArea.simulationQueue.add(this.output1);
         this.setOutputsUpstream(true);
     }
@@ -2,6 +2,7 @@ import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
 import { fillText, lineTo, moveTo, correctWidth, rect2 } from '../canvasApi';
+import { isWide, toBigInt } from '../wideValue';
 /**
  * @class
  * Random
@@ -58,7 +59,9 @@ export default class Random extends CircuitElement {
         var maxValue = this.maxValue.connections.length ? this.maxValue.value + 1 : (2 << (this.bitWidth - 1));
         if (this.clockInp.value != undefined) {
             if (this.clockInp.value != this.prevClockState) {
-                if (this.clockInp.value == 1) {
+                if (this.clockInp.value == 1 && isWide(this.bitWidth)) {
+                    this.currentRandomNo = this.randomWide();
+                } else if (this.clockInp.value == 1) {
                     this.currentRandomNo = Math.floor(Math.random() * maxValue);
                 }
                 this.prevClockState = this.clockInp.value;
@@ -72,6 +75,21 @@ export default class Random extends CircuitElement {
         this.setOutputsUpstream(true);
     }
 
+    /**
+     * @memberof Random
+     * random number for bit widths beyond 32 bits, built from 32 bit chunks
+     */
+    randomWide() {
+        const maxValue = this.maxValue.connections.length
+            ? toBigInt(this.maxValue.value) + 1n
+            : 1n << BigInt(this.bitWidth);
+        let n = 0n;
+        for (let i = 0; i < this.bitWidth; i += 32) {
+            n = (n << 32n) | BigInt(Math.floor(Math.random() * 2 ** 32));
+        }
+        return n % maxValue;
+    }
+
     customSave() {
         var data = {
             nodes: {
@@ -1,15 +1,11 @@
 import CircuitElement from '../circuitElement';
-import Node, { findNode } from '../node';
+import Node, { findNode, extractBits } from '../node';
 import simulationArea from '../simulationArea';
 import {
     correctWidth, lineTo, moveTo, fillText2,
 } from '../canvasApi';
 import { colors } from '../themer/themer';
-
-
-function extractBits(num, start, end) {
-    return (num << (32 - end)) >>> (32 - (end - start + 1));
-}
+import { isWide, toBigInt } from '../wideValue';
 
 /**
  * @class
@@ -51,6 +47,8 @@ export default class Splitter extends CircuitElement {
         for (let i = 0; i < this.splitCount; i++) { this.outputs.push(new Node(20, i * 20 - this.yOffset - 20, 0, this, this.bitWidthSplit[i])); }
 
         this.prevInpValue = undefined;
+        this.prevInpXMask = 0;
+        this.prevInpZMask = 0;
     }
 
     /**
@@ -92,6 +90,8 @@ export default class Splitter extends CircuitElement {
             simulationArea.simulationQueue.add(this.inp1);
         }
         this.prevInpValue = undefined;
+        this.prevInpXMask = 0;
+        this.prevInpZMask = 0;
     }
 
     /**
@@ -101,7 +101,7 @@ export default class Splitter extends CircuitElement {
      */
     isResolvable() {
         let resolvable = false;
-        if (this.inp1.value !== this.prevInpValue) {
+        if (this.inputChanged()) {
             if (this.inp1.value !== undefined) return true;
             return false;
         }
@@ -119,26 +119,37 @@ export default class Splitter extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
-        if (this.inp1.value !== undefined && this.inp1.value !== this.prevInpValue) {
+        if (this.inp1.value !== undefined && this.inputChanged()) {
             let bitCount = 1;
             for (let i = 0; i < this.splitCount; i++) {
-                const bitSplitValue = extractBits(this.inp1.value, bitCount, bitCount + this.bitWidthSplit[i] - 1);
-                if (this.outputs[i].value !== bitSplitValue) {
-                    if (this.outputs[i].value !== bitSplitValue) {
-                        this.outputs[i].value = bitSplitValue;
-                        simulationArea.simulationQueue.add(this.outputs[i]);
-                    }
+                const end = bitCount + this.bitWidthSplit[i] - 1;
+                const bitSplitValue = {
+                    value: extractBits(this.inp1.value, bitCount, end),
+                    xMask: extractBits(this.inp1.xMask, bitCount, end),
+                    zMask: extractBits(this.inp1.zMask, bitCount, end),
+                };
+                if (this.outputs[i].setFourState(bitSplitValue)) {
+                    simulationArea.simulationQueue.add(this.outputs[i]);
                 }
                 bitCount += this.bitWidthSplit[i];
             }
         } else {
-            let n = 0;
+            // wide buses are combined as BigInt
+            const wide = isWide(this.bitWidth);
+            const word = wide ? toBigInt : (v) => v;
+            const unsigned = wide ? (v) => v : (v) => v >>> 0;
+            let n = word(0);
+            let xMask = word(0);
+            let zMask = word(0);
             for (let i = this.splitCount - 1; i >= 0; i--) {
-                n <<= this.bitWidthSplit[i];
-                n += this.outputs[i].value;
+                n <<= word(this.bitWidthSplit[i]);
+                xMask <<= word(this.bitWidthSplit[i]);
+                zMask <<= word(this.bitWidthSplit[i]);
+                n += word(this.outputs[i].value);
+                xMask |= word(this.outputs[i].xMask);
+                zMask |= word(this.outputs[i].zMask);
             }
-            if (this.inp1.value !== (n >>> 0)) {
-                this.inp1.value = (n >>> 0);
+            if (this.inp1.setFourState({ value: unsigned(n), xMask: unsigned(xMask), zMask: unsigned(zMask) })) {
                 simulationArea.simulationQueue.add(this.inp1);
             }
             // else if (this.inp1.value !== n) {
@@ -146,6 +157,19 @@ export default class Splitter extends CircuitElement {
             // }
         }
         this.prevInpValue = this.inp1.value;
+        this.prevInpXMask = this.inp1.xMask;
+        this.prevInpZMask = this.inp1.zMask;
+    }
+
+    /**
+     * @memberof Splitter
+     * Checks if the input value or its X/Z masks changed since the last resolve
+     * @return {boolean}
+     */
+    inputChanged() {
+        return this.inp1.value !== this.prevInpValue
+            || this.inp1.xMask !== this.prevInpXMask
+            || this.inp1.zMask !== this.prevInpZMask;
     }
 
     /**
@@ -154,6 +178,8 @@ export default class Splitter extends CircuitElement {
      */
     reset() {
         this.prevInpValue = undefined;
+        this.prevInpXMask = 0;
+        this.prevInpZMask = 0;
     }
 
     /**
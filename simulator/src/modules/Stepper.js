@@ -3,6 +3,7 @@ import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
 import { fillText } from '../canvasApi';
 import { changeInputSize } from '../modules';
+import { isWide } from '../wideValue';
 /**
  * @class
  * Stepper
@@ -65,7 +66,7 @@ export default class Stepper extends CircuitElement {
      * resolve output values based on inputData
      */
     resolve() {
-        this.state = Math.min(this.state, (1 << this.bitWidth) - 1);
+        if (!isWide(this.bitWidth)) this.state = Math.min(this.state, (1 << this.bitWidth) - 1);
         this.output1.value = this.state;
         simulationArea.simulationQueue.add(this.output1);
 
@@ -1,6 +1,9 @@
 import CircuitElement from "../circuitElement";
 import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
+import {
+    fourStateBuffer, fullMask, isKnown, readFourState,
+} from "../fourState";
 import { correctWidth, lineTo, moveTo, arc } from "../canvasApi";
 import { changeInputSize } from "../modules";
 /**
@@ -69,9 +72,12 @@ export default class TriState extends CircuitElement {
             return;
         }
 
-        if (this.state.value === 1) {
-            if (this.output1.value !== this.inp1.value) {
-                this.output1.value = this.inp1.value; // >>>0)<<(32-this.bitWidth))>>>(32-this.bitWidth);
+        if (this.drivesOutput()) {
+            // An unknown enable may or may not pass the input, so drive X
+            const result = isKnown(this.state)
+                ? fourStateBuffer(readFourState(this.inp1), this.bitWidth)
+                : { value: 0, xMask: fullMask(this.bitWidth), zMask: 0 };
+            if (this.output1.setFourState(result)) {
                 simulationArea.simulationQueue.add(this.output1);
                 this.setOutputsUpstream(true);
             }
@@ -88,6 +94,15 @@ export default class TriState extends CircuitElement {
         simulationArea.contentionPending.removeAllContentionsForNode(this.output1);
     }
 
+    /**
+     * @memberof TriState
+     * Checks if the output is driven, which is the case unless enable is a known 0
+     * @return {boolean}
+     */
+    drivesOutput() {
+        return this.state.value !== 0 || !isKnown(this.state);
+    }
+
     /**
      * @memberof TriState
      * function to draw element
@@ -130,3 +145,11 @@ TriState.prototype.tooltipText =
 TriState.prototype.helplink =
     "https://docs.circuitverse.org/#/chapter4/8misc?id=tristate-buffer";
 TriState.prototype.objectType = "TriState";
+
+/**
+ * @memberof TriState
+ * Undriven and unknown inputs resolve to X
+ * @type {boolean}
+ * @category modules
+ */
+TriState.prototype.alwaysResolve = true;
@@ -3,6 +3,7 @@ import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
 import { correctWidth, fillText, drawCircle2 } from "../canvasApi";
 import { changeInputSize } from "../modules";
+import { isWide, toBigInt } from "../wideValue";
 /**
  * @class
  * TwoComplement
@@ -59,6 +60,12 @@ export default class TwoComplement extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
+        if (isWide(this.bitWidth)) {
+            this.output1.value = -toBigInt(this.inp1.value);
+            simulationArea.simulationQueue.add(this.output1);
+            this.setOutputsUpstream(true);
+            return;
+        }
         let output =
             ((~this.inp1.value >>> 0) << (32 - this.bitWidth)) >>>
             (32 - this.bitWidth);
@@ -1,6 +1,7 @@
 import CircuitElement from "../circuitElement";
 import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
+import { fourStateXor } from "../fourState";
 import { correctWidth, bezierCurveTo, moveTo, arc2 } from "../canvasApi";
 import { changeInputSize } from "../modules";
 import { gateGenerateVerilog } from '../utils';
@@ -87,16 +88,12 @@ export default class XorGate extends CircuitElement {
      * resolve output values based on inputData
      */
     resolve() {
-        let result = this.inp[0].value || 0;
         if (this.isResolvable() === false) {
             return;
         }
-        for (let i = 1; i < this.inputSize; i++)
-            result ^= this.inp[i].value || 0;
-
-        this.output1.value = result;
+        this.output1.setFourState(fourStateXor(this.inp, this.bitWidth));
         simulationArea.simulationQueue.add(this.output1);
-    
+
         this.setOutputsUpstream(true);
     }
 
@@ -2,6 +2,7 @@
 import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
+import { isWide, toBigInt } from '../wideValue';
 
 /**
  * @class
@@ -76,10 +77,18 @@ export default class verilogDivider extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
-        const quotient = this.inpA.value / this.inpB.value;
-        const remainder = this.inpA.value % this.inpB.value;
-        this.remainder.value = ((remainder) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
-        this.quotient.value = ((quotient) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+        if (isWide(this.bitWidth) || isWide(this.outputBitWidth)) {
+            const a = toBigInt(this.inpA.value);
+            const b = toBigInt(this.inpB.value);
+            // division by zero gives 0 like the 32 bit path
+            this.quotient.value = b === 0n ? 0n : a / b;
+            this.remainder.value = b === 0n ? 0n : a % b;
+        } else {
+            const quotient = this.inpA.value / this.inpB.value;
+            const remainder = this.inpA.value % this.inpB.value;
+            this.remainder.value = ((remainder) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+            this.quotient.value = ((quotient) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+        }
         simulationArea.simulationQueue.add(this.quotient);
         simulationArea.simulationQueue.add(this.remainder);
 
@@ -2,6 +2,7 @@
 import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
+import { isWide, toBigInt } from '../wideValue';
 
 /**
  * @class
@@ -73,9 +74,13 @@ export default class verilogMultiplier extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
-        const product = this.inpA.value * this.inpB.value;
+        if (isWide(this.bitWidth) || isWide(this.outputBitWidth)) {
+            this.product.value = toBigInt(this.inpA.value) * toBigInt(this.inpB.value);
+        } else {
+            const product = this.inpA.value * this.inpB.value;
 
-        this.product.value = ((product) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+            this.product.value = ((product) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+        }
         simulationArea.simulationQueue.add(this.product);
 
         this.setOutputsUpstream(true);
@@ -2,6 +2,7 @@
 import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
+import { isWide, toBigInt } from '../wideValue';
 
 /**
  * @class
@@ -73,9 +74,22 @@ export default class verilogPower extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
-        const answer = Math.pow(this.inpA.value, this.inpB.value);
+        if (isWide(this.bitWidth) || isWide(this.outputBitWidth)) {
+            // square and multiply, truncating at every step to keep the numbers small
+            let base = toBigInt(this.inpA.value);
+            let exponent = toBigInt(this.inpB.value);
+            let answer = 1n;
+            while (exponent > 0n) {
+                if (exponent & 1n) answer = BigInt.asUintN(this.outputBitWidth, answer * base);
+                base = BigInt.asUintN(this.outputBitWidth, base * base);
+                exponent >>= 1n;
+            }
+            this.answer.value = answer;
+        } else {
+            const answer = Math.pow(this.inpA.value, this.inpB.value);
 
-        this.answer.value = ((answer) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+            this.answer.value = ((answer) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+        }
         simulationArea.simulationQueue.add(this.answer);
 
         this.setOutputsUpstream(true);
@@ -2,6 +2,7 @@
 import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
+import { isWide, toBigInt } from '../wideValue';
 
 /**
  * @class
@@ -73,9 +74,13 @@ export default class verilogShiftRight extends CircuitElement {
         if (this.isResolvable() === false) {
             return;
         }
-        const output1 = this.inp1.value >> this.shiftInp.value;
+        if (isWide(this.bitWidth) || isWide(this.outputBitWidth)) {
+            this.output1.value = toBigInt(this.inp1.value) >> toBigInt(this.shiftInp.value);
+        } else {
+            const output1 = this.inp1.value >> this.shiftInp.value;
 
-        this.output1.value = ((output1) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+            this.output1.value = ((output1) << (32 - this.outputBitWidth)) >>> (32 - this.outputBitWidth);
+        }
         simulationArea.simulationQueue.add(this.output1);
 
         this.setOutputsUpstream(true);
@@ -11,6 +11,8 @@ import Wire from './wire';
 // import { colors } from './themer/themer';
 import { colors } from './themer/themer';
 import ContentionMeta from './contention'
+import { formatFourState } from './fourState';
+import { toBigInt, toBitWidth } from './wideValue';
 
 /**
 * Constructs all the connections of Node node
@@ -48,10 +50,15 @@ function rotate(x1, y1, dir) {
 }
 
 export function extractBits(num, start, end) {
+    if (typeof num === 'bigint' || end > 32) {
+        const bits = BigInt.asUintN(end - start + 1, toBigInt(num) >> BigInt(start - 1));
+        return toBitWidth(bits, end - start + 1);
+    }
     return (num << (32 - end)) >>> (32 - (end - start + 1));
 }
 
 export function bin2dec(binString) {
+    if (/^[01]{33,}$/.test(binString)) return BigInt(`0b${binString}`);
     return parseInt(binString, 2);
 }
 
@@ -195,6 +202,57 @@ export default class Node {
         };
     }
 
+    /**
+     * Value of the node, undefined when nothing drives it.
+     * Writing a plain value clears the X and Z masks, so elements that
+     * are not four-state aware always drive known bits.
+     * @type {number|undefined}
+     */
+    get value() {
+        return this.rawValue;
+    }
+
+    set value(val) {
+        this.rawValue = toBitWidth(val, this.bitWidth);
+        this.xMask = 0;
+        this.zMask = 0;
+    }
+
+    /**
+     * Sets value along with its X and Z masks
+     * @param {{value: number, xMask: number, zMask: number}} val - four-state value
+     * @return {boolean} - true if anything changed
+     */
+    setFourState(val) {
+        const value = toBitWidth(val.value, this.bitWidth);
+        const xMask = val.xMask || 0;
+        const zMask = val.zMask || 0;
+        if (this.rawValue === value && this.xMask === xMask && this.zMask === zMask) return false;
+        this.rawValue = value;
+        this.xMask = xMask;
+        this.zMask = zMask;
+        return true;
+    }
+
+    /**
+     * Checks whether this node holds the same value and masks as node n
+     * @param {Node} n
+     * @return {boolean}
+     */
+    sameValue(n) {
+        return this.rawValue === n.rawValue && this.xMask === n.xMask && this.zMask === n.zMask;
+    }
+
+    /**
+     * Value of the node as a string, unknown bits are shown as x and z
+     * @return {string}
+     */
+    valueString() {
+        if (this.value === undefined) return 'X';
+        if (!this.xMask && !this.zMask) return this.value.toString(16);
+        return formatFourState(this.value, this.xMask, this.zMask, this.bitWidth);
+    }
+
     /**
      * @param {string} - new label
      * Function to set label
@@ -389,9 +447,7 @@ export default class Node {
 
             if (this.type == NODE_OUTPUT && !this.subcircuitOverride) {
                 if (this.parent.isResolvable() && !this.parent.queueProperties.inQueue) {
-                    if (this.parent.objectType == 'TriState' || this.parent.objectType == 'ControlledInverter') {
-                        if (this.parent.state.value) { simulationArea.simulationQueue.add(this.parent); }
-                    } else {
+                    if (this.parent.drivesOutput === undefined || this.parent.drivesOutput()) {
                         simulationArea.simulationQueue.add(this.parent);
                     }
                 }
@@ -412,7 +468,7 @@ export default class Node {
             switch (node.type) {
             case NODE_OUTPUT:
                 // If node value is differnet and node value is upstream, then contention.
-                if ((node.isValueUpstream && node.value != this.value) || node.bitWidth != this.bitWidth) {
+                if ((node.isValueUpstream && !node.sameValue(this)) || node.bitWidth != this.bitWidth) {
                     // Check contentions
                     if (node.value != undefined && node.parent.objectType != 'SubCircuit'
                         && !(node.subcircuitOverride && node.scope != this.scope)) {
@@ -439,10 +495,10 @@ export default class Node {
             // Fallthrough. NODE_INPUT propagates like a bitwidth checked NODE_INTERMEDIATE
             case NODE_INTERMEDIATE:
 
-                if (node.value != this.value || node.bitWidth != this.bitWidth) {
+                if (!node.sameValue(this) || node.bitWidth != this.bitWidth) {
                     // Propagate
                     node.bitWidth = this.bitWidth;
-                    node.value = this.value;
+                    node.setFourState(this);
                     simulationArea.simulationQueue.add(node);
                 }
             default:
@@ -511,7 +567,7 @@ export default class Node {
         const colorNodeSelected = colors['node'];
 
         if (this.bitWidth == 1) colorNode = [colorNodeConnect, colorNodePow][this.value];
-        if (this.value == undefined) colorNode = colorNodeLose;
+        if (this.value == undefined || this.xMask || this.zMask) colorNode = colorNodeLose;
         if (this.type == NODE_INTERMEDIATE) this.checkHover();
         if (this.type == NODE_INTERMEDIATE) { drawCircle(ctx, this.absX(), this.absY(), 3, colorNode);  } else { drawCircle(ctx, this.absX(), this.absY(), 3, colorNodeSelected); }
         
@@ -529,8 +585,7 @@ export default class Node {
                 canvasMessageData.x = this.absX();
                 canvasMessageData.y = this.absY() - 15;
                 if (this.type == NODE_INTERMEDIATE) {
-                    var v = 'X';
-                    if (this.value !== undefined) { v = this.value.toString(16); }
+                    var v = this.valueString();
                     if (this.label.length) {
                         canvasMessageData.string = `${this.label} : ${v}`;
                     } else {
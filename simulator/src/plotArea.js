@@ -1,6 +1,8 @@
 import simulationArea from './simulationArea';
-import {convertors} from './utils';
+import {convertors, download} from './utils';
 import { currentScreen } from './listeners';
+import { findHazards, hazardLabel } from './hazards';
+import { generateVCD } from './vcd';
 
 var DPR = window.devicePixelRatio || 1;
 
@@ -29,6 +31,8 @@ var backgroundColor = 'black';
 var foregroundColor = '#eee';
 var textColor = 'black';
 var waveFormColor = 'cyan';
+var hazardColor = 'rgba(220, 86, 86, 0.5)';
+var minPulseWidth = sh(2); // Narrowest pulse drawn in timing mode
 var timeLineStartX = flagLabelWidth + padding;
 var ptA = currentScreen();
 
@@ -45,6 +49,17 @@ function getFlagStartY(flagIndex) {
 function getCycleStartX(cycleNumber) {
     return timeLineStartX + (cycleNumber - plotArea.cycleOffset) * cycleWidth;
 }
+// Flags inside subcircuits are not plotted but exported to VCD
+function resetSubcircuitFlags(scope) {
+    for (var i = 0; i < scope.SubCircuit.length; i++) {
+        var localScope = scope.SubCircuit[i].localScope;
+        for (var j = 0; j < localScope.Flag.length; j++) {
+            localScope.Flag[j].plotValues = [localScope.Flag[j].plotValue(0)];
+        }
+        resetSubcircuitFlags(localScope);
+    }
+}
+
 function changeHeight(dir) {
     plotHeight += dir ? 5 : -5;
     if (dir) {
@@ -76,15 +91,24 @@ const plotArea = {
     mouseX: 0, // Current mouse position
     mouseDownX: 0, // position of mouse when clicked
     mouseDownTime: 0, // time when mouse clicked (in ms)
+    timingMode: false, // if true, transitions are plotted at their exact simulation time and flags are checked for hazards
+    simulationTime: 0, // Simulation time at which the running play() started (in units, timing mode)
+    settledTime: 0, // Simulation time at which the last play() settled (in units, timing mode)
+    hazardCount: 0, // Number of hazards found since reset
     // Reset timeline to 0 and resume autoscroll
     reset() {
         this.cycleCount = 0;
         this.cycleTime = new Date().getTime();
         for (var i = 0; i < globalScope.Flag.length; i++) {
-            globalScope.Flag[i].plotValues = [[0, globalScope.Flag[i].inp1.value]];
+            globalScope.Flag[i].plotValues = [globalScope.Flag[i].plotValue(0)];
             globalScope.Flag[i].cachedIndex = 0;
+            globalScope.Flag[i].hazards = [];
         }
+        resetSubcircuitFlags(globalScope);
         this.unitUsed = 0;
+        this.simulationTime = 0;
+        this.settledTime = 0;
+        this.hazardCount = 0;
         this.resume();
         this.resize();
     },
@@ -105,6 +129,32 @@ const plotArea = {
     // Called everytime play() function is execute in engine.js
     setExecutionTime() {
         this.executionStartTime = new Date().getTime();
+        if (!this.timingMode) return;
+        // In timing mode every play() gets its own stretch of simulation time,
+        // so transitions of consecutive plays never overlap
+        const delayFraction = (this.executionStartTime - this.cycleTime) / simulationArea.timePeriod;
+        const startTime = Math.round((this.cycleCount + delayFraction) * this.cycleUnit);
+        this.simulationTime = Math.max(startTime, this.settledTime + 1);
+        for (let i = 0; i < globalScope.Flag.length; i++) {
+            const flag = globalScope.Flag[i];
+            flag.settleIndex = Math.max(0, flag.plotValues.length - 1);
+        }
+    },
+    // Called when play() in engine.js has settled the circuit, checks flags for hazards
+    settle() {
+        if (!this.timingMode) return;
+        this.settledTime = this.simulationTime + simulationArea.simulationQueue.time;
+        globalScope.Flag.forEach((flag) => {
+            if (!flag.hazardDetection || flag.settleIndex === undefined) return;
+            const hazards = findHazards(flag.plotValues.slice(flag.settleIndex), flag.bitWidth);
+            flag.hazards.push(...hazards);
+            this.hazardCount += hazards.length;
+        });
+    },
+    // Switch timing mode on or off, the timeline restarts as the time scales differ
+    setTimingMode(timingMode) {
+        this.timingMode = timingMode;
+        this.reset();
     },
     // Scale timeline up
     zoomIn() {
@@ -122,6 +172,10 @@ const plotArea = {
         anchor.download = `waveform.png`;
         anchor.click();
     },
+    // download flag values as Value Change Dump, one simulation unit per nanosecond
+    exportVCD() {
+        download(`${globalScope.name || 'waveform'}.vcd`, generateVCD(globalScope, { cycleUnit: this.cycleUnit }));
+    },
     // update canvas size to use full screen
     resize() {
         var oldHeight = this.height;
@@ -148,6 +202,7 @@ const plotArea = {
     },
     // Used to resolve analytical time in clock cycles
     getPlotTime(timeUnit) {
+        if (this.timingMode) return (this.simulationTime + timeUnit) / this.cycleUnit;
         var time = this.cycleCount; // Current cycle count
         time += timeUnit / this.cycleUnit; // Add propagation delay
         // For user interactions like buttons - calculate time since clock tick
@@ -172,6 +227,7 @@ const plotArea = {
         var delay = new Date().getTime() - this.cycleTime;
         var delayFraction = delay / timePeriod;
         time += delayFraction;
+        if (this.timingMode) time = Math.max(time, this.settledTime / this.cycleUnit);
         return time;
     },
     update() {
@@ -183,6 +239,9 @@ const plotArea = {
         var units = this.cycleUnit;
         var utilization = Math.round(unitUsed * 10000 / units) / 100;
         $(ptA.tdLog).html(`Utilization: ${Math.round(unitUsed)} Units (${utilization}%)`);
+        if (this.timingMode) {
+            $(ptA.tdLog).append(` Hazards: ${this.hazardCount}`);
+        }
         if (utilization >= 90 || utilization <= 10) {
             var recommendedUnit = Math.max(20, Math.round(unitUsed * 3));
             $(ptA.tdLog).append(` Recommended Units: ${recommendedUnit}`);
@@ -294,6 +353,7 @@ const plotArea = {
             var yBottom = startHeight + waveFormHeight;
             var state = WAVEFORM_NOT_STARTED;
             var prevY;
+            let prevX;
 
             // Find correct index to start plotting from
             var j = 0;
@@ -338,6 +398,10 @@ const plotArea = {
                 if (globalScope.Flag[i].bitWidth == 1) {
                     if (x > endX) break;
                     var y = value == 1 ? yTop : yBottom;
+                    if (this.timingMode && state === WAVEFORM_STARTED) {
+                        // Keep pulses shorter than a pixel visible
+                        x = Math.max(x, prevX + minPulseWidth);
+                    }
                     if (state == WAVEFORM_NOT_STARTED) {
                         // Start new plot
                         state = WAVEFORM_STARTED;
@@ -349,6 +413,7 @@ const plotArea = {
                         ctx.lineTo(x, y);
                     }
                     prevY = y;
+                    prevX = x;
                 }
                 else {
                     var endX;
@@ -392,6 +457,23 @@ const plotArea = {
                 ctx.stroke();
             }
         }
+
+        // Hazards
+        if (this.timingMode) {
+            ctx.font = `${sh(9)}px Times New Roman`;
+            globalScope.Flag.forEach((flag, index) => {
+                const top = getFlagStartY(index);
+                (flag.hazards || []).forEach((hazard) => {
+                    const left = Math.max(getCycleStartX(hazard.start) - minPulseWidth, timeLineStartX);
+                    const right = Math.min(getCycleStartX(hazard.end) + minPulseWidth, width);
+                    if (right <= left) return;
+                    ctx.fillStyle = hazardColor;
+                    ctx.fillRect(left, top, right - left, plotHeight);
+                    ctx.fillStyle = 'white';
+                    ctx.fillText(hazardLabel(hazard), (left + right) / 2, top + sh(9));
+                });
+            });
+        }
     },
     // Driver function to render and update
     plot() {
@@ -438,9 +520,15 @@ export function setupTimingListeners() {
     $('.timing-diagram-pause').on('click', () => {
         plotArea.pause();
     })
+    $('.timing-diagram-timing-mode').on('click', () => {
+        plotArea.setTimingMode(!plotArea.timingMode);
+    })
     $('.timing-diagram-download').on('click', () => {
         plotArea.download();
     })
+    $('.timing-diagram-export-vcd').on('click', () => {
+        plotArea.exportVCD();
+    })
     $('.timing-diagram-zoom-in').on('click', () => {
         plotArea.zoomIn();
     })
@@ -0,0 +1,421 @@
+/* eslint-disable import/no-cycle */
+/**
+ * Differences between two versions of a project, as generateSaveData()
+ * saves them. Elements of each circuit are matched across the versions by
+ * their label, then by their position and then by the nearest one, so what
+ * was added, removed, moved or changed is listed rather than every line of
+ * the JSON. Connections are compared pin to pin through the wires, moving a
+ * wire is not a change.
+ * @category projectDiff
+ */
+
+import simulationArea from './simulationArea';
+import { scopeList, switchCircuit } from './circuit';
+import { generateSaveData } from './data/save';
+import { correctWidth, rect2 } from './canvasApi';
+import { escapeHtml } from './utils';
+
+const DIFF_COLORS = { added: '#3cb44b', changed: '#f58231', rewired: '#4363d8' };
+
+let diffMarks = null; // Elements marked in a circuit, {scope, marks}
+
+/**
+ * Pins of a saved element
+ * @param {Object} data - as saveObject() saves it
+ * @param {Array<Object>} allNodes - saved nodes of the circuit
+ * @return {Array<{name: string, node: number}>}
+ */
+function pinsOf(data, allNodes) {
+    const pins = [];
+    const nodes = (data.customData && data.customData.nodes) || {};
+    Object.entries(nodes).forEach(([name, value]) => {
+        const list = Array.isArray(value) ? value : [value];
+        list.forEach((node, i) => {
+            if (!Number.isInteger(node) || !allNodes[node]) return;
+            const label = allNodes[node].label || (Array.isArray(value) ? `${name}[${i}]` : name);
+            pins.push({ name: label, node });
+        });
+    });
+    return pins;
+}
+
+/**
+ * Elements of a saved circuit
+ * @param {Object} scopeData - as backUp() saves it
+ * @return {Array<Object>} type, index in the list of its type, label,
+ * position, bit width, pins and the saved data of each
+ */
+function elementsOf(scopeData) {
+    const allNodes = scopeData.allNodes || [];
+    return moduleList.flatMap((type) => (scopeData[type] || []).map((data, index) => {
+        const pins = pinsOf(data, allNodes);
+        return {
+            type,
+            index,
+            label: data.label || '',
+            x: data.x,
+            y: data.y,
+            bitWidth: Math.max(0, ...pins.map(({ node }) => Number(allNodes[node].bitWidth) || 0)),
+            pins,
+            data,
+        };
+    }));
+}
+
+/**
+ * Matches the elements of a circuit in two versions
+ * @param {Array<Object>} before - as elementsOf() returns them
+ * @param {Array<Object>} after
+ * @return {Map<Object, Object>} element before of each element after that has one
+ */
+function matchElements(before, after) {
+    const matches = new Map();
+    const matched = new Set();
+    const pair = (element, old) => {
+        matches.set(element, old);
+        matched.add(old);
+    };
+    const unique = (list, { type, label }) => label !== '' && list.filter((other) => other.type === type && other.label === label).length === 1;
+    const candidates = (element) => before.filter((old) => !matched.has(old) && old.type === element.type);
+
+    // A label only one element has names the same element in both versions
+    after.forEach((element) => {
+        if (!unique(after, element)) return;
+        const old = before.find(({ type, label }) => type === element.type && label === element.label);
+        if (old && unique(before, old)) pair(element, old);
+    });
+    after.forEach((element) => {
+        if (matches.has(element)) return;
+        const old = candidates(element).find(({ x, y }) => x === element.x && y === element.y);
+        if (old) pair(element, old);
+    });
+    // The nearest element of the same type and label, closest pairs first
+    const pairs = [];
+    after.forEach((element) => {
+        if (matches.has(element)) return;
+        candidates(element).filter(({ label }) => label === element.label).forEach((old) => {
+            pairs.push({ element, old, distance: Math.hypot(element.x - old.x, element.y - old.y) });
+        });
+    });
+    pairs.sort((a, b) => a.distance - b.distance).forEach(({ element, old }) => {
+        if (!matches.has(element) && !matched.has(old)) pair(element, old);
+    });
+    return matches;
+}
+
+/**
+ * Net of every saved node, nodes connected through wires have the same one
+ * @param {Array<Object>} allNodes
+ * @return {Array<number>}
+ */
+function netsOf(allNodes) {
+    const parent = allNodes.map((_, i) => i);
+    const root = (i) => {
+        let node = i;
+        while (parent[node] !== node) node = parent[node];
+        return node;
+    };
+    allNodes.forEach((node, i) => {
+        node.connections.forEach((j) => {
+            if (allNodes[j]) parent[root(j)] = root(i);
+        });
+    });
+    return allNodes.map((_, i) => root(i));
+}
+
+/**
+ * Pairs of connected pins of elements in both versions
+ * @param {Object} scopeData
+ * @param {Array<Object>} elements - of scopeData
+ * @param {function(Object): Object} sameElement - the element after, if the element is in both versions
+ * @return {Map<string, Array<{element: Object, name: string}>>} the pins keyed by their names
+ */
+function connectionsOf(scopeData, elements, sameElement) {
+    const nets = netsOf(scopeData.allNodes || []);
+    const byNet = new Map();
+    elements.forEach((element) => {
+        const after = sameElement(element);
+        if (!after) return;
+        element.pins.forEach(({ name, node }) => {
+            const pin = { element: after, name, key: `${after.type}#${after.index}.${name}` };
+            if (!byNet.has(nets[node])) byNet.set(nets[node], []);
+            byNet.get(nets[node]).push(pin);
+        });
+    });
+    const connections = new Map();
+    byNet.forEach((pins) => {
+        pins.sort((a, b) => a.key.localeCompare(b.key));
+        pins.forEach((pin, i) => pins.slice(i + 1).forEach((other) => {
+            connections.set(`${pin.key}|${other.key}`, [pin, other].map(({ element, name }) => ({ element, name })));
+        }));
+    });
+    return connections;
+}
+
+/**
+ * Element as it is described in a difference
+ * @param {Object} element
+ * @return {{type: string, index: number, label: string, x: number, y: number}}
+ */
+function elementOf({
+    type, index, label, x, y,
+}) {
+    return {
+        type, index, label, x, y,
+    };
+}
+
+/**
+ * Properties compared between the versions of an element
+ */
+const PROPERTIES = {
+    label: (element) => element.label,
+    bitWidth: (element) => element.bitWidth,
+    delay: (element) => element.data.propagationDelay,
+    direction: (element) => element.data.direction,
+};
+
+/**
+ * Whether the other settings of an element changed, a constructor parameter
+ * that changed with the direction or the bit width is not another change
+ * @param {Object} old - the element before
+ * @param {Object} element - the element after
+ * @return {boolean}
+ */
+function settingsChanged(old, element) {
+    const before = old.data.customData || {};
+    const after = element.data.customData || {};
+    if (JSON.stringify(before.values) !== JSON.stringify(after.values)) return true;
+    const parametersBefore = before.constructorParamaters || [];
+    const parametersAfter = after.constructorParamaters || [];
+    if (parametersBefore.length !== parametersAfter.length) return true;
+    return parametersBefore.some((from, i) => {
+        const to = parametersAfter[i];
+        if (JSON.stringify(from) === JSON.stringify(to)) return false;
+        if (from === old.data.direction && to === element.data.direction) return false;
+        return Number(from) !== old.bitWidth || Number(to) !== element.bitWidth;
+    });
+}
+
+/**
+ * Differences of a circuit between two versions
+ * @param {Object=} before - as backUp() saves it, undefined if the circuit is new
+ * @param {Object=} after - undefined if the circuit was removed
+ * @return {Object}
+ */
+function diffScope(before, after) {
+    const elementsBefore = before ? elementsOf(before) : [];
+    const elementsAfter = after ? elementsOf(after) : [];
+    const matches = matchElements(elementsBefore, elementsAfter);
+    const matchedBefore = new Map([...matches].map(([element, old]) => [old, element]));
+    const diff = {
+        id: (after || before).id,
+        name: (after || before).name,
+        previousName: before && after && before.name !== after.name ? before.name : undefined,
+        status: 'unchanged',
+        added: elementsAfter.filter((element) => !matches.has(element)).map(elementOf),
+        removed: elementsBefore.filter((element) => !matchedBefore.has(element)).map(elementOf),
+        moved: [],
+        changed: [],
+        connected: [],
+        disconnected: [],
+    };
+    matches.forEach((old, element) => {
+        if (old.x !== element.x || old.y !== element.y) {
+            diff.moved.push({ element: elementOf(element), from: { x: old.x, y: old.y }, to: { x: element.x, y: element.y } });
+        }
+        Object.entries(PROPERTIES).forEach(([property, valueOf]) => {
+            if (valueOf(old) !== valueOf(element)) {
+                diff.changed.push({
+                    element: elementOf(element), property, from: valueOf(old), to: valueOf(element),
+                });
+            }
+        });
+        if (settingsChanged(old, element)) {
+            const settings = ({ data: { customData = {} } }) => JSON.stringify([customData.constructorParamaters, customData.values]);
+            diff.changed.push({
+                element: elementOf(element), property: 'settings', from: settings(old), to: settings(element),
+            });
+        }
+    });
+    const connectionsBefore = connectionsOf(before || {}, elementsBefore, (old) => matchedBefore.get(old));
+    const connectionsAfter = connectionsOf(after || {}, elementsAfter, (element) => matches.has(element) && element);
+    const pinOf = ({ element, name }) => ({ element: elementOf(element), name });
+    connectionsAfter.forEach((pins, key) => {
+        if (!connectionsBefore.has(key)) diff.connected.push(pins.map(pinOf));
+    });
+    connectionsBefore.forEach((pins, key) => {
+        if (!connectionsAfter.has(key)) diff.disconnected.push(pins.map(pinOf));
+    });
+    if (!before) diff.status = 'added';
+    else if (!after) diff.status = 'removed';
+    else if (diff.previousName || ['added', 'removed', 'moved', 'changed', 'connected', 'disconnected'].some((list) => diff[list].length)) diff.status = 'changed';
+    return diff;
+}
+
+/**
+ * Differences between two versions of a project. Circuits are matched by
+ * their id, then by their name.
+ * @param {Object} before - as generateSaveData() saves it, parsed
+ * @param {Object} after
+ * @return {{scopes: Array<Object>}} for each circuit its id, name,
+ * previousName if it was renamed, status (added, removed, changed or
+ * unchanged) and the elements added, removed, moved and changed and the
+ * pins connected and disconnected
+ * @category projectDiff
+ */
+export function diffProjects(before, after) {
+    const remaining = [...before.scopes];
+    const scopes = after.scopes.map((scope) => {
+        const old = remaining.find(({ id }) => id === scope.id) || remaining.find(({ name }) => name === scope.name);
+        if (old) remaining.splice(remaining.indexOf(old), 1);
+        return diffScope(old, scope);
+    });
+    remaining.forEach((old) => scopes.push(diffScope(old, undefined)));
+    return { scopes };
+}
+
+/**
+ * Name of an element for people
+ * @param {{type: string, label: string, x: number, y: number}} element
+ * @return {string}
+ * @category projectDiff
+ */
+export function describeElement({
+    type, label, x, y,
+}) {
+    return label ? `${type} ${label}` : `${type} at ${x}, ${y}`;
+}
+
+/**
+ * Marks the differences of a circuit on the canvas
+ * @param {Scope} scope - the circuit as it is after
+ * @param {Object} scopeDiff - one of the scopes diffProjects() returns
+ * @return {Array<{element: CircuitElement, kind: string}>} added, changed or rewired
+ * @category projectDiff
+ */
+export function markScopeDiff(scope, scopeDiff) {
+    const marks = new Map();
+    const mark = ({ type, index }, kind) => {
+        const element = scope[type] && scope[type][index];
+        if (element && !marks.has(element)) marks.set(element, kind);
+    };
+    scopeDiff.added.forEach((element) => mark(element, 'added'));
+    [...scopeDiff.moved, ...scopeDiff.changed].forEach(({ element }) => mark(element, 'changed'));
+    [...scopeDiff.connected, ...scopeDiff.disconnected].forEach((pins) => pins.forEach(({ element }) => mark(element, 'rewired')));
+    diffMarks = { scope, marks: [...marks].map(([element, kind]) => ({ element, kind })) };
+    return diffMarks.marks;
+}
+
+/**
+ * Removes the marks of markScopeDiff()
+ * @category projectDiff
+ */
+export function clearDiffMarks() {
+    diffMarks = null;
+}
+
+/**
+ * Draws the marks of markScopeDiff() around their elements
+ * @param {Scope} scope - the circuit being drawn
+ * @category projectDiff
+ */
+export function drawDiffMarks(scope) {
+    if (!diffMarks || diffMarks.scope !== scope) return;
+    const ctx = simulationArea.context;
+    ctx.lineWidth = correctWidth(2);
+    diffMarks.marks.forEach(({ element, kind }) => {
+        // Deleted since it was marked
+        if (!scope[element.objectType] || !scope[element.objectType].includes(element)) return;
+        ctx.beginPath();
+        ctx.strokeStyle = DIFF_COLORS[kind];
+        rect2(ctx, -element.leftDimensionX - 5, -element.upDimensionY - 5, element.leftDimensionX + element.rightDimensionX + 10, element.upDimensionY + element.downDimensionY + 10, element.x, element.y, 'RIGHT');
+        ctx.stroke();
+    });
+}
+
+/**
+ * Differences of a circuit as HTML
+ * @param {Object} scopeDiff
+ * @return {string}
+ */
+function scopeDiffHTML(scopeDiff) {
+    const pin = ({ element, name }) => `${describeElement(element)} ${name}`;
+    const position = ({ x, y }) => `${x}, ${y}`;
+    const items = [
+        ...scopeDiff.added.map((element) => `Added ${describeElement(element)}`),
+        ...scopeDiff.removed.map((element) => `Removed ${describeElement(element)}`),
+        ...scopeDiff.moved.map(({ element, from, to }) => `Moved ${describeElement(element)} from ${position(from)} to ${position(to)}`),
+        ...scopeDiff.changed.map(({
+            element, property, from, to,
+        }) => `Changed ${property} of ${describeElement(element)} from ${from} to ${to}`),
+        ...scopeDiff.connected.map(([a, b]) => `Connected ${pin(a)} to ${pin(b)}`),
+        ...scopeDiff.disconnected.map(([a, b]) => `Disconnected ${pin(a)} from ${pin(b)}`),
+    ];
+    const renamed = scopeDiff.previousName === undefined ? '' : `, renamed from ${escapeHtml(scopeDiff.previousName)}`;
+    const show = scopeDiff.status === 'changed' || scopeDiff.status === 'added'
+        ? ` <button class="projectDiffShow" data-scope="${escapeHtml(String(scopeDiff.id))}">Show</button>` : '';
+    return `<h6>${escapeHtml(scopeDiff.name)} (${scopeDiff.status}${renamed})${show}</h6>
+        <ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+/**
+ * Shows the differences between an earlier version of the project and the
+ * project as it is now
+ * @param {string} text - the earlier version as generateSaveData() saves it
+ * @category projectDiff
+ */
+export function showProjectDiff(text) {
+    const result = $('#projectDiffResult');
+    result.empty();
+    let before;
+    try {
+        before = JSON.parse(text);
+    } catch (err) {
+        before = undefined;
+    }
+    if (!before || !Array.isArray(before.scopes)) {
+        result.append('<p>The file is not a saved project</p>');
+        return;
+    }
+    const { scopes } = diffProjects(before, JSON.parse(generateSaveData('Untitled', false)));
+    if (scopes.every(({ status }) => status === 'unchanged')) {
+        result.append('<p>The project has not changed</p>');
+        return;
+    }
+    result.append(scopes.filter(({ status }) => status !== 'unchanged').map(scopeDiffHTML).join(''));
+    $('.projectDiffShow').on('click', function showScope() {
+        const scopeDiff = scopes.find(({ id }) => String(id) === this.dataset.scope);
+        switchCircuit(scopeDiff.id);
+        markScopeDiff(scopeList[scopeDiff.id], scopeDiff);
+    });
+}
+
+/**
+ * The prompt to compare the project with an earlier version of it
+ * @category projectDiff
+ */
+export function createProjectDiffPrompt() {
+    $('#projectDiffDialog').empty();
+    $('#projectDiffDialog').append(`<div>
+        <p>Earlier version of this project <input type="file" id="projectDiffFile" accept=".cv,.json"></p>
+        <div id="projectDiffResult"></div>
+        </div>`);
+    $('#projectDiffFile').on('change', (event) => {
+        const reader = new FileReader();
+        reader.onload = (e) => showProjectDiff(e.target.result);
+        reader.readAsText(event.target.files[0]);
+    });
+    $('#projectDiffDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        buttons: [
+            {
+                text: 'Clear Marks',
+                click() {
+                    clearDiffMarks();
+                },
+            },
+        ],
+    });
+}
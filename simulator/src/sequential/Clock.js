@@ -3,10 +3,14 @@ import Node, { findNode } from "../node";
 import simulationArea from "../simulationArea";
 import { correctWidth, lineTo, moveTo } from "../canvasApi";
 import { colors } from '../themer/themer';
+import { clockHighTime, clockValueAt } from '../clockWave';
 /**
  * @class
  * Clock
- * Clock
+ * Clock with its own period, duty cycle and phase. Times are in ticks of the
+ * global clock (simulationArea.timePeriod ms each), so clocks of different
+ * periods stay aligned on the simulation timeline. The default clock toggles
+ * on every tick.
  * @extends CircuitElement
  * @param {number} x - x coord of element
  * @param {number} y - y coord of element
@@ -26,6 +30,9 @@ export default class Clock extends CircuitElement {
         this.output1.value = this.state;
         this.wasClicked = false;
         this.interval = null;
+        this.period = 2; // ticks per cycle
+        this.dutyCycle = 50; // percentage of the cycle the clock is high
+        this.phase = 0; // ticks the waveform is delayed by
     }
 
     customSave() {
@@ -34,10 +41,72 @@ export default class Clock extends CircuitElement {
                 output1: findNode(this.output1),
             },
             constructorParamaters: [this.direction],
+            values: {
+                period: this.period,
+                dutyCycle: this.dutyCycle,
+                phase: this.phase,
+            },
         };
         return data;
     }
 
+    /**
+     * @memberof Clock
+     * Number of ticks per cycle the clock is high, at least one tick is
+     * high and one is low
+     * @return {number}
+     */
+    highTime() {
+        return clockHighTime(this.period, this.dutyCycle);
+    }
+
+    /**
+     * @memberof Clock
+     * Value of the clock at a time, every cycle starts low
+     * @param {number} time - ticks of the global clock
+     * @return {number}
+     */
+    valueAt(time) {
+        return clockValueAt(time, this);
+    }
+
+    /**
+     * @memberof Clock
+     * Moves the clock to its value at a time of the global clock
+     * @param {number} time - ticks of the global clock
+     */
+    step(time) {
+        this.state = this.valueAt(time);
+        this.output1.value = this.state;
+    }
+
+    /**
+     * @memberof Clock
+     * @param {number} period - ticks per cycle, at least 2
+     */
+    setPeriod(period) {
+        if (!Number.isInteger(period) || period < 2) return;
+        this.period = period;
+    }
+
+    /**
+     * @memberof Clock
+     * @param {number} dutyCycle - percentage of the cycle the clock is high
+     */
+    setDutyCycle(dutyCycle) {
+        if (!(dutyCycle > 0 && dutyCycle < 100)) return;
+        this.dutyCycle = dutyCycle;
+    }
+
+    /**
+     * @memberof Clock
+     * @param {number} phase - ticks the waveform is delayed by
+     */
+    setPhase(phase) {
+        if (!Number.isInteger(phase) || phase < 0) return;
+        this.phase = phase;
+    }
+
     resolve() {
         this.output1.value = this.state;
         simulationArea.simulationQueue.add(this.output1);
@@ -86,6 +155,29 @@ export default class Clock extends CircuitElement {
     }
 }
 
+Clock.prototype.mutableProperties = {
+    period: {
+        name: "Period (ticks)",
+        type: "number",
+        max: "1000",
+        min: "2",
+        func: "setPeriod",
+    },
+    dutyCycle: {
+        name: "Duty Cycle (%)",
+        type: "number",
+        max: "99",
+        min: "1",
+        func: "setDutyCycle",
+    },
+    phase: {
+        name: "Phase (ticks)",
+        type: "number",
+        max: "1000",
+        min: "0",
+        func: "setPhase",
+    },
+};
 Clock.prototype.tooltipText = "Clock";
 Clock.prototype.helplink = "https://docs.circuitverse.org/#/chapter4/6sequentialelements?id=clock";
 Clock.prototype.click = Clock.prototype.toggleState;
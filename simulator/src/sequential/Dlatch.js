@@ -17,6 +17,9 @@ import { correctWidth, lineTo, moveTo, fillText } from '../canvasApi';
  * @category sequential
  */
 import { colors } from '../themer/themer';
+import {
+    driveStateOutputs, fourStateMerge, powerUpMask, formatFourState, isDrivenUnknown, readSampled,
+} from '../fourState';
 export default class Dlatch extends CircuitElement {
     constructor(x, y, scope = globalScope, dir = 'RIGHT', bitWidth = 1) {
         super(x, y, scope, dir, bitWidth);
@@ -33,7 +36,7 @@ export default class Dlatch extends CircuitElement {
         // this.reset = new Node(10, 20, 0, this, 1, "Asynchronous Reset");
         // this.preset = new Node(0, 20, 0, this, this.bitWidth, "Preset");
         // this.en = new Node(-10, 20, 0, this, 1, "Enable");
-        this.state = 0;
+        this.powerUp();
         this.prevClockState = 0;
         this.wasClicked = false;
     }
@@ -52,6 +55,16 @@ export default class Dlatch extends CircuitElement {
         this.qOutput.bitWidth = bitWidth;
         this.qInvOutput.bitWidth = bitWidth;
         // this.preset.bitWidth = bitWidth;
+        this.powerUp();
+    }
+
+    /**
+     * Sets the state it has when the circuit is powered up,
+     * unknown if the circuit asks for it, see powerUpMask()
+     */
+    powerUp() {
+        this.state = 0;
+        this.stateXMask = powerUpMask(this.scope, this.bitWidth);
     }
 
     /**
@@ -60,13 +73,18 @@ export default class Dlatch extends CircuitElement {
      * qOutput is set to the state
      */
     resolve() {
-        if (this.clockInp.value == 1 && this.dInp.value != undefined) {
-            this.state = this.dInp.value;
+        const state = { value: this.state, xMask: this.stateXMask };
+        let next = state;
+        if (isDrivenUnknown(this.clockInp) && this.dInp.value != undefined) {
+            // the latch may or may not be transparent
+            next = fourStateMerge(state, readSampled(this.dInp));
+        } else if (this.clockInp.value == 1 && this.dInp.value != undefined) {
+            next = readSampled(this.dInp);
         }
+        this.state = next.value;
+        this.stateXMask = next.xMask;
 
-        if (this.qOutput.value != this.state) {
-            this.qOutput.value = this.state;
-            this.qInvOutput.value = this.flipBits(this.state);
+        if (driveStateOutputs(this.qOutput, this.qInvOutput, next, this.bitWidth)) {
             simulationArea.simulationQueue.add(this.qOutput);
             simulationArea.simulationQueue.add(this.qInvOutput);
         }
@@ -109,7 +127,8 @@ export default class Dlatch extends CircuitElement {
         ctx.font = '20px Raleway';
         ctx.fillStyle = colors['input_text'];
         ctx.textAlign = 'center';
-        fillText(ctx, this.state.toString(16), xx, yy + 5);
+        if (this.stateXMask) fillText(ctx, formatFourState(this.state, this.stateXMask, 0, this.bitWidth), xx, yy + 5);
+        else fillText(ctx, this.state.toString(16), xx, yy + 5);
         ctx.fill();
     }
 }
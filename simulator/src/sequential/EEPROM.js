@@ -1,4 +1,6 @@
+// eslint-disable-next-line import/no-cycle
 import RAM from './RAM';
+import { isWide, serializeValue, toBitWidth } from '../wideValue';
 /**
  * @class
  * EEPROM Component.
@@ -35,6 +37,8 @@ export default class EEPROM extends RAM {
         this.scope['EEPROM'].push(this);
         */
         this.data = data || this.data;
+        // wide words are saved as strings
+        if (isWide(this.bitWidth)) this.data = Array.from(this.data, (v) => toBitWidth(v || 0, this.bitWidth));
     }
 
     clearData() {
@@ -48,6 +52,7 @@ export default class EEPROM extends RAM {
 
         // Normalize this.data to use zeroes instead of null when serialized.
         var {data} = this;
+        if (isWide(this.bitWidth)) data = Array.from(data, serializeValue);
 
         saveInfo.constructorParamaters.push(data);
         return saveInfo;
@@ -98,6 +103,7 @@ EEPROM.prototype.mutableProperties = {
     },
     dump: RAM.prototype.mutableProperties.dump,
     load: RAM.prototype.mutableProperties.load,
+    editor: RAM.prototype.mutableProperties.editor,
     reset: RAM.prototype.mutableProperties.reset,
 };
 EEPROM.prototype.objectType = 'EEPROM';
@@ -15,6 +15,9 @@ import { correctWidth, lineTo, moveTo, fillText } from '../canvasApi';
  * @category sequential
  */
 import { colors } from '../themer/themer';
+import {
+    driveStateOutputs, fourStateMerge, powerUpMask, formatFourState, isDrivenUnknown, readSampled,
+} from '../fourState';
 export default class JKflipFlop extends CircuitElement {
     constructor(x, y, scope = globalScope, dir = 'RIGHT') {
         super(x, y, scope, dir, 1);
@@ -34,8 +37,7 @@ export default class JKflipFlop extends CircuitElement {
         this.preset = new Node(0, 20, 0, this, 1, 'Preset');
         this.en = new Node(-10, 20, 0, this, 1, 'Enable');
         this.state = 0;
-        this.slaveState = 0;
-        this.masterState = 0;
+        this.powerUp();
         this.prevClockState = 0;
 
         // this.wasClicked = false;
@@ -57,6 +59,18 @@ export default class JKflipFlop extends CircuitElement {
         this.qOutput.bitWidth = bitWidth;
         this.qInvOutput.bitWidth = bitWidth;
         this.preset.bitWidth = bitWidth;
+        this.powerUp();
+    }
+
+    /**
+     * Sets the state it has when the circuit is powered up,
+     * unknown if the circuit asks for it, see powerUpMask()
+     */
+    powerUp() {
+        this.masterState = 0;
+        this.slaveState = 0;
+        this.masterXMask = powerUpMask(this.scope, this.bitWidth);
+        this.slaveXMask = this.masterXMask;
     }
 
     /**
@@ -66,30 +80,39 @@ export default class JKflipFlop extends CircuitElement {
      * in the clock. masterState = this.J when no change in clock.
      */
     resolve() {
-        if (this.reset.value == 1) {
-            this.masterState = this.slaveState = this.preset.value || 0;
+        if (isDrivenUnknown(this.reset)) {
+            // reset may or may not be asserted
+            const preset = readSampled(this.preset);
+            this.setMaster(fourStateMerge(this.master(), preset));
+            this.setSlave(fourStateMerge(this.slave(), preset));
+        } else if (this.reset.value == 1) {
+            this.setMaster(readSampled(this.preset));
+            this.setSlave(readSampled(this.preset));
+        } else if (isDrivenUnknown(this.en) || isDrivenUnknown(this.clockInp)) {
+            // a clock edge may or may not happen
+            if (this.J.value != undefined && this.K.value != undefined) {
+                this.setMaster(fourStateMerge(this.master(), this.nextMaster()));
+            }
+            this.setSlave(fourStateMerge(this.slave(), this.master()));
+            this.prevClockState = undefined;
         } else if (this.en.value == 0) {
             this.prevClockState = this.clockInp.value;
         } else if (this.en.value == 1 || this.en.connections.length == 0) {
             if (this.clockInp.value == this.prevClockState) {
                 if (this.clockInp.value == 0 && this.J.value != undefined && this.K.value != undefined) {
-                    if (this.J.value && this.K.value) { this.masterState = 1 ^ this.slaveState; }
-                    else if (this.J.value ^ this.K.value) { this.masterState = this.J.value; }
+                    this.setMaster(this.nextMaster());
                 }
             } else if (this.clockInp.value != undefined) {
                 if (this.clockInp.value == 1) {
-                    this.slaveState = this.masterState;
+                    this.setSlave(this.master());
                 } else if (this.clockInp.value == 0 && this.J.value != undefined && this.K.value != undefined) {
-                    if (this.J.value && this.K.value) { this.masterState = 1 ^ this.slaveState; }
-                    else if (this.J.value ^ this.K.value) { this.masterState = this.J.value; }
+                    this.setMaster(this.nextMaster());
                 }
                 this.prevClockState = this.clockInp.value;
             }
         }
 
-        if (this.qOutput.value != this.slaveState) {
-            this.qOutput.value = this.slaveState;
-            this.qInvOutput.value = this.flipBits(this.slaveState);
+        if (driveStateOutputs(this.qOutput, this.qInvOutput, this.slave(), this.bitWidth)) {
             simulationArea.simulationQueue.add(this.qOutput);
             simulationArea.simulationQueue.add(this.qInvOutput);
         }
@@ -97,6 +120,54 @@ export default class JKflipFlop extends CircuitElement {
         this.setOutputsUpstream(true);
     }
 
+    /**
+     * @memberof JKflipFlop
+     * four-state value of the master stage
+     */
+    master() {
+        return { value: this.masterState, xMask: this.masterXMask };
+    }
+
+    /**
+     * @memberof JKflipFlop
+     * four-state value of the slave stage
+     */
+    slave() {
+        return { value: this.slaveState, xMask: this.slaveXMask };
+    }
+
+    setMaster(state) {
+        this.masterState = state.value;
+        this.masterXMask = state.xMask;
+    }
+
+    setSlave(state) {
+        this.slaveState = state.value;
+        this.slaveXMask = state.xMask;
+    }
+
+    /**
+     * @memberof JKflipFlop
+     * value latched by the master stage for the current J and K.
+     * An unknown J or K yields the merge of every value it could take.
+     */
+    nextMaster() {
+        const j = readSampled(this.J);
+        const k = readSampled(this.K);
+        let result;
+        for (let jv = 0; jv <= 1; jv++) {
+            for (let kv = 0; kv <= 1; kv++) {
+                if ((j.xMask || jv == j.value) && (k.xMask || kv == k.value)) {
+                    let next = this.master();
+                    if (jv && kv) next = { value: (1 ^ this.slaveState) & ~this.slaveXMask, xMask: this.slaveXMask };
+                    else if (jv ^ kv) next = { value: jv, xMask: 0 };
+                    result = result === undefined ? next : fourStateMerge(result, next);
+                }
+            }
+        }
+        return result;
+    }
+
     customSave() {
         var data = {
             nodes: {
@@ -137,7 +208,8 @@ export default class JKflipFlop extends CircuitElement {
         ctx.font = '20px Raleway';
         ctx.fillStyle = colors['input_text'];
         ctx.textAlign = 'center';
-        fillText(ctx, this.slaveState.toString(16), xx, yy + 5);
+        if (this.slaveXMask) fillText(ctx, formatFourState(this.slaveState, this.slaveXMask, 0, this.bitWidth), xx, yy + 5);
+        else fillText(ctx, this.slaveState.toString(16), xx, yy + 5);
         ctx.fill();
     }
 }
@@ -1,3 +1,4 @@
+/* eslint-disable import/no-cycle */
 import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
@@ -14,11 +15,11 @@ import {parseNumber, showMessage} from '../utils';
  *
  * Two settings are available:
  * - addressWidth: 1 to 20, default=10. Controls the width of the address input.
- * - bitWidth: 1 to 32, default=8. Controls the width of data pins.
+ * - bitWidth: 1 to 256, default=8. Controls the width of data pins.
  *
  * Amount of memory in the element is 2^addressWidth x bitWidth bits.
  * Minimum RAM size is: 2^1  x  1 = 2 bits.
- * Maximum RAM size is: 2^20 x 32 = 1M x 32 bits => 32 Mbits => 4MB.
+ * Maximum RAM size is: 2^20 x 256 = 1M x 256 bits => 256 Mbits => 32MB.
  * Maximum 8-bits size: 2^20 x  8 = 1M x 8 bits => 1MB.
  * Default RAM size is: 2^10 x  8 = 1024 bytes => 1KB.
  *
@@ -35,6 +36,10 @@ import {parseNumber, showMessage} from '../utils';
  * or by selecting the component and pressing the "Core Dump" button in the properties window.
  * Address spaces that have not been written will show up as `undefined` in the core dump.
  *
+ * The Memory Editor button or a double click opens the memory editor, which shows
+ * the contents and loads or saves them as Intel HEX, Logisim image, $readmemh
+ * or raw binary files.
+ *
  * NOTE: The maximum address width of 20 is arbitrary.
  * Larger values are possible, but in practice circuits won't need this much
  * memory and keeping the value small helps avoid allocating too much memory on the browser.
@@ -45,9 +50,12 @@ import {parseNumber, showMessage} from '../utils';
  */
 import { colors } from '../themer/themer';
 import { showError } from '../utils';
+import { fullMask } from '../fourState';
+import { MAX_BITWIDTH, serializeValue, toBitWidth } from '../wideValue';
+import { createMemoryEditorPrompt } from '../memoryEditor';
 export default class RAM extends CircuitElement {
     constructor(x, y, scope = globalScope, dir = 'RIGHT', bitWidth = 8, addressWidth = 10) {
-        super(x, y, scope, dir, Math.min(Math.max(1, bitWidth), 32));
+        super(x, y, scope, dir, Math.min(Math.max(1, bitWidth), MAX_BITWIDTH));
         /*
         this.scope['RAM'].push(this);
         */
@@ -85,7 +93,7 @@ export default class RAM extends CircuitElement {
 
     newBitWidth(value) {
         value = parseInt(value);
-        if (!isNaN(value) && this.bitWidth != value && value >= 1 && value <= 32) {
+        if (!isNaN(value) && this.bitWidth != value && value >= 1 && value <= MAX_BITWIDTH) {
             this.bitWidth = value;
             this.dataIn.bitWidth = value;
             this.dataOut.bitWidth = value;
@@ -104,6 +112,8 @@ export default class RAM extends CircuitElement {
 
     clearData() {
         this.data = new Array(Math.pow(2, this.addressWidth));
+        this.lastRead = undefined;
+        this.lastWrite = undefined;
         this.tooltipText = `${this.memSizeString()} ${this.shortName}`;
     }
 
@@ -114,6 +124,7 @@ export default class RAM extends CircuitElement {
     resolve() {
         if (this.write.value == 1) {
             this.data[this.address.value] = this.dataIn.value;
+            this.lastWrite = this.address.value;
         }
 
         if (this.reset.value == 1) {
@@ -126,6 +137,7 @@ export default class RAM extends CircuitElement {
         this.prevCoreDumpValue = this.coreDump.value;
 
         this.dataOut.value = this.data[this.address.value] || 0;
+        this.lastRead = this.address.value;
         simulationArea.simulationQueue.add(this.dataOut);
 
         this.setOutputsUpstream(true);
@@ -177,7 +189,7 @@ export default class RAM extends CircuitElement {
 
         showMessage("Data dumped to developer Console");
 
-        console.log(JSON.stringify(this.data));
+        console.log(JSON.stringify(this.data.map(serializeValue)));
 
         if (logLabel) {
             console.groupEnd();
@@ -185,7 +197,11 @@ export default class RAM extends CircuitElement {
     }
 
     dblclick() {
-        this.promptData();
+        this.openMemoryEditor();
+    }
+
+    openMemoryEditor() {
+        createMemoryEditorPrompt(this);
     }
 
     promptData() {
@@ -197,7 +213,7 @@ export default class RAM extends CircuitElement {
         var oldData = this.data;
         try {
             var ramSize = 1 << this.addressWidth;
-            var maxNumber = 1 << this.bitWidth;
+            var maxNumber = fullMask(this.bitWidth);
             this.clearData();
 
             data = data.split(/[, \n\t]/);
@@ -208,13 +224,13 @@ export default class RAM extends CircuitElement {
 
             for (var i = 0; i < data.length; i++) {
                 var dataCell = parseNumber(data[i]);
-                if (isNaN(dataCell))
+                if (typeof dataCell !== 'bigint' && isNaN(dataCell))
                     throw `Address ${i}: ${data[i]} is not a number`;
                 if (dataCell < 0)
                     throw `Address ${i}: ${data[i]} is negative`;
-                if (dataCell >= maxNumber)
+                if (dataCell > maxNumber)
                     throw `Address ${i}: ${data[i]} is too large`;
-                this.data[i] = dataCell;
+                this.data[i] = toBitWidth(dataCell, this.bitWidth);
             }
             showMessage(`${data.length} data cells loaded`);
         }
@@ -271,6 +287,11 @@ RAM.prototype.mutableProperties = {
         type: 'button',
         func: 'promptData',
     },
+    editor: {
+        name: 'Memory Editor',
+        type: 'button',
+        func: 'openMemoryEditor',
+    },
     reset: {
         name: 'Reset',
         type: 'button',
@@ -1,3 +1,4 @@
+/* eslint-disable import/no-cycle */
 import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
@@ -11,29 +12,110 @@ import {
  * @param {number} x - x coordinate of element.
  * @param {number} y - y coordinate of element.
  * @param {Scope=} scope - Cirucit on which element is drawn
- * @param {Array=} data - bit width per node.
+ * @param {Array=} data - the words of the rom, all zero when not given.
+ * @param {number=} addressWidth - 1 to 16, default=4.
+ * @param {number=} bitWidth - width of the words, default=8.
+ *
+ * Amount of memory in the element is 2^addressWidth x bitWidth bits.
+ * Saves made before the widths could be changed only hold the data, so they
+ * load as the 16 x 8 bit rom they were.
+ *
+ * A 16 x 8 bit rom shows its words and they can be typed in on the canvas.
+ * The contents of other sizes are edited in the memory editor, which also
+ * finds the address of a value.
+ *
+ * Changing the widths keeps the words that still fit, cut to the new width.
  * @category sequential
  */
 import { colors } from '../themer/themer';
+import RAM from './RAM';
+import { createMemoryEditorPrompt } from '../memoryEditor';
+import {
+    MAX_BITWIDTH, isWide, serializeValue, toBigInt, toBitWidth,
+} from '../wideValue';
 export default class Rom extends CircuitElement {
     constructor(
         x,
         y,
         scope = globalScope,
-        data = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        data = null,
+        addressWidth = 4,
+        bitWidth = 8,
     ) {
-        super(x, y, scope, 'RIGHT', 1);
+        super(x, y, scope, 'RIGHT', Math.min(Math.max(1, bitWidth), MAX_BITWIDTH));
         /*
         this.scope['Rom'].push(this);
         */
-        this.fixedBitWidth = true;
         this.directionFixed = true;
         this.rectangleObject = false;
         this.setDimensions(80, 50);
-        this.memAddr = new Node(-80, 0, 0, this, 4, 'Address');
+        this.addressWidth = Math.min(Math.max(1, addressWidth), this.maxAddressWidth);
+        this.memAddr = new Node(-80, 0, 0, this, this.addressWidth, 'Address');
         this.en = new Node(0, 50, 0, this, 1, 'Enable');
-        this.dataOut = new Node(80, 0, 1, this, 8, 'DataOut');
-        this.data = data || prompt('Enter data').split(' ').map((lambda) => parseInt(lambda, 16));
+        this.dataOut = new Node(80, 0, 1, this, this.bitWidth, 'DataOut');
+        this.clearData();
+        if (data) this.setData(data);
+    }
+
+    /**
+     * @memberof Rom
+     * Sets all the words to zero
+     */
+    clearData() {
+        this.data = new Array(2 ** this.addressWidth).fill(isWide(this.bitWidth) ? 0n : 0);
+        this.lastRead = undefined;
+        this.selectedIndex = undefined;
+        this.tooltipText = `${this.memSizeString()} ${this.shortName}`;
+    }
+
+    /**
+     * @memberof Rom
+     * Stores the words that fit in the rom, cut to its width
+     * @param {Array<number|bigint|string>} data - wide words may be saved as strings
+     */
+    setData(data) {
+        data.slice(0, this.data.length).forEach((value, address) => {
+            this.data[address] = toBitWidth(toBigInt(value || 0), this.bitWidth);
+        });
+    }
+
+    /**
+     * @memberof Rom
+     * Changes the width of the words
+     * @param {number} value - new width
+     */
+    newBitWidth(value) {
+        const width = parseInt(value, 10);
+        if (Number.isNaN(width) || this.bitWidth === width || width < 1 || width > MAX_BITWIDTH) return;
+        const { data } = this;
+        this.bitWidth = width;
+        this.dataOut.bitWidth = width;
+        this.clearData();
+        this.setData(data);
+    }
+
+    /**
+     * @memberof Rom
+     * Changes the width of the address, which sets the number of words
+     * @param {number} value - new width
+     */
+    changeAddressWidth(value) {
+        const width = parseInt(value, 10);
+        if (Number.isNaN(width) || this.addressWidth === width || width < 1 || width > this.maxAddressWidth) return;
+        const { data } = this;
+        this.addressWidth = width;
+        this.memAddr.bitWidth = width;
+        this.clearData();
+        this.setData(data);
+    }
+
+    /**
+     * @memberof Rom
+     * Only the 16 x 8 bit rom shows its words on the canvas
+     * @return {boolean}
+     */
+    showsWords() {
+        return this.addressWidth === 4 && this.bitWidth <= 8;
     }
 
     /**
@@ -53,7 +135,7 @@ export default class Rom extends CircuitElement {
      */
     customSave() {
         const data = {
-            constructorParamaters: [this.data],
+            constructorParamaters: [this.data.map(serializeValue), this.addressWidth, this.bitWidth],
             nodes: {
                 memAddr: findNode(this.memAddr),
                 dataOut: findNode(this.dataOut),
@@ -70,6 +152,7 @@ export default class Rom extends CircuitElement {
      * @return {number}
      */
     findPos() {
+        if (!this.showsWords()) return undefined;
         const i = Math.floor((simulationArea.mouseX - this.x + 35) / 20);
         const j = Math.floor((simulationArea.mouseY - this.y + 35) / 16);
         if (i < 0 || j < 0 || i > 3 || j > 3) return undefined;
@@ -96,7 +179,19 @@ export default class Rom extends CircuitElement {
         key = key.toLowerCase();
         if (!~'1234567890abcdef'.indexOf(key)) return;
 
-        this.data[this.selectedIndex] = (this.data[this.selectedIndex] * 16 + parseInt(key, 16)) % 256;
+        this.data[this.selectedIndex] = (this.data[this.selectedIndex] * 16 + parseInt(key, 16)) % (2 ** this.bitWidth);
+    }
+
+    /**
+     * @memberof Rom
+     * opens the memory editor to load or save the data as a file
+     */
+    dblclick() {
+        this.openMemoryEditor();
+    }
+
+    openMemoryEditor() {
+        createMemoryEditorPrompt(this);
     }
 
     /**
@@ -116,6 +211,17 @@ export default class Rom extends CircuitElement {
         if (hoverIndex === undefined && ((!simulationArea.shiftDown && this.hover) || simulationArea.lastSelected === this || simulationArea.multipleObjectSelections.contains(this))) ctx.fillStyle = colors["hover_select"];
         ctx.fill();
         ctx.stroke();
+        if (!this.showsWords()) {
+            ctx.beginPath();
+            ctx.fillStyle = 'Black';
+            fillText3(ctx, this.memSizeString(), 0, -10, xx, yy, 14, 'Raleway', 'center');
+            fillText3(ctx, this.shortName, 0, 10, xx, yy, 14, 'Raleway', 'center');
+            fillText3(ctx, 'A', -65, 5, xx, yy, 16, 'Raleway', 'right');
+            fillText3(ctx, 'D', 75, 5, xx, yy, 16, 'Raleway', 'right');
+            fillText3(ctx, 'En', 5, 47, xx, yy, 16, 'Raleway', 'right');
+            ctx.fill();
+            return;
+        }
         ctx.strokeStyle = 'black';
         ctx.fillStyle = '#fafafa';
         ctx.lineWidth = correctWidth(1);
@@ -186,6 +292,7 @@ export default class Rom extends CircuitElement {
             return;
         }
         this.dataOut.value = this.data[this.memAddr.value];
+        this.lastRead = this.memAddr.value;
         simulationArea.simulationQueue.add(this.dataOut);
 
         this.setOutputsUpstream(true);
@@ -196,7 +303,7 @@ export default class Rom extends CircuitElement {
     }
     //this code to generate Verilog
     generateVerilog() {
-        Rom.selSizes.push(this.data);
+        Rom.selSizes.push(this);
         return CircuitElement.prototype.generateVerilog.call(this);
     }
     
@@ -208,8 +315,8 @@ export default class Rom extends CircuitElement {
         for (var i = 0; i < Rom.selSizes.length; i++) {
             output += `
     module Rom${i}(dout, addr, en);
-    parameter WIDTH = 8;
-    parameter ADDR = 4;
+    parameter WIDTH = ${Rom.selSizes[i].bitWidth};
+    parameter ADDR = ${Rom.selSizes[i].addressWidth};
     output reg [WIDTH-1:0] dout;
     input [ADDR-1:0] addr;
     input en;
@@ -220,8 +327,10 @@ export default class Rom extends CircuitElement {
         else
         case (addr)
     `;
-            for (var j = 0; j < (1 << 4); j++) {
-            output += "        " + j + " : dout = " + Rom.selSizes[i][j] + ";\n";
+            // decimal literals are 32 bits unless sized
+            var size = isWide(Rom.selSizes[i].bitWidth) ? `${Rom.selSizes[i].bitWidth}'d` : '';
+            for (var j = 0; j < Rom.selSizes[i].data.length; j++) {
+            output += "        " + j + " : dout = " + size + Rom.selSizes[i].data[j] + ";\n";
             }
 
         output += `      endcase
@@ -245,5 +354,22 @@ export default class Rom extends CircuitElement {
  * @category sequential
  */
 Rom.prototype.tooltipText = 'Read-only memory';
+Rom.prototype.shortName = 'ROM';
+Rom.prototype.maxAddressWidth = 16;
+Rom.prototype.memSizeString = RAM.prototype.memSizeString;
+Rom.prototype.mutableProperties = {
+    addressWidth: {
+        name: 'Address Width',
+        type: 'number',
+        max: '16',
+        min: '1',
+        func: 'changeAddressWidth',
+    },
+    editor: {
+        name: 'Memory Editor',
+        type: 'button',
+        func: 'openMemoryEditor',
+    },
+};
 Rom.prototype.helplink = 'https://docs.circuitverse.org/#/chapter4/6sequentialelements?id=rom';
 Rom.prototype.objectType = 'Rom';
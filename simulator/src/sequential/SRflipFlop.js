@@ -15,6 +15,9 @@ import { correctWidth, fillText } from '../canvasApi';
  * @category sequential
  */
 import { colors } from '../themer/themer';
+import {
+    driveStateOutputs, fourStateMerge, powerUpMask, isDrivenUnknown, readSampled,
+} from '../fourState';
 export default class SRflipFlop extends CircuitElement {
     constructor(x, y, scope = globalScope, dir = 'RIGHT') {
         super(x, y, scope, dir, 1);
@@ -32,7 +35,7 @@ export default class SRflipFlop extends CircuitElement {
         this.reset = new Node(10, 20, 0, this, 1, 'Asynchronous Reset');
         this.preset = new Node(0, 20, 0, this, 1, 'Preset');
         this.en = new Node(-10, 20, 0, this, 1, 'Enable');
-        this.state = 0;
+        this.powerUp();
         // this.slaveState = 0;
         // this.prevClockState = 0;
         // this.wasClicked = false;
@@ -44,6 +47,16 @@ export default class SRflipFlop extends CircuitElement {
         this.qOutput.bitWidth = bitWidth;
         this.qInvOutput.bitWidth = bitWidth;
         this.preset.bitWidth = bitWidth;
+        this.powerUp();
+    }
+
+    /**
+     * Sets the state it has when the circuit is powered up,
+     * unknown if the circuit asks for it, see powerUpMask()
+     */
+    powerUp() {
+        this.state = 0;
+        this.stateXMask = powerUpMask(this.scope, this.bitWidth);
     }
 
     /**
@@ -63,15 +76,27 @@ export default class SRflipFlop extends CircuitElement {
      * set this.state to value S.
      */
     resolve() {
-        if (this.reset.value == 1) {
-            this.state = this.preset.value || 0;
+        const state = { value: this.state, xMask: this.stateXMask };
+        let next = state;
+        if (isDrivenUnknown(this.reset)) {
+            // reset may or may not be asserted
+            next = fourStateMerge(state, readSampled(this.preset));
+        } else if (this.reset.value == 1) {
+            next = readSampled(this.preset);
+        } else if (isDrivenUnknown(this.en) || isDrivenUnknown(this.S) || isDrivenUnknown(this.R)) {
+            // the flip flop may or may not be set or reset
+            if (this.en.value == 1 || this.en.connections == 0 || isDrivenUnknown(this.en)) {
+                const S = readSampled(this.S);
+                const R = readSampled(this.R);
+                if (S.xMask || R.xMask || S.value ^ R.value) next = fourStateMerge(state, S);
+            }
         } else if ((this.en.value == 1 || this.en.connections == 0) && this.S.value ^ this.R.value) {
-            this.state = this.S.value;
+            next = { value: this.S.value, xMask: 0 };
         }
+        this.state = next.value;
+        this.stateXMask = next.xMask;
 
-        if (this.qOutput.value != this.state) {
-            this.qOutput.value = this.state;
-            this.qInvOutput.value = this.flipBits(this.state);
+        if (driveStateOutputs(this.qOutput, this.qInvOutput, next, this.bitWidth)) {
             simulationArea.simulationQueue.add(this.qOutput);
             simulationArea.simulationQueue.add(this.qInvOutput);
         }
@@ -119,7 +144,8 @@ export default class SRflipFlop extends CircuitElement {
         ctx.font = '20px Raleway';
         ctx.fillStyle = colors['input_text'];
         ctx.textAlign = 'center';
-        this.state ? fillText(ctx, this.state.toString(16), xx, yy + 5) : fillText(ctx, '0', xx, yy + 5);
+        if (this.stateXMask) fillText(ctx, 'x', xx, yy + 5);
+        else this.state ? fillText(ctx, this.state.toString(16), xx, yy + 5) : fillText(ctx, '0', xx, yy + 5);
         ctx.fill();
     }
 }
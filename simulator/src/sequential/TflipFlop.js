@@ -3,6 +3,9 @@ import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
 import { correctWidth, lineTo, moveTo, fillText } from '../canvasApi';
 import { colors } from '../themer/themer';
+import {
+    driveStateOutputs, fourStateMerge, powerUpMask, fourStateXor, formatFourState, isDrivenUnknown, readSampled,
+} from '../fourState';
 
 /**
  * @class
@@ -33,8 +36,7 @@ export default class TflipFlop extends CircuitElement {
         this.reset = new Node(10, 20, 0, this, 1, 'Asynchronous Reset');
         this.preset = new Node(0, 20, 0, this, this.bitWidth, 'Preset');
         this.en = new Node(-10, 20, 0, this, 1, 'Enable');
-        this.masterState = 0;
-        this.slaveState = 0;
+        this.powerUp();
         this.prevClockState = 0;
 
         // this.wasClicked = false;
@@ -60,6 +62,18 @@ export default class TflipFlop extends CircuitElement {
         this.qOutput.bitWidth = bitWidth;
         this.qInvOutput.bitWidth = bitWidth;
         this.preset.bitWidth = bitWidth;
+        this.powerUp();
+    }
+
+    /**
+     * Sets the state it has when the circuit is powered up,
+     * unknown if the circuit asks for it, see powerUpMask()
+     */
+    powerUp() {
+        this.masterState = 0;
+        this.slaveState = 0;
+        this.masterXMask = powerUpMask(this.scope, this.bitWidth);
+        this.slaveXMask = this.masterXMask;
     }
 
     /**
@@ -73,9 +87,22 @@ export default class TflipFlop extends CircuitElement {
      * We flip the bits to find qInvOutput
      */
     resolve() {
-        if (this.reset.value == 1) {
+        if (isDrivenUnknown(this.reset)) {
+            // reset may or may not be asserted
+            const preset = readSampled(this.preset);
+            this.setMaster(fourStateMerge(this.master(), preset));
+            this.setSlave(fourStateMerge(this.slave(), preset));
+        } else if (this.reset.value == 1) {
             // if reset bit is set
-            this.masterState = this.slaveState = this.preset.value || 0;
+            this.setMaster(readSampled(this.preset));
+            this.setSlave(readSampled(this.preset));
+        } else if (isDrivenUnknown(this.en) || isDrivenUnknown(this.clockInp)) {
+            // a clock edge may or may not happen
+            if (this.dInp.value != undefined) {
+                this.setMaster(fourStateMerge(this.master(), this.toggled()));
+            }
+            this.setSlave(fourStateMerge(this.slave(), this.master()));
+            this.prevClockState = undefined;
         } else if (this.en.value == 0) {
             // if enabled bit is 0
             this.prevClockState = this.clockInp.value;
@@ -84,21 +111,19 @@ export default class TflipFlop extends CircuitElement {
             if (this.clockInp.value == this.prevClockState) {
                 if (this.clockInp.value == 0 && this.dInp.value != undefined) {
                     // value is xor of
-                    this.masterState = this.dInp.value ^ this.slaveState;
+                    this.setMaster(this.toggled());
                 }
             } else if (this.clockInp.value != undefined) {
                 if (this.clockInp.value == 1) {
-                    this.slaveState = this.masterState;
+                    this.setSlave(this.master());
                 } else if (this.clockInp.value == 0 && this.dInp.value != undefined) {
-                    this.masterState = this.dInp.value ^ this.slaveState;
+                    this.setMaster(this.toggled());
                 }
                 this.prevClockState = this.clockInp.value;
             }
         }
 
-        if (this.qOutput.value != this.slaveState) {
-            this.qOutput.value = this.slaveState;
-            this.qInvOutput.value = this.flipBits(this.slaveState);
+        if (driveStateOutputs(this.qOutput, this.qInvOutput, this.slave(), this.bitWidth)) {
             simulationArea.simulationQueue.add(this.qOutput);
             simulationArea.simulationQueue.add(this.qInvOutput);
         }
@@ -106,6 +131,42 @@ export default class TflipFlop extends CircuitElement {
         this.setOutputsUpstream(true);
     }
 
+    /**
+     * @memberof TflipFlop
+     * four-state value of the master stage
+     */
+    master() {
+        return { value: this.masterState, xMask: this.masterXMask };
+    }
+
+    /**
+     * @memberof TflipFlop
+     * four-state value of the slave stage
+     */
+    slave() {
+        return { value: this.slaveState, xMask: this.slaveXMask };
+    }
+
+    setMaster(state) {
+        this.masterState = state.value;
+        this.masterXMask = state.xMask;
+    }
+
+    setSlave(state) {
+        this.slaveState = state.value;
+        this.slaveXMask = state.xMask;
+    }
+
+    /**
+     * @memberof TflipFlop
+     * slave state xor T, unknown wherever either of them is unknown
+     */
+    toggled() {
+        const t = { ...readSampled(this.dInp), bitWidth: this.bitWidth };
+        const slave = { ...this.slave(), zMask: 0, bitWidth: this.bitWidth };
+        return fourStateXor([t, slave], this.bitWidth);
+    }
+
     customSave() {
         var data = {
             nodes: {
@@ -143,7 +204,8 @@ export default class TflipFlop extends CircuitElement {
         ctx.font = '20px Raleway';
         ctx.fillStyle = colors['input_text'];
         ctx.textAlign = 'center';
-        fillText(ctx, this.slaveState.toString(16), xx, yy + 5);
+        if (this.slaveXMask) fillText(ctx, formatFourState(this.slaveState, this.slaveXMask, 0, this.bitWidth), xx, yy + 5);
+        else fillText(ctx, this.slaveState.toString(16), xx, yy + 5);
         ctx.fill();
     }
 
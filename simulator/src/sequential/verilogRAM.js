@@ -1,3 +1,4 @@
+/* eslint-disable import/no-cycle */
 import CircuitElement from '../circuitElement';
 import Node, { findNode } from '../node';
 import simulationArea from '../simulationArea';
@@ -43,6 +44,7 @@ import { correctWidth, fillText2, fillText4, drawCircle2 } from '../canvasApi';
  * @category sequential
  */
 import { colors } from '../themer/themer';
+import { createMemoryEditorPrompt } from '../memoryEditor';
 
 function customResolve(clockInp, dInp, qOutput, en, masterState, 
     slaveState, prevClockState, clock_polarity, enable_polarity, numIterations) {
@@ -339,6 +341,8 @@ export default class verilogRAM extends CircuitElement {
 
     clearData() {
         this.data = new Array(this.words);
+        this.lastRead = undefined;
+        this.lastWrite = undefined;
         this.tooltipText = `${this.memSizeString()} ${this.shortName}`;
     }
 
@@ -369,6 +373,7 @@ export default class verilogRAM extends CircuitElement {
         for (var i = 0; i < this.numWrite; i++) {
             if (this.writeEnable[i].value == 1) {
                 this.data[this.writeAddress[i].value] = this.writeDffQOutput[i].value;
+                this.lastWrite = this.writeAddress[i].value;
             }
         }
 
@@ -383,6 +388,7 @@ export default class verilogRAM extends CircuitElement {
 
         for (var i = 0; i < this.numRead; i++) {
             this.dataOut[i].value = this.data[this.readAddress[i].value] || 0;
+            this.lastRead = this.readAddress[i].value;
             simulationArea.simulationQueue.add(this.dataOut[i]);
         }
 
@@ -452,6 +458,14 @@ export default class verilogRAM extends CircuitElement {
             console.groupEnd();
         }
     }
+
+    dblclick() {
+        this.openMemoryEditor();
+    }
+
+    openMemoryEditor() {
+        createMemoryEditorPrompt(this);
+    }
 }
 
 verilogRAM.prototype.tooltipText = 'Random Access Memory';
@@ -470,6 +484,11 @@ verilogRAM.prototype.mutableProperties = {
         type: 'button',
         func: 'dump',
     },
+    editor: {
+        name: 'Memory Editor',
+        type: 'button',
+        func: 'openMemoryEditor',
+    },
     reset: {
         name: 'Reset',
         type: 'button',
@@ -26,6 +26,7 @@ import { clockTick } from './utils';
  * @property {boolean} shiftDown - shift down or not
  * @property {boolean} controlDown - contol down or not
  * @property {number} timePeriod - time period
+ * @property {number} clockTime - ticks of the global clock so far, the time clocks run on
  * @property {number} mouseX - mouse x
  * @property {number} mouseY - mouse y
  * @property {number} mouseDownX - mouse click x
@@ -60,6 +61,7 @@ const simulationArea = {
     shiftDown: false,
     controlDown: false,
     timePeriod: 500,
+    clockTime: 0,
     mouseX: 0,
     mouseY: 0,
     mouseDownX: 0,
@@ -0,0 +1,353 @@
+/* eslint-disable import/no-cycle */
+/* eslint-disable no-bitwise */
+/**
+ * Stimulus playback: drives Input, Button and Clock elements on schedule
+ * from a value change dump or a CSV time series.
+ *
+ * Signals are matched to elements by label. Stimulus times are simulation
+ * units and plotArea.cycleUnit units are played per clock period, so a dump
+ * exported from the timing diagram plays back at the speed it was recorded.
+ * A CSV file has a header row naming the time column and the signals, every
+ * other row holds a time and the values from then on:
+ *
+ *     time,A,B,clk
+ *     0,0,0x3,0
+ *     500,1,,1
+ *
+ * Values are decimal, 0x hex or 0b binary. An empty cell keeps the value, x
+ * or z leave the element as it is.
+ * @category stimulus
+ */
+
+import simulationArea from './simulationArea';
+import plotArea from './plotArea';
+import { play, scheduleUpdate, updateCanvasSet } from './engine';
+import { showError } from './utils';
+import { parseVCD } from './vcd';
+import { toBigInt, toBitWidth } from './wideValue';
+
+/**
+ * Elements that can be driven, in the order they are looked up
+ */
+const DRIVEN_TYPES = ['Input', 'Button', 'Clock'];
+const FRAME_INTERVAL = 50; // Playback refresh rate (in ms)
+let player; // Player of the stimulus dialog
+
+/**
+ * Reads a CSV time series
+ * @param {string} text
+ * @return {{signals: Array<{name: string, scope: string, changes: Array}>}}
+ * same shape as parseVCD() returns
+ * @category stimulus
+ */
+export function parseCSV(text) {
+    const rows = text.split(/\r?\n/)
+        .map((line, i) => ({ line: i + 1, cells: line.split(',').map((cell) => cell.trim()) }))
+        .filter((row) => row.cells.join('') !== '' && !row.cells[0].startsWith('#'));
+    if (rows.length === 0) throw new Error('Empty CSV file');
+    const signals = rows[0].cells.slice(1).map((name) => ({ name, scope: '', changes: [] }));
+    if (!signals.length) throw new Error('CSV header needs a time column and at least one signal');
+
+    let previousTime = -Infinity;
+    rows.slice(1).forEach(({ line, cells }) => {
+        const time = Number(cells[0]);
+        if (cells[0] === '' || !Number.isFinite(time) || time < previousTime) {
+            throw new Error(`Line ${line}: invalid time "${cells[0]}", times must increase`);
+        }
+        previousTime = time;
+        signals.forEach((signal, i) => {
+            const cell = cells[i + 1] || '';
+            if (cell === '') return;
+            let value;
+            if (!/^[xz]$/i.test(cell)) {
+                try {
+                    value = BigInt(cell);
+                } catch (err) {
+                    throw new Error(`Line ${line}: invalid value "${cell}" for ${signal.name}`);
+                }
+            }
+            const last = signal.changes[signal.changes.length - 1];
+            if (last && last[0] === time) signal.changes.pop();
+            signal.changes.push([time, value]);
+        });
+    });
+    return { signals };
+}
+
+/**
+ * Reads a stimulus file, VCD or CSV
+ * @param {string} text
+ * @param {string=} fileName - used to tell the formats apart
+ * @return {Object}
+ * @category stimulus
+ */
+export function readStimulus(text, fileName = '') {
+    if (/\.vcd$/i.test(fileName) || (!/\.csv$/i.test(fileName) && text.trimStart().startsWith('$'))) {
+        return parseVCD(text);
+    }
+    return parseCSV(text);
+}
+
+/**
+ * Input, Button or Clock with the given label
+ * @param {Scope} scope
+ * @param {string} name
+ * @return {CircuitElement|undefined}
+ */
+function findDrivenElement(scope, name) {
+    for (let i = 0; i < DRIVEN_TYPES.length; i++) {
+        const element = scope[DRIVEN_TYPES[i]].find((e) => e.label.trim() === name.trim());
+        if (element) return element;
+    }
+    return undefined;
+}
+
+/**
+ * Value of a signal at a time, undefined before its first change
+ * @param {Object} signal
+ * @param {number} time
+ * @return {number|bigint|undefined}
+ */
+function valueAt(signal, time) {
+    const { changes } = signal;
+    let low = 0;
+    let high = changes.length;
+    // first change after time
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (changes[mid][0] <= time) low = mid + 1;
+        else high = mid;
+    }
+    return low ? changes[low - 1][1] : undefined;
+}
+
+/**
+ * Plays a stimulus on the elements of a circuit
+ * @category stimulus
+ */
+export class StimulusPlayer {
+    /**
+     * @param {Object} stimulus - as returned by readStimulus()
+     * @param {Scope=} scope - circuit with the elements to drive
+     */
+    constructor(stimulus, scope = globalScope) {
+        this.scope = scope;
+        this.bindings = []; // {signal, element} for every signal with an element
+        this.unmatched = []; // names of signals without an element
+        stimulus.signals.forEach((signal) => {
+            // Names repeated in nested VCD scopes drive nothing
+            if (this.bindings.some((binding) => binding.signal.name === signal.name)
+                || this.unmatched.includes(signal.name)) return;
+            const element = findDrivenElement(scope, signal.name);
+            if (element) this.bindings.push({ signal, element });
+            else this.unmatched.push(signal.name);
+        });
+        const times = new Set();
+        this.bindings.forEach(({ signal }) => signal.changes.forEach(([time]) => times.add(time)));
+        this.times = [...times].sort((a, b) => a - b); // times of all events
+        this.end = this.times.length ? this.times[this.times.length - 1] : 0;
+        this.time = 0; // current time
+        this.index = 0; // next event
+        this.playing = false;
+        this.timer = undefined;
+        this.clockEnabled = undefined; // clock setting while playing drives clocks
+        this.onUpdate = () => {}; // called whenever the time changes
+    }
+
+    /**
+     * Whether every event has been played
+     * @type {boolean}
+     */
+    get finished() {
+        return this.index >= this.times.length;
+    }
+
+    /**
+     * Sets every driven element to its value at a time
+     * @param {number} time
+     */
+    drive(time) {
+        for (let i = 0; i < this.bindings.length; i++) {
+            const { signal, element } = this.bindings[i];
+            const value = valueAt(signal, time);
+            // x and z leave the element as it is
+            if (value !== undefined) {
+                if (element.objectType === 'Button') {
+                    element.wasClicked = toBigInt(value) !== 0n;
+                } else if (element.objectType === 'Clock') {
+                    element.state = Number(toBigInt(value) & 1n);
+                    element.output1.value = element.state;
+                } else {
+                    element.state = toBitWidth(toBigInt(value), element.bitWidth);
+                }
+            }
+        }
+    }
+
+    /**
+     * Simulates the circuit with the driven values
+     */
+    run() {
+        play(this.scope);
+        updateCanvasSet(true);
+        scheduleUpdate(0, 20);
+        this.onUpdate();
+    }
+
+    /**
+     * Plays the next event and pauses
+     * @return {boolean} false if there was no event left
+     */
+    step() {
+        this.pause();
+        if (this.finished) return false;
+        this.time = this.times[this.index++];
+        this.drive(this.time);
+        this.run();
+        return true;
+    }
+
+    /**
+     * Moves to a time, the elements take the values they have at that time
+     * @param {number} time
+     */
+    seek(time) {
+        this.time = Math.min(Math.max(0, time), this.end);
+        this.index = this.times.findIndex((t) => t > this.time);
+        if (this.index < 0) this.index = this.times.length;
+        this.drive(this.time);
+        this.run();
+    }
+
+    /**
+     * Plays every event up to some units from now
+     * @param {number} units
+     */
+    advance(units) {
+        const target = this.time + units;
+        while (!this.finished && this.times[this.index] <= target) {
+            this.drive(this.times[this.index]);
+            this.index++;
+            play(this.scope);
+        }
+        this.time = Math.min(target, this.end);
+        updateCanvasSet(true);
+        scheduleUpdate(0, 20);
+        this.onUpdate();
+        if (this.finished) this.pause();
+    }
+
+    /**
+     * Starts playing in real time, from the start if every event was played
+     */
+    play() {
+        if (this.playing) return;
+        if (this.finished) this.seek(0);
+        this.playing = true;
+        // The stimulus takes over driven clocks
+        if (this.bindings.some(({ element }) => element.objectType === 'Clock')) {
+            this.clockEnabled = simulationArea.clockEnabled;
+            simulationArea.clockEnabled = false;
+        }
+        this.timer = setInterval(() => {
+            this.advance((plotArea.cycleUnit * FRAME_INTERVAL) / simulationArea.timePeriod);
+        }, FRAME_INTERVAL);
+    }
+
+    /**
+     * Stops playing, the elements keep their values
+     */
+    pause() {
+        if (!this.playing) return;
+        clearInterval(this.timer);
+        this.playing = false;
+        if (this.clockEnabled !== undefined) {
+            simulationArea.clockEnabled = this.clockEnabled;
+            this.clockEnabled = undefined;
+        }
+        this.onUpdate();
+    }
+}
+
+/**
+ * Shows the loaded signals and the playback time in the dialog
+ */
+function updateStimulusDialog() {
+    if (!player) {
+        $('#stimulusStatus').text('No stimulus loaded');
+        $('#stimulusEnd').text('');
+        return;
+    }
+    const driven = player.bindings.map(({ signal }) => signal.name);
+    let status = `Driving ${driven.join(', ') || 'nothing'}`;
+    if (player.unmatched.length) status += `. No input for ${player.unmatched.join(', ')}`;
+    $('#stimulusStatus').text(status);
+    $('#stimulusEnd').text(`of ${player.end} units${player.playing ? ' (playing)' : ''}`);
+    if (!$('#stimulusTime').is(':focus')) $('#stimulusTime').val(Math.round(player.time));
+}
+
+/**
+ * Dialog to load a stimulus file and control its playback
+ * @category stimulus
+ */
+export function createStimulusPrompt() {
+    if (player && player.scope !== globalScope) {
+        player.pause();
+        player = undefined;
+    }
+    $('#stimulusDialog').empty();
+    $('#stimulusDialog').append(`<div>
+        <p><label for="stimulusFile">VCD or CSV file</label><br><input type="file" id="stimulusFile" accept=".vcd,.csv,.txt"/></p>
+        <p id="stimulusStatus"></p>
+        <p><label for="stimulusTime">Time</label> <input type="number" id="stimulusTime" min="0" value="0"/> <span id="stimulusEnd"></span></p>
+        </div>`);
+    updateStimulusDialog();
+    $('#stimulusFile').on('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const stimulus = readStimulus(e.target.result, file.name);
+                if (player) player.pause();
+                player = new StimulusPlayer(stimulus);
+                player.onUpdate = updateStimulusDialog;
+            } catch (err) {
+                showError(err.message);
+            }
+            updateStimulusDialog();
+        };
+        reader.readAsText(file);
+    });
+    $('#stimulusDialog').dialog({
+        resizable: false,
+        width: 'auto',
+        buttons: [
+            {
+                text: 'Play',
+                click() {
+                    if (player) player.play();
+                },
+            },
+            {
+                text: 'Pause',
+                click() {
+                    if (player) player.pause();
+                },
+            },
+            {
+                text: 'Step',
+                click() {
+                    if (player) player.step();
+                },
+            },
+            {
+                text: 'Seek',
+                click() {
+                    const time = parseFloat($('#stimulusTime').val());
+                    if (player && Number.isFinite(time)) player.seek(time);
+                },
+            },
+        ],
+    });
+}
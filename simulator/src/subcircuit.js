@@ -292,7 +292,7 @@ export default class SubCircuit extends CircuitElement {
     // Needs to be deprecated, removed
     reBuild() {
         // new SubCircuit(x = this.x, y = this.y, scope = this.scope, this.id);
-        // this.scope.backups = []; // Because all previous states are invalid now
+        // this.scope.history.clear(); // Because all previous states are invalid now
         // this.delete();
         // showMessage('Subcircuit: ' + subcircuitScope.name + ' has been reloaded.');
     }
@@ -354,7 +354,7 @@ export default class SubCircuit extends CircuitElement {
                     i
                 ];
             } else {
-                this.scope.backups = [];
+                this.scope.history.clear();
                 this.inputNodes[i].delete();
                 this.nodeList.clean(this.inputNodes[i]);
             }
@@ -370,7 +370,7 @@ export default class SubCircuit extends CircuitElement {
                 ) {
                     temp_map_inp[id][1].bitWidth = temp_map_inp[id][0].bitWidth;
                 } else {
-                    this.scope.backups = [];
+                    this.scope.history.clear();
                     temp_map_inp[id][1].delete();
                     this.nodeList.clean(temp_map_inp[id][1]);
                     temp_map_inp[id][1] = new Node(
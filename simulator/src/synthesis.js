@@ -0,0 +1,415 @@
+/* eslint-disable import/no-cycle */
+/**
+ * Realizations of truth tables in several styles of gates, to compare their
+ * gate count and depth before one of them is drawn.
+ * - Two-level AND-OR, as combinational analysis has always drawn it
+ * - AND-OR with product terms shared by the outputs
+ * - NAND only, from the sum of products
+ * - NOR only, from the product of sums
+ * - Multi-level, the sums of products factored by their common literals
+ * @category synthesis
+ */
+
+import { minimizeTable } from './truthTable';
+import { findDimensions } from './canvasApi';
+import simulationArea from './simulationArea';
+import Input from './modules/Input';
+import ConstantVal from './modules/ConstantVal';
+import Output from './modules/Output';
+import AndGate from './modules/AndGate';
+import OrGate from './modules/OrGate';
+import NandGate from './modules/NandGate';
+import NorGate from './modules/NorGate';
+import NotGate from './modules/NotGate';
+import Node from './node';
+
+/**
+ * @category synthesis
+ */
+export const SYNTHESIS_STYLES = [
+    { id: 'sop', name: 'Two-level AND-OR' },
+    { id: 'shared', name: 'AND-OR, shared product terms' },
+    { id: 'nand', name: 'NAND only' },
+    { id: 'nor', name: 'NOR only' },
+    { id: 'factored', name: 'Multi-level factored' },
+];
+
+const GATE_TYPES = ['And', 'Or', 'Nand', 'Nor', 'Not'];
+
+const GATE_CLASSES = {
+    And: AndGate, Or: OrGate, Nand: NandGate, Nor: NorGate, Not: NotGate,
+};
+
+/**
+ * Gates of a realization. A signal is 'i<n>' for the nth input, 'g<n>' for
+ * the output of the nth gate or '0' and '1' for the constants.
+ * @category synthesis
+ */
+export class Netlist {
+    /**
+     * @param {Array<string>} inputs - names of the inputs
+     * @param {string=} inverter - Not, or Nand or Nor with both inputs tied
+     * @param {boolean=} share - reuse equal gates, inverters are always reused
+     */
+    constructor(inputs, inverter = 'Not', share = false) {
+        this.inputs = inputs;
+        this.inverter = inverter;
+        this.share = share;
+        this.gates = [];
+        this.outputs = [];
+        this.shared = new Map(); // "type:inputs" -> signal
+    }
+
+    /**
+     * Output of a gate
+     * @param {string} type - And, Or, Nand, Nor or Not
+     * @param {Array<string>} inputs - signals
+     * @param {boolean=} share - reuse an equal gate
+     * @return {string}
+     */
+    gate(type, inputs, share = this.share) {
+        const key = `${type}:${[...inputs].sort().join(',')}`;
+        if (share && this.shared.has(key)) return this.shared.get(key);
+        const signal = `g${this.gates.length}`;
+        this.gates.push({ type, inputs });
+        if (share) this.shared.set(key, signal);
+        return signal;
+    }
+
+    /**
+     * Complement of a signal
+     * @param {string} signal
+     * @return {string}
+     */
+    invert(signal) {
+        if (signal === '0' || signal === '1') return signal === '0' ? '1' : '0';
+        if (this.inverter === 'Not') return this.gate('Not', [signal], true);
+        return this.gate(this.inverter, [signal, signal], true);
+    }
+
+    /**
+     * A variable or its complement
+     * @param {{index: number, positive: boolean}} literal
+     * @return {string}
+     */
+    literal({ index, positive }) {
+        return positive ? `i${index}` : this.invert(`i${index}`);
+    }
+
+    /**
+     * Gates between the inputs and a signal, on the longest path
+     * @param {string} signal
+     * @param {Map<string, number>=} levels - memo
+     * @return {number}
+     */
+    level(signal, levels = new Map()) {
+        if (signal[0] !== 'g') return 0;
+        if (!levels.has(signal)) {
+            const { inputs } = this.gates[Number(signal.slice(1))];
+            levels.set(signal, 1 + Math.max(...inputs.map((input) => this.level(input, levels))));
+        }
+        return levels.get(signal);
+    }
+}
+
+/**
+ * Literals of an implicant
+ * @param {string} implicant - one of 0, 1 and - per variable, as BooleanMinimize gives it
+ * @return {Array<{index: number, positive: boolean}>}
+ */
+function literalsOf(implicant) {
+    const literals = [];
+    for (let i = 0; i < implicant.length; i++) {
+        if (implicant[i] !== '-') literals.push({ index: i, positive: implicant[i] === '1' });
+    }
+    return literals;
+}
+
+/**
+ * Constant an output is, if it is one
+ * @param {Array<string>} implicants
+ * @return {string|undefined} '0' or '1'
+ */
+function constantOf(implicants) {
+    if (!implicants.length) return '0';
+    if (literalsOf(implicants[0]).length === 0) return '1';
+    return undefined;
+}
+
+/**
+ * Gates of an output as a sum of products
+ */
+function sumOfProducts(netlist, implicants) {
+    const constant = constantOf(implicants);
+    if (constant) return constant;
+    const terms = implicants.map((implicant) => {
+        const literals = literalsOf(implicant).map((literal) => netlist.literal(literal));
+        return literals.length > 1 ? netlist.gate('And', literals) : literals[0];
+    });
+    return terms.length > 1 ? netlist.gate('Or', terms) : terms[0];
+}
+
+/**
+ * Gates of an output in two levels of NAND or NOR gates. A NAND of
+ * products is the sum of their complements, a NOR of sums is the product
+ * of their complements.
+ * @param {Netlist} netlist
+ * @param {string} type - Nand or Nor
+ * @param {Array<Array<{index: number, positive: boolean}>>} terms - products for NAND, sums for NOR
+ * @return {string}
+ */
+function twoLevel(netlist, type, terms) {
+    if (terms.length === 1) {
+        const literals = terms[0].map((literal) => netlist.literal(literal));
+        return literals.length > 1 ? netlist.invert(netlist.gate(type, literals)) : literals[0];
+    }
+    const complements = terms.map((term) => {
+        if (term.length > 1) return netlist.gate(type, term.map((literal) => netlist.literal(literal)));
+        return netlist.literal({ index: term[0].index, positive: !term[0].positive });
+    });
+    return netlist.gate(type, complements);
+}
+
+/**
+ * Expression of a kind with its arguments, arguments of the same kind are merged
+ * @param {string} op - and or or
+ * @param {Array<Object>} args
+ * @return {Object}
+ */
+function operation(op, args) {
+    if (args.length === 1) return args[0];
+    return { op, args: args.flatMap((arg) => (arg.op === op ? arg.args : [arg])) };
+}
+
+/**
+ * Factors a sum of products by the literal most of its terms have, again
+ * and again
+ * @param {Array<Array<string>>} terms - literals of each product, like 2 or 2'
+ * @return {Object} expression of and, or and literal nodes
+ */
+function factor(terms) {
+    const literal = (key) => ({ literal: { index: parseInt(key, 10), positive: !key.endsWith("'") } });
+    if (terms.length === 1) return operation('and', terms[0].map(literal));
+    const counts = new Map();
+    terms.forEach((term) => term.forEach((key) => counts.set(key, (counts.get(key) || 0) + 1)));
+    let best;
+    counts.forEach((count, key) => {
+        if (count > 1 && (!best || count > counts.get(best))) best = key;
+    });
+    if (!best) return operation('or', terms.map((term) => operation('and', term.map(literal))));
+    const withBest = terms.filter((term) => term.includes(best)).map((term) => term.filter((key) => key !== best));
+    const others = terms.filter((term) => !term.includes(best));
+    // A term that was only the literal absorbs the others
+    const factored = withBest.some((term) => !term.length) ? literal(best) : operation('and', [literal(best), factor(withBest)]);
+    return others.length ? operation('or', [factored, factor(others)]) : factored;
+}
+
+/**
+ * Gates of an expression built by factor()
+ */
+function gatesOf(netlist, expression) {
+    if (expression.literal) return netlist.literal(expression.literal);
+    return netlist.gate(expression.op === 'and' ? 'And' : 'Or', expression.args.map((arg) => gatesOf(netlist, arg)));
+}
+
+/**
+ * Realizes outputs given by their truth tables in a style
+ * @param {string} style - id of one of SYNTHESIS_STYLES
+ * @param {Array<string>} variables - the first is the most significant bit of the row number
+ * @param {Array<Array>} values - 0, 1 or 'x' per row for each output
+ * @return {Netlist}
+ * @category synthesis
+ */
+export function synthesize(style, variables, values) {
+    const inverter = { nand: 'Nand', nor: 'Nor' }[style] || 'Not';
+    const netlist = new Netlist(variables, inverter, style === 'shared');
+    if (style === 'sop') {
+        // The two-level drawing has an inverter on every input and on the constant
+        variables.forEach((_, index) => netlist.literal({ index, positive: false }));
+        netlist.gate('Not', ['1']);
+    }
+    netlist.outputs = values.map((table) => {
+        if (style === 'nor') {
+            // The product of sums of a function is the complement of the sum of products of its complement
+            const complement = minimizeTable(variables, table.map((value) => (value === 'x' ? value : 1 - value)));
+            const constant = constantOf(complement);
+            if (constant) return constant === '0' ? '1' : '0';
+            const sums = complement.map((implicant) => literalsOf(implicant).map(({ index, positive }) => ({ index, positive: !positive })));
+            return twoLevel(netlist, 'Nor', sums);
+        }
+        const implicants = minimizeTable(variables, table);
+        if (style === 'nand') {
+            return constantOf(implicants) || twoLevel(netlist, 'Nand', implicants.map(literalsOf));
+        }
+        if (style === 'factored') {
+            const terms = implicants.map((implicant) => literalsOf(implicant).map(({ index, positive }) => `${index}${positive ? '' : "'"}`));
+            return constantOf(implicants) || gatesOf(netlist, factor(terms));
+        }
+        return sumOfProducts(netlist, implicants);
+    });
+    return netlist;
+}
+
+/**
+ * Gate count and depth of a realization
+ * @param {Netlist} netlist
+ * @return {{counts: Object, gates: number, gateInputs: number, depth: number}}
+ * counts of each type of gate
+ * @category synthesis
+ */
+export function netlistReport(netlist) {
+    const counts = Object.fromEntries(GATE_TYPES.map((type) => [type, 0]));
+    netlist.gates.forEach(({ type }) => {
+        counts[type]++;
+    });
+    const levels = new Map();
+    return {
+        counts,
+        gates: netlist.gates.length,
+        gateInputs: netlist.gates.reduce((sum, { inputs }) => sum + inputs.length, 0),
+        depth: Math.max(0, ...netlist.outputs.map((signal) => netlist.level(signal, levels))),
+    };
+}
+
+/**
+ * Wires a node to an input pin through a vertical channel
+ * @param {Node} from
+ * @param {Node} to
+ * @param {number} channelX - x of the vertical wire
+ * @param {Scope} scope
+ * @category synthesis
+ */
+export function route(from, to, channelX, scope) {
+    const start = new Node(channelX, from.absY(), 2, scope.root);
+    from.connect(start);
+    if (from.absY() === to.absY()) {
+        start.connect(to);
+        return;
+    }
+    const end = new Node(channelX, to.absY(), 2, scope.root);
+    start.connect(end);
+    end.connect(to);
+}
+
+/**
+ * Top left corner for a drawing, below or beside what is already in the circuit
+ * @param {Scope} scope
+ * @return {{x: number, y: number}}
+ * @category synthesis
+ */
+export function drawingOrigin(scope) {
+    findDimensions(scope);
+    let x = 200;
+    let y = 200;
+    if (simulationArea.maxWidth && simulationArea.maxHeight) {
+        if (simulationArea.maxHeight + 300 > simulationArea.maxWidth) x += simulationArea.maxWidth;
+        else y += simulationArea.maxHeight;
+    }
+    return { x: Math.round(x / 10) * 10, y: Math.round(y / 10) * 10 };
+}
+
+/**
+ * Draws the constants a realization uses, one below the other
+ * @param {Netlist} netlist
+ * @param {Map<string, Node>} sources - the constants are added
+ * @param {number} x
+ * @param {number} y - top of the first one
+ * @param {Scope} scope
+ * @return {number} y below them
+ * @category synthesis
+ */
+export function drawConstants(netlist, sources, x, y, scope) {
+    let nextY = y;
+    ['0', '1'].forEach((value) => {
+        const used = netlist.outputs.includes(value) || netlist.gates.some(({ inputs }) => inputs.includes(value));
+        if (!used) return;
+        const constant = new ConstantVal(x, nextY, scope, 'RIGHT', 1, value);
+        sources.set(value, constant.output1);
+        nextY += 40;
+    });
+    return nextY;
+}
+
+/**
+ * Draws the gates of a realization in columns by level, right of what
+ * drives them
+ * @param {Netlist} netlist
+ * @param {Map<string, Node>} sources - nodes driving the inputs and the
+ * constants, the outputs of the gates are added
+ * @param {number} x - right of the sources
+ * @param {number} y - top of the gates
+ * @param {Scope} scope
+ * @return {{right: number, bottom: number}} right of the last column and bottom of the longest
+ * @category synthesis
+ */
+export function drawGates(netlist, sources, x, y, scope) {
+    const levels = new Map();
+    const columns = [];
+    netlist.gates.forEach((gate, i) => {
+        const level = netlist.level(`g${i}`, levels);
+        columns[level] = columns[level] || [];
+        columns[level].push(i);
+    });
+
+    let right = x;
+    let bottom = y;
+    for (let level = 1; level < columns.length; level++) {
+        const column = columns[level] || [];
+        const pins = column.reduce((sum, i) => sum + netlist.gates[i].inputs.length, 0);
+        // A vertical channel for every input pin of the column
+        const channelStart = right + 20;
+        const gateX = channelStart + pins * 10 + 20;
+        let gateY = y;
+        let channel = channelStart;
+        column.forEach((i) => {
+            const { type, inputs } = netlist.gates[i];
+            // Whole grid steps above and below the center
+            const height = 20 * Math.ceil((Math.max(40, inputs.length * 10) + 20) / 20);
+            const element = type === 'Not'
+                ? new NotGate(gateX, gateY + height / 2, scope, 'RIGHT', 1)
+                : new GATE_CLASSES[type](gateX, gateY + height / 2, scope, 'RIGHT', inputs.length, 1);
+            const pinNodes = type === 'Not' ? [element.inp1] : element.inp;
+            inputs.forEach((signal, pin) => {
+                route(sources.get(signal), pinNodes[pin], channel, scope);
+                channel += 10;
+            });
+            sources.set(`g${i}`, element.output1);
+            gateY += height;
+        });
+        bottom = Math.max(bottom, gateY);
+        right = gateX + 40;
+    }
+    return { right, bottom };
+}
+
+/**
+ * Draws a realization with its gates in columns by level
+ * @param {Netlist} netlist
+ * @param {Array<string>} outputNames
+ * @param {Scope=} scope - the circuit
+ * @category synthesis
+ */
+export function drawNetlist(netlist, outputNames, scope = globalScope) {
+    const { x: startX, y: startY } = drawingOrigin(scope);
+    const sources = new Map(); // signal -> node driving it
+    let y = startY;
+    netlist.inputs.forEach((name, i) => {
+        const input = new Input(startX, y, scope, 'RIGHT', 1);
+        input.setLabel(name);
+        input.newLabelDirection('LEFT');
+        sources.set(`i${i}`, input.output1);
+        y += 40;
+    });
+    drawConstants(netlist, sources, startX, y, scope);
+    const { right } = drawGates(netlist, sources, startX + 20, startY, scope);
+
+    const channelStart = right + 20;
+    const x = channelStart + netlist.outputs.length * 10 + 30;
+    netlist.outputs.forEach((signal, i) => {
+        const output = new Output(x, startY + i * 40, scope, 'LEFT', 1);
+        output.setLabel(outputNames[i]);
+        output.newLabelDirection('RIGHT');
+        route(sources.get(signal), output.inp1, channelStart + i * 10, scope);
+    });
+    globalScope.centerFocus();
+}
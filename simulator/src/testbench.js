@@ -6,8 +6,13 @@
 import { scheduleBackup } from './data/backupCircuit';
 import { changeClockEnable } from './sequential';
 import { play } from './engine';
+import simulationArea from './simulationArea';
 import Scope from './circuit';
 import { showMessage, escapeHtml } from './utils';
+import {
+    runCases, setCaseInputs, clockCycle, caseResults,
+} from './testbenchCases';
+import { bin2dec } from './node';
 
 /**
  * @typedef {number} RunContext
@@ -27,16 +32,6 @@ const VALIDATION_ERRORS = {
 
 const TESTBENCH_CREATOR_PATH = '/testbench';
 
-// Do we have any other function to do this?
-// Utility function. Converts decimal number to binary string
-function dec2bin(dec, bitWidth = undefined) {
-    if (dec === undefined) return 'X';
-    const bin = (dec >>> 0).toString(2);
-    if (!bitWidth) return bin;
-
-    return '0'.repeat(bitWidth - bin.length) + bin;
-}
-
 /**
  * Class to store all data related to the testbench and functions to use it
  * @param {Object} data - Javascript object of the test data
@@ -397,50 +392,16 @@ export function runAll(data, scope = globalScope) {
     // TestBench will now take over clock toggling
     changeClockEnable(false);
 
-    const { inputs, outputs, reset } = bindIO(data, scope);
-    let totalCases = 0;
-    let passedCases = 0;
-
-    data.groups.forEach((group) => {
-        // for (const output of group.outputs) output.results = [];
-        group.outputs.forEach((output) => output.results = []);
-        for (let case_i = 0; case_i < group.n; case_i++) {
-            totalCases++;
-            // Set and propagate the inputs
-            setInputValues(inputs, group, case_i, scope);
-            // If sequential, trigger clock now
-            if (data.type === 'seq') tickClock(scope);
-            // Get output values
-            const caseResult = getOutputValues(data, outputs);
-            // Put the results in the data
-
-            let casePassed = true; // Tracks if current case passed or failed
-
-            caseResult.forEach((_, outName) => {
-                // TODO: find() is not the best idea because of O(n)
-                const output = group.outputs.find((dataOutput) => dataOutput.label.trim() === outName);
-                output.results.push(caseResult.get(outName));
-
-                if (output.values[case_i] !== caseResult.get(outName)) casePassed = false;
-            });
-
-            // If current case passed, then increment passedCases
-            if (casePassed) passedCases++;
-        }
-
-        // If sequential, trigger reset at the end of group (set)
-        if (data.type === 'seq') triggerReset(reset);
+    const { results, summary } = runCases(data, testedCircuit(data, scope));
+    // Put the results in the data
+    data.groups.forEach((group, groupIndex) => {
+        group.outputs.forEach((output) => output.results = results[groupIndex].get(output.label.trim()));
     });
 
     // Tests done, restart the clocks
     changeClockEnable(true);
 
-    // Return results
-    const results = {};
-    results.detailed = data;
-    results.summary = { passed: passedCases, total: totalCases };
-    // console.log(JSON.stringify(results.detailed));
-    return results;
+    return { detailed: data, summary };
 }
 
 /**
@@ -475,16 +436,16 @@ function runSingleCombinational(testbenchData, scope) {
     const groupIndex = testbenchData.currentGroup;
     const caseIndex = testbenchData.currentCase;
 
-    const { inputs, outputs } = bindIO(data, scope);
+    const circuit = testedCircuit(data, scope);
     const group = data.groups[groupIndex];
 
     // Stop the clocks
     changeClockEnable(false);
 
     // Set input values according to the test
-    setInputValues(inputs, group, caseIndex, scope);
+    setCaseInputs(circuit, group, caseIndex);
     // Check output values
-    const result = getOutputValues(data, outputs);
+    const result = caseResults(data, circuit);
     // Restart the clocks
     changeClockEnable(true);
     return result;
@@ -503,22 +464,22 @@ function runSingleSequential(testbenchData, scope) {
     const groupIndex = testbenchData.currentGroup;
     const caseIndex = testbenchData.currentCase;
 
-    const { inputs, outputs, reset } = bindIO(data, scope);
+    const circuit = testedCircuit(data, scope);
     const group = data.groups[groupIndex];
 
     // Stop the clocks
     changeClockEnable(false);
 
     // Trigger reset
-    triggerReset(reset, scope);
+    circuit.reset();
 
     // Run the test and tests above in the same group
     for (let case_i = 0; case_i <= caseIndex; case_i++) {
-        setInputValues(inputs, group, case_i, scope);
-        tickClock(scope);
+        setCaseInputs(circuit, group, case_i);
+        clockCycle(circuit);
     }
 
-    const result = getOutputValues(data, outputs);
+    const result = caseResults(data, circuit);
 
     // Restart the clocks
     changeClockEnable(true);
@@ -527,37 +488,24 @@ function runSingleSequential(testbenchData, scope) {
 }
 
 /**
- * Set and propogate the input values according to the testcase.
+ * The circuit as runCases() drives it: inputs are set by label and
+ * propagated, outputs are read from their nodes
  * Called by runSingle() and runAll()
- * @param {Object} inputs - Object with keys as input names and values as inputs
- * @param {Object} group - Test group
- * @param {number} caseIndex - Index of the case in the group
+ * @param {Object} data - Object containing the test data
  * @param {Scope} scope - the circuit
  */
-function setInputValues(inputs, group, caseIndex, scope) {
-    group.inputs.forEach((input) => {
-        inputs[input.label.trim()].state = parseInt(input.values[caseIndex], 2);
-    });
-
-    // Propagate inputs
-    play(scope);
-}
-
-/**
- * Gets Output values as a Map with keys as output name and value as output state
- * @param {Object} outputs - Object with keys as output names and values as outputs
- */
-function getOutputValues(data, outputs) {
-    const values = new Map();
-
-    data.groups[0].outputs.forEach((dataOutput) => {
+function testedCircuit(data, scope) {
+    const { inputs, outputs, reset } = bindIO(data, scope);
+    return {
+        setInput: (label, bits) => {
+            inputs[label].state = bin2dec(bits);
+        },
+        settle: () => play(scope),
+        tick: () => tickClock(scope),
         // Using node value because output state only changes on rendering
-        const resultValue = outputs[dataOutput.label.trim()].nodeList[0].value;
-        const resultBW = outputs[dataOutput.label.trim()].nodeList[0].bitWidth;
-        values.set(dataOutput.label.trim(), dec2bin(resultValue, resultBW));
-    });
-
-    return values;
+        output: (label) => outputs[label].nodeList[0],
+        reset: () => triggerReset(reset, scope),
+    };
 }
 
 /**
@@ -831,13 +779,12 @@ function bindIO(data, scope) {
 }
 
 /**
- * Ticks clock recursively one full cycle (Only used in testbench context)
- * @param {Scope} scope - the circuit whose clock to be ticked
+ * Advances the global clock a tick like advanceClock() does (Only used in testbench context)
+ * @param {Scope} scope - the circuit whose clocks are stepped
  */
 function tickClock(scope) {
-    scope.clockTick();
-    play(scope);
-    scope.clockTick();
+    simulationArea.clockTime++;
+    scope.clockStep(simulationArea.clockTime);
     play(scope);
 }
 
@@ -919,7 +866,7 @@ function setUICurrentCase(testbenchData) {
  * UI Function
  * Set the current test case result on the UI
  * @param {Object} data - Object containing the test data
- * @param {Map} result - Map containing the output values (returned by getOutputValues())
+ * @param {Map} result - Map containing the output values (returned by caseResults())
  */
 function setUIResult(testbenchData, result) {
     const data = testbenchData.testData;
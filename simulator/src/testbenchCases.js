@@ -0,0 +1,111 @@
+/* eslint-disable no-bitwise */
+/**
+ * Runs the cases of testbenches. runAll() in testbench.js and the headless
+ * simulator both run them with these functions, they only tell them how to
+ * set an input, let the circuit settle, tick the global clock, read an
+ * output and reset the circuit.
+ *
+ * Every case sets the inputs and lets the circuit settle. A case of a
+ * sequential testbench then runs the global clock a full cycle of a
+ * default clock, and the reset input RST is pulsed after every group.
+ * @category testbenchCases
+ */
+
+import { formatFourState } from './fourState';
+
+/**
+ * Ticks of the global clock per case of a sequential testbench
+ * @type {number}
+ */
+const CYCLE_TICKS = 2;
+
+/**
+ * Result of an output as testbenches write it: binary, with x and z for
+ * unknown bits, or X if the output is not driven at all
+ * @param {Node} node - or anything with value, xMask, zMask and bitWidth
+ * @return {string}
+ */
+function resultString(node) {
+    const {
+        value, xMask, zMask, bitWidth,
+    } = node;
+    if (value === undefined) return 'X';
+    if (xMask || zMask) return formatFourState(value, xMask, zMask, bitWidth);
+    const bin = (typeof value === 'bigint' ? value : value >>> 0).toString(2);
+    return '0'.repeat(Math.max(bitWidth - bin.length, 0)) + bin;
+}
+
+/**
+ * Sets the inputs of a case and lets the circuit settle
+ * @param {Object} circuit - see runCases()
+ * @param {Object} group - of the test data
+ * @param {number} caseIndex
+ * @category testbenchCases
+ */
+export function setCaseInputs(circuit, group, caseIndex) {
+    group.inputs.forEach((input) => circuit.setInput(input.label.trim(), input.values[caseIndex]));
+    circuit.settle();
+}
+
+/**
+ * Runs the global clock a full cycle of a default clock
+ * @param {Object} circuit - see runCases()
+ * @category testbenchCases
+ */
+export function clockCycle(circuit) {
+    for (let i = 0; i < CYCLE_TICKS; i++) circuit.tick();
+}
+
+/**
+ * Results of the outputs of the test data now
+ * @param {Object} data - test data
+ * @param {Object} circuit - see runCases()
+ * @return {Map<string, string>} results keyed by the labels of the outputs
+ * @category testbenchCases
+ */
+export function caseResults(data, circuit) {
+    const results = new Map();
+    data.groups[0].outputs.forEach((dataOutput) => {
+        const label = dataOutput.label.trim();
+        results.set(label, resultString(circuit.output(label)));
+    });
+    return results;
+}
+
+/**
+ * Runs every case of a testbench
+ * @param {Object} data - test data
+ * @param {Object} circuit - the circuit tested
+ * @param {function(string, string)} circuit.setInput - sets an input, by label, to a binary string
+ * @param {function} circuit.settle - propagates the inputs until the circuit settles
+ * @param {function} circuit.tick - advances the global clock a tick and lets the circuit settle
+ * @param {function(string): Node} circuit.output - the node an output reads, by label
+ * @param {function} circuit.reset - pulses the reset input RST
+ * @return {{results: Array<Map<string, string[]>>, summary: {passed: number, total: number}}}
+ * the results of the outputs of every group, keyed by their labels
+ * @category testbenchCases
+ */
+export function runCases(data, circuit) {
+    let passed = 0;
+    let total = 0;
+    const results = data.groups.map((group) => {
+        const groupResults = new Map(group.outputs.map((output) => [output.label.trim(), []]));
+        for (let caseIndex = 0; caseIndex < group.n; caseIndex++) {
+            total++;
+            setCaseInputs(circuit, group, caseIndex);
+            if (data.type === 'seq') clockCycle(circuit);
+
+            let casePassed = true;
+            caseResults(data, circuit).forEach((result, label) => {
+                const output = group.outputs.find((dataOutput) => dataOutput.label.trim() === label);
+                groupResults.get(label).push(result);
+                if (output.values[caseIndex] !== result) casePassed = false;
+            });
+            if (casePassed) passed++;
+        }
+
+        if (data.type === 'seq') circuit.reset();
+        return groupResults;
+    });
+    return { results, summary: { passed, total } };
+}
@@ -0,0 +1,249 @@
+/* eslint-disable import/no-cycle */
+/* eslint-disable no-param-reassign */
+/**
+ * Time travel for sequential circuits. Every few ticks of the clock, before
+ * the tick, the state of the circuit is kept: the values of the nodes and the
+ * fields of the elements an edit does not change, like the state of
+ * flip-flops, the data of memories, the value of counters, the buffers of
+ * keyboards and the plots of flags, with the timing diagram. What did not
+ * change since the tick kept before is shared with it, memories by blocks of
+ * words. Stepping back restores the last tick kept before now and the ticks
+ * after it are forgotten. Ticks kept before the circuit or one of its
+ * subcircuits is edited can not be restored.
+ * @category timeTravel
+ */
+
+import simulationArea from './simulationArea';
+import plotArea from './plotArea';
+import { ELEMENT_FIELDS } from './data/commands';
+import { scopeList } from './circuit';
+import { scheduleUpdate, updateCanvasSet } from './engine';
+import { tickHandlerSet } from './utils';
+
+const MAX_SNAPSHOTS = 256; // Ticks kept at most, the oldest are forgotten
+const PLOT_FIELDS = ['cycleCount', 'unitUsed', 'simulationTime', 'settledTime', 'hazardCount'];
+// Fields that are not the state of the simulation, besides those edits change
+const SKIPPED_FIELDS = ['objectType', 'scope', 'id', 'hover', 'clicked', 'newElement'];
+// Fields only edits change, by type of element
+const CONSTANT_FIELDS = { Rom: ['data'] };
+const BLOCK = 256; // Words of a memory kept together
+
+const isObject = (value) => value !== null && typeof value === 'object';
+const copyState = (value) => (Array.isArray(value) ? value.map(copyState) : value);
+
+/**
+ * Whether words of a memory are as in a block kept before
+ * @param {Array} value
+ * @param {number} start - of the words
+ * @param {number} length - of the words
+ * @param {Array=} block
+ * @return {boolean}
+ */
+function sameWords(value, start, length, block) {
+    if (!block || block.length !== length) return false;
+    for (let i = 0; i < length; i++) {
+        const word = value[start + i];
+        if (Array.isArray(word) ? !sameWords(word, 0, word.length, block[i]) : word !== block[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Whether a field holds the same state as a copy kept before
+ * @param {*} value
+ * @param {*} kept
+ * @return {boolean}
+ */
+function sameState(value, kept) {
+    if (!Array.isArray(value) || !Array.isArray(kept)) return value === kept;
+    return sameWords(value, 0, value.length, kept);
+}
+
+/**
+ * Copy of a field, sharing what did not change since the copy kept before
+ * @param {*} value
+ * @param {*} kept - copy of the field at the tick kept before
+ * @return {*} the value, an array or the blocks of a memory
+ */
+function keepState(value, kept) {
+    if (!Array.isArray(value)) return value;
+    if (value.length <= BLOCK) return sameState(value, kept) ? kept : copyState(value);
+    const blocks = [];
+    for (let start = 0; start < value.length; start += BLOCK) {
+        const block = kept && kept.blocks ? kept.blocks[blocks.length] : undefined;
+        const same = sameWords(value, start, Math.min(BLOCK, value.length - start), block);
+        blocks.push(same ? block : copyState(value.slice(start, start + BLOCK)));
+    }
+    return { blocks };
+}
+
+/**
+ * The field a copy was kept from
+ * @param {*} kept - as returned by keepState()
+ * @return {*}
+ */
+function restoredState(kept) {
+    if (isObject(kept) && kept.blocks) return [].concat(...kept.blocks.map(copyState));
+    return copyState(kept);
+}
+
+/**
+ * Whether a field holds state rather than refers to other objects
+ * @param {*} value
+ * @return {boolean}
+ */
+function isState(value) {
+    if (Array.isArray(value)) return value.every(isState);
+    return !isObject(value) && typeof value !== 'function';
+}
+
+/**
+ * A circuit and the circuits of its subcircuits
+ * @param {Scope} scope
+ * @return {Array<Scope>}
+ */
+function scopesOf(scope) {
+    return [scope, ...scope.SubCircuit.flatMap((subcircuit) => scopesOf(subcircuit.localScope))];
+}
+
+/**
+ * The points of the undo histories a circuit and its subcircuits are at, with
+ * the circuits the subcircuits are made from. They change with every edit.
+ * @param {Scope} scope
+ * @return {Array<Array>} scope and point of each history
+ */
+function editPoint(scope) {
+    const circuits = scopesOf(scope);
+    scope.SubCircuit.forEach(function addSource(subcircuit) {
+        if (scopeList[subcircuit.id]) circuits.push(scopeList[subcircuit.id]);
+        subcircuit.localScope.SubCircuit.forEach(addSource);
+    });
+    return [...new Set(circuits)].map((circuit) => [circuit, circuit.history ? circuit.history.current : undefined]);
+}
+
+/**
+ * Whether no circuit was edited between two points
+ * @param {Array<Array>} edit - as returned by editPoint()
+ * @param {Array<Array>} other
+ * @return {boolean}
+ */
+function sameEdit(edit, other) {
+    return edit.length === other.length && edit.every(([circuit, point], i) => other[i][0] === circuit && other[i][1] === point);
+}
+
+/**
+ * The state of a circuit and its subcircuits now
+ * @param {Scope=} scope
+ * @param {Object=} previous - state kept before, what did not change is shared with it
+ * @return {{clockTime: number, edit: Array, elements: Array, nodes: Array, plot: Object}}
+ * @category timeTravel
+ */
+export function captureState(scope = globalScope, previous = undefined) {
+    const elements = [];
+    const nodes = [];
+    const kept = new Map(previous ? previous.elements : []);
+    scopesOf(scope).forEach((circuit) => {
+        moduleList.forEach((type) => (circuit[type] || []).forEach((element) => {
+            const fields = {};
+            const keptFields = kept.get(element) || {};
+            const constant = CONSTANT_FIELDS[element.objectType] || [];
+            Object.keys(element).forEach((name) => {
+                if (ELEMENT_FIELDS.includes(name) || SKIPPED_FIELDS.includes(name) || constant.includes(name)) return;
+                if (isState(element[name])) fields[name] = keepState(element[name], keptFields[name]);
+            });
+            elements.push([element, fields]);
+        }));
+        circuit.allNodes.forEach((node) => nodes.push([node, node.rawValue, node.xMask, node.zMask]));
+    });
+    const plot = {};
+    PLOT_FIELDS.forEach((name) => {
+        plot[name] = plotArea[name];
+    });
+    return {
+        clockTime: simulationArea.clockTime, edit: editPoint(scope), elements, nodes, plot,
+    };
+}
+
+/**
+ * Puts a circuit back in a state it had, the events queued are dropped
+ * @param {Object} snapshot - as returned by captureState()
+ * @param {Scope=} scope
+ * @category timeTravel
+ */
+export function restoreState(snapshot, scope = globalScope) {
+    if (!sameEdit(editPoint(scope), snapshot.edit)) throw new Error(`The circuit was edited after tick ${snapshot.clockTime}`);
+    snapshot.elements.forEach(([element, fields]) => {
+        Object.entries(fields).forEach(([name, value]) => {
+            element[name] = restoredState(value);
+        });
+    });
+    snapshot.nodes.forEach(([node, value, xMask, zMask]) => {
+        node.rawValue = value;
+        node.xMask = xMask;
+        node.zMask = zMask;
+    });
+    Object.assign(plotArea, snapshot.plot);
+    plotArea.cycleTime = new Date().getTime();
+    simulationArea.clockTime = snapshot.clockTime;
+    simulationArea.simulationQueue.reset();
+    updateCanvasSet(true);
+    scheduleUpdate(0, 20);
+}
+
+/**
+ * Keeps the state of a circuit every few ticks and steps back to them
+ * @category timeTravel
+ */
+export class TimeMachine {
+    /**
+     * @param {Scope=} scope
+     * @param {number=} every - ticks between the states kept
+     */
+    constructor(scope = globalScope, every = 1) {
+        this.scope = scope;
+        this.every = every;
+        this.snapshots = []; // in order of clockTime
+    }
+
+    /**
+     * Starts keeping the state before the ticks
+     */
+    attach() {
+        tickHandlerSet(() => this.record());
+    }
+
+    /**
+     * Stops keeping the state and forgets the states kept
+     */
+    detach() {
+        tickHandlerSet(undefined);
+        this.snapshots = [];
+    }
+
+    /**
+     * Keeps the state now if a tick to keep is next
+     */
+    record() {
+        const { clockTime } = simulationArea;
+        if (clockTime % this.every !== 0) return;
+        const edit = editPoint(this.scope);
+        // Ticks stepped back from are forgotten, and so are the ticks before an edit
+        this.snapshots = this.snapshots.filter((snapshot) => snapshot.clockTime < clockTime && sameEdit(snapshot.edit, edit));
+        this.snapshots.push(captureState(this.scope, this.snapshots[this.snapshots.length - 1]));
+        if (this.snapshots.length > MAX_SNAPSHOTS) this.snapshots.shift();
+    }
+
+    /**
+     * Restores the last tick kept before now
+     * @return {number|undefined} the tick restored, undefined if none is kept
+     */
+    stepBack() {
+        const { clockTime } = simulationArea;
+        const earlier = this.snapshots.filter((snapshot) => snapshot.clockTime < clockTime);
+        if (!earlier.length) return undefined;
+        const snapshot = earlier[earlier.length - 1];
+        restoreState(snapshot, this.scope);
+        this.snapshots = earlier;
+        return snapshot.clockTime;
+    }
+}
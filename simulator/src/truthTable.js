@@ -0,0 +1,262 @@
+/* eslint-disable import/no-cycle */
+/**
+ * Truth tables and Boolean expressions of existing circuits, the reverse of
+ * combinational analysis. Every combination of the input bits is simulated
+ * and every output bit is read back.
+ * @category truthTable
+ */
+
+import { play, errorDetectedGet } from './engine';
+import { formatFourState } from './fourState';
+import { escapeHtml } from './utils';
+import simulationArea from './simulationArea';
+import BooleanMinimize from './quinMcCluskey';
+import {
+    MAX_VARIABLES, portsOf, bitWidthOf, checkCombinational,
+} from './analysisHelpers';
+
+/**
+ * Labeled inputs or outputs among some elements, in the order they are drawn from top to bottom
+ * @param {Scope} scope
+ * @param {Array<CircuitElement>} elements
+ * @param {string} type - Input or Output
+ * @return {Array<CircuitElement>}
+ */
+function sortedPortsOf(scope, elements, type) {
+    return [...portsOf(scope, type, elements).values()].sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Names of the bits of an element, A for a single bit, A3 ... A0 otherwise
+ * @param {CircuitElement} element
+ * @return {Array<string>} most significant bit first
+ */
+function bitNames(element) {
+    const label = element.label.trim();
+    const bitWidth = bitWidthOf(element);
+    if (bitWidth === 1) return [label];
+    return Array.from({ length: bitWidth }, (_, i) => `${label}${bitWidth - 1 - i}`);
+}
+
+/**
+ * Simulates a circuit for every combination of its inputs
+ * @param {Scope=} scope - the circuit
+ * @param {Array<CircuitElement>=} elements - only the inputs and outputs
+ * among these, all of the circuit by default. Other inputs keep their values.
+ * @return {{variables: Array<string>, outputs: Array<{name: string, values: Array}>}}
+ * values[row] is 0, 1 or 'x' for an unknown or undriven bit. The first
+ * variable is the most significant bit of the row number.
+ * @category truthTable
+ */
+export function tabulateCircuit(scope = globalScope, elements = [...scope.Input, ...scope.Output]) {
+    checkCombinational(scope);
+    const inputs = sortedPortsOf(scope, elements, 'Input');
+    const outputs = sortedPortsOf(scope, elements, 'Output');
+    if (!inputs.length || !outputs.length) throw new Error('At least one labeled Input and Output are needed');
+    const variables = inputs.flatMap(bitNames);
+    if (variables.length > MAX_VARIABLES) {
+        throw new Error(`Truth tables can have at most ${MAX_VARIABLES} input bits, there are ${variables.length}`);
+    }
+    const names = outputs.flatMap(bitNames);
+    const values = names.map(() => []);
+    const saved = inputs.map((input) => input.state);
+    try {
+        for (let row = 0; row < 2 ** variables.length; row++) {
+            let shift = 0;
+            for (let i = inputs.length - 1; i >= 0; i--) {
+                const bitWidth = bitWidthOf(inputs[i]);
+                inputs[i].state = Math.floor(row / (2 ** shift)) % (2 ** bitWidth);
+                shift += bitWidth;
+            }
+            play(scope);
+            if (errorDetectedGet()) throw new Error('The simulation stopped with an error');
+            let bit = 0;
+            outputs.forEach(({ inp1 }) => {
+                const text = formatFourState(inp1.value, inp1.xMask || 0, inp1.zMask || 0, bitWidthOf(inp1));
+                for (let i = 0; i < text.length; i++) {
+                    values[bit++].push(text[i] === '0' || text[i] === '1' ? Number(text[i]) : 'x');
+                }
+            });
+        }
+    } finally {
+        for (let i = 0; i < inputs.length; i++) {
+            inputs[i].state = saved[i];
+        }
+        play(scope);
+        if (globalScope !== scope) play();
+    }
+    return { variables, outputs: names.map((name, i) => ({ name, values: values[i] })) };
+}
+
+/**
+ * Joins literals into a product, side by side for single letters
+ * @param {Array<string>} literals
+ * @param {Array<string>} variables
+ * @return {string}
+ */
+function product(literals, variables) {
+    const letters = variables.every((variable) => variable.length === 1);
+    return literals.join(letters ? '' : '*');
+}
+
+/**
+ * Product of the literals in an implicant
+ * @param {string} implicant - one of 0, 1 and - per variable, as BooleanMinimize gives it
+ * @param {Array<string>} variables
+ * @return {string}
+ * @category truthTable
+ */
+export function implicantToProduct(implicant, variables) {
+    const literals = [];
+    for (let i = 0; i < implicant.length; i++) {
+        if (implicant[i] === '1') literals.push(variables[i]);
+        else if (implicant[i] === '0') literals.push(`${variables[i]}'`);
+    }
+    return literals.length ? product(literals, variables) : '1';
+}
+
+/**
+ * Rows of a table with a value
+ * @param {Array} values
+ * @param {number|string} value
+ * @return {Array<number>}
+ */
+function rowsWith(values, value) {
+    return values.reduce((rows, v, row) => (v === value ? [...rows, row] : rows), []);
+}
+
+/**
+ * Row number as a string of 0 and 1, one per variable
+ */
+function rowBits(row, variables) {
+    return row.toString(2).padStart(variables.length, '0');
+}
+
+/**
+ * Canonical sum of products, one minterm per row that is 1
+ * @param {Array<string>} variables
+ * @param {Array} values - 0, 1 or 'x' per row
+ * @return {string}
+ * @category truthTable
+ */
+export function canonicalSOP(variables, values) {
+    const minterms = rowsWith(values, 1);
+    if (!minterms.length) return '0';
+    return minterms.map((row) => implicantToProduct(rowBits(row, variables), variables)).join(' + ');
+}
+
+/**
+ * Canonical product of sums, one maxterm per row that is 0
+ * @param {Array<string>} variables
+ * @param {Array} values - 0, 1 or 'x' per row
+ * @return {string}
+ * @category truthTable
+ */
+export function canonicalPOS(variables, values) {
+    const maxterms = rowsWith(values, 0);
+    if (!maxterms.length) return '1';
+    const sums = maxterms.map((row) => {
+        const bits = rowBits(row, variables);
+        const literals = variables.map((variable, i) => (bits[i] === '1' ? `${variable}'` : variable));
+        return `(${literals.join(' + ')})`;
+    });
+    return product(sums, variables);
+}
+
+/**
+ * Minimal sum of products, rows that are x do not matter
+ * @param {Array<string>} variables
+ * @param {Array} values - 0, 1 or 'x' per row
+ * @return {Array<string>} implicants as BooleanMinimize gives them, ['-...-']
+ * for a constant 1 and none for a constant 0
+ * @category truthTable
+ */
+export function minimizeTable(variables, values) {
+    const minterms = rowsWith(values, 1);
+    if (!minterms.length) return [];
+    if (!rowsWith(values, 0).length) return ['-'.repeat(variables.length)];
+    return new BooleanMinimize(variables.length, minterms, rowsWith(values, 'x')).result;
+}
+
+/**
+ * Minimal sum of products as an expression
+ * @param {Array<string>} variables
+ * @param {Array} values - 0, 1 or 'x' per row
+ * @return {string}
+ * @category truthTable
+ */
+export function minimizedSOP(variables, values) {
+    const implicants = minimizeTable(variables, values);
+    if (!implicants.length) return '0';
+    return implicants.map((implicant) => implicantToProduct(implicant, variables)).join(' + ');
+}
+
+/**
+ * Inputs and outputs among the selected elements
+ * @return {Array<CircuitElement>}
+ */
+function selectedPorts() {
+    return simulationArea.multipleObjectSelections
+        .filter((element) => element.objectType === 'Input' || element.objectType === 'Output');
+}
+
+/**
+ * Options to analyse the selection or a circuit of the project
+ * @param {Object} scopes - circuits keyed by id
+ * @return {string}
+ * @category truthTable
+ */
+export function analysisSourceOptions(scopes) {
+    const selection = selectedPorts().length ? '<option value="selection">Selection</option>' : '';
+    return selection + Object.keys(scopes)
+        .map((id) => `<option value="${id}"${scopes[id] === globalScope ? ' selected' : ''}>${escapeHtml(scopes[id].name)}</option>`)
+        .join('');
+}
+
+/**
+ * Shows the truth table and expressions of a circuit in the combinational
+ * analysis dialog
+ * @param {Scope} scope - the circuit
+ * @param {boolean=} selection - only the selected inputs and outputs of the circuit
+ * @category truthTable
+ */
+export function showCircuitAnalysis(scope, selection = false) {
+    let table;
+    try {
+        table = tabulateCircuit(scope, selection ? selectedPorts() : undefined);
+    } catch (err) {
+        $('#analysisError').text(err.message);
+        return;
+    }
+    const { variables, outputs } = table;
+    const header = [...variables, ...outputs.map(({ name }) => name)].map((name) => `<th>${escapeHtml(name)}</th>`).join('');
+    const rows = outputs[0].values.map((_, row) => {
+        const cells = [...rowBits(row, variables), ...outputs.map(({ values }) => values[row])];
+        return `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`;
+    });
+    const expressions = outputs.map(({ name, values }) => `<p><b>${escapeHtml(name)}</b><br>
+        Sum of products: <code>${escapeHtml(canonicalSOP(variables, values))}</code><br>
+        Product of sums: <code>${escapeHtml(canonicalPOS(variables, values))}</code><br>
+        Minimized: <code>${escapeHtml(minimizedSOP(variables, values))}</code></p>`);
+    $('#combinationalAnalysis').empty();
+    $('#combinationalAnalysis').append(`<div style="display:flex; gap:20px; max-height:70vh">
+        <table class="content-table" style="display:block; overflow-y:scroll">
+        <tr>${header}</tr>
+        ${rows.join('')}
+        </table>
+        <div style="max-width:400px; overflow-y:auto; overflow-wrap:anywhere">${expressions.join('')}</div>
+        </div>`);
+    $('#combinationalAnalysis').dialog({
+        resizable: false,
+        width: 'auto',
+        buttons: [
+            {
+                style: 'padding: 6px',
+                text: 'Close',
+                click() {
+                    $(this).dialog('close');
+                },
+            },
+        ],
+    });
+}
@@ -29,13 +29,39 @@ export function stripTags(string = '') {
 }
 
 
+/**
+ * Called before every tick of the clock, while the circuit is settled from
+ * the tick before (see timeTravel.js)
+ * @type {function|undefined}
+ */
+let tickHandler;
+
+/**
+ * used to set tickHandler
+ * @param {function|undefined} param
+ * @category utils
+ */
+export function tickHandlerSet(param) {
+    tickHandler = param;
+}
+
+/**
+ * Moves the clocks on by one tick without simulating the circuit
+ * @category utils
+ */
+export function advanceClock() {
+    if (tickHandler) tickHandler();
+    updateCanvasSet(true);
+    simulationArea.clockTime++;
+    globalScope.clockStep(simulationArea.clockTime);
+    plotArea.nextCycle();
+}
+
 export function clockTick() {
     if (!simulationArea.clockEnabled) return;
     if (errorDetectedGet()) return;
     if (layoutModeGet()) return;
-    updateCanvasSet(true);
-    globalScope.clockTick();
-    plotArea.nextCycle();
+    advanceClock();
     play();
     scheduleUpdate(0, 20);
 }
@@ -241,11 +267,11 @@ export var convertors = {
     dec2bin: x => "0b" + x.toString(2),
     dec2hex: x => "0x" + x.toString(16),
     dec2octal: x => "0" + x.toString(8),
-    dec2bcd: x => parseInt(x.toString(10), 16).toString(2),
+    dec2bcd: x => (x >= 0 ? BigInt("0x" + x.toString(10)) : parseInt(x.toString(10), 16)).toString(2),
 }
 
 export function setBaseValues(x) {
-    if (isNaN(x)) return;
+    if (typeof x !== 'bigint' && isNaN(x)) return;
     $("#binaryInput").val(convertors.dec2bin(x));
     $("#bcdInput").val(convertors.dec2bcd(x));
     $("#octalInput").val(convertors.dec2octal(x));
@@ -253,20 +279,38 @@ export function setBaseValues(x) {
     $("#decimalInput").val(x);
 }
 
+/**
+ * parseInt that keeps full precision for large numbers,
+ * values beyond Number.MAX_SAFE_INTEGER are returned as BigInt
+ * @param {string} str - digits to be parsed
+ * @param {number} base - 2, 8, 10 or 16
+ * @return {number|bigint}
+ */
+export function parseBigNumber(str, base = 10) {
+    var x = parseInt(str, base);
+    if (isNaN(x) || Number.isSafeInteger(x)) return x;
+    var prefix = { 2: '0b', 8: '0o', 10: '', 16: '0x' }[base];
+    try {
+        return BigInt(prefix + str.trim());
+    } catch (e) {
+        return x;
+    }
+}
+
 export function parseNumber(num) {
     if (num instanceof Number) return num;
     if (num.slice(0, 2).toLocaleLowerCase() == '0b')
-        return parseInt(num.slice(2), 2);
+        return parseBigNumber(num.slice(2), 2);
     if (num.slice(0, 2).toLocaleLowerCase() == '0x')
-        return parseInt(num.slice(2), 16);
+        return parseBigNumber(num.slice(2), 16);
     if (num.slice(0, 1).toLocaleLowerCase() == '0')
-        return parseInt(num, 8);
-    return parseInt(num);
+        return parseBigNumber(num, 8);
+    return parseBigNumber(num);
 }
 
 export function setupBitConvertor() {
     $("#decimalInput").on('keyup', function () {
-        var x = parseInt($("#decimalInput").val(), 10);
+        var x = parseBigNumber($("#decimalInput").val(), 10);
         setBaseValues(x);
     })
 
@@ -274,9 +318,9 @@ export function setupBitConvertor() {
         var inp = $("#binaryInput").val();
         var x;
         if (inp.slice(0, 2) == '0b')
-            x = parseInt(inp.slice(2), 2);
+            x = parseBigNumber(inp.slice(2), 2);
         else
-            x = parseInt(inp, 2);
+            x = parseBigNumber(inp, 2);
         setBaseValues(x);
     })
     $("#bcdInput").on('keyup', function () {
@@ -299,12 +343,12 @@ export function setupBitConvertor() {
     })
 
     $("#hexInput").on('keyup', function () {
-        var x = parseInt($("#hexInput").val(), 16);
+        var x = parseBigNumber($("#hexInput").val(), 16);
         setBaseValues(x);
     })
 
     $("#octalInput").on('keyup', function () {
-        var x = parseInt($("#octalInput").val(), 8);
+        var x = parseBigNumber($("#octalInput").val(), 8);
         setBaseValues(x);
     })
 }
@@ -24,6 +24,8 @@ import { setupBitConvertor} from './utils';
 import { currentScreen } from './listeners';
 import { updateTestbenchUI, setupTestbenchUI } from './testbench';
 import { applyVerilogTheme } from './Verilog2CV';
+import { MAX_BITWIDTH } from './wideValue';
+import { beginCommand, endCommand, trackCommand } from './data/commands';
 
 export const uxvar = {
     smartDropXX: 50,
@@ -336,6 +338,7 @@ export function showProperties(obj) {
         $(moduleProperty.modulePropertyInner).append(`<p><span>Clock Time (ms):</span> <input class='objectPropertyAttribute' min='50' type='number' style='width:100px' step='10' name='changeClockTime'  value='${simulationArea.timePeriod}' aria-label='clock time'></p>`);
         $(moduleProperty.modulePropertyInner).append(`<p><span>Clock Enabled:</span> <label class='switch'> <input type='checkbox' ${['', 'checked'][simulationArea.clockEnabled + 0]} class='objectPropertyAttributeChecked' name='changeClockEnable' aria-label='clock enabled'> <span class='slider'></span></label></p>`);
         $(moduleProperty.modulePropertyInner).append(`<p><span>Lite Mode:</span> <label class='switch'> <input type='checkbox' ${['', 'checked'][lightMode + 0]} class='objectPropertyAttributeChecked' name='changeLightMode' aria-label='lite mode'> <span class='slider'></span> </label></p>`);
+        $(moduleProperty.modulePropertyInner).append(`<p><span>Registers Start as X:</span> <label class='switch'> <input type='checkbox' ${['', 'checked'][globalScope.unknownPowerUp + 0]} class='objectPropertyAttributeChecked' name='changeUnknownPowerUp' aria-label='registers start as x'> <span class='slider'></span></label></p>`);
         $(moduleProperty.modulePropertyInner).append("<p><button type='button' class='objectPropertyAttributeChecked btn btn-xs custom-btn--primary' name='toggleLayoutMode' >Edit Layout</button><button type='button' class='objectPropertyAttributeChecked btn btn-xs custom-btn--tertiary' name='deleteCurrentCircuit' >Delete Circuit</button> </p>");
         // $('#moduleProperty-inner').append("<p>  ");
     } else {
@@ -343,7 +346,7 @@ export function showProperties(obj) {
 
         $(moduleProperty.modulePropertyInner).append(`<div class='moduleProperty-header'>${obj.objectType}</div>`);
         // $('#moduleProperty').append("<input type='range' name='points' min='1' max='32' value="+obj.bitWidth+">");
-        if (!obj.fixedBitWidth) { $(moduleProperty.modulePropertyInner).append(`<p><span>BitWidth:</span> <input class='objectPropertyAttribute' type='number'  name='newBitWidth' min='1' max='32' value=${obj.bitWidth} aria-label='bitwidth'></p>`); }
+        if (!obj.fixedBitWidth) { $(moduleProperty.modulePropertyInner).append(`<p><span>BitWidth:</span> <input class='objectPropertyAttribute' type='number'  name='newBitWidth' min='1' max='${MAX_BITWIDTH}' value=${obj.bitWidth} aria-label='bitwidth'></p>`); }
 
         if (obj.changeInputSize) { $(moduleProperty.modulePropertyInner).append(`<p><span>Input Size:</span> <input class='objectPropertyAttribute' type='number'  name='changeInputSize' min='2' max='10' value=${obj.inputSize} aria-label='InputSize'></p>`); }
 
@@ -400,7 +403,7 @@ export function showProperties(obj) {
     function checkValidBitWidth() {
         const selector = $("[name='newBitWidth']");
         if (selector === undefined
-            || selector.val() > 32
+            || selector.val() > MAX_BITWIDTH
             || selector.val() < 1
             || !$.isNumeric(selector.val())) {
             // fallback to previously saves state
@@ -420,7 +423,8 @@ export function showProperties(obj) {
             value = parseFloat(value);
         }
         if (simulationArea.lastSelected && simulationArea.lastSelected[this.name]) {
-            simulationArea.lastSelected[this.name](value);
+            const element = simulationArea.lastSelected;
+            trackCommand('property', () => element[this.name](value), globalScope, { element, property: this.name });
             // Commented out due to property menu refresh bug
             // prevPropertyObjSet(simulationArea.lastSelected[this.name](this.value)) || prevPropertyObjGet();
         } else {
@@ -434,7 +438,8 @@ export function showProperties(obj) {
         updateCanvasSet(true);
         wireToBeCheckedSet(1);
         if (simulationArea.lastSelected && simulationArea.lastSelected[this.name]) {
-            simulationArea.lastSelected[this.name](this.value);
+            const element = simulationArea.lastSelected;
+            trackCommand('property', () => element[this.name](this.value), globalScope, { element, property: this.name });
             // Commented out due to property menu refresh bug
             // prevPropertyObjSet(simulationArea.lastSelected[this.name](this.value)) || prevPropertyObjGet();
         } else {
@@ -448,7 +453,8 @@ export function showProperties(obj) {
         updateCanvasSet(true);
         wireToBeCheckedSet(1);
         if (simulationArea.lastSelected && simulationArea.lastSelected[this.name]) {
-            simulationArea.lastSelected[this.name](this.value);
+            const element = simulationArea.lastSelected;
+            trackCommand('property', () => element[this.name](this.value), globalScope, { element, property: this.name });
             // Commented out due to property menu refresh bug
             // prevPropertyObjSet(simulationArea.lastSelected[this.name](this.value)) || prevPropertyObjGet();
         } else {
@@ -487,6 +493,7 @@ export function escapeHtml(unsafe) {
 }
 
 export function deleteSelected() {
+    beginCommand('delete');
     if (simulationArea.lastSelected && !(simulationArea.lastSelected.objectType === 'Node' && simulationArea.lastSelected.type !== 2)) {
         simulationArea.lastSelected.delete();
     }
@@ -499,6 +506,7 @@ export function deleteSelected() {
     simulationArea.multipleObjectSelections = [];
     simulationArea.lastSelected = undefined;
     showProperties(simulationArea.lastSelected);
+    endCommand();
     // Updated restricted elements
     updateCanvasSet(true);
     scheduleUpdate();
@@ -0,0 +1,256 @@
+/* eslint-disable no-bitwise */
+/**
+ * Value Change Dump (IEEE 1364 section 18) of the waveforms recorded by
+ * Flags, for viewers like GTKWave, and reading of dumps written by other
+ * tools to drive inputs (see stimulus.js).
+ *
+ * Every circuit becomes a module scope holding a wire per Flag, subcircuits
+ * become nested scopes. Flags record their time in clock cycles, it is
+ * written in simulation units (see plotArea.cycleUnit), one unit per tick
+ * of the timescale. Bits the Flag recorded as X or Z are dumped as x and z,
+ * undefined values as x.
+ * @category vcd
+ */
+
+import { toBigInt, toBitWidth } from './wideValue';
+import { formatFourState } from './fourState';
+
+/**
+ * Identifier codes are made of the printable ASCII characters ! to ~
+ */
+const FIRST_CODE = 33;
+const CODE_COUNT = 94;
+
+/**
+ * Short identifier code of the n-th variable: !, ", ..., ~, !!, "!, ...
+ * @param {number} n
+ * @return {string}
+ */
+function identifierCode(n) {
+    let code = '';
+    let rest = n;
+    do {
+        code += String.fromCharCode(FIRST_CODE + (rest % CODE_COUNT));
+        rest = Math.floor(rest / CODE_COUNT) - 1;
+    } while (rest >= 0);
+    return code;
+}
+
+/**
+ * Scope or variable name without whitespace
+ * @param {string} name
+ * @param {string} fallback - used if the name is empty
+ * @return {string}
+ */
+function vcdName(name, fallback) {
+    const trimmed = String(name || '').trim();
+    return trimmed ? trimmed.replace(/\s+/g, '_') : fallback;
+}
+
+/**
+ * Value change of a variable
+ * @param {Object} variable
+ * @param {Array=} entry - [time, value, xMask, zMask] as the Flag plotted it, masks only if some bits are unknown
+ * @return {string}
+ */
+function valueChange(variable, entry = []) {
+    const [, value, xMask, zMask] = entry;
+    let bits;
+    if (value === undefined) bits = 'x';
+    else if (xMask || zMask) bits = formatFourState(value, xMask, zMask, variable.bitWidth);
+    else bits = toBigInt(value).toString(2);
+    if (variable.bitWidth === 1) return `${bits.slice(-1)}${variable.code}`;
+    return `b${bits} ${variable.code}`;
+}
+
+/**
+ * Builds the scope tree of a circuit, leaving out subcircuits without flags
+ * @param {Scope} scope
+ * @param {string} name
+ * @param {Array} variables - every variable is appended to it
+ * @return {Object|undefined} {name, variables, children} or undefined without flags
+ */
+function scopeTree(scope, name, variables) {
+    const own = (scope.Flag || []).map((flag) => {
+        const variable = {
+            code: identifierCode(variables.length),
+            name: vcdName(flag.identifier, `flag_${variables.length}`),
+            bitWidth: flag.bitWidth,
+            plotValues: flag.plotValues || [],
+        };
+        variables.push(variable);
+        return variable;
+    });
+    const children = (scope.SubCircuit || [])
+        .map((subcircuit, i) => scopeTree(
+            subcircuit.localScope,
+            vcdName(subcircuit.label, `${vcdName(subcircuit.localScope.name, 'subcircuit')}_${i}`),
+            variables,
+        ))
+        .filter((child) => child);
+    if (!own.length && !children.length) return undefined;
+    return { name, variables: own, children };
+}
+
+/**
+ * Declarations of a scope and its children
+ * @param {Object} tree
+ * @param {string[]} lines
+ */
+function declare(tree, lines) {
+    lines.push(`$scope module ${tree.name} $end`);
+    tree.variables.forEach((variable) => {
+        const range = variable.bitWidth > 1 ? ` [${variable.bitWidth - 1}:0]` : '';
+        lines.push(`$var wire ${variable.bitWidth} ${variable.code} ${variable.name}${range} $end`);
+    });
+    tree.children.forEach((child) => declare(child, lines));
+    lines.push('$upscope $end');
+}
+
+/**
+ * Value change dump of every Flag in a circuit and its subcircuits
+ * @param {Scope} scope - top level circuit
+ * @param {Object=} options
+ * @param {number=} options.cycleUnit - simulation units per clock cycle
+ * @param {string=} options.timescale - length of a simulation unit
+ * @param {Date=} options.date
+ * @return {string}
+ * @category vcd
+ */
+export function generateVCD(scope, { cycleUnit = 1000, timescale = '1ns', date = new Date() } = {}) {
+    const variables = [];
+    const tree = scopeTree(scope, vcdName(scope.name, 'main'), variables);
+    const lines = [
+        '$date', `\t${date.toUTCString()}`, '$end',
+        '$version', '\tCircuitVerse', '$end',
+        `$timescale ${timescale} $end`,
+    ];
+    if (tree) declare(tree, lines);
+    lines.push('$enddefinitions $end');
+
+    // Last value of every variable at each time
+    const changes = new Map();
+    variables.forEach((variable) => {
+        variable.plotValues.forEach((entry) => {
+            const unit = Math.max(0, Math.round(entry[0] * cycleUnit));
+            if (!changes.has(unit)) changes.set(unit, new Map());
+            changes.get(unit).set(variable, entry);
+        });
+    });
+
+    // Initial values, variables without any recorded value are unknown
+    const initial = changes.get(0) || new Map();
+    changes.delete(0);
+    const current = new Map();
+    lines.push('#0', '$dumpvars');
+    variables.forEach((variable) => {
+        const change = valueChange(variable, initial.get(variable));
+        current.set(variable, change);
+        lines.push(change);
+    });
+    lines.push('$end');
+
+    [...changes.keys()].sort((a, b) => a - b).forEach((unit) => {
+        const dumped = [];
+        changes.get(unit).forEach((entry, variable) => {
+            const change = valueChange(variable, entry);
+            if (current.get(variable) === change) return;
+            current.set(variable, change);
+            dumped.push(change);
+        });
+        if (dumped.length) lines.push(`#${unit}`, ...dumped);
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Keywords whose content up to $end is not needed
+ */
+const SKIPPED_SECTIONS = ['$comment', '$date', '$version'];
+
+/**
+ * Value of a scalar or vector change, undefined if any bit is x or z
+ * @param {string} bits
+ * @param {number} bitWidth
+ * @return {number|bigint|undefined}
+ */
+function readBits(bits, bitWidth) {
+    if (!/^[01]+$/.test(bits)) {
+        if (/^[01xz]+$/i.test(bits)) return undefined;
+        throw new Error(`Invalid VCD value ${bits}`);
+    }
+    return toBitWidth(BigInt(`0b${bits}`), bitWidth);
+}
+
+/**
+ * Reads the signals of a value change dump
+ * @param {string} text
+ * @return {{timescale: string, signals: Array<{name: string, scope: string, bitWidth: number, changes: Array}>}}
+ * every signal lists its changes as [time, value] pairs in time order, time
+ * in ticks of the timescale and value undefined for x and z
+ * @category vcd
+ */
+export function parseVCD(text) {
+    const tokens = text.split(/\s+/).filter((token) => token);
+    const signals = [];
+    const byCode = new Map();
+    const scopes = [];
+    let timescale = '1ns';
+    let time = 0;
+    let i = 0;
+
+    // Tokens up to the next $end
+    const section = () => {
+        const start = i;
+        while (i < tokens.length && tokens[i] !== '$end') i++;
+        if (i === tokens.length) throw new Error('Unterminated VCD section');
+        return tokens.slice(start, i++);
+    };
+    const change = (code, bits) => {
+        const variables = byCode.get(code);
+        if (!variables) throw new Error(`Unknown VCD identifier code ${code}`);
+        variables.forEach((signal) => {
+            const value = readBits(bits, signal.bitWidth);
+            // A later change at the same time replaces the earlier one
+            if (signal.changes.length && signal.changes[signal.changes.length - 1][0] === time) signal.changes.pop();
+            const last = signal.changes[signal.changes.length - 1];
+            if (last && last[1] === value) return;
+            signal.changes.push([time, value]);
+        });
+    };
+
+    while (i < tokens.length) {
+        const token = tokens[i++];
+        if (token === '$timescale') {
+            timescale = section().join('');
+        } else if (token === '$scope') {
+            scopes.push(section()[1]);
+        } else if (token === '$upscope') {
+            section();
+            scopes.pop();
+        } else if (token === '$var') {
+            const [, size, code, name] = section();
+            const signal = {
+                name, scope: scopes.join('.'), bitWidth: parseInt(size, 10), changes: [],
+            };
+            signals.push(signal);
+            if (!byCode.has(code)) byCode.set(code, []);
+            byCode.get(code).push(signal);
+        } else if (SKIPPED_SECTIONS.includes(token)) {
+            section();
+        } else if (token[0] === '#') {
+            time = Number(token.slice(1));
+            if (!Number.isFinite(time)) throw new Error(`Invalid VCD time ${token}`);
+        } else if (token[0] === 'b' || token[0] === 'B') {
+            change(tokens[i++], token.slice(1));
+        } else if (token[0] === 'r' || token[0] === 'R') {
+            // Real values can not drive inputs
+            i++;
+        } else if (/^[01xz]/i.test(token)) {
+            change(token.slice(1), token[0]);
+        }
+        // $enddefinitions, $dumpvars, $dumpall, $dumpon, $dumpoff and their $end need no handling
+    }
+    if (!signals.length) throw new Error('No signals found in VCD file');
+    return { timescale, signals };
+}
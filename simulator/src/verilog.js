@@ -167,8 +167,15 @@ export var verilog = {
         return output;
     },
     generateTestBenchCode: function(DUTs) {
-        if(DUTs.length == 0)return "";
-        var output = "// Sample Testbench Code - Uncomment to use\n";
+        var output = "";
+        // Circuits with test data get a testbench that runs it
+        for (var i = 0; i < DUTs.length; i++) {
+            if (DUTs[i].testbenchData)
+                output += this.generateSelfCheckingTestBench(DUTs[i], i);
+        }
+        var sampleDUTs = DUTs.filter(DUT => !DUT.testbenchData);
+        if(sampleDUTs.length == 0)return output;
+        output += "// Sample Testbench Code - Uncomment to use\n";
 
         output += "\n/*\n";
         output += "module TestBench();\n";
@@ -183,8 +190,8 @@ export var verilog = {
         var inputs = new Set();
         var outputs = new Set();
         var deviceInstantiations = "";
-        for(var i = 0; i < DUTs.length; i++) {
-            var DUT = DUTs[i];
+        for(var i = 0; i < sampleDUTs.length; i++) {
+            var DUT = sampleDUTs[i];
             for(var j = 0;j < DUT.Input.length; j++){
                 var inp = DUT.Input[j];
                 registers[inp.bitWidth].add(inp.label);
@@ -268,6 +275,92 @@ export var verilog = {
 
         return output;
     },
+    /*
+        Testbench that runs the test data attached to a circuit the way runAll()
+        does and prints the same pass count. Sequential tests tick every clock
+        of the circuit after setting the inputs of a case, and pulse RST at the
+        end of every group.
+    */
+    generateSelfCheckingTestBench: function(DUT, index) {
+        var data = DUT.testbenchData.testData;
+        var find = (elements, label) => elements.find(element =>
+            element.label.trim() === label.trim() || element.label === sanitizeLabel(label.trim()));
+        var testInputs = data.groups[0].inputs.map(input => ({ label: input.label, element: find(DUT.Input, input.label) }));
+        var testOutputs = data.groups[0].outputs.map(output => ({ label: output.label, element: find(DUT.Output, output.label) }));
+        var missing = [...testInputs, ...testOutputs].find(io => io.element === undefined);
+        if (missing)
+            return `// No testbench for ${DUT.name}: ${missing.label.trim()} is not in the circuit\n\n`;
+        var reset = data.type === "seq" ? find(DUT.Input, "RST") : undefined;
+        var name = element => sanitizeLabel(element.label);
+        var range = bitWidth => (bitWidth == 1 ? "" : ` [${bitWidth - 1}:0]`);
+        var literal = (bitWidth, value) => `${bitWidth}'b${value}`;
+
+        var output = `// Testbench generated from the test data of ${DUT.name}\n`;
+        output += `module TestBench${index}();\n`;
+        for (var i = 0; i < DUT.Input.length; i++)
+            output += `${sp(1)}reg${range(DUT.Input[i].bitWidth)} ${name(DUT.Input[i])};\n`;
+        for (var i = 0; i < DUT.Clock.length; i++)
+            output += `${sp(1)}reg ${name(DUT.Clock[i])};\n`;
+        for (var i = 0; i < DUT.Output.length; i++)
+            output += `${sp(1)}wire${range(DUT.Output[i].bitWidth)} ${name(DUT.Output[i])};\n`;
+        output += `${sp(1)}integer passed, total;\n\n`;
+        output += `${sp(1)}${sanitizeLabel(DUT.name)} DUT${index}${this.generateHeaderHelper(DUT)}\n`;
+
+        output += `${sp(1)}initial begin\n`;
+        output += `${sp(2)}passed = 0;\n`;
+        output += `${sp(2)}total = 0;\n`;
+        // Inputs the test does not set keep the value they have in the circuit
+        for (var i = 0; i < DUT.Input.length; i++)
+            output += `${sp(2)}${name(DUT.Input[i])} = ${DUT.Input[i].bitWidth}'d${DUT.Input[i].state || 0};\n`;
+        for (var i = 0; i < DUT.Clock.length; i++)
+            output += `${sp(2)}${name(DUT.Clock[i])} = 1'b${DUT.Clock[i].state || 0};\n`;
+        output += `${sp(2)}#10;\n`;
+
+        data.groups.forEach((group) => {
+            output += `\n${sp(2)}// ${group.label}\n`;
+            for (var caseIndex = 0; caseIndex < group.n; caseIndex++) {
+                group.inputs.forEach((input) => {
+                    var { element } = testInputs.find(io => io.label.trim() === input.label.trim());
+                    output += `${sp(2)}${name(element)} = ${literal(input.bitWidth, input.values[caseIndex])};\n`;
+                });
+                output += `${sp(2)}#10;\n`;
+                if (data.type === "seq") {
+                    // One full cycle, like tickClock()
+                    for (var edge = 0; edge < 2; edge++) {
+                        DUT.Clock.forEach((clock) => {
+                            output += `${sp(2)}${name(clock)} = ~${name(clock)};\n`;
+                        });
+                        output += `${sp(2)}#10;\n`;
+                    }
+                }
+                var checks = group.outputs.map((out) => ({
+                    element: testOutputs.find(io => io.label.trim() === out.label.trim()).element,
+                    label: verilogString(out.label.trim()),
+                    expected: out.values[caseIndex],
+                }));
+                var actual = checks.map(check => name(check.element)).join(", ");
+                var expected = checks.map(check => literal(check.element.bitWidth, check.expected)).join(", ");
+                var message = checks.map(check => `${check.label} = %b (expected ${check.expected})`).join(", ");
+                output += `${sp(2)}total = total + 1;\n`;
+                output += `${sp(2)}if ({${actual}} === {${expected}})\n`;
+                output += `${sp(3)}passed = passed + 1;\n`;
+                output += `${sp(2)}else\n`;
+                output += `${sp(3)}$display("${verilogString(group.label)}, case ${caseIndex + 1} failed: ${message}", ${actual});\n`;
+            }
+            // Like triggerReset() at the end of a group
+            if (reset) {
+                output += `${sp(2)}${name(reset)} = 1'b1;\n`;
+                output += `${sp(2)}#10;\n`;
+                output += `${sp(2)}${name(reset)} = 1'b0;\n`;
+                output += `${sp(2)}#10;\n`;
+            }
+        });
+
+        output += `\n${sp(2)}$display("${verilogString(DUT.name)}: %0d out of %0d cases passed", passed, total);\n`;
+        output += `${sp(1)}end\n`;
+        output += "endmodule\n\n";
+        return output;
+    },
     // Recursive DFS function
     exportVerilogScope: function(id,visited,dependencyList, elementTypesUsed){
         // Already Visited
@@ -519,6 +612,13 @@ function sp(indentation) {
     return " ".repeat(indentation * 2);
 }
 
+/*
+    Helper function to put text in a $display format string
+*/
+function verilogString(text) {
+    return text.replace(/[\\"]/g, "\\$&").replace(/%/g, "%%");
+}
+
 /*
     Helper function to indent paragraph
 */
@@ -0,0 +1,1631 @@
+/* eslint-disable max-classes-per-file */
+/* eslint-disable no-bitwise */
+/**
+ * Built-in synthesizer for a subset of Verilog, used when the Yosys server
+ * can not be reached. It builds the same netlist JSON the server returns
+ * (see YosysJSON2CV() in Verilog2CV.js), made of the device types of
+ * yosysTypeMap in VerilogClasses.js.
+ *
+ * The subset covers modules with parameters and ANSI or plain port lists,
+ * wire and reg declarations, continuous assignments, gate primitives, module
+ * instances and always blocks. An always block is either combinational (@*
+ * or a list of signals) or triggered by a clock edge, with an optional
+ * asynchronous reset tested by its first if. Inside, blocking and
+ * nonblocking assignments, if and case statements can be used. Values are
+ * unsigned, and unsized numbers take only the bits their value needs instead
+ * of 32, which only changes results that rely on 32 bit overflow.
+ * @category verilog
+ */
+
+const KEYWORDS = new Set([
+    'module', 'endmodule', 'input', 'output', 'inout', 'wire', 'reg', 'parameter', 'localparam',
+    'assign', 'always', 'begin', 'end', 'if', 'else', 'case', 'endcase', 'default', 'posedge',
+    'negedge', 'or', 'and', 'nand', 'nor', 'xor', 'xnor', 'not', 'buf',
+]);
+
+/**
+ * Keywords of constructs outside the subset
+ */
+const UNSUPPORTED = new Set([
+    'initial', 'generate', 'endgenerate', 'genvar', 'function', 'task', 'integer', 'real', 'inout',
+    'casez', 'casex', 'for', 'while', 'forever', 'repeat', 'always_ff', 'always_comb',
+    'always_latch', 'specify', 'primitive', 'tri', 'supply0', 'supply1', 'signed', 'defparam', 'fork',
+]);
+
+/**
+ * Compiler directives that do not change the circuit
+ */
+const IGNORED_DIRECTIVES = ['timescale', 'default_nettype', 'resetall', 'celldefine', 'endcelldefine'];
+
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '|': 3,
+    '^': 4,
+    '~^': 4,
+    '&': 5,
+    '==': 6,
+    '!=': 6,
+    '<': 7,
+    '<=': 7,
+    '>': 7,
+    '>=': 7,
+    '<<': 8,
+    '>>': 8,
+    '+': 9,
+    '-': 9,
+    '*': 10,
+    '/': 10,
+    '%': 10,
+    '**': 11,
+};
+
+/**
+ * Operators that mean the same for unsigned values
+ */
+const SYNONYMS = {
+    '===': '==', '!==': '!=', '^~': '~^', '<<<': '<<', '>>>': '>>',
+};
+
+const UNARY_OPERATORS = ['+', '-', '!', '~', '&', '|', '^', '~&', '~|', '~^'];
+const COMPARISONS = ['==', '!=', '<', '<=', '>', '>='];
+
+const REDUCE_TYPES = {
+    '&': 'And', '|': 'Or', '^': 'Xor', '~&': 'Nand', '~|': 'Nor', '~^': 'Xnor',
+};
+const BITWISE_TYPES = {
+    '&': 'And', '|': 'Or', '^': 'Xor', '~^': 'Xnor',
+};
+const ARITHMETIC_TYPES = {
+    '+': 'Addition', '-': 'Subtraction', '*': 'Multiplication', '/': 'Division', '%': 'Modulo',
+};
+const SHIFT_TYPES = { '<<': 'ShiftLeft', '>>': 'ShiftRight', '**': 'Power' };
+
+/**
+ * Gate primitives and the operator joining their inputs
+ */
+const GATE_PRIMITIVES = new Map([
+    ['and', '&'], ['nand', '&'], ['or', '|'], ['nor', '|'], ['xor', '^'], ['xnor', '^'], ['buf', ''], ['not', ''],
+]);
+const INVERTING_GATES = ['nand', 'nor', 'xnor', 'not'];
+
+const TOKEN = new RegExp([
+    /(\s+)/, // whitespace
+    /(\/\/[^\n]*|\/\*[\s\S]*?\*\/|\(\*(?!\))[\s\S]*?\*\))/, // comments and attributes
+    /(`[^\n]*)/, // compiler directive
+    /(\d[\d_]*\s*'[sS]?[bBoOdDhH]\s*[\da-fA-FxXzZ?_]+|'[sS]?[bBoOdDhH]\s*[\da-fA-FxXzZ?_]+|\d[\d_]*)/, // number
+    /([A-Za-z_][\w$]*)/, // identifier
+    /(\$[A-Za-z_]\w*)/, // system function
+    /(<<<|>>>|===|!==|\*\*|<<|>>|<=|>=|==|!=|&&|\|\||~&|~\||~\^|\^~|\+:|-:|[()[\]{},;:?=+\-*/%&|^~!<>@#.])/, // operator
+].map((part) => part.source).join('|'), 'y');
+
+/**
+ * Error pointing at a line of the code
+ * @param {number} line
+ * @param {string} message
+ * @return {Error}
+ */
+function lineError(line, message) {
+    return new Error(`Line ${line}: ${message}`);
+}
+
+/**
+ * Error for a keyword or system function outside the subset
+ * @param {Object} token
+ * @return {Error}
+ */
+function unsupportedError(token) {
+    return lineError(token.line, `"${token.text}" is not supported by the built-in synthesizer`);
+}
+
+/**
+ * All ones in a number of bits
+ * @param {number} width
+ * @return {bigint}
+ */
+function mask(width) {
+    return (1n << BigInt(width)) - 1n;
+}
+
+/**
+ * Bits needed to write a value, at least one
+ * @param {bigint} value
+ * @return {number}
+ */
+function bitLength(value) {
+    return value > 0n ? value.toString(2).length : 1;
+}
+
+/**
+ * Splits the code into tokens
+ * @param {string} code
+ * @return {Array<{type: string, text: string, line: number}>}
+ */
+function tokenize(code) {
+    const tokens = [];
+    let line = 1;
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < code.length) {
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(code);
+        if (!match) throw lineError(line, `unexpected character "${code[start]}"`);
+        const [text, , , directive, number, identifier, system, operator] = match;
+        if (directive && !IGNORED_DIRECTIVES.includes(directive.slice(1).split(/\s/)[0])) {
+            throw lineError(line, `compiler directive ${directive.split(/\s/)[0]} is not supported by the built-in synthesizer`);
+        }
+        if (number) tokens.push({ type: 'number', text, line });
+        else if (identifier) tokens.push({ type: 'id', text, line });
+        else if (system) tokens.push({ type: 'system', text, line });
+        else if (operator) tokens.push({ type: 'op', text, line });
+        line += text.split('\n').length - 1;
+    }
+    return tokens;
+}
+
+/**
+ * Value and size of a number literal, x, z and ? digits read as 0
+ * @param {string} text
+ * @param {number} line
+ * @return {{value: bigint, width: number|undefined}} width is undefined for unsized numbers
+ */
+function parseNumber(text, line) {
+    const match = /^(\d[\d_]*)?\s*'([sS]?)([bBoOdDhH])\s*(.+)$/.exec(text);
+    if (!match) return { value: BigInt(text.replace(/_/g, '')), width: undefined };
+    if (match[2]) throw lineError(line, 'signed numbers are not supported by the built-in synthesizer');
+    const base = {
+        b: 2, o: 8, d: 10, h: 16,
+    }[match[3].toLowerCase()];
+    const digits = match[4].replace(/_/g, '').replace(/[xXzZ?]/g, '0');
+    let value = 0n;
+    for (let i = 0; i < digits.length; i++) {
+        const digit = parseInt(digits[i], 16);
+        if (digit >= base) throw lineError(line, `invalid digit in ${text}`);
+        value = value * BigInt(base) + BigInt(digit);
+    }
+    if (!match[1]) return { value, width: undefined };
+    const width = parseInt(match[1].replace(/_/g, ''), 10);
+    if (width < 1) throw lineError(line, `invalid size of ${text}`);
+    return { value: value & mask(width), width };
+}
+
+/**
+ * Statement inside begin end blocks holding only it
+ * @param {Object} statement
+ * @return {Object}
+ */
+function unwrap(statement) {
+    let inner = statement;
+    while (inner && inner.kind === 'block' && inner.body.length === 1) [inner] = inner.body;
+    return inner;
+}
+
+/**
+ * Reset tested by the condition of an if, like rst or !rst_n
+ * @param {Object} cond
+ * @return {{name: string, activeHigh: boolean}|undefined}
+ */
+function resetCondition(cond) {
+    if (cond.kind === 'id') return { name: cond.name, activeHigh: true };
+    if (cond.kind === 'unary' && (cond.op === '!' || cond.op === '~') && cond.arg.kind === 'id') {
+        return { name: cond.arg.name, activeHigh: false };
+    }
+    return undefined;
+}
+
+/**
+ * Recursive descent parser building the syntax tree of the modules
+ */
+class Parser {
+    /**
+     * @param {Array} tokens - as returned by tokenize()
+     */
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    line() {
+        const token = this.peek() || this.tokens[this.tokens.length - 1];
+        return token ? token.line : 1;
+    }
+
+    is(text) {
+        const token = this.peek();
+        return token !== undefined && token.type !== 'number' && token.text === text;
+    }
+
+    accept(text) {
+        if (!this.is(text)) return false;
+        this.index++;
+        return true;
+    }
+
+    expect(text) {
+        if (!this.accept(text)) throw this.expected(`"${text}"`);
+    }
+
+    expected(what) {
+        const token = this.peek();
+        if (token && UNSUPPORTED.has(token.text)) return unsupportedError(token);
+        return lineError(this.line(), `expected ${what} but found ${token ? `"${token.text}"` : 'the end of the code'}`);
+    }
+
+    name() {
+        const token = this.peek();
+        if (!token || token.type !== 'id' || KEYWORDS.has(token.text) || UNSUPPORTED.has(token.text)) {
+            throw this.expected('a name');
+        }
+        this.index++;
+        return token.text;
+    }
+
+    /**
+     * Skips a delay like #5, it does not matter for synthesis
+     */
+    skipDelay() {
+        if (this.accept('#')) this.primary();
+    }
+
+    /**
+     * Every module of the code
+     * @return {Object[]}
+     */
+    source() {
+        const modules = [];
+        while (this.peek()) {
+            this.expect('module');
+            modules.push(this.module());
+        }
+        if (!modules.length) throw new Error('No module found');
+        return modules;
+    }
+
+    module() {
+        const line = this.line();
+        const module = {
+            name: this.name(), line, params: [], ports: [], items: [],
+        };
+        if (this.accept('#')) {
+            this.expect('(');
+            let range;
+            do {
+                if (this.accept('parameter')) range = this.optionalRange();
+                module.params.push(this.parameter(false, range));
+            } while (this.accept(','));
+            this.expect(')');
+        }
+        if (this.accept('(')) {
+            if (!this.is(')')) this.portList(module);
+            this.expect(')');
+        }
+        this.expect(';');
+        while (!this.accept('endmodule')) {
+            if (!this.peek()) throw this.expected('"endmodule"');
+            this.item(module);
+        }
+        return module;
+    }
+
+    parameter(local, range) {
+        const line = this.line();
+        const name = this.name();
+        this.expect('=');
+        return {
+            name, local, range, value: this.expression(), line,
+        };
+    }
+
+    optionalRange() {
+        if (!this.accept('[')) return undefined;
+        const msb = this.expression();
+        this.expect(':');
+        const lsb = this.expression();
+        this.expect(']');
+        return { msb, lsb };
+    }
+
+    portList(module) {
+        if (!this.is('input') && !this.is('output')) {
+            // Directions follow in the module body
+            do {
+                const line = this.line();
+                module.ports.push({ name: this.name(), line });
+            } while (this.accept(','));
+            return;
+        }
+        let declaration;
+        do {
+            const line = this.line();
+            if (this.is('input') || this.is('output')) {
+                const dir = this.peek().text;
+                this.index++;
+                const isReg = this.accept('reg');
+                if (!isReg) this.accept('wire');
+                declaration = { dir, isReg, range: this.optionalRange() };
+            }
+            module.ports.push({ ...declaration, name: this.name(), line });
+        } while (this.accept(','));
+    }
+
+    item(module) {
+        const token = this.peek();
+        const { line } = token;
+        if (this.accept('input') || this.accept('output')) {
+            this.portDeclaration(module, token.text);
+        } else if (this.accept('wire') || this.accept('reg')) {
+            this.netDeclaration(module, token.text === 'reg');
+        } else if (this.accept('parameter') || this.accept('localparam')) {
+            const range = this.optionalRange();
+            do {
+                module.params.push(this.parameter(token.text === 'localparam', range));
+            } while (this.accept(','));
+            this.expect(';');
+        } else if (this.accept('assign')) {
+            this.skipDelay();
+            do {
+                const lhs = this.lvalue();
+                this.expect('=');
+                module.items.push({
+                    kind: 'assign', lhs, rhs: this.expression(), line,
+                });
+            } while (this.accept(','));
+            this.expect(';');
+        } else if (this.accept('always')) {
+            module.items.push({
+                kind: 'always', sensitivity: this.sensitivity(), body: this.statement(), line,
+            });
+        } else if (token.type === 'id' && GATE_PRIMITIVES.has(token.text)) {
+            this.gates(module);
+        } else if (token.type === 'id' && !KEYWORDS.has(token.text) && !UNSUPPORTED.has(token.text)) {
+            this.instances(module);
+        } else {
+            throw this.expected('a declaration, assign, always block or instance');
+        }
+    }
+
+    portDeclaration(module, dir) {
+        const isReg = this.accept('reg');
+        if (!isReg) this.accept('wire');
+        const range = this.optionalRange();
+        do {
+            const line = this.line();
+            const name = this.name();
+            const port = module.ports.find((p) => p.name === name);
+            if (!port) throw lineError(line, `${name} is not in the port list of ${module.name}`);
+            if (port.dir) throw lineError(line, `the direction of ${name} is declared twice`);
+            Object.assign(port, { dir, isReg, range });
+        } while (this.accept(','));
+        this.expect(';');
+    }
+
+    netDeclaration(module, isReg) {
+        const range = this.optionalRange();
+        do {
+            const line = this.line();
+            const name = this.name();
+            if (this.is('[')) throw lineError(line, 'memories are not supported by the built-in synthesizer');
+            module.items.push({
+                kind: 'net', name, range, line,
+            });
+            if (this.accept('=')) {
+                const rhs = this.expression();
+                // The initial value of a reg can not be kept by a flip flop
+                if (!isReg) {
+                    module.items.push({
+                        kind: 'assign', lhs: { kind: 'id', name, line }, rhs, line,
+                    });
+                }
+            }
+        } while (this.accept(','));
+        this.expect(';');
+    }
+
+    sensitivity() {
+        this.expect('@');
+        if (this.accept('*')) return [];
+        this.expect('(');
+        if (this.accept('*')) {
+            this.expect(')');
+            return [];
+        }
+        const list = [];
+        do {
+            let edge;
+            if (this.accept('posedge')) edge = 'posedge';
+            else if (this.accept('negedge')) edge = 'negedge';
+            list.push({ edge, name: this.name() });
+        } while (this.accept('or') || this.accept(','));
+        this.expect(')');
+        return list;
+    }
+
+    gates(module) {
+        const type = this.peek().text;
+        this.index++;
+        this.skipDelay();
+        do {
+            const line = this.line();
+            if (!this.is('(')) this.name();
+            this.expect('(');
+            const terminals = [this.expression()];
+            while (this.accept(',')) terminals.push(this.expression());
+            this.expect(')');
+            module.items.push({
+                kind: 'gate', type, terminals, line,
+            });
+        } while (this.accept(','));
+        this.expect(';');
+    }
+
+    instances(module) {
+        const type = this.name();
+        const params = [];
+        if (this.accept('#')) {
+            this.expect('(');
+            do {
+                params.push(this.connection());
+            } while (this.accept(','));
+            this.expect(')');
+        }
+        do {
+            const line = this.line();
+            const name = this.name();
+            this.expect('(');
+            const connections = [];
+            if (!this.is(')')) {
+                do {
+                    connections.push(this.connection());
+                } while (this.accept(','));
+            }
+            this.expect(')');
+            module.items.push({
+                kind: 'instance', type, params, name, connections, line,
+            });
+        } while (this.accept(','));
+        this.expect(';');
+    }
+
+    /**
+     * Named .port(value) or positional connection of an instance
+     * @return {{port: string|undefined, value: Object|undefined}}
+     */
+    connection() {
+        if (!this.accept('.')) return { port: undefined, value: this.expression() };
+        const port = this.name();
+        this.expect('(');
+        const value = this.is(')') ? undefined : this.expression();
+        this.expect(')');
+        return { port, value };
+    }
+
+    statement() {
+        const line = this.line();
+        this.skipDelay();
+        if (this.accept('begin')) {
+            if (this.accept(':')) this.name();
+            const body = [];
+            while (!this.accept('end')) {
+                if (!this.peek()) throw this.expected('"end"');
+                body.push(this.statement());
+            }
+            return { kind: 'block', body, line };
+        }
+        if (this.accept('if')) {
+            this.expect('(');
+            const cond = this.expression();
+            this.expect(')');
+            const then = this.statement();
+            const otherwise = this.accept('else') ? this.statement() : undefined;
+            return {
+                kind: 'if', cond, then, otherwise, line,
+            };
+        }
+        if (this.accept('case')) return this.caseStatement(line);
+        if (this.accept(';')) return { kind: 'block', body: [], line };
+        const lhs = this.lvalue();
+        const blocking = this.accept('=');
+        if (!blocking && !this.accept('<=')) throw this.expected('"=" or "<="');
+        this.skipDelay();
+        const rhs = this.expression();
+        this.expect(';');
+        return {
+            kind: 'assign', lhs, rhs, blocking, line,
+        };
+    }
+
+    caseStatement(line) {
+        this.expect('(');
+        const sel = this.expression();
+        this.expect(')');
+        const items = [];
+        while (!this.accept('endcase')) {
+            if (!this.peek()) throw this.expected('"endcase"');
+            if (this.accept('default')) {
+                this.accept(':');
+                items.push({ labels: undefined, body: this.statement() });
+            } else {
+                const labels = [this.expression()];
+                while (this.accept(',')) labels.push(this.expression());
+                this.expect(':');
+                items.push({ labels, body: this.statement() });
+            }
+        }
+        return {
+            kind: 'case', sel, items, line,
+        };
+    }
+
+    /**
+     * Left hand side of an assignment, parsed apart from expressions so
+     * that <= is not read as a comparison
+     */
+    lvalue() {
+        const line = this.line();
+        if (this.accept('{')) {
+            const parts = [this.lvalue()];
+            while (this.accept(',')) parts.push(this.lvalue());
+            this.expect('}');
+            return { kind: 'concat', parts, line };
+        }
+        const name = this.name();
+        return this.accept('[') ? this.select(name, line) : { kind: 'id', name, line };
+    }
+
+    expression() {
+        const cond = this.binary(1);
+        if (!this.is('?')) return cond;
+        const line = this.line();
+        this.index++;
+        const then = this.expression();
+        this.expect(':');
+        const otherwise = this.expression();
+        return {
+            kind: 'ternary', cond, then, otherwise, line,
+        };
+    }
+
+    binary(minPrecedence) {
+        let left = this.unary();
+        for (;;) {
+            const token = this.peek();
+            const op = token && token.type === 'op' ? SYNONYMS[token.text] || token.text : undefined;
+            const precedence = op && BINARY_PRECEDENCE[op];
+            if (!precedence || precedence < minPrecedence) return left;
+            this.index++;
+            const right = this.binary(precedence + 1);
+            left = {
+                kind: 'binary', op, left, right, line: token.line,
+            };
+        }
+    }
+
+    unary() {
+        const token = this.peek();
+        if (token && token.type === 'op') {
+            const op = SYNONYMS[token.text] || token.text;
+            if (UNARY_OPERATORS.includes(op)) {
+                this.index++;
+                return {
+                    kind: 'unary', op, arg: this.unary(), line: token.line,
+                };
+            }
+        }
+        return this.primary();
+    }
+
+    primary() {
+        const token = this.peek();
+        if (!token) throw this.expected('an expression');
+        const { line } = token;
+        if (token.type === 'number') {
+            this.index++;
+            return { kind: 'number', ...parseNumber(token.text, line), line };
+        }
+        if (this.accept('(')) {
+            const inner = this.expression();
+            this.expect(')');
+            return inner;
+        }
+        if (this.accept('{')) {
+            const first = this.expression();
+            if (this.accept('{')) {
+                const parts = [this.expression()];
+                while (this.accept(',')) parts.push(this.expression());
+                this.expect('}');
+                this.expect('}');
+                return {
+                    kind: 'repeat', count: first, parts, line,
+                };
+            }
+            const parts = [first];
+            while (this.accept(',')) parts.push(this.expression());
+            this.expect('}');
+            return { kind: 'concat', parts, line };
+        }
+        if (token.type === 'system') {
+            if (token.text !== '$clog2') throw unsupportedError(token);
+            this.index++;
+            this.expect('(');
+            const arg = this.expression();
+            this.expect(')');
+            return { kind: 'clog2', arg, line };
+        }
+        if (token.type !== 'id') throw this.expected('an expression');
+        const name = this.name();
+        return this.accept('[') ? this.select(name, line) : { kind: 'id', name, line };
+    }
+
+    /**
+     * Bit or part select after the opening bracket
+     */
+    select(name, line) {
+        const index = this.expression();
+        if (this.accept(':')) {
+            const lsb = this.expression();
+            this.expect(']');
+            return {
+                kind: 'range', name, msb: index, lsb, line,
+            };
+        }
+        if (this.is('+:') || this.is('-:')) {
+            const up = this.peek().text === '+:';
+            this.index++;
+            const width = this.expression();
+            this.expect(']');
+            return {
+                kind: 'part', name, base: index, width, up, line,
+            };
+        }
+        this.expect(']');
+        return {
+            kind: 'index', name, index, line,
+        };
+    }
+}
+
+/**
+ * Builds the netlist of a module for one set of parameter values.
+ *
+ * Values are passed around as signals, {id, port, width} for a device
+ * output, with the value of constants, or {net, width} for a net whose
+ * driver is only known once the whole module is read. Connections from
+ * nets are resolved to device outputs at the end.
+ */
+class ModuleBuilder {
+    /**
+     * @param {Design} design
+     * @param {Object} module - syntax tree of the module
+     * @param {Map<string, bigint>} overrides - parameter values of the instance
+     */
+    constructor(design, module, overrides) {
+        this.design = design;
+        this.module = module;
+        this.overrides = overrides;
+        this.params = new Map(); // name -> {value, width}
+        this.nets = new Map(); // name -> {name, width, msb, lsb, dir, drivers, driver}
+        this.ports = []; // {name, dir, width} in port list order
+        this.outputs = []; // {name, id, line} of Output devices
+        this.devices = {};
+        this.connectors = [];
+        this.constants = new Map();
+        this.state = undefined; // assignments of the always block being read
+    }
+
+    /**
+     * @return {{devices: Object, connectors: Array}}
+     */
+    build() {
+        const { module } = this;
+        module.params.forEach((param) => this.parameter(param));
+        module.ports.forEach((port, order) => this.port(port, order));
+        module.items.filter((item) => item.kind === 'net').forEach((item) => this.declare(item.name, item.range, item.line));
+        this.declareImplicitNets();
+        module.items.forEach((item) => {
+            if (item.kind === 'assign') this.continuousAssign(item.lhs, item.rhs, item.line);
+            else if (item.kind === 'always') this.always(item);
+            else if (item.kind === 'instance') this.instance(item);
+            else if (item.kind === 'gate') this.gate(item);
+        });
+        return this.netlist();
+    }
+
+    parameter(param) {
+        if (this.params.has(param.name)) throw lineError(param.line, `parameter ${param.name} is declared twice`);
+        let value = !param.local && this.overrides.has(param.name)
+            ? this.overrides.get(param.name)
+            : this.constantValue(param.value);
+        let width;
+        if (param.range) {
+            ({ width } = this.range(param.range));
+            value &= mask(width);
+        }
+        this.params.set(param.name, { value, width });
+    }
+
+    range(range) {
+        if (!range) {
+            return { msb: 0, lsb: 0, width: 1 };
+        }
+        const msb = this.constantNumber(range.msb);
+        const lsb = this.constantNumber(range.lsb);
+        return { msb, lsb, width: Math.abs(msb - lsb) + 1 };
+    }
+
+    declare(name, range, line, dir) {
+        const bits = this.range(range);
+        const existing = this.nets.get(name);
+        if (existing) {
+            // output q; reg q; declares the same net twice
+            if (!existing.dir || (range && bits.width !== existing.width)) throw lineError(line, `${name} is declared twice`);
+            return existing;
+        }
+        if (this.params.has(name)) throw lineError(line, `${name} is already a parameter`);
+        const net = {
+            name, ...bits, dir, drivers: [], driver: undefined,
+        };
+        this.nets.set(name, net);
+        return net;
+    }
+
+    port(port, order) {
+        const { name, dir, line } = port;
+        if (!dir) throw lineError(line, `port ${name} has no direction`);
+        const net = this.declare(name, port.range, line, dir);
+        const type = dir === 'input' ? 'Input' : 'Output';
+        const id = this.addDevice({
+            type, net: name, order, bits: net.width,
+        });
+        if (dir === 'input') net.drivers.push({ position: 0, count: net.width, signal: { id, port: 'out', width: net.width } });
+        else this.outputs.push({ name, id, line });
+        this.ports.push({ name, dir, width: net.width });
+    }
+
+    /**
+     * Names connected to instances and gates without a declaration are 1 bit wires
+     */
+    declareImplicitNets() {
+        this.module.items.forEach((item) => {
+            let values = [];
+            if (item.kind === 'instance') values = item.connections.map((connection) => connection.value);
+            if (item.kind === 'gate') values = item.terminals;
+            values.forEach((value) => {
+                if (value && value.kind === 'id' && !this.nets.has(value.name) && !this.params.has(value.name)) {
+                    this.declare(value.name, undefined, value.line);
+                }
+            });
+        });
+    }
+
+    net(name, line) {
+        const net = this.nets.get(name);
+        if (!net) throw lineError(line, `${name} is not declared`);
+        return net;
+    }
+
+    /**
+     * Current value of a net, the one assigned by blocking assignments
+     * earlier in the always block being read, if any
+     */
+    read(name, line) {
+        const net = this.net(name, line);
+        if (this.state && this.state.visible.has(name)) {
+            const value = this.state.visible.get(name);
+            if (!value) throw lineError(line, `${name} is read before it is assigned on every path`);
+            return value;
+        }
+        return { net: name, width: net.width, line };
+    }
+
+    addDevice(device) {
+        const id = `dev${Object.keys(this.devices).length}`;
+        this.devices[id] = device;
+        return id;
+    }
+
+    connect(signal, id, port) {
+        this.connectors.push({ from: signal, to: { id, port } });
+    }
+
+    unaryDevice(type, bits, input, width) {
+        const id = this.addDevice({ type, bits });
+        this.connect(input, id, 'in');
+        return { id, port: 'out', width };
+    }
+
+    binaryDevice(type, bits, a, b, width) {
+        const id = this.addDevice({ type, bits });
+        this.connect(a, id, 'in1');
+        this.connect(b, id, 'in2');
+        return { id, port: 'out', width };
+    }
+
+    constant(value, width) {
+        const masked = value & mask(width);
+        const key = `${width}:${masked}`;
+        if (!this.constants.has(key)) {
+            const id = this.addDevice({ type: 'Constant', constant: masked.toString(2).padStart(width, '0') });
+            this.constants.set(key, {
+                id, port: 'out', width, value: masked,
+            });
+        }
+        return this.constants.get(key);
+    }
+
+    slice(signal, first, count) {
+        if (first === 0 && count === signal.width) return signal;
+        if (signal.value !== undefined) return this.constant(signal.value >> BigInt(first), count);
+        const id = this.addDevice({ type: 'BusSlice', slice: { first, count, total: signal.width } });
+        this.connect(signal, id, 'in');
+        return { id, port: 'out', width: count };
+    }
+
+    /**
+     * Truncates or zero extends a signal
+     */
+    resize(signal, width) {
+        if (signal.width === width) return signal;
+        if (signal.width > width) return this.slice(signal, 0, width);
+        if (signal.value !== undefined) return this.constant(signal.value, width);
+        const id = this.addDevice({ type: 'ZeroExtend', extend: { input: signal.width, output: width } });
+        this.connect(signal, id, 'in');
+        return { id, port: 'out', width };
+    }
+
+    /**
+     * Joins signals into a bus
+     * @param {Array} parts - least significant first
+     */
+    group(parts) {
+        if (parts.length === 1) return parts[0];
+        const width = parts.reduce((sum, part) => sum + part.width, 0);
+        if (parts.every((part) => part.value !== undefined)) {
+            const value = parts.reduceRight((acc, part) => (acc << BigInt(part.width)) | part.value, 0n);
+            return this.constant(value, width);
+        }
+        const id = this.addDevice({ type: 'BusGroup', groups: parts.map((part) => part.width) });
+        parts.forEach((part, i) => this.connect(part, id, `in${i}`));
+        return { id, port: 'out', width };
+    }
+
+    mux(sel, then, otherwise) {
+        if (then === otherwise) return then;
+        const id = this.addDevice({ type: 'Mux', bits: { in: then.width, sel: 1 } });
+        this.connect(otherwise, id, 'in0');
+        this.connect(then, id, 'in1');
+        this.connect(sel, id, 'sel');
+        return { id, port: 'out', width: then.width };
+    }
+
+    bool(signal) {
+        return signal.width === 1 ? signal : this.unaryDevice('OrReduce', signal.width, signal, 1);
+    }
+
+    reduce(op, signal) {
+        const type = REDUCE_TYPES[op];
+        if (signal.width > 1) return this.unaryDevice(`${type}Reduce`, signal.width, signal, 1);
+        return ['Nand', 'Nor', 'Xnor'].includes(type) ? this.unaryDevice('Not', 1, signal, 1) : signal;
+    }
+
+    compare(op, a, b) {
+        if (a.width === 1 && (op === '==' || op === '!=')) {
+            return this.binaryDevice(op === '==' ? 'Xnor' : 'Xor', 1, a, b, 1);
+        }
+        const bits = { in1: a.width, in2: b.width, out: 1 };
+        switch (op) {
+        case '==': return this.binaryDevice('Eq', bits, a, b, 1);
+        case '!=': return this.binaryDevice('Ne', bits, a, b, 1);
+        case '<': return this.binaryDevice('Lt', bits, a, b, 1);
+        case '>': return this.binaryDevice('Lt', bits, b, a, 1);
+        case '>=': return this.binaryDevice('Ge', bits, a, b, 1);
+        default: return this.binaryDevice('Ge', bits, b, a, 1);
+        }
+    }
+
+    /**
+     * Width of an expression on its own, before the context widens it
+     * @param {Object} e
+     * @return {number}
+     */
+    selfWidth(e) {
+        switch (e.kind) {
+        case 'number': return e.width || bitLength(e.value);
+        case 'id': {
+            const param = this.params.get(e.name);
+            if (param) return param.width || bitLength(param.value);
+            return this.net(e.name, e.line).width;
+        }
+        case 'signal': return e.signal.width;
+        case 'index': return 1;
+        case 'range':
+        case 'part': return this.selection(e).count;
+        case 'concat': return e.parts.reduce((sum, part) => sum + this.selfWidth(part), 0);
+        case 'repeat': return this.constantNumber(e.count) * e.parts.reduce((sum, part) => sum + this.selfWidth(part), 0);
+        case 'clog2': return bitLength(this.evaluate(e, 32));
+        case 'unary': return ['~', '-', '+'].includes(e.op) ? this.selfWidth(e.arg) : 1;
+        case 'binary':
+            if (COMPARISONS.includes(e.op) || e.op === '&&' || e.op === '||') return 1;
+            if (SHIFT_TYPES[e.op]) return this.selfWidth(e.left);
+            return Math.max(this.selfWidth(e.left), this.selfWidth(e.right));
+        case 'ternary': return Math.max(this.selfWidth(e.then), this.selfWidth(e.otherwise));
+        default: throw lineError(e.line, 'unknown expression');
+        }
+    }
+
+    /**
+     * Whether an expression only depends on numbers and parameters
+     */
+    isConstant(e) {
+        switch (e.kind) {
+        case 'number': return true;
+        case 'id': return this.params.has(e.name);
+        case 'index': return this.params.has(e.name) && this.isConstant(e.index);
+        case 'range':
+        case 'part': return this.params.has(e.name);
+        case 'concat': return e.parts.every((part) => this.isConstant(part));
+        case 'repeat': return e.parts.every((part) => this.isConstant(part));
+        case 'clog2':
+        case 'unary': return this.isConstant(e.arg);
+        case 'binary': return this.isConstant(e.left) && this.isConstant(e.right);
+        case 'ternary': return this.isConstant(e.cond) && this.isConstant(e.then) && this.isConstant(e.otherwise);
+        default: return false;
+        }
+    }
+
+    /**
+     * Value of a constant expression the way parameters and ranges see it,
+     * at least 32 bits wide
+     */
+    constantValue(e) {
+        return this.evaluate(e, Math.max(this.selfWidth(e), 32));
+    }
+
+    constantNumber(e) {
+        return Number(this.constantValue(e));
+    }
+
+    /**
+     * Value of a constant expression in a context of the given width
+     * @param {Object} e
+     * @param {number} width - at least selfWidth(e)
+     * @return {bigint}
+     */
+    evaluate(e, width) {
+        const m = mask(width);
+        switch (e.kind) {
+        case 'number': return e.value & m;
+        case 'id':
+        case 'index':
+        case 'range':
+        case 'part': {
+            const param = this.params.get(e.name);
+            if (!param) throw lineError(e.line, `${e.name} is not a constant`);
+            if (e.kind === 'id') return param.value & m;
+            const { position, count } = this.selection(e);
+            return (param.value >> BigInt(position)) & mask(count) & m;
+        }
+        case 'concat': return e.parts.reduce((acc, part) => {
+            const partWidth = this.selfWidth(part);
+            return (acc << BigInt(partWidth)) | this.evaluate(part, partWidth);
+        }, 0n) & m;
+        case 'repeat': {
+            const concat = { kind: 'concat', parts: e.parts, line: e.line };
+            const partWidth = this.selfWidth(concat);
+            const value = this.evaluate(concat, partWidth);
+            let result = 0n;
+            for (let i = 0; i < this.constantNumber(e.count); i++) result = (result << BigInt(partWidth)) | value;
+            return result & m;
+        }
+        case 'clog2': {
+            const value = this.constantValue(e.arg);
+            let bits = 0;
+            while ((1n << BigInt(bits)) < value) bits++;
+            return BigInt(bits) & m;
+        }
+        case 'unary': return this.evaluateUnary(e, width);
+        case 'binary': return this.evaluateBinary(e, width);
+        case 'ternary': return this.evaluate(e.cond, this.selfWidth(e.cond))
+            ? this.evaluate(e.then, width)
+            : this.evaluate(e.otherwise, width);
+        default: throw lineError(e.line, 'expected a constant');
+        }
+    }
+
+    evaluateUnary(e, width) {
+        const m = mask(width);
+        if (e.op === '~') return ~this.evaluate(e.arg, width) & m;
+        if (e.op === '-') return -this.evaluate(e.arg, width) & m;
+        if (e.op === '+') return this.evaluate(e.arg, width);
+        const argWidth = this.selfWidth(e.arg);
+        const value = this.evaluate(e.arg, argWidth);
+        if (e.op === '!') return value === 0n ? 1n : 0n;
+        const type = REDUCE_TYPES[e.op];
+        let result;
+        if (type === 'And' || type === 'Nand') result = value === mask(argWidth);
+        else if (type === 'Or' || type === 'Nor') result = value !== 0n;
+        else result = [...value.toString(2)].filter((bit) => bit === '1').length % 2 === 1;
+        return result !== ['Nand', 'Nor', 'Xnor'].includes(type) ? 1n : 0n;
+    }
+
+    evaluateBinary(e, width) {
+        const { op, left, right } = e;
+        const m = mask(width);
+        if (COMPARISONS.includes(op)) {
+            const operandWidth = Math.max(this.selfWidth(left), this.selfWidth(right));
+            const a = this.evaluate(left, operandWidth);
+            const b = this.evaluate(right, operandWidth);
+            const result = {
+                '==': a === b, '!=': a !== b, '<': a < b, '<=': a <= b, '>': a > b, '>=': a >= b,
+            }[op];
+            return result ? 1n : 0n;
+        }
+        if (op === '&&' || op === '||') {
+            const a = this.evaluate(left, this.selfWidth(left)) !== 0n;
+            const b = this.evaluate(right, this.selfWidth(right)) !== 0n;
+            return (op === '&&' ? a && b : a || b) ? 1n : 0n;
+        }
+        const a = this.evaluate(left, width);
+        if (SHIFT_TYPES[op]) {
+            const b = this.evaluate(right, this.selfWidth(right));
+            if (op === '>>') return a >> b;
+            if (op === '<<') return b >= BigInt(width) ? 0n : (a << b) & m;
+            let result = 1n;
+            let base = a;
+            for (let exponent = b; exponent > 0n; exponent >>= 1n) {
+                if (exponent & 1n) result = (result * base) & m;
+                base = (base * base) & m;
+            }
+            return result;
+        }
+        const b = this.evaluate(right, width);
+        switch (op) {
+        case '&': return a & b;
+        case '|': return a | b;
+        case '^': return a ^ b;
+        case '~^': return ~(a ^ b) & m;
+        case '+': return (a + b) & m;
+        case '-': return (a - b) & m;
+        case '*': return (a * b) & m;
+        case '/': return b ? a / b : 0n;
+        default: return b ? a % b : 0n;
+        }
+    }
+
+    /**
+     * Bits picked by a constant bit or part select
+     * @return {{position: number, count: number}} position of the lowest bit
+     */
+    selection(e) {
+        const param = this.params.get(e.name);
+        const bits = param
+            ? { msb: (param.width || bitLength(param.value)) - 1, lsb: 0 }
+            : this.net(e.name, e.line);
+        const width = Math.abs(bits.msb - bits.lsb) + 1;
+        const position = (index) => {
+            const p = bits.msb >= bits.lsb ? index - bits.lsb : bits.lsb - index;
+            if (p < 0 || p >= width) throw lineError(e.line, `bit ${index} of ${e.name} is out of range`);
+            return p;
+        };
+        if (e.kind === 'index') return { position: position(this.constantNumber(e.index)), count: 1 };
+        let first;
+        let last;
+        if (e.kind === 'range') {
+            first = position(this.constantNumber(e.msb));
+            last = position(this.constantNumber(e.lsb));
+        } else {
+            const base = this.constantNumber(e.base);
+            const count = this.constantNumber(e.width);
+            first = position(base);
+            last = position(e.up ? base + count - 1 : base - count + 1);
+        }
+        return { position: Math.min(first, last), count: Math.abs(first - last) + 1 };
+    }
+
+    /**
+     * Synthesizes an expression in a context of the given width
+     * @param {Object} e
+     * @param {number} width
+     * @return {Object} signal of exactly that width
+     */
+    expr(e, width) {
+        return this.resize(this.synthesize(e, Math.max(this.selfWidth(e), width)), width);
+    }
+
+    synthesize(e, width) {
+        if (this.isConstant(e)) return this.constant(this.evaluate(e, width), width);
+        switch (e.kind) {
+        case 'signal': return this.resize(e.signal, width);
+        case 'id': return this.resize(this.read(e.name, e.line), width);
+        case 'index':
+            if (!this.isConstant(e.index)) return this.resize(this.variableIndex(e), width);
+            return this.resize(this.slice(this.read(e.name, e.line), this.selection(e).position, 1), width);
+        case 'range':
+        case 'part': {
+            const { position, count } = this.selection(e);
+            return this.resize(this.slice(this.read(e.name, e.line), position, count), width);
+        }
+        case 'concat':
+            return this.resize(this.group(e.parts.map((part) => this.expr(part, this.selfWidth(part))).reverse()), width);
+        case 'repeat': {
+            const parts = e.parts.map((part) => this.expr(part, this.selfWidth(part))).reverse();
+            const count = this.constantNumber(e.count);
+            if (count < 1) throw lineError(e.line, 'a replication needs a positive count');
+            return this.resize(this.group(Array.from({ length: count }, () => parts).flat()), width);
+        }
+        case 'clog2': throw lineError(e.line, '$clog2 needs a constant argument');
+        case 'unary': return this.synthesizeUnary(e, width);
+        case 'binary': return this.synthesizeBinary(e, width);
+        case 'ternary': {
+            const sel = this.bool(this.expr(e.cond, this.selfWidth(e.cond)));
+            return this.mux(sel, this.expr(e.then, width), this.expr(e.otherwise, width));
+        }
+        default: throw lineError(e.line, 'unknown expression');
+        }
+    }
+
+    synthesizeUnary(e, width) {
+        if (e.op === '+') return this.expr(e.arg, width);
+        if (e.op === '~') return this.unaryDevice('Not', width, this.expr(e.arg, width), width);
+        if (e.op === '-') return this.unaryDevice('Negation', { in: width, out: width }, this.expr(e.arg, width), width);
+        const arg = this.expr(e.arg, this.selfWidth(e.arg));
+        const result = e.op === '!' ? this.reduce('~|', arg) : this.reduce(e.op, arg);
+        return this.resize(result, width);
+    }
+
+    synthesizeBinary(e, width) {
+        const { op, left, right } = e;
+        if (COMPARISONS.includes(op)) {
+            const operandWidth = Math.max(this.selfWidth(left), this.selfWidth(right));
+            return this.resize(this.compare(op, this.expr(left, operandWidth), this.expr(right, operandWidth)), width);
+        }
+        if (op === '&&' || op === '||') {
+            const a = this.bool(this.expr(left, this.selfWidth(left)));
+            const b = this.bool(this.expr(right, this.selfWidth(right)));
+            return this.resize(this.binaryDevice(op === '&&' ? 'And' : 'Or', 1, a, b, 1), width);
+        }
+        const a = this.expr(left, width);
+        if (SHIFT_TYPES[op]) {
+            const b = this.expr(right, this.selfWidth(right));
+            return this.binaryDevice(SHIFT_TYPES[op], { in1: width, in2: b.width, out: width }, a, b, width);
+        }
+        const b = this.expr(right, width);
+        if (BITWISE_TYPES[op]) return this.binaryDevice(BITWISE_TYPES[op], width, a, b, width);
+        return this.binaryDevice(ARITHMETIC_TYPES[op], { in1: width, in2: width, out: width }, a, b, width);
+    }
+
+    /**
+     * Bit picked by an index that is not constant, by shifting it down
+     */
+    variableIndex(e) {
+        const net = this.net(e.name, e.line);
+        if (net.lsb !== 0 || net.msb < net.lsb) throw lineError(e.line, `${e.name} needs a [msb:0] range to be indexed by a signal`);
+        const value = this.read(e.name, e.line);
+        const index = this.expr(e.index, this.selfWidth(e.index));
+        const bits = { in1: value.width, in2: index.width, out: value.width };
+        return this.slice(this.binaryDevice('ShiftRight', bits, value, index, value.width), 0, 1);
+    }
+
+    /**
+     * Bits assigned by the left hand side of an assignment
+     * @return {Array<{name: string, position: number, count: number}>} most significant first
+     */
+    targets(lhs) {
+        if (lhs.kind === 'concat') return lhs.parts.flatMap((part) => this.targets(part));
+        if (!['id', 'index', 'range', 'part'].includes(lhs.kind) || this.params.has(lhs.name)) {
+            throw lineError(lhs.line, 'only nets, their bits and concatenations of them can be assigned');
+        }
+        const net = this.net(lhs.name, lhs.line);
+        if (lhs.kind === 'id') return [{ name: lhs.name, position: 0, count: net.width }];
+        if (lhs.kind === 'index' && !this.isConstant(lhs.index)) {
+            throw lineError(lhs.line, `bits of ${lhs.name} can only be assigned with a constant index`);
+        }
+        return [{ name: lhs.name, ...this.selection(lhs) }];
+    }
+
+    /**
+     * Hands the bits of a value to the targets they are assigned to
+     * @param {Array} targets - as returned by targets()
+     * @param {Object} value - signal as wide as all targets
+     * @param {function(Object, Object)} write - called with a target and its bits
+     */
+    distribute(targets, value, write) {
+        let offset = 0;
+        for (let i = targets.length - 1; i >= 0; i--) {
+            write(targets[i], this.slice(value, offset, targets[i].count));
+            offset += targets[i].count;
+        }
+    }
+
+    drive(name, position, signal, line) {
+        const net = this.net(name, line);
+        if (net.dir === 'input') throw lineError(line, `input ${name} can not be assigned`);
+        net.drivers.push({
+            position, count: signal.width, signal, line,
+        });
+    }
+
+    assignSignal(lhs, signal, line) {
+        const targets = this.targets(lhs);
+        const width = targets.reduce((sum, target) => sum + target.count, 0);
+        this.distribute(targets, this.resize(signal, width), (target, bits) => this.drive(target.name, target.position, bits, line));
+    }
+
+    continuousAssign(lhs, rhs, line) {
+        const width = this.targets(lhs).reduce((sum, target) => sum + target.count, 0);
+        this.assignSignal(lhs, this.expr(rhs, width), line);
+    }
+
+    gate(item) {
+        const [output, ...inputs] = item.terminals;
+        const op = GATE_PRIMITIVES.get(item.type);
+        if (!inputs.length || (!op && inputs.length > 1)) throw lineError(item.line, `wrong number of terminals for ${item.type}`);
+        let rhs = inputs.reduce((left, right) => ({
+            kind: 'binary', op, left, right, line: item.line,
+        }));
+        if (INVERTING_GATES.includes(item.type)) {
+            rhs = {
+                kind: 'unary', op: '~', arg: rhs, line: item.line,
+            };
+        }
+        this.continuousAssign(output, rhs, item.line);
+    }
+
+    instance(item) {
+        const definition = this.design.modules.get(item.type);
+        if (!definition) throw lineError(item.line, `module ${item.type} is not defined`);
+        const overridable = definition.params.filter((param) => !param.local);
+        const overrides = new Map();
+        item.params.forEach(({ port, value }, i) => {
+            const param = port === undefined ? overridable[i] : overridable.find((p) => p.name === port);
+            if (!param) throw lineError(item.line, `module ${item.type} has no parameter ${port || i + 1}`);
+            overrides.set(param.name, this.constantValue(value));
+        });
+        const cell = this.design.elaborate(definition, overrides, item.line);
+        const id = this.addDevice({ type: 'Subcircuit', celltype: cell.name, label: item.name });
+        item.connections.forEach(({ port, value }, i) => {
+            const cellPort = port === undefined ? cell.ports[i] : cell.ports.find((p) => p.name === port);
+            if (!cellPort) throw lineError(item.line, `module ${item.type} has no port ${port || i + 1}`);
+            if (!value) return;
+            if (cellPort.dir === 'input') {
+                this.connect(this.expr(value, cellPort.width), id, cellPort.name);
+            } else {
+                this.assignSignal(value, { id, port: cellPort.name, width: cellPort.width }, item.line);
+            }
+        });
+    }
+
+    /**
+     * Value a net keeps on paths that do not assign it: a register keeps its
+     * output, combinational logic would need a latch (null)
+     */
+    hold(state, name) {
+        return state.sequential ? { net: name, width: this.nets.get(name).width } : null;
+    }
+
+    always(item) {
+        const edges = item.sensitivity.filter((entry) => entry.edge);
+        if (!edges.length) {
+            this.combinational(item);
+            return;
+        }
+        if (edges.length !== item.sensitivity.length) throw lineError(item.line, 'an always block can not mix edges and levels');
+        if (edges.length > 2) throw lineError(item.line, 'an always block can only have a clock and an asynchronous reset');
+        this.sequential(item, edges);
+    }
+
+    combinational(item) {
+        const state = { sequential: false, next: new Map(), visible: new Map() };
+        const end = this.execute(item.body, state);
+        this.state = undefined;
+        end.next.forEach((value, name) => {
+            if (!value) throw lineError(item.line, `${name} is not assigned on every path, the latch that needs is not supported`);
+            this.drive(name, 0, value, item.line);
+        });
+    }
+
+    sequential(item, edges) {
+        let body = unwrap(item.body);
+        let clock = edges[0];
+        let reset;
+        if (edges.length === 2) {
+            const condition = body && body.kind === 'if' ? resetCondition(body.cond) : undefined;
+            const resetEdge = condition && edges.find((edge) => edge.name === condition.name);
+            if (!resetEdge) throw lineError(item.line, 'an always block with two edges has to test its asynchronous reset first');
+            if ((resetEdge.edge === 'posedge') !== condition.activeHigh) {
+                throw lineError(body.line, `${resetEdge.name} is tested ${condition.activeHigh ? 'high' : 'low'} but triggers on its ${resetEdge.edge}`);
+            }
+            clock = edges.find((edge) => edge !== resetEdge);
+            reset = {
+                signal: this.expr({ kind: 'id', name: resetEdge.name, line: item.line }, 1),
+                activeHigh: condition.activeHigh,
+                values: this.resetValues(body.then, new Map()),
+            };
+            body = body.otherwise;
+        }
+        const state = { sequential: true, next: new Map(), visible: new Map() };
+        const end = body ? this.execute(body, state) : state;
+        this.state = undefined;
+        const clockSignal = this.expr({ kind: 'id', name: clock.name, line: item.line }, 1);
+        const registers = new Set([...end.next.keys(), ...(reset ? reset.values.keys() : [])]);
+        registers.forEach((name) => {
+            const net = this.net(name, item.line);
+            const dff = { type: 'Dff', bits: net.width, polarity: { clock: clock.edge === 'posedge' } };
+            if (reset && reset.values.has(name)) {
+                dff.polarity.arst = reset.activeHigh;
+                dff.arst_value = reset.values.get(name).toString(2).padStart(net.width, '0');
+            }
+            const id = this.addDevice(dff);
+            this.connect(clockSignal, id, 'clk');
+            this.connect(end.next.has(name) ? end.next.get(name) : this.read(name, item.line), id, 'in');
+            if (dff.arst_value !== undefined) this.connect(reset.signal, id, 'arst');
+            this.drive(name, 0, { id, port: 'out', width: net.width }, item.line);
+        });
+    }
+
+    /**
+     * Constants assigned by the reset branch of an always block
+     * @param {Object} statement
+     * @param {Map<string, bigint>} values - filled with the value of every register
+     * @return {Map<string, bigint>}
+     */
+    resetValues(statement, values) {
+        if (statement.kind === 'block') {
+            statement.body.forEach((inner) => this.resetValues(inner, values));
+            return values;
+        }
+        if (statement.kind !== 'assign' || !this.isConstant(statement.rhs)) {
+            throw lineError(statement.line, 'an asynchronous reset can only assign constants');
+        }
+        const targets = this.targets(statement.lhs);
+        const width = targets.reduce((sum, target) => sum + target.count, 0);
+        let value = this.evaluate(statement.rhs, Math.max(width, this.selfWidth(statement.rhs))) & mask(width);
+        for (let i = targets.length - 1; i >= 0; i--) {
+            const { name, position, count } = targets[i];
+            const old = values.get(name) || 0n;
+            const bits = mask(count) << BigInt(position);
+            values.set(name, (old & ~bits) | ((value << BigInt(position)) & bits));
+            value >>= BigInt(count);
+        }
+        return values;
+    }
+
+    /**
+     * Runs a statement of an always block on the assignments made so far
+     * @param {Object} statement
+     * @param {Object} state - {sequential, next, visible}, next maps nets to
+     * the value they are assigned, visible only holds blocking assignments
+     * @return {Object} state after the statement
+     */
+    execute(statement, state) {
+        this.state = state;
+        switch (statement.kind) {
+        case 'block': return statement.body.reduce((current, inner) => this.execute(inner, current), state);
+        case 'assign': {
+            if (statement.lhs.kind === 'index' && !this.isConstant(statement.lhs.index)) {
+                this.writeVariableIndex(statement, state);
+                return state;
+            }
+            const targets = this.targets(statement.lhs);
+            const width = targets.reduce((sum, target) => sum + target.count, 0);
+            const value = this.expr(statement.rhs, width);
+            this.distribute(targets, value, (target, bits) => this.write(state, target, bits, statement));
+            return state;
+        }
+        case 'if': {
+            const cond = this.bool(this.expr(statement.cond, this.selfWidth(statement.cond)));
+            return this.branch(cond, statement.then, statement.otherwise, state);
+        }
+        case 'case': return this.execute(this.caseChain(statement), state);
+        default: throw lineError(statement.line, 'unsupported statement');
+        }
+    }
+
+    write(state, target, bits, statement) {
+        const { name, position, count } = target;
+        const { width } = this.net(name, statement.line);
+        let value = bits;
+        if (count < width) {
+            const current = state.next.has(name) ? state.next.get(name) : this.hold(state, name);
+            if (!current) throw lineError(statement.line, `${name} is partly assigned before it is assigned in full, the latch that needs is not supported`);
+            const parts = [];
+            if (position > 0) parts.push(this.slice(current, 0, position));
+            parts.push(bits);
+            if (position + count < width) parts.push(this.slice(current, position + count, width - position - count));
+            value = this.group(parts);
+        }
+        state.next.set(name, value);
+        if (statement.blocking) state.visible.set(name, value);
+    }
+
+    /**
+     * Assignment to the bit picked by a signal, every bit of the net selects
+     * between the assigned bit and its current value
+     */
+    writeVariableIndex(statement, state) {
+        const { lhs } = statement;
+        const net = this.net(lhs.name, lhs.line);
+        const current = state.next.has(lhs.name) ? state.next.get(lhs.name) : this.hold(state, lhs.name);
+        if (!current) throw lineError(statement.line, `${lhs.name} is partly assigned before it is assigned in full, the latch that needs is not supported`);
+        const index = this.expr(lhs.index, this.selfWidth(lhs.index));
+        const bit = this.expr(statement.rhs, 1);
+        const bits = [];
+        for (let i = 0; i < net.width; i++) {
+            const offset = net.msb >= net.lsb ? net.lsb + i : net.lsb - i;
+            const old = this.slice(current, i, 1);
+            if (offset < 0 || BigInt(offset) > mask(index.width)) {
+                bits.push(old);
+            } else {
+                bits.push(this.mux(this.compare('==', index, this.constant(BigInt(offset), index.width)), bit, old));
+            }
+        }
+        const value = this.group(bits);
+        state.next.set(lhs.name, value);
+        if (statement.blocking) state.visible.set(lhs.name, value);
+    }
+
+    /**
+     * Runs both branches of an if and selects the values they assign
+     */
+    branch(cond, then, otherwise, state) {
+        const copy = () => ({ sequential: state.sequential, next: new Map(state.next), visible: new Map(state.visible) });
+        const thenState = this.execute(then, copy());
+        const elseState = otherwise ? this.execute(otherwise, copy()) : copy();
+        const merged = copy();
+        const muxes = []; // blocking assignments select the same values twice
+        ['next', 'visible'].forEach((key) => {
+            new Set([...thenState[key].keys(), ...elseState[key].keys()]).forEach((name) => {
+                const hold = state[key].has(name) ? state[key].get(name) : this.hold(state, name);
+                const a = thenState[key].has(name) ? thenState[key].get(name) : hold;
+                const b = elseState[key].has(name) ? elseState[key].get(name) : hold;
+                if (!a || !b) {
+                    merged[key].set(name, null);
+                    return;
+                }
+                let mux = muxes.find((entry) => entry.a === a && entry.b === b);
+                if (!mux) {
+                    mux = { a, b, out: this.mux(cond, a, b) };
+                    muxes.push(mux);
+                }
+                merged[key].set(name, mux.out);
+            });
+        });
+        this.state = merged;
+        return merged;
+    }
+
+    /**
+     * Case statement as a chain of if else comparing the selector once
+     */
+    caseChain(statement) {
+        const { sel, items, line } = statement;
+        const labels = items.flatMap((item) => item.labels || []);
+        const width = Math.max(this.selfWidth(sel), ...labels.map((label) => this.selfWidth(label)));
+        const selected = { kind: 'signal', signal: this.expr(sel, width), line };
+        const fallback = items.find((item) => !item.labels);
+        const chain = items.filter((item) => item.labels).reduceRight((otherwise, item) => ({
+            kind: 'if',
+            cond: item.labels
+                .map((label) => ({
+                    kind: 'binary', op: '==', left: selected, right: label, line,
+                }))
+                .reduce((left, right) => ({
+                    kind: 'binary', op: '||', left, right, line,
+                })),
+            then: item.body,
+            otherwise,
+            line,
+        }), fallback && fallback.body);
+        return chain || { kind: 'block', body: [], line };
+    }
+
+    /**
+     * Device output driving a net, bits driven in several places are grouped
+     */
+    driverOf(name, line, visiting = new Set()) {
+        const net = this.net(name, line);
+        if (net.driver) return net.driver;
+        if (visiting.has(name)) throw lineError(line, `${name} is assigned from itself`);
+        if (!net.drivers.length) throw lineError(line, `${name} is used but never assigned`);
+        const drivers = [...net.drivers].sort((a, b) => a.position - b.position);
+        let covered = 0;
+        drivers.forEach((driver) => {
+            if (driver.position < covered) throw lineError(driver.line, `${name} is assigned in more than one place`);
+            if (driver.position > covered) throw lineError(line, `bits ${covered} to ${driver.position - 1} of ${name} are never assigned`);
+            covered += driver.count;
+        });
+        if (covered < net.width) throw lineError(line, `bits ${covered} to ${net.width - 1} of ${name} are never assigned`);
+        let signal = this.group(drivers.map((driver) => driver.signal));
+        if (signal.net !== undefined) {
+            visiting.add(name);
+            signal = this.driverOf(signal.net, line, visiting);
+        }
+        net.driver = signal;
+        return signal;
+    }
+
+    netlist() {
+        this.outputs.forEach(({ name, id, line }) => {
+            if (!this.nets.get(name).drivers.length) throw lineError(line, `output ${name} is never assigned`);
+            this.connect(this.read(name, line), id, 'in');
+        });
+        const connectors = [];
+        // Resolving can add devices and connections while this runs
+        for (let i = 0; i < this.connectors.length; i++) {
+            const { from, to } = this.connectors[i];
+            const driver = from.net === undefined ? from : this.driverOf(from.net, from.line);
+            connectors.push({ from: { id: driver.id, port: driver.port }, to });
+        }
+        return { devices: this.devices, connectors };
+    }
+}
+
+/**
+ * Modules of the code and the netlists built from them
+ */
+class Design {
+    constructor(modules) {
+        this.modules = new Map();
+        modules.forEach((module) => {
+            if (this.modules.has(module.name)) throw lineError(module.line, `module ${module.name} is defined twice`);
+            this.modules.set(module.name, module);
+        });
+        this.cells = new Map(); // name -> {ports, netlist}, every cell after the cells it uses
+        this.elaborating = new Set();
+    }
+
+    /**
+     * The last module no other module instantiates
+     */
+    top() {
+        const instantiated = new Set();
+        this.modules.forEach((module) => module.items.forEach((item) => {
+            if (item.kind === 'instance') instantiated.add(item.type);
+        }));
+        const modules = [...this.modules.values()];
+        const tops = modules.filter((module) => !instantiated.has(module.name));
+        return tops.length ? tops[tops.length - 1] : modules[modules.length - 1];
+    }
+
+    /**
+     * Builds the netlist of a module once for every set of parameter values
+     * @param {Object} module
+     * @param {Map<string, bigint>} overrides
+     * @param {number} line - where it is instantiated
+     * @return {{name: string, ports: Array}}
+     */
+    elaborate(module, overrides, line) {
+        const values = [...overrides].map(([param, value]) => `${param}=${value}`);
+        const name = values.length ? `${module.name}#(${values.join(',')})` : module.name;
+        if (!this.cells.has(name)) {
+            if (this.elaborating.has(module.name)) throw lineError(line, `module ${module.name} instantiates itself`);
+            this.elaborating.add(module.name);
+            const builder = new ModuleBuilder(this, module, overrides);
+            const netlist = builder.build();
+            this.cells.set(name, { ports: builder.ports, netlist });
+            this.elaborating.delete(module.name);
+        }
+        return { name, ports: this.cells.get(name).ports };
+    }
+}
+
+/**
+ * Synthesizes Verilog code into the netlist JSON that YosysJSON2CV() reads
+ * @param {string} code
+ * @return {{name: string, devices: Object, connectors: Array, subcircuits: Object}}
+ * the top module, subcircuits hold the netlists of the modules it instantiates
+ * @throws {Error} naming the line of unsupported or invalid code
+ * @category verilog
+ */
+export default function parseVerilog(code) {
+    const design = new Design(new Parser(tokenize(code)).source());
+    const top = design.top();
+    const { name } = design.elaborate(top, new Map(), top.line);
+    const subcircuits = {};
+    design.cells.forEach((cell, cellName) => {
+        if (cellName !== name) subcircuits[cellName] = cell.netlist;
+    });
+    return { name, ...design.cells.get(name).netlist, subcircuits };
+}
@@ -0,0 +1,71 @@
+/* eslint-disable no-bitwise */
+/**
+ * Helpers for values wider than 32 bits.
+ *
+ * Nodes up to 32 bits wide hold plain numbers so existing modules keep
+ * their fast bitwise paths. Wider nodes hold BigInt values. The value
+ * setter of Node converts between the two, so a module may assign
+ * either and only has to switch to BigInt arithmetic for wide inputs.
+ * @category wideValue
+ */
+
+/**
+ * Largest bit width supported by nodes and elements
+ * @type {number}
+ * @category wideValue
+ */
+export const MAX_BITWIDTH = 256;
+
+/**
+ * Checks whether values of the given bit width are held as BigInt
+ * @param {number} bitWidth
+ * @return {boolean}
+ * @category wideValue
+ */
+export function isWide(bitWidth) {
+    return bitWidth > 32;
+}
+
+/**
+ * Converts a value to the representation used for the given bit width:
+ * a number up to 32 bits, a BigInt truncated to bitWidth bits beyond.
+ * Numbers for narrow widths are returned unchanged.
+ * @param {number|bigint|string|undefined} value
+ * @param {number} bitWidth
+ * @return {number|bigint|undefined}
+ * @category wideValue
+ */
+export function toBitWidth(value, bitWidth) {
+    if (value === undefined) return undefined;
+    if (isWide(bitWidth)) {
+        if (typeof value === 'number') {
+            return BigInt.asUintN(bitWidth, BigInt(Number.isFinite(value) ? Math.trunc(value) : 0));
+        }
+        return BigInt.asUintN(bitWidth, BigInt(value));
+    }
+    if (typeof value === 'bigint') return Number(BigInt.asUintN(bitWidth, value));
+    if (typeof value === 'string') return Number(BigInt.asUintN(bitWidth, BigInt(value)));
+    return value;
+}
+
+/**
+ * Converts a value to BigInt, undefined is treated as 0
+ * @param {number|bigint|string|undefined} value
+ * @return {bigint}
+ * @category wideValue
+ */
+export function toBigInt(value) {
+    if (value === undefined) return 0n;
+    if (typeof value === 'number') return BigInt(Number.isFinite(value) ? Math.trunc(value) : 0);
+    return BigInt(value);
+}
+
+/**
+ * Value that can be stored in JSON, wide values are saved as decimal strings
+ * @param {number|bigint|undefined} value
+ * @return {number|string|undefined}
+ * @category wideValue
+ */
+export function serializeValue(value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
@@ -134,6 +134,8 @@ export default class Wire {
             color = colors['color_wire_sel']; 
         } else if (this.node1.value == undefined || this.node2.value == undefined) { 
             color = colors['color_wire_lose']; 
+        } else if (this.node1.xMask || this.node1.zMask) {
+            color = colors['color_wire_lose'];
         } else if (this.node1.bitWidth == 1) { 
             color = [colors['color_wire_lose'], colors['color_wire_con'], colors['color_wire_pow']][this.node1.value + 1]; 
         } else { 